@@ -0,0 +1,53 @@
+/**
+ * Service worker: keeps the app shell and its assets available offline.
+ * Ticket data is not cached here — Firestore's persistent cache handles that.
+ *
+ * - Page navigations: network first, falling back to the cached index.html.
+ * - Same-origin assets (hashed by Vite, including the compiled styles and fonts): cache first.
+ */
+const CACHE_NAME = 'commission-tracker-v2';
+const APP_SHELL = ['/', '/index.html', '/manifest.webmanifest', '/icons/icon-192.png', '/icons/icon-512.png'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL)));
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim()),
+    );
+});
+
+const putInCache = async (request, response) => {
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.put(request, response.clone());
+    }
+    return response;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request)
+                .then(response => putInCache('/index.html', response))
+                .catch(() => caches.match('/index.html')),
+        );
+        return;
+    }
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(
+            caches.match(request).then(cached => cached || fetch(request).then(response => putInCache(request, response))),
+        );
+        return;
+    }
+    // Everything else (Firebase APIs, Storage downloads, avatars) goes to the network untouched
+});
@@ -0,0 +1,125 @@
+/**
+ * migrate-legacy: Copies the data written before workspaces existed into a workspace.
+ *
+ * Before workspaces, tickets lived in `artifacts/{appId}/public/data/tickets` (with their
+ * history, comments and attachments), roles in `public/data/roles` and the workflow in
+ * `public/data/config/workflow`. The app no longer reads any of them. This script copies
+ * tickets and their subcollections into `workspaces/{workspaceId}/tickets`, moves attachment
+ * files to the workspace's Storage folder, makes everyone with a role or a ticket a member
+ * and copies the workflow unless the workspace already has one. Tickets already in the
+ * workspace are skipped, so it can be run again. The legacy data is left in place.
+ *
+ * Create the workspace in the app first, then run with Application Default Credentials:
+ *   MIGRATE_PROJECT_ID=my-project npm run migrate:legacy -- <workspaceId>
+ * Add `--dry-run` to only print what would be copied.
+ */
+import { initializeApp } from 'firebase-admin/app';
+import { Timestamp, getFirestore } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+
+const PROJECT_ID = process.env.MIGRATE_PROJECT_ID;
+const APP_ID = process.env.VITE_APP_ID || 'default-app-id';
+const BUCKET = process.env.MIGRATE_STORAGE_BUCKET || `${PROJECT_ID}.appspot.com`;
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const workspaceId = args.find(arg => !arg.startsWith('--'));
+
+if (!PROJECT_ID || !workspaceId) {
+    console.error('Usage: MIGRATE_PROJECT_ID=<project> npm run migrate:legacy -- <workspaceId> [--dry-run]');
+    process.exit(1);
+}
+
+initializeApp({ projectId: PROJECT_ID, storageBucket: BUCKET });
+const db = getFirestore();
+const bucket = getStorage().bucket();
+
+const root = `artifacts/${APP_ID}`;
+const legacyPath = `${root}/public/data`;
+const workspacePath = `${root}/workspaces/${workspaceId}`;
+
+const SUBCOLLECTIONS = ['history', 'comments', 'attachments'];
+
+// Legacy attachments kept a long-lived download URL; the app now only stores the path
+const moveAttachment = async (ticketId, attachmentDoc) => {
+    const { downloadURL, storagePath, ...attachment } = attachmentDoc.data();
+    if (!storagePath) return attachment;
+    const nextPath = `${workspacePath}/tickets/${ticketId}/${storagePath.split('/').pop()}`;
+    if (!dryRun) {
+        const [exists] = await bucket.file(storagePath).exists();
+        if (exists) await bucket.file(storagePath).copy(bucket.file(nextPath));
+        else console.warn(`Attachment file ${storagePath} is missing; its entry is copied anyway.`);
+    }
+    return { ...attachment, storagePath: nextPath };
+};
+
+const copyTicket = async (ticketDoc) => {
+    const ticketRef = db.doc(`${workspacePath}/tickets/${ticketDoc.id}`);
+    if ((await ticketRef.get()).exists) return false;
+
+    const writer = db.bulkWriter();
+    if (!dryRun) writer.set(ticketRef, ticketDoc.data());
+    for (const name of SUBCOLLECTIONS) {
+        const snapshot = await ticketDoc.ref.collection(name).get();
+        for (const entry of snapshot.docs) {
+            const data = name === 'attachments' ? await moveAttachment(ticketDoc.id, entry) : entry.data();
+            if (!dryRun) writer.set(ticketRef.collection(name).doc(entry.id), data);
+        }
+    }
+    await writer.close();
+    return true;
+};
+
+// Legacy role holders keep their role; anyone else who owned a ticket joins as a submitter
+const addMembers = async (ownerIds) => {
+    const roles = await db.collection(`${legacyPath}/roles`).get();
+    const memberRoles = new Map([...ownerIds].map(uid => [uid, 'submitter']));
+    roles.docs.forEach(roleDoc => memberRoles.set(roleDoc.id, roleDoc.data().role));
+
+    let added = 0;
+    for (const [uid, role] of memberRoles) {
+        const memberRef = db.doc(`${workspacePath}/members/${uid}`);
+        if ((await memberRef.get()).exists) continue;
+        if (!dryRun) await memberRef.set({ uid, role, joinedAt: Timestamp.now() });
+        added += 1;
+    }
+    return added;
+};
+
+// The rules read `resolvedStatuses` from the workflow document, which legacy documents lack
+const copyWorkflow = async () => {
+    const legacy = await db.doc(`${legacyPath}/config/workflow`).get();
+    const workflowRef = db.doc(`${workspacePath}/config/workflow`);
+    if (!legacy.exists || (await workflowRef.get()).exists) return false;
+
+    const workflow = legacy.data();
+    const resolvedStatuses = (workflow.statuses || []).filter(status => status.resolved).map(status => status.id);
+    if (!dryRun) await workflowRef.set({ ...workflow, resolvedStatuses });
+    return true;
+};
+
+const main = async () => {
+    if (!(await db.doc(workspacePath).get()).exists) {
+        console.error(`Workspace "${workspaceId}" does not exist; create it in the app first.`);
+        process.exit(1);
+    }
+
+    const tickets = await db.collection(`${legacyPath}/tickets`).get();
+    const ownerIds = new Set();
+    let copied = 0;
+    for (const ticketDoc of tickets.docs) {
+        if (ticketDoc.data().userId) ownerIds.add(ticketDoc.data().userId);
+        if (await copyTicket(ticketDoc)) copied += 1;
+    }
+    const members = await addMembers(ownerIds);
+    const workflowCopied = await copyWorkflow();
+
+    const verb = dryRun ? 'Would copy' : 'Copied';
+    console.log(`${verb} ${copied} of ${tickets.size} legacy tickets into workspace "${workspaceId}" (the rest were already there).`);
+    console.log(`${verb} ${members} new members${workflowCopied ? ' and the legacy workflow' : ''}.`);
+};
+
+main().catch((error) => {
+    console.error("Error migrating legacy data: ", error);
+    process.exit(1);
+});
@@ -0,0 +1,190 @@
+/**
+ * seed: Fills the local Firebase Emulator Suite with demo users, two workspaces
+ * and a few months of tickets so the app has something to show in development.
+ *
+ * Start the emulators first (`firebase emulators:start --project demo-commission-tracker`),
+ * then run `npm run seed`. Running it again replaces the seeded data. The script
+ * refuses to run without emulator hosts, so it can never write to a real project.
+ */
+import { initializeApp } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { Timestamp, getFirestore } from 'firebase-admin/firestore';
+
+const PROJECT_ID = process.env.SEED_PROJECT_ID || 'demo-commission-tracker';
+const APP_ID = process.env.VITE_APP_ID || 'default-app-id';
+const HOST = process.env.VITE_EMULATOR_HOST || '127.0.0.1';
+const PASSWORD = 'password';
+
+process.env.FIRESTORE_EMULATOR_HOST ||= `${HOST}:8080`;
+process.env.FIREBASE_AUTH_EMULATOR_HOST ||= `${HOST}:9099`;
+
+if (!PROJECT_ID.startsWith('demo-')) {
+    console.error(`Refusing to seed "${PROJECT_ID}": only demo-* projects, which exist only in the emulators, can be seeded.`);
+    process.exit(1);
+}
+
+initializeApp({ projectId: PROJECT_ID });
+const auth = getAuth();
+const db = getFirestore();
+
+const root = `artifacts/${APP_ID}`;
+
+const USERS = [
+    { uid: 'alice', displayName: 'Alice Admin', email: 'alice@example.com' },
+    { uid: 'bob', displayName: 'Bob Reviewer', email: 'bob@example.com' },
+    { uid: 'carol', displayName: 'Carol Seller', email: 'carol@example.com' },
+    { uid: 'dan', displayName: 'Dan Seller', email: 'dan@example.com' },
+];
+
+const WORKSPACES = [
+    {
+        id: 'north-america',
+        name: 'North America Sales',
+        members: { alice: 'admin', bob: 'reviewer', carol: 'submitter', dan: 'submitter' },
+        ticketCount: 32,
+    },
+    {
+        id: 'emea',
+        name: 'EMEA Sales',
+        members: { alice: 'admin', carol: 'submitter' },
+        ticketCount: 8,
+    },
+];
+
+const DEALS = [
+    'Annual license renewal', 'Enterprise upgrade', 'New logo: regional bank', 'Multi-year support contract',
+    'Pilot conversion', 'Seat expansion', 'Professional services add-on', 'Channel partner referral',
+    'Hardware bundle', 'Data migration project', 'Training package', 'Premium SLA upsell',
+];
+const CUSTOMERS = ['Acme Corp', 'Globex', 'Initech', 'Umbrella', 'Stark Industries', 'Wayne Enterprises', 'Hooli', 'Vandelay'];
+const PRIORITIES = ['low', 'medium', 'medium', 'high', 'urgent'];
+const DAY = 24 * 60 * 60 * 1000;
+
+// A fixed-seed generator keeps runs reproducible
+let seed = 42;
+const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+};
+const pick = (items) => items[Math.floor(random() * items.length)];
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+
+const ensureUser = async ({ uid, displayName, email }) => {
+    try {
+        await auth.deleteUser(uid);
+    } catch (error) {
+        if (error.code !== 'auth/user-not-found') throw error;
+    }
+    await auth.createUser({ uid, displayName, email, password: PASSWORD });
+};
+
+// Same shape as buildTicketDocument (src/utils/tickets.js), with flat-rate commission
+const buildTicket = (index, submitters, assignees, now) => {
+    const createdAt = new Date(now - Math.floor(random() * 120 * DAY));
+    const age = now - createdAt.getTime();
+    const roll = random();
+    const status = age > 30 * DAY && roll < 0.7 ? 'Resolved' : roll < 0.45 ? 'Open' : roll < 0.8 ? 'In Progress' : 'Resolved';
+    const dealValue = Math.round(1000 + random() * 49000);
+    const commissionRate = pick([2.5, 5, 7.5, 10]);
+    const dueDate = random() < 0.7 ? toDateInput(new Date(createdAt.getTime() + (7 + Math.floor(random() * 40)) * DAY)) : null;
+
+    return {
+        title: `${pick(DEALS)} – ${pick(CUSTOMERS)}`,
+        description: `Seeded demo ticket #${index + 1}. Commission claimed on the signed order.`,
+        dealValue,
+        currency: 'USD',
+        rateType: 'flat',
+        commissionRate,
+        rateTiers: [],
+        payoutAmount: Math.round(dealValue * commissionRate) / 100,
+        assigneeId: random() < 0.75 ? pick(assignees) : null,
+        priority: pick(PRIORITIES),
+        dueDate,
+        typeId: null,
+        customFields: {},
+        status,
+        userId: pick(submitters),
+        createdAt: Timestamp.fromDate(createdAt),
+        ...(status === 'Resolved' && {
+            resolvedAt: Timestamp.fromMillis(Math.min(now, createdAt.getTime() + (1 + Math.floor(random() * 20)) * DAY)),
+        }),
+    };
+};
+
+const COMMENTS = [
+    { body: 'Signed order is attached in the CRM.', byReviewer: false },
+    { body: 'Can you confirm the rate with finance before I approve?', byReviewer: true },
+    { body: 'Looks good to me.', byReviewer: true },
+];
+
+const seedWorkspace = async (workspace, now) => {
+    const workspacePath = `${root}/workspaces/${workspace.id}`;
+    await db.recursiveDelete(db.doc(workspacePath));
+
+    const batch = db.batch();
+    batch.set(db.doc(workspacePath), { name: workspace.name, createdBy: 'alice', createdAt: Timestamp.fromMillis(now - 130 * DAY) });
+    Object.entries(workspace.members).forEach(([uid, role]) => {
+        const user = USERS.find(candidate => candidate.uid === uid);
+        batch.set(db.doc(`${workspacePath}/members/${uid}`), { uid, role, joinedAt: Timestamp.fromMillis(now - 125 * DAY) });
+        batch.set(db.doc(`${workspacePath}/profiles/${uid}`), {
+            displayName: user.displayName,
+            photoURL: null,
+            isAnonymous: false,
+            lastSeenAt: Timestamp.fromMillis(now),
+        });
+    });
+    await batch.commit();
+
+    const uids = Object.keys(workspace.members);
+    const submitters = uids.filter(uid => workspace.members[uid] === 'submitter');
+    const assignees = uids.filter(uid => workspace.members[uid] !== 'submitter');
+
+    const ticketBatch = db.batch();
+    for (let i = 0; i < workspace.ticketCount; i += 1) {
+        const ticketRef = db.collection(`${workspacePath}/tickets`).doc();
+        const ticket = buildTicket(i, submitters, assignees, now);
+        ticketBatch.set(ticketRef, ticket);
+        ticketBatch.set(ticketRef.collection('history').doc(), { type: 'created', actorId: ticket.userId, changes: [], changedAt: ticket.createdAt });
+        if (ticket.status !== 'Open') {
+            ticketBatch.set(ticketRef.collection('history').doc(), {
+                type: 'updated',
+                actorId: ticket.assigneeId || assignees[0],
+                changes: [{ field: 'status', from: 'Open', to: ticket.status }],
+                changedAt: ticket.resolvedAt || Timestamp.fromMillis(ticket.createdAt.toMillis() + DAY),
+            });
+        }
+        if (i % 4 === 0) {
+            COMMENTS.slice(0, 1 + (i % 3)).forEach(({ body, byReviewer }, offset) => {
+                ticketBatch.set(ticketRef.collection('comments').doc(), {
+                    body,
+                    authorId: byReviewer ? assignees[0] : ticket.userId,
+                    mentions: [],
+                    createdAt: Timestamp.fromMillis(ticket.createdAt.toMillis() + (offset + 1) * 60 * 60 * 1000),
+                    updatedAt: null,
+                });
+            });
+        }
+    }
+    await ticketBatch.commit();
+};
+
+const main = async () => {
+    const now = Date.now();
+
+    for (const user of USERS) {
+        await ensureUser(user);
+        await db.doc(`${root}/users/${user.uid}/settings/preferences`).set({ activeWorkspaceId: WORKSPACES[0].id }, { merge: true });
+    }
+
+    for (const workspace of WORKSPACES) {
+        await seedWorkspace(workspace, now);
+    }
+
+    console.log(`Seeded ${USERS.length} users and ${WORKSPACES.length} workspaces into ${PROJECT_ID} (app id "${APP_ID}").`);
+    console.log(`Sign in as ${USERS.map(user => user.email).join(', ')} with the password "${PASSWORD}".`);
+};
+
+main().catch((error) => {
+    console.error("Error seeding the emulators: ", error);
+    process.exit(1);
+});
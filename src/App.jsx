@@ -1,170 +1,184 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef, Suspense, lazy } from 'react';
+import { Routes, Route, Navigate, NavLink, useLocation, useNavigate } from 'react-router-dom';
 import { initializeApp } from 'firebase/app';
 import { 
     getAuth, 
-    signInAnonymously, 
+    connectAuthEmulator,
     onAuthStateChanged,
-    signInWithCustomToken
+    signInWithCustomToken,
+    updateProfile
 } from 'firebase/auth';
 import { 
     getFirestore, 
+    initializeFirestore,
+    connectFirestoreEmulator,
+    persistentLocalCache,
+    persistentMultipleTabManager,
     collection, 
     onSnapshot, 
-    addDoc, 
-    updateDoc, 
-    deleteDoc, 
     doc, 
-    serverTimestamp,
+    setDoc,
+    writeBatch,
     query,
-    where,
+    orderBy,
+    limit,
     setLogLevel
 } from 'firebase/firestore';
-
-// --- CRITICAL: CANVAS GLOBAL VARIABLE INJECTION (Safest Implementation) ---
-// Using the 'typeof' check is mandatory for robust access to these injected globals.
-const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : null;
-const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
-
-// Dynamically set the public collection path using the provided appId
-const BASE_COLLECTION_PATH = `artifacts/${appId}/public/data/tickets`;
-
-// Enable debug logging for Firestore
-if (typeof setLogLevel === 'function') {
+import { connectStorageEmulator, getStorage } from 'firebase/storage';
+import DashboardPage from './pages/DashboardPage.jsx';
+import StatsPage from './pages/StatsPage.jsx';
+import ConfirmationModal from './components/ConfirmationModal.jsx';
+import ErrorBoundary from './components/ErrorBoundary.jsx';
+import NewTicketForm from './components/NewTicketForm.jsx';
+import NotificationBell from './components/NotificationBell.jsx';
+import UserBadge from './components/UserBadge.jsx';
+import WorkspaceSwitcher from './components/WorkspaceSwitcher.jsx';
+import AuthPage from './pages/AuthPage.jsx';
+import ProfilesContext from './contexts/ProfilesContext.js';
+import TicketTypesContext from './contexts/TicketTypesContext.js';
+import WorkflowContext from './contexts/WorkflowContext.js';
+import WorkspaceContext from './contexts/WorkspaceContext.js';
+import { useToast } from './contexts/ToastContext.js';
+import {
+    appId,
+    firebaseConfig,
+    initialAuthToken,
+    isDevelopment,
+    USE_EMULATORS,
+    EMULATOR_HOST,
+    EMULATOR_PORTS,
+    getMembersCollectionPath,
+    getNotificationsCollectionPath,
+    getProfileDocPath,
+    getProfilesCollectionPath,
+    getSettingsDocPath,
+    getTicketsCollectionPath,
+    getTicketTypesDocPath,
+    getWorkflowDocPath,
+} from './config.js';
+import { signOutUser } from './utils/auth.js';
+import { buildProfileFromAuthUser, getDisplayName } from './utils/profiles.js';
+import { buildTicketQueryConstraints, filtersFromSearchParams, getQueryKey } from './utils/ticketFilters.js';
+import usePaginatedTickets from './hooks/usePaginatedTickets.js';
+import useOnlineStatus from './hooks/useOnlineStatus.js';
+import useWorkspaces from './hooks/useWorkspaces.js';
+import { commitWrite, onSyncError } from './utils/offline.js';
+import { DEFAULT_CURRENCY } from './utils/commission.js';
+import { DEFAULT_THEME, applyTheme, watchSystemTheme } from './utils/theme.js';
+import {
+    createTicket,
+    moveTicketToTrash,
+    moveTicketsToTrash,
+    restoreTicket,
+    restoreTickets,
+    saveBulkTicketUpdates,
+    saveTicketUpdate,
+} from './utils/ticketWrites.js';
+import { TRASH_RETENTION_DAYS } from './utils/tickets.js';
+import { diffTicket } from './utils/history.js';
+import { DEFAULT_ROLE, ROLE_LABELS, canEditTicket } from './utils/permissions.js';
+import { DEFAULT_WORKFLOW, canTransition, getResolvedStatusIds, normalizeWorkflow } from './utils/workflow.js';
+import { findTicketType, normalizeTicketTypes } from './utils/ticketTypes.js';
+import { getTicketRoute, resolveActiveWorkspace } from './utils/workspaces.js';
+import {
+    DEFAULT_NOTIFICATION_PREFS,
+    browserNotificationsSupported,
+    describeNotification,
+    getNotificationPrefs,
+    isNotificationEnabled,
+} from './utils/notifications.js';
+
+// Heavier pages are code split and only fetched when their route is first visited
+const BoardPage = lazy(() => import('./pages/BoardPage.jsx'));
+const JoinWorkspacePage = lazy(() => import('./pages/JoinWorkspacePage.jsx'));
+const ReportsPage = lazy(() => import('./pages/ReportsPage.jsx'));
+const SettingsPage = lazy(() => import('./pages/SettingsPage.jsx'));
+const TicketDetailPage = lazy(() => import('./pages/TicketDetailPage.jsx'));
+const TrashPage = lazy(() => import('./pages/TrashPage.jsx'));
+const WorkspacesPage = lazy(() => import('./pages/WorkspacesPage.jsx'));
+
+const DEFAULT_SETTINGS = { defaultCurrency: DEFAULT_CURRENCY, theme: DEFAULT_THEME, filterPresets: [], notifications: DEFAULT_NOTIFICATION_PREFS, activeWorkspaceId: null };
+
+// The notification center shows the most recent ones only
+const NOTIFICATIONS_LIMIT = 50;
+
+const NAV_LINKS = [
+    { to: '/tickets/mine', label: 'My Tickets' },
+    { to: '/tickets/all', label: 'All Tickets' },
+    { to: '/board', label: 'Board' },
+    { to: '/stats', label: 'Stats' },
+    { to: '/reports', label: 'Reports' },
+    { to: '/trash', label: 'Trash' },
+    { to: '/settings', label: 'Settings' },
+];
+
+const PageFallback = () => (
+    <div className="p-8 bg-white dark:bg-gray-800 rounded-xl shadow-lg text-center text-indigo-600 dark:text-indigo-400 font-semibold animate-pulse">
+        Loading page...
+    </div>
+);
+
+// Verbose Firestore logging while developing only; it is far too noisy for users
+if (isDevelopment) {
     setLogLevel('Debug');
 }
 
-// === UTILITY COMPONENTS ===
-
-const StatusBadge = ({ status }) => {
-    const baseStyle = "px-3 py-1 text-xs font-semibold rounded-full";
-    let colorStyle;
-    switch (status) {
-        case 'Open':
-            colorStyle = 'bg-yellow-100 text-yellow-800';
-            break;
-        case 'In Progress':
-            colorStyle = 'bg-blue-100 text-blue-800';
-            break;
-        case 'Resolved':
-            colorStyle = 'bg-green-100 text-green-800';
-            break;
-        default:
-            colorStyle = 'bg-gray-100 text-gray-800';
-    }
-    return <span className={`${baseStyle} ${colorStyle}`}>{status}</span>;
+// Tickets and queued writes survive reloads and offline periods in IndexedDB,
+// shared across tabs. Falls back to the memory cache where IndexedDB is unavailable.
+const createFirestore = (appInstance) => {
+    try {
+        return initializeFirestore(appInstance, {
+            localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+        });
+    } catch (error) {
+        console.error("Persistent cache unavailable, using memory cache: ", error);
+        return getFirestore(appInstance);
+    }
 };
 
-// Custom Modal Component to replace window.confirm()
-const ConfirmationModal = ({ isOpen, title, message, onConfirm, onCancel }) => {
-    if (!isOpen) return null;
-
-    return (
-        <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 backdrop-blur-sm">
-            <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-sm transform transition-all duration-300 scale-100">
-                <h3 className="text-xl font-bold text-gray-800 border-b pb-2 mb-4">{title}</h3>
-                <p className="text-gray-600 mb-6">{message}</p>
-                <div className="flex justify-end space-x-3">
-                    <button 
-                        onClick={onCancel} 
-                        className="px-4 py-2 text-sm font-medium rounded-lg text-gray-700 bg-gray-200 hover:bg-gray-300 transition"
-                    >
-                        Cancel
-                    </button>
-                    <button 
-                        onClick={onConfirm} 
-                        className="px-4 py-2 text-sm font-medium rounded-lg text-white bg-red-600 hover:bg-red-700 shadow-md transition transform hover:scale-[1.02]"
-                    >
-                        Delete Permanently
-                    </button>
-                </div>
-            </div>
-        </div>
-    );
+// Points the SDKs at `firebase emulators:start`. Auth refuses a second connection,
+// which StrictMode's double-run effects would otherwise attempt.
+const connectEmulators = (authInstance, dbInstance, storageInstance) => {
+    if (!authInstance.emulatorConfig) {
+        connectAuthEmulator(authInstance, `http://${EMULATOR_HOST}:${EMULATOR_PORTS.auth}`, { disableWarnings: true });
+    }
+    connectFirestoreEmulator(dbInstance, EMULATOR_HOST, EMULATOR_PORTS.firestore);
+    connectStorageEmulator(storageInstance, EMULATOR_HOST, EMULATOR_PORTS.storage);
 };
 
-const TicketCard = React.memo(({ ticket, user, onUpdate, onDeleteConfirm }) => {
-    const isOwner = user?.uid === ticket.userId;
-
-    const formatTimestamp = (timestamp) => {
-        if (!timestamp || !timestamp.toDate) return 'N/A';
-        return timestamp.toDate().toLocaleDateString('en-US', {
-            year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
-        });
-    };
-
-    const handleStatusChange = (newStatus) => {
-        onUpdate(ticket.id, { status: newStatus });
-    };
-
-    const StatusDropdown = useMemo(() => (
-        <select
-            value={ticket.status}
-            onChange={(e) => handleStatusChange(e.target.value)}
-            className="p-2 rounded-lg border focus:ring-2 focus:ring-indigo-500 cursor-pointer bg-white hover:bg-gray-50 text-sm shadow-sm"
-        >
-            <option value="Open">Open</option>
-            <option value="In Progress">In Progress</option>
-            <option value="Resolved">Resolved</option>
-        </select>
-    ), [ticket.status, onUpdate]);
-
-
-    return (
-        <div className="bg-white p-6 rounded-xl shadow-lg hover:shadow-xl transition duration-300 border-t-4 border-indigo-500 flex flex-col space-y-4">
-            <div className="flex justify-between items-start">
-                <h3 className="text-xl font-bold text-gray-800 truncate pr-4">{ticket.title}</h3>
-                <StatusBadge status={ticket.status} />
-            </div>
-
-            <p className="text-sm text-gray-600 flex-grow leading-relaxed line-clamp-3">{ticket.description}</p>
-
-            <div className="text-xs text-gray-500 space-y-1 pt-2 border-t border-gray-100">
-                <div className="flex items-center space-x-2">
-                    <span className="w-4 h-4 text-indigo-500 text-lg">👤</span>
-                    <span className="font-medium text-gray-700">Owner ID:</span>
-                    {/* User ID must be visible for collaborative tracking */}
-                    <code className="bg-gray-100 px-1 rounded truncate flex-1 font-mono">{ticket.userId}</code>
-                </div>
-                <div className="flex items-center space-x-2">
-                    <span className="w-4 h-4 text-indigo-500 text-lg">📅</span>
-                    <span className="font-medium text-gray-700">Created:</span>
-                    <span>{formatTimestamp(ticket.createdAt)}</span>
-                </div>
-            </div>
-            
-            <div className="flex justify-between items-center pt-3">
-                {StatusDropdown}
-                
-                {isOwner && (
-                    <button
-                        onClick={() => onDeleteConfirm(ticket.id)}
-                        className="p-2 text-red-600 hover:bg-red-50 rounded-full transition duration-150"
-                        title="Delete Ticket"
-                    >
-                        {/* SVG Trash Can Icon (lucide-react icon equivalent) */}
-                        <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path></svg>
-                    </button>
-                )}
-            </div>
-        </div>
-    );
-});
-
 // === MAIN APPLICATION COMPONENT ===
 
 function App() {
-    const [tickets, setTickets] = useState([]);
     const [user, setUser] = useState(null);
-    const [title, setTitle] = useState('');
-    const [description, setDescription] = useState('');
+    const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+    const [settingsLoaded, setSettingsLoaded] = useState(false);
+    const [members, setMembers] = useState({});
+    const [profiles, setProfiles] = useState({});
+    const [workflow, setWorkflow] = useState(DEFAULT_WORKFLOW);
+    const [ticketTypes, setTicketTypes] = useState([]);
+    const [notifications, setNotifications] = useState([]);
+    const online = useOnlineStatus();
+    const { showToast } = useToast();
+    // Linking a guest or editing the profile mutates the same Auth user object, so bump this to re-render
+    const [, setAuthRevision] = useState(0);
     const [loading, setLoading] = useState(true);
-    const [view, setView] = useState('My Tickets'); // 'My Tickets', 'All Tickets', 'Stats'
-    const [firebaseServices, setFirebaseServices] = useState({ auth: null, db: null });
+    const [firebaseServices, setFirebaseServices] = useState({ auth: null, db: null, storage: null });
     
     // Deletion Modal State
     const [showConfirmModal, setShowConfirmModal] = useState(false);
     const [ticketToDeleteId, setTicketToDeleteId] = useState(null);
+    const [deleteState, setDeleteState] = useState({ busy: false, error: null });
+
+    // Bumped by the Retry action of a listener error to re-subscribe the listeners below
+    const [listenerRevision, setListenerRevision] = useState(0);
+    const reportListenerError = useCallback((source, error) => {
+        console.error(`Error listening to ${source}: `, error);
+        showToast({
+            type: 'error',
+            message: `Live updates for ${source} stopped.`,
+            onRetry: () => setListenerRevision(revision => revision + 1),
+        });
+    }, [showToast]);
 
     // 1. FIREBASE INITIALIZATION & AUTHENTICATION
     useEffect(() => {
@@ -177,31 +191,30 @@ function App() {
         try {
             const appInstance = initializeApp(firebaseConfig);
             const authInstance = getAuth(appInstance);
-            const dbInstance = getFirestore(appInstance);
-            setFirebaseServices({ auth: authInstance, db: dbInstance });
-
-            const authenticateUser = async () => {
-                try {
-                    // Prioritize custom token sign-in if available
-                    if (initialAuthToken) {
-                        await signInWithCustomToken(authInstance, initialAuthToken);
-                    } else {
-                        // Fallback to anonymous sign-in
-                        await signInAnonymously(authInstance);
-                    }
-                } catch (error) {
-                    console.error("Authentication failed:", error);
-                }
-            };
+            const dbInstance = createFirestore(appInstance);
+            const storageInstance = getStorage(appInstance);
+            if (USE_EMULATORS) connectEmulators(authInstance, dbInstance, storageInstance);
+            setFirebaseServices({ auth: authInstance, db: dbInstance, storage: storageInstance });
+
+            // A host-provided token signs in automatically; everyone else picks a method on the AuthPage
+            let tokenSignInPending = Boolean(initialAuthToken);
+            if (initialAuthToken) {
+                signInWithCustomToken(authInstance, initialAuthToken)
+                    .catch((error) => {
+                        console.error("Authentication failed:", error);
+                        showToast({ type: 'error', message: 'Automatic sign-in failed. Please choose a sign-in method.' });
+                    })
+                    .finally(() => {
+                        tokenSignInPending = false;
+                        setLoading(false);
+                    });
+            }
 
             const unsubscribeAuth = onAuthStateChanged(authInstance, (currentUser) => {
                 setUser(currentUser);
-                if (!currentUser) {
-                    authenticateUser();
-                }
-                // Set loading to false once the initial auth state is determined
-                // This ensures we have a user (anonymous or token-based) before proceeding.
-                setLoading(false); 
+                // Set loading to false once the initial auth state is determined,
+                // unless the token sign-in is still running (avoids flashing the sign-in screen).
+                if (!tokenSignInPending) setLoading(false);
             });
 
             return () => unsubscribeAuth();
@@ -209,201 +222,374 @@ function App() {
             console.error("Firebase initialization failed:", e);
             setLoading(false);
         }
-    }, []);
-
-    const { db, auth } = firebaseServices;
-
-    // 2. DATA LISTENER (Real-time updates)
-    useEffect(() => {
-        // Wait for Firebase services and user to be ready
-        if (!user || !db) return; 
-        
-        let ticketsQuery;
-        
-        if (view === 'My Tickets') {
-            // Filter to only show tickets owned by the current authenticated user
-            ticketsQuery = query(
-                collection(db, BASE_COLLECTION_PATH),
-                where('userId', '==', user.uid),
-            );
-        } else {
-            // Show all public tickets
-            ticketsQuery = query(collection(db, BASE_COLLECTION_PATH));
-        }
-
-        // NOTE: Firestore query sorting is removed to avoid index errors. Data is sorted client-side.
-        const unsubscribeFirestore = onSnapshot(ticketsQuery, (snapshot) => {
-            const fetchedTickets = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data()
-            }));
-            
-            // Client-side sorting by creation time (descending)
-            fetchedTickets.sort((a, b) => {
-                const timeA = a.createdAt?.toMillis() || 0;
-                const timeB = b.createdAt?.toMillis() || 0;
-                return timeB - timeA;
-            });
-
-            setTickets(fetchedTickets);
-        }, (error) => {
-            console.error("Error listening to tickets: ", error);
-        });
-
-        return () => unsubscribeFirestore();
-    }, [user, view, db]); // Reruns when user, view, or db services change
+    }, [showToast]); // showToast never changes, so this runs once
+
+    // Writes queued while offline can still be rejected once they reach the server
+    useEffect(() => onSyncError((description) => {
+        showToast({ type: 'error', message: `The ${description} could not be synced and was undone.` });
+    }), [showToast]);
+
+    const { db, auth, storage } = firebaseServices;
+
+    // Workspaces the user belongs to; the active one scopes tickets, members and the workflow below
+    const { workspaces, loading: workspacesLoading, error: workspacesError } = useWorkspaces(db, user?.uid, listenerRevision);
+    const activeWorkspace = resolveActiveWorkspace(workspaces, settings.activeWorkspaceId);
+    const workspaceId = activeWorkspace?.id || null;
+    const role = activeWorkspace?.role || DEFAULT_ROLE;
+
+    useEffect(() => {
+        if (workspacesError) reportListenerError('your workspaces', workspacesError);
+    }, [workspacesError, reportListenerError]);
+
+    // The choice is kept in the user's settings, so it follows them to other devices
+    const switchWorkspace = useCallback(async (id) => {
+        if (!user || !db || id === workspaceId) return;
+        try {
+            await setDoc(doc(db, getSettingsDocPath(user.uid)), { activeWorkspaceId: id }, { merge: true });
+        } catch (error) {
+            console.error("Error switching workspace: ", error);
+            showToast({ type: 'error', message: 'The workspace could not be switched.', onRetry: () => switchWorkspace(id) });
+        }
+    }, [user, db, workspaceId, showToast]);
+
+    // The current route and its filter query string decide which tickets are listened to
+    const location = useLocation();
+    const isMyTickets = location.pathname === '/tickets/mine';
+    const isBoard = location.pathname === '/board';
+    const isTicketList = isMyTickets || isBoard || location.pathname === '/tickets/all';
+    const scopeOwnerId = isMyTickets ? user?.uid : null;
+    const listFilters = useMemo(() => filtersFromSearchParams(new URLSearchParams(location.search)), [location.search]);
+    // Only the filters Firestore applies are part of the key; search text and amounts are filtered client-side
+    const ticketsQueryKey = getQueryKey(listFilters, scopeOwnerId);
+    // Status, owner and date range are served by the composite indexes in firestore.indexes.json.
+    // The listener below resubscribes when the key changes, not when the array does.
+    const ticketsQueryConstraints = buildTicketQueryConstraints(listFilters, scopeOwnerId);
+
+    // 2. DATA LISTENER (Real-time updates, one page of the list at a time)
+    const ticketsPath = workspaceId ? getTicketsCollectionPath(workspaceId) : null;
+    const ticketPages = usePaginatedTickets(db, ticketsPath, ticketsQueryConstraints, ticketsQueryKey, Boolean(user) && isTicketList);
+
+    // The Stats and Reports pages query the ranges they summarize themselves
+
+    // 3. USER SETTINGS LISTENER (also decides the active workspace, so the app waits for it)
+    useEffect(() => {
+        if (!user || !db) {
+            setSettingsLoaded(false);
+            return;
+        }
+
+        const unsubscribeSettings = onSnapshot(doc(db, getSettingsDocPath(user.uid)), (snapshot) => {
+            setSettings({ ...DEFAULT_SETTINGS, ...snapshot.data() });
+            setSettingsLoaded(true);
+        }, (error) => {
+            reportListenerError('settings', error);
+            setSettingsLoaded(true);
+        });
+
+        return () => unsubscribeSettings();
+    }, [user, db, listenerRevision, reportListenerError]);
+
+    // The saved theme, once known; until then main.jsx has applied the one last used on this device
+    useEffect(() => {
+        if (!user || !settingsLoaded) return;
+        applyTheme(settings.theme);
+        return watchSystemTheme(settings.theme);
+    }, [user, settingsLoaded, settings.theme]);
+
+    // 4. MEMBERS LISTENER (the active workspace's members and their roles, assigned by its admins)
+    useEffect(() => {
+        setMembers({});
+        if (!user || !db || !workspaceId) return;
+
+        const unsubscribeMembers = onSnapshot(collection(db, getMembersCollectionPath(workspaceId)), (snapshot) => {
+            const fetchedMembers = {};
+            snapshot.docs.forEach(memberDoc => { fetchedMembers[memberDoc.id] = memberDoc.data(); });
+            setMembers(fetchedMembers);
+        }, (error) => {
+            reportListenerError('members', error);
+        });
+
+        return () => unsubscribeMembers();
+    }, [user, db, workspaceId, listenerRevision, reportListenerError]);
+
+    const workspaceContext = useMemo(
+        () => ({ id: workspaceId, name: activeWorkspace?.name || '', role, members }),
+        [workspaceId, activeWorkspace?.name, role, members],
+    );
+
+    // Profile (name, avatar) mirrored from Firebase Auth into each of the user's workspaces,
+    // so only people who share a workspace with them see it
+    const profileWorkspaceIds = workspaces.map(workspace => workspace.id).join(',');
+    const syncProfile = useCallback(async (authUser) => {
+        if (!authUser || !db || !profileWorkspaceIds) return;
+        try {
+            const batch = writeBatch(db);
+            const profile = buildProfileFromAuthUser(authUser);
+            profileWorkspaceIds.split(',').forEach(id => batch.set(doc(db, getProfileDocPath(id, authUser.uid)), profile, { merge: true }));
+            await batch.commit();
+        } catch (error) {
+            console.error("Error saving profile: ", error);
+            showToast({ type: 'error', message: 'Your profile could not be published.', onRetry: () => syncProfile(authUser) });
+        }
+    }, [db, profileWorkspaceIds, showToast]);
+
+    useEffect(() => {
+        syncProfile(user);
+    }, [user, syncProfile]);
+
+    // 5. PROFILES LISTENER (names and avatars of everyone who has been a member of the active workspace)
+    useEffect(() => {
+        setProfiles({});
+        if (!user || !db || !workspaceId) return;
+
+        const unsubscribeProfiles = onSnapshot(collection(db, getProfilesCollectionPath(workspaceId)), (snapshot) => {
+            const fetchedProfiles = {};
+            snapshot.docs.forEach(profileDoc => { fetchedProfiles[profileDoc.id] = profileDoc.data(); });
+            setProfiles(fetchedProfiles);
+        }, (error) => {
+            reportListenerError('profiles', error);
+        });
+
+        return () => unsubscribeProfiles();
+    }, [user, db, workspaceId, listenerRevision, reportListenerError]);
+
+    // 6. WORKFLOW AND TICKET TYPE LISTENERS (statuses, transitions and ticket types shared by the workspace)
+    useEffect(() => {
+        if (!user || !db || !workspaceId) return;
+
+        const unsubscribeWorkflow = onSnapshot(doc(db, getWorkflowDocPath(workspaceId)), (snapshot) => {
+            setWorkflow(normalizeWorkflow(snapshot.data()));
+        }, (error) => {
+            reportListenerError('the workflow', error);
+        });
+        const unsubscribeTicketTypes = onSnapshot(doc(db, getTicketTypesDocPath(workspaceId)), (snapshot) => {
+            setTicketTypes(normalizeTicketTypes(snapshot.data()));
+        }, (error) => {
+            reportListenerError('the ticket types', error);
+        });
+
+        return () => {
+            unsubscribeWorkflow();
+            unsubscribeTicketTypes();
+        };
+    }, [user, db, workspaceId, listenerRevision, reportListenerError]);
+
+    // 7. NOTIFICATIONS LISTENER (the user's inbox, newest first)
+    const notificationPrefs = useMemo(() => getNotificationPrefs(settings), [settings]);
+    const navigate = useNavigate();
+    // Browser notifications use the latest preferences and names without re-subscribing
+    const notificationContextRef = useRef(null);
+    notificationContextRef.current = { prefs: notificationPrefs, profiles, workflow, navigate };
+
+    useEffect(() => {
+        if (!user || !db) return;
+
+        let initialSnapshot = true;
+        const notificationsQuery = query(
+            collection(db, getNotificationsCollectionPath(user.uid)),
+            orderBy('createdAt', 'desc'),
+            limit(NOTIFICATIONS_LIMIT),
+        );
+        const unsubscribeNotifications = onSnapshot(notificationsQuery, (snapshot) => {
+            setNotifications(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+
+            // Only notifications that arrive while the app is open pop up, not the existing backlog
+            const { prefs, profiles: currentProfiles, workflow: currentWorkflow, navigate: goTo } = notificationContextRef.current;
+            if (initialSnapshot || !prefs.browser || !browserNotificationsSupported() || Notification.permission !== 'granted') {
+                initialSnapshot = false;
+                return;
+            }
+            snapshot.docChanges()
+                .filter(change => change.type === 'added' && isNotificationEnabled(prefs, change.doc.data().type))
+                .forEach(change => {
+                    const notification = change.doc.data();
+                    const actorName = getDisplayName(currentProfiles[notification.actorId], notification.actorId);
+                    const browserNotification = new Notification('CommissionGuard Tracker', {
+                        body: describeNotification(notification, actorName, currentWorkflow),
+                        tag: change.doc.id,
+                        icon: '/icons/icon-192.png',
+                    });
+                    browserNotification.onclick = () => {
+                        window.focus();
+                        goTo(getTicketRoute(notification.workspaceId, notification.ticketId));
+                    };
+                });
+        }, (error) => {
+            reportListenerError('notifications', error);
+        });
+
+        return () => unsubscribeNotifications();
+    }, [user, db, listenerRevision, reportListenerError]);
+
+    // Disabled types are hidden and not counted as unread
+    const visibleNotifications = useMemo(
+        () => notifications.filter(notification => isNotificationEnabled(notificationPrefs, notification.type)),
+        [notifications, notificationPrefs],
+    );
+
+    const markNotificationsRead = useCallback(async (ids) => {
+        if (!db || !user || ids.length === 0) return;
+        try {
+            const batch = writeBatch(db);
+            ids.forEach(id => batch.update(doc(db, getNotificationsCollectionPath(user.uid), id), { read: true }));
+            await commitWrite(batch.commit(), 'notification update');
+        } catch (error) {
+            console.error("Error updating notifications: ", error);
+            showToast({ type: 'error', message: 'Notifications could not be marked as read.', onRetry: () => markNotificationsRead(ids) });
+        }
+    }, [db, user, showToast]);
+
+    // Admins replace the whole workflow document; returns an error message or null
+    const saveWorkflow = useCallback(async (nextWorkflow) => {
+        try {
+            await setDoc(doc(db, getWorkflowDocPath(workspaceId)), { ...nextWorkflow, resolvedStatuses: getResolvedStatusIds(nextWorkflow) });
+            return null;
+        } catch (error) {
+            console.error("Error saving workflow: ", error);
+            return 'The workflow could not be saved.';
+        }
+    }, [db, workspaceId]);
+
+    // Admins replace the whole ticket types document; returns an error message or null
+    const saveTicketTypes = useCallback(async (types) => {
+        try {
+            await setDoc(doc(db, getTicketTypesDocPath(workspaceId)), { types });
+            return null;
+        } catch (error) {
+            console.error("Error saving ticket types: ", error);
+            return 'The ticket types could not be saved.';
+        }
+    }, [db, workspaceId]);
+
+    // Called after a guest is upgraded or a new account's display name is set
+    const handleAccountChange = useCallback(async () => {
+        if (!auth?.currentUser) return;
+        await auth.currentUser.reload();
+        await syncProfile(auth.currentUser);
+        setAuthRevision(revision => revision + 1);
+    }, [auth, syncProfile]);
+
+    const saveProfile = useCallback(async (updates) => {
+        if (!auth?.currentUser) return false;
+        try {
+            await updateProfile(auth.currentUser, updates);
+            await handleAccountChange();
+            return true;
+        } catch (error) {
+            console.error("Error updating profile: ", error);
+            return false;
+        }
+    }, [auth, handleAccountChange]);
+
+    const saveSettings = useCallback(async (updates) => {
+        if (!user || !db) return;
+        try {
+            await setDoc(doc(db, getSettingsDocPath(user.uid)), updates, { merge: true });
+            return true;
+        } catch (error) {
+            console.error("Error saving settings: ", error);
+            return false;
+        }
+    }, [user, db]);
+
+    const saveFilterPresets = useCallback(async (filterPresets) => {
+        const saved = await saveSettings({ filterPresets });
+        if (saved === false) {
+            showToast({ type: 'error', message: 'Saved filters could not be updated.', onRetry: () => saveFilterPresets(filterPresets) });
+        }
+        return saved;
+    }, [saveSettings, showToast]);
 
     // === CRUD OPERATIONS ===
 
-    const createTicket = async (e) => {
-        e.preventDefault();
-        if (!title.trim() || !description.trim() || !user || !db) return;
-        
-        try {
-            await addDoc(collection(db, BASE_COLLECTION_PATH), {
-                title: title.trim(),
-                description: description.trim(),
-                status: 'Open',
-                userId: user.uid,
-                createdAt: serverTimestamp(),
-            });
-            setTitle('');
-            setDescription('');
-        } catch (error) {
-            console.error("Error creating document: ", error);
-        }
-    };
-
-    const updateTicketStatus = useCallback(async (id, data) => {
-        if (!db) return;
-        const docPath = `${BASE_COLLECTION_PATH}/${id}`;
-        
-        try {
-            const ticketRef = doc(db, docPath);
-            await updateDoc(ticketRef, data);
-        } catch (error) {
-            console.error("Error updating document: ", error);
-        }
-    }, [db]);
-
-    // Handler to show the custom confirmation modal
+    // Shared by the submission form and CSV import so both write identical documents
+    const addTicket = useCallback(async (input) => {
+        await createTicket(db, workspaceId, workflow, input, user.uid, findTicketType(ticketTypes, input.typeId));
+    }, [db, user, workspaceId, workflow, ticketTypes]);
+
+    // Every update goes through here so each changed field lands in the ticket's history
+    const updateTicket = useCallback(async (ticket, updates) => {
+        if (!db || !user) return false;
+
+        const changes = diffTicket(ticket, updates);
+        if (changes.length === 0) return true;
+
+        // Same policy as firestore.rules; checked here so a denied write never leaves the client
+        const changesStatus = changes.some(change => change.field === 'status');
+        const changesContent = changes.some(change => change.field !== 'status');
+        if ((changesStatus && !canTransition(workflow, role, ticket, user.uid, updates.status)) || (changesContent && !canEditTicket(role, ticket, user.uid, workflow))) {
+            console.error("Permission denied: role", role, "cannot apply", changes.map(change => change.field));
+            showToast({ type: 'error', message: 'You are not allowed to make this change.' });
+            return false;
+        }
+
+        try {
+            await saveTicketUpdate(db, workspaceId, workflow, ticket, updates, changes, user.uid, members);
+            return true;
+        } catch (error) {
+            console.error("Error updating document: ", error);
+            showToast({
+                type: 'error',
+                message: `"${ticket.title}" could not be updated.`,
+                onRetry: () => updateTicket(ticket, updates),
+            });
+            return false;
+        }
+    }, [db, user, workspaceId, role, workflow, members, showToast]);
+
+    // Bulk actions write only what planBulkAction allowed; they report failures instead of throwing
+    const bulkUpdateTickets = useCallback(
+        (entries) => saveBulkTicketUpdates(db, workspaceId, workflow, entries, user.uid, members),
+        [db, user, workspaceId, workflow, members],
+    );
+
+    const bulkDeleteTickets = useCallback((tickets) => moveTicketsToTrash(db, workspaceId, tickets, user.uid), [db, user, workspaceId]);
+
+    const bulkRestoreTickets = useCallback((tickets) => restoreTickets(db, workspaceId, tickets, user.uid), [db, user, workspaceId]);
+
+    // Takes a ticket back out of the trash, from the undo toast or the Trash page; returns whether it worked
+    const restoreDeletedTicket = useCallback(async (ticketId) => {
+        try {
+            await restoreTicket(db, workspaceId, ticketId, user.uid);
+            return true;
+        } catch (error) {
+            console.error("Error restoring ticket: ", error);
+            showToast({ type: 'error', message: 'The ticket could not be restored.', onRetry: () => restoreDeletedTicket(ticketId) });
+            return false;
+        }
+    }, [db, user, workspaceId, showToast]);
+
+    // Handler to show the custom confirmation modal
     const handleDeleteConfirmation = useCallback((ticketId) => {
         setTicketToDeleteId(ticketId);
+        setDeleteState({ busy: false, error: null });
         setShowConfirmModal(true);
     }, []);
 
-    // Actual delete function called by the modal
+    // Actual delete function called by the modal: moves the ticket to the trash, with a way back
     const deleteTicket = useCallback(async () => {
         if (!ticketToDeleteId || !db) return;
 
-        const id = ticketToDeleteId;
-        const docPath = `${BASE_COLLECTION_PATH}/${id}`;
+        const id = ticketToDeleteId;
+        setDeleteState({ busy: true, error: null });
         try {
-            await deleteDoc(doc(db, docPath));
-        } catch (error) {
-            console.error("Error deleting document: ", error);
-        } finally {
-            // Close modal regardless of success/failure
+            await moveTicketToTrash(db, workspaceId, id, user.uid);
             setShowConfirmModal(false);
             setTicketToDeleteId(null);
+            setDeleteState({ busy: false, error: null });
+            showToast({ type: 'info', message: 'Ticket moved to the trash.', onUndo: () => restoreDeletedTicket(id) });
+        } catch (error) {
+            // The modal stays open so the deletion can be retried or cancelled
+            console.error("Error deleting document: ", error);
+            setDeleteState({ busy: false, error: 'The ticket could not be deleted. Check your connection and try again.' });
         }
-    }, [ticketToDeleteId, db]);
-
-    // === STATS VIEW DATA ===
-    const stats = useMemo(() => {
-        const total = tickets.length;
-        const open = tickets.filter(t => t.status === 'Open').length;
-        const inProgress = tickets.filter(t => t.status === 'In Progress').length;
-        const resolved = tickets.filter(t => t.status === 'Resolved').length;
-
-        return {
-            total,
-            open,
-            inProgress,
-            resolved,
-            openPercent: total > 0 ? ((open / total) * 100).toFixed(1) : 0,
-            inProgressPercent: total > 0 ? ((inProgress / total) * 100).toFixed(1) : 0,
-            resolvedPercent: total > 0 ? ((resolved / total) * 100).toFixed(1) : 0,
-        };
-    }, [tickets]);
-    
-    // === SUB-VIEW RENDERING ===
-    
-    const renderTicketView = () => (
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-            {tickets.length > 0 ? (
-                tickets.map(ticket => (
-                    <TicketCard 
-                        key={ticket.id} 
-                        ticket={ticket} 
-                        user={user} 
-                        onUpdate={updateTicketStatus} 
-                        onDeleteConfirm={handleDeleteConfirmation} // Use the confirmation handler
-                    />
-                ))
-            ) : (
-                <div className="lg:col-span-4 bg-gray-100 p-8 rounded-xl text-center text-gray-500 shadow-inner">
-                    <p className="text-lg font-medium">No {view === 'My Tickets' ? 'personal' : 'active'} commission tickets found.</p>
-                    <p className="text-sm mt-2">Submit a new one below!</p>
-                </div>
-            )}
-        </div>
-    );
-
-    const renderStatsView = () => (
-        <div className="space-y-8">
-            <h2 className="text-3xl font-extrabold text-gray-900">Ticket Metrics Overview</h2>
-
-            <div className="grid grid-cols-2 sm:grid-cols-2 lg:grid-cols-4 gap-6">
-                {[{ label: 'Total Tickets', value: stats.total, color: 'text-indigo-600', icon: '📊' }, 
-                   { label: 'Open', value: stats.open, color: 'text-yellow-600', icon: '⏳' }, 
-                   { label: 'In Progress', value: stats.inProgress, color: 'text-blue-600', icon: '💬' }, 
-                   { label: 'Resolved', value: stats.resolved, color: 'text-green-600', icon: '✅' }, 
-                 ].map(({ label, value, color, icon: Icon }) => (
-                    <div key={label} className="bg-white p-6 rounded-xl shadow-md border-b-4 border-gray-100 hover:border-indigo-500 transition duration-300">
-                        <div className="flex items-center space-x-3">
-                            <span className={`w-6 h-6 text-2xl ${color}`}>{Icon}</span> 
-                            <p className="text-sm font-medium text-gray-500 uppercase tracking-wider">{label}</p>
-                        </div>
-                        <p className="mt-2 text-4xl font-extrabold text-gray-900">{value}</p>
-                    </div>
-                ))}
-            </div>
+    }, [ticketToDeleteId, db, user, workspaceId, showToast, restoreDeletedTicket]);
 
-            <div className="bg-white p-6 rounded-xl shadow-lg">
-                <h3 className="text-xl font-bold mb-4 text-gray-800">Status Distribution ({stats.total} Total)</h3>
-                <div className="space-y-4">
-                    {/* Progress Bar for Open */}
-                    <div className="flex items-center space-x-4">
-                        <div className="w-24 text-sm font-medium text-yellow-800">Open ({stats.openPercent}%)</div>
-                        <div className="flex-1 bg-gray-200 rounded-full h-4 overflow-hidden">
-                            <div className="bg-yellow-500 h-full rounded-r-full" style={{ width: `${stats.openPercent}%` }}></div>
-                        </div>
-                    </div>
-                    {/* Progress Bar for In Progress */}
-                    <div className="flex items-center space-x-4">
-                        <div className="w-24 text-sm font-medium text-blue-800">In Progress ({stats.inProgressPercent}%)</div>
-                        <div className="flex-1 bg-gray-200 rounded-full h-4 overflow-hidden">
-                            <div className="bg-blue-500 h-full rounded-r-full" style={{ width: `${stats.inProgressPercent}%` }}></div>
-                        </div>
-                    </div>
-                    {/* Progress Bar for Resolved */}
-                    <div className="flex items-center space-x-4">
-                        <div className="w-24 text-sm font-medium text-green-800">Resolved ({stats.resolvedPercent}%)</div>
-                        <div className="flex-1 bg-gray-200 rounded-full h-4 overflow-hidden">
-                            <div className="bg-green-500 h-full rounded-r-full" style={{ width: `${stats.resolvedPercent}%` }}></div>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        </div>
-    );
-    
     // === MAIN RENDER ===
 
     if (loading) {
         return (
-            <div className="min-h-screen flex items-center justify-center bg-gray-50 text-indigo-600 text-2xl font-semibold">
+            <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 text-indigo-600 dark:text-indigo-400 text-2xl font-semibold">
                 Connecting to Secure Service...
             </div>
         );
@@ -411,51 +597,121 @@ function App() {
 
     // Check if Firebase failed to initialize despite config existing
     if (!db || !auth) {
-        return <div className="min-h-screen flex flex-col items-center justify-center p-8 bg-red-50 text-red-800 border-t-4 border-red-500">
+        return <div className="min-h-screen flex flex-col items-center justify-center p-8 bg-red-50 dark:bg-red-900/30 text-red-800 dark:text-red-200 border-t-4 border-red-500">
             <h2 className="text-2xl font-bold mb-3">Initialization Error</h2>
             <p className="text-center">
                 Firebase services could not be initialized. Please check console for configuration issues.
+                {!firebaseConfig && ' No Firebase configuration was found: set the VITE_FIREBASE_* variables described in .env.example.'}
             </p>
         </div>;
     }
 
+    if (!user) {
+        return <AuthPage auth={auth} onAccountChange={handleAccountChange} />;
+    }
+
+    if (!settingsLoaded || workspacesLoading) {
+        return (
+            <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 text-indigo-600 dark:text-indigo-400 text-2xl font-semibold">
+                Loading workspaces...
+            </div>
+        );
+    }
+
+    // Until the user creates or joins a workspace there is nothing else to show
+    if (!activeWorkspace) {
+        return (
+            <div className="min-h-screen bg-gray-50 dark:bg-gray-900 dark:text-gray-100 font-sans antialiased p-4 sm:p-8">
+                <div className="max-w-2xl mx-auto mb-6 flex justify-between items-center">
+                    <h1 className="text-2xl font-extrabold text-indigo-600 dark:text-indigo-400">
+                        CommissionGuard <span className="text-gray-900 dark:text-gray-100">Tracker</span>
+                    </h1>
+                    <button
+                        type="button"
+                        onClick={() => signOutUser(auth)}
+                        className="px-3 py-1 text-xs font-medium rounded-lg text-gray-600 dark:text-gray-300 bg-white dark:bg-gray-800 border hover:bg-gray-100 dark:hover:bg-gray-700 transition"
+                    >
+                        Sign Out
+                    </button>
+                </div>
+                <Suspense fallback={<PageFallback />}>
+                    <Routes>
+                        <Route path="/join/:workspaceId/:code" element={
+                            <JoinWorkspacePage db={db} user={user} workspaces={workspaces} onSwitch={switchWorkspace} />
+                        } />
+                        <Route path="*" element={
+                            <WorkspacesPage db={db} user={user} workspaces={workspaces} activeWorkspaceId={null} onSwitch={switchWorkspace} />
+                        } />
+                    </Routes>
+                </Suspense>
+            </div>
+        );
+    }
 
     return (
-        <div className="min-h-screen bg-gray-50 font-sans antialiased">
-            {/* Injecting Tailwind and Font for the single-file environment */}
-            <script src="https://cdn.tailwindcss.com"></script>
-            <style>{`@import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;600;700;800&display=swap'); body { font-family: 'Inter', sans-serif; }`}</style>
+        <ProfilesContext.Provider value={profiles}>
+        <WorkspaceContext.Provider value={workspaceContext}>
+        <WorkflowContext.Provider value={workflow}>
+        <TicketTypesContext.Provider value={ticketTypes}>
+        <div className="min-h-screen bg-gray-50 dark:bg-gray-900 dark:text-gray-100 font-sans antialiased">
 
             {/* Header */}
-            <header className="bg-white shadow-lg sticky top-0 z-10">
+            <header className="bg-white dark:bg-gray-800 shadow-lg sticky top-0 z-10">
                 <div className="max-w-7xl mx-auto p-4 flex flex-col sm:flex-row justify-between items-start sm:items-center">
-                    <h1 className="text-3xl font-extrabold text-indigo-600 mb-2 sm:mb-0">
-                        CommissionGuard <span className="text-gray-900">Tracker</span>
+                    <h1 className="text-3xl font-extrabold text-indigo-600 dark:text-indigo-400 mb-2 sm:mb-0">
+                        CommissionGuard <span className="text-gray-900 dark:text-gray-100">Tracker</span>
                     </h1>
-                    <div className="text-sm text-gray-500 p-2 bg-indigo-50 rounded-lg">
-                        Your User ID: <code className="font-mono text-indigo-800 text-xs sm:text-sm break-all">{user?.uid || 'N/A'}</code>
+                    <div className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 p-2 bg-indigo-50 dark:bg-indigo-900/30 rounded-lg">
+                        <UserBadge uid={user.uid} size="md" className="font-medium" />
+                        {notificationPrefs.enabled && (
+                            <NotificationBell notifications={visibleNotifications} onMarkRead={markNotificationsRead} />
+                        )}
+                        {!online && (
+                            <span
+                                className="px-2 py-0.5 text-xs font-semibold rounded-full bg-orange-100 dark:bg-orange-900/50 text-orange-800 dark:text-orange-200"
+                                title="Changes are saved on this device and sync when the connection returns"
+                            >
+                                Offline
+                            </span>
+                        )}
+                        <WorkspaceSwitcher workspaces={workspaces} activeWorkspaceId={workspaceId} onSwitch={switchWorkspace} />
+                        <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-indigo-600 text-white">{ROLE_LABELS[role] || role}</span>
+                        <button
+                            type="button"
+                            onClick={() => signOutUser(auth)}
+                            className="ml-1 px-3 py-1 text-xs font-medium rounded-lg text-gray-600 dark:text-gray-300 bg-white dark:bg-gray-800 border hover:bg-gray-100 dark:hover:bg-gray-700 transition"
+                        >
+                            Sign Out
+                        </button>
                     </div>
                 </div>
+                {user.isAnonymous && (
+                    <div className="bg-yellow-50 dark:bg-yellow-900/30 border-t border-yellow-200 dark:border-yellow-800 text-sm text-yellow-800 dark:text-yellow-200 text-center p-2">
+                        You are using a guest session.{' '}
+                        <NavLink to="/settings" className="font-semibold underline hover:text-yellow-900 dark:hover:text-yellow-200">Create an account</NavLink>
+                        {' '}to keep your tickets when you sign out.
+                    </div>
+                )}
             </header>
 
             <main className="max-w-7xl mx-auto p-4 sm:p-6 lg:p-8">
                 {/* Navigation and Actions */}
                 <div className="mb-8 flex flex-col sm:flex-row justify-between items-start sm:items-center space-y-4 sm:space-y-0">
                     {/* View Switcher */}
-                    <div className="flex space-x-3 bg-white p-1 rounded-xl shadow-md">
-                        {['My Tickets', 'All Tickets', 'Stats'].map(viewName => (
-                            <button
-                                key={viewName}
-                                onClick={() => setView(viewName)}
-                                className={`px-4 py-2 text-sm font-medium rounded-xl transition ${view === viewName ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-600 hover:bg-gray-100'}`}
+                    <nav className="flex flex-wrap gap-1 sm:gap-3 bg-white dark:bg-gray-800 p-1 rounded-xl shadow-md">
+                        {NAV_LINKS.map(({ to, label }) => (
+                            <NavLink
+                                key={to}
+                                to={to}
+                                className={({ isActive }) => `px-4 py-2 text-sm font-medium rounded-xl transition ${isActive ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
                             >
-                                {viewName}
-                            </button>
+                                {label}
+                            </NavLink>
                         ))}
-                    </div>
+                    </nav>
 
                     {/* New Ticket Button (only show in list views) */}
-                    {(view === 'My Tickets' || view === 'All Tickets') && (
+                    {(location.pathname.startsWith('/tickets') || isBoard) && (
                         <a href="#new-ticket-form" className="flex items-center space-x-2 px-5 py-2 bg-green-500 text-white font-semibold rounded-xl shadow-lg hover:bg-green-600 transition duration-150 transform hover:scale-[1.03]">
                             <span className="text-xl">➕</span>
                             <span>Create New Ticket</span>
@@ -463,57 +719,125 @@ function App() {
                     )}
                 </div>
 
-                {/* Content Area */}
-                {view === 'Stats' ? renderStatsView() : renderTicketView()}
-
-                {/* New Ticket Form (Always visible below the main content) */}
-                <div id="new-ticket-form" className="mt-12 p-8 bg-white rounded-xl shadow-2xl border-t-8 border-green-500">
-                    <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center space-x-2">
-                        <span className="w-8 h-8 text-2xl text-green-500">📝</span>
-                        <span>Submit a New Commission Ticket</span>
-                    </h2>
-                    <form onSubmit={createTicket} className="space-y-6">
-                        <div>
-                            <label htmlFor="title" className="block text-sm font-medium text-gray-700 mb-1">
-                                Title (Concise Summary)
-                            </label>
-                            <input
-                                id="title"
-                                type="text"
-                                value={title}
-                                onChange={(e) => setTitle(e.target.value)}
-                                placeholder="e.g., Refund for double-charged order #457"
-                                required
-                                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm transition"
-                                maxLength={100}
-                            />
-                        </div>
-                        <div>
-                            <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1">
-                                Full Description (Include details, dates, and order IDs)
-                            </label>
-                            <textarea
-                                id="description"
-                                value={description}
-                                onChange={(e) => setDescription(e.target.value)}
-                                placeholder="Provide all necessary information for resolution..."
-                                rows="4"
-                                required
-                                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm transition"
-                            ></textarea>
-                        </div>
-                        <button
-                            type="submit"
-                            className="w-full sm:w-auto px-8 py-3 bg-indigo-600 text-white font-semibold rounded-lg shadow-lg hover:bg-indigo-700 transition duration-150 transform hover:scale-[1.02]"
-                            disabled={!user || !db}
-                        >
-                            {user && db ? 'Submit Ticket' : 'Connecting...'}
-                        </button>
-                    </form>
-                </div>
-
-                <div className="mt-12 text-center text-sm text-gray-400 p-4">
-                    <p>App ID: {appId}</p>
+                {/* Content Area (a rendering error only replaces the page, and clears on navigation) */}
+                <ErrorBoundary resetKey={location.pathname}>
+                <Suspense fallback={<PageFallback />}>
+                    <Routes>
+                        <Route path="/" element={<Navigate to="/tickets/mine" replace />} />
+                        <Route path="/tickets" element={<Navigate to="/tickets/mine" replace />} />
+                        <Route path="/tickets/mine" element={
+                            <DashboardPage
+                                tickets={ticketPages.tickets}
+                                viewLabel="My Tickets"
+                                hasMore={ticketPages.hasMore}
+                                loading={ticketPages.loading}
+                                error={ticketPages.error}
+                                onRetry={ticketPages.retry}
+                                onLoadMore={ticketPages.loadMore}
+                                user={user}
+                                role={role}
+                                defaultCurrency={settings.defaultCurrency}
+                                filterPresets={settings.filterPresets}
+                                onSaveFilterPresets={saveFilterPresets}
+                                onUpdate={updateTicket}
+                                onDeleteConfirm={handleDeleteConfirmation}
+                                onImportTicket={addTicket}
+                                onBulkUpdate={bulkUpdateTickets}
+                                onBulkDelete={bulkDeleteTickets}
+                                onBulkRestore={bulkRestoreTickets}
+                            />
+                        } />
+                        <Route path="/tickets/all" element={
+                            <DashboardPage
+                                tickets={ticketPages.tickets}
+                                viewLabel="All Tickets"
+                                hasMore={ticketPages.hasMore}
+                                loading={ticketPages.loading}
+                                error={ticketPages.error}
+                                onRetry={ticketPages.retry}
+                                onLoadMore={ticketPages.loadMore}
+                                user={user}
+                                role={role}
+                                defaultCurrency={settings.defaultCurrency}
+                                filterPresets={settings.filterPresets}
+                                onSaveFilterPresets={saveFilterPresets}
+                                onUpdate={updateTicket}
+                                onDeleteConfirm={handleDeleteConfirmation}
+                                onImportTicket={addTicket}
+                                onBulkUpdate={bulkUpdateTickets}
+                                onBulkDelete={bulkDeleteTickets}
+                                onBulkRestore={bulkRestoreTickets}
+                            />
+                        } />
+                        <Route path="/board" element={
+                            <BoardPage
+                                tickets={ticketPages.tickets}
+                                hasMore={ticketPages.hasMore}
+                                loading={ticketPages.loading}
+                                error={ticketPages.error}
+                                onRetry={ticketPages.retry}
+                                onLoadMore={ticketPages.loadMore}
+                                user={user}
+                                role={role}
+                                filterPresets={settings.filterPresets}
+                                onSaveFilterPresets={saveFilterPresets}
+                                onUpdate={updateTicket}
+                                onDeleteConfirm={handleDeleteConfirmation}
+                            />
+                        } />
+                        {/* Links from before tickets carried their workspace open in the active one */}
+                        {['/w/:workspaceId/tickets/:ticketId', '/tickets/:ticketId'].map(path => (
+                            <Route key={path} path={path} element={
+                                <TicketDetailPage
+                                    db={db}
+                                    storage={storage}
+                                    user={user}
+                                    role={role}
+                                    workspaces={workspaces}
+                                    onSwitchWorkspace={switchWorkspace}
+                                    onUpdate={updateTicket}
+                                    onDeleteConfirm={handleDeleteConfirmation}
+                                    onRestore={restoreDeletedTicket}
+                                />
+                            } />
+                        ))}
+                        <Route path="/stats" element={<StatsPage db={db} />} />
+                        <Route path="/reports" element={<ReportsPage db={db} />} />
+                        <Route path="/trash" element={<TrashPage db={db} storage={storage} user={user} role={role} onRestore={restoreDeletedTicket} />} />
+                        <Route path="/settings" element={
+                            <SettingsPage
+                                db={db}
+                                auth={auth}
+                                user={user}
+                                role={role}
+                                settings={settings}
+                                onSave={saveSettings}
+                                onSaveProfile={saveProfile}
+                                onSaveWorkflow={saveWorkflow}
+                                onSaveTicketTypes={saveTicketTypes}
+                                onAccountChange={handleAccountChange}
+                            />
+                        } />
+                        <Route path="/workspaces" element={
+                            <WorkspacesPage db={db} user={user} workspaces={workspaces} activeWorkspaceId={workspaceId} onSwitch={switchWorkspace} />
+                        } />
+                        <Route path="/join/:workspaceId/:code" element={
+                            <JoinWorkspacePage db={db} user={user} workspaces={workspaces} onSwitch={switchWorkspace} />
+                        } />
+                        <Route path="*" element={<Navigate to="/tickets/mine" replace />} />
+                    </Routes>
+                </Suspense>
+                </ErrorBoundary>
+
+                {/* New Ticket Form (Always visible below the main content) */}
+                <NewTicketForm
+                    defaultCurrency={settings.defaultCurrency}
+                    onSubmit={addTicket}
+                    disabled={!user || !db}
+                />
+
+                <div className="mt-12 text-center text-sm text-gray-400 p-4">
+                    <p>Workspace: {activeWorkspace.name} · App ID: {appId}</p>
                     <p className="mt-1">Collaboration platform for commission tracking.</p>
                 </div>
             </main>
@@ -521,12 +845,20 @@ function App() {
             {/* Confirmation Modal Render */}
             <ConfirmationModal 
                 isOpen={showConfirmModal}
-                title="Confirm Deletion"
-                message="Are you sure you want to permanently delete this commission ticket? This action cannot be undone."
+                title="Move to Trash"
+                message={`Move this commission ticket to the trash? Its owner or an admin can restore it from the Trash page; admins can delete it permanently after ${TRASH_RETENTION_DAYS} days.`}
                 onConfirm={deleteTicket}
                 onCancel={() => setShowConfirmModal(false)}
+                busy={deleteState.busy}
+                error={deleteState.error}
+                confirmLabel="Move to Trash"
+                busyLabel="Moving..."
             />
         </div>
+        </TicketTypesContext.Provider>
+        </WorkflowContext.Provider>
+        </WorkspaceContext.Provider>
+        </ProfilesContext.Provider>
     );
 }
 
@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+import {
+    getAuthErrorMessage,
+    linkGuestWithEmail,
+    linkGuestWithGoogle,
+} from '../utils/auth.js';
+import { PROFILE_NAME_MAX_LENGTH } from '../utils/profiles.js';
+import UserBadge from './UserBadge.jsx';
+
+const inputStyle = "mt-1 block w-full rounded-md border-gray-300 dark:border-gray-600 shadow-sm p-2";
+
+/**
+ * AccountPanel: Profile editing for signed-in users, and the upgrade form that
+ * turns a guest session into a real account while keeping its tickets.
+ */
+const AccountPanel = ({ auth, user, onSaveProfile, onAccountChange }) => {
+    const [displayName, setDisplayName] = useState(user.displayName || '');
+    const [photoURL, setPhotoURL] = useState(user.photoURL || '');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [message, setMessage] = useState(null); // { type: 'error' | 'success', text }
+    const [busy, setBusy] = useState(false);
+
+    useEffect(() => {
+        setDisplayName(user.displayName || '');
+        setPhotoURL(user.photoURL || '');
+    }, [user.displayName, user.photoURL]);
+
+    const run = async (action, successText) => {
+        setMessage(null);
+        setBusy(true);
+        try {
+            await action();
+            setMessage({ type: 'success', text: successText });
+        } catch (err) {
+            console.error("Account update failed:", err);
+            setMessage({ type: 'error', text: getAuthErrorMessage(err) });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const linkWithEmail = (e) => {
+        e.preventDefault();
+        run(async () => {
+            await linkGuestWithEmail(auth, email, password, displayName);
+            await onAccountChange();
+        }, 'Your account was created. Your tickets have been kept.');
+    };
+
+    const linkWithGoogle = () => run(async () => {
+        await linkGuestWithGoogle(auth);
+        await onAccountChange();
+    }, 'Your Google account is now linked. Your tickets have been kept.');
+
+    const saveProfile = (e) => {
+        e.preventDefault();
+        run(async () => {
+            const saved = await onSaveProfile({ displayName: displayName.trim() || null, photoURL: photoURL.trim() || null });
+            if (!saved) throw new Error('Profile could not be saved.');
+        }, 'Profile saved.');
+    };
+
+    return (
+        <div className="mt-8 space-y-4">
+            <h3 className="text-xl font-bold text-yellow-800 dark:text-yellow-200">Account</h3>
+            <div className="flex items-center justify-between gap-2 p-3 bg-white dark:bg-gray-800 rounded-lg shadow-sm text-sm">
+                <UserBadge uid={user.uid} size="md" className="text-gray-800 dark:text-gray-100 font-medium" />
+                <span className="text-gray-500 dark:text-gray-400 truncate">{user.isAnonymous ? 'Guest session' : user.email}</span>
+            </div>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+                User ID: <code className="font-mono break-all">{user.uid}</code>
+            </p>
+
+            {user.isAnonymous ? (
+                <form onSubmit={linkWithEmail} className="space-y-3 p-4 bg-white dark:bg-gray-800 rounded-lg shadow-sm">
+                    <p className="text-sm text-gray-700 dark:text-gray-300">
+                        You are using a guest session. Create an account to keep your tickets and sign in from other devices.
+                    </p>
+                    <input type="text" value={displayName} onChange={(e) => setDisplayName(e.target.value)} placeholder="Display name" maxLength={PROFILE_NAME_MAX_LENGTH} className={inputStyle} />
+                    <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="Email" autoComplete="email" required className={inputStyle} />
+                    <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="Password" autoComplete="new-password" minLength={6} required className={inputStyle} />
+                    <div className="flex flex-wrap gap-2">
+                        <button type="submit" disabled={busy} className="px-4 py-2 text-sm font-semibold rounded-lg text-white bg-yellow-600 hover:bg-yellow-700 shadow-md transition disabled:opacity-50">
+                            Create Account
+                        </button>
+                        <button type="button" onClick={linkWithGoogle} disabled={busy} className="px-4 py-2 text-sm font-medium rounded-lg border bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 transition disabled:opacity-50">
+                            Link Google Account
+                        </button>
+                    </div>
+                </form>
+            ) : (
+                <form onSubmit={saveProfile} className="space-y-3 p-4 bg-white dark:bg-gray-800 rounded-lg shadow-sm">
+                    <label className="block">
+                        <span className="text-gray-700 dark:text-gray-300 text-sm">Display name:</span>
+                        <input type="text" value={displayName} onChange={(e) => setDisplayName(e.target.value)} maxLength={PROFILE_NAME_MAX_LENGTH} className={inputStyle} />
+                    </label>
+                    <label className="block">
+                        <span className="text-gray-700 dark:text-gray-300 text-sm">Avatar URL:</span>
+                        <input type="url" value={photoURL} onChange={(e) => setPhotoURL(e.target.value)} placeholder="https://..." className={inputStyle} />
+                    </label>
+                    <button type="submit" disabled={busy} className="px-4 py-2 text-sm font-semibold rounded-lg text-white bg-yellow-600 hover:bg-yellow-700 shadow-md transition disabled:opacity-50">
+                        Save Profile
+                    </button>
+                </form>
+            )}
+
+            {message && (
+                <p className={`text-sm ${message.type === 'error' ? 'text-red-600 dark:text-red-400' : 'text-green-700 dark:text-green-300'}`}>{message.text}</p>
+            )}
+        </div>
+    );
+};
+
+export default AccountPanel;
@@ -0,0 +1,66 @@
+import React from 'react';
+import { FieldError, getInputStyle } from './CommissionFields.jsx';
+import { useMemberProfiles } from '../contexts/WorkspaceContext.js';
+import { getDisplayName } from '../utils/profiles.js';
+import { PRIORITY_LABELS, PRIORITY_ORDER, SLA_POLICY } from '../utils/sla.js';
+
+/**
+ * AssignmentFields: Assignee, priority and due date inputs for the ticket forms.
+ * Without a due date the ticket is due within its priority's SLA.
+ */
+const AssignmentFields = ({ value, onChange, errors = {}, idPrefix = '' }) => {
+    const profiles = useMemberProfiles();
+    const people = Object.keys(profiles)
+        .map(uid => ({ uid, name: getDisplayName(profiles[uid], uid) }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    return (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div>
+                <label htmlFor={`${idPrefix}assignee`} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Assignee</label>
+                <select
+                    id={`${idPrefix}assignee`}
+                    value={value.assigneeId}
+                    onChange={(e) => onChange({ assigneeId: e.target.value })}
+                    className={`${getInputStyle(false)} bg-white dark:bg-gray-800`}
+                >
+                    <option value="">Unassigned</option>
+                    {people.map(({ uid, name }) => <option key={uid} value={uid}>{name}</option>)}
+                    {/* Keep an assignee who has since left the workspace selectable */}
+                    {value.assigneeId && !(value.assigneeId in profiles) && <option value={value.assigneeId}>{value.assigneeId}</option>}
+                </select>
+            </div>
+            <div>
+                <label htmlFor={`${idPrefix}priority`} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Priority</label>
+                <select
+                    id={`${idPrefix}priority`}
+                    value={value.priority}
+                    onChange={(e) => onChange({ priority: e.target.value })}
+                    aria-invalid={Boolean(errors.priority)}
+                    className={`${getInputStyle(errors.priority)} bg-white dark:bg-gray-800`}
+                >
+                    {PRIORITY_ORDER.map(priority => (
+                        <option key={priority} value={priority}>
+                            {PRIORITY_LABELS[priority]} ({SLA_POLICY[priority]} business day{SLA_POLICY[priority] === 1 ? '' : 's'})
+                        </option>
+                    ))}
+                </select>
+                <FieldError message={errors.priority} />
+            </div>
+            <div>
+                <label htmlFor={`${idPrefix}dueDate`} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Due Date (optional)</label>
+                <input
+                    id={`${idPrefix}dueDate`}
+                    type="date"
+                    value={value.dueDate}
+                    onChange={(e) => onChange({ dueDate: e.target.value })}
+                    aria-invalid={Boolean(errors.dueDate)}
+                    className={getInputStyle(errors.dueDate)}
+                />
+                <FieldError message={errors.dueDate} />
+            </div>
+        </div>
+    );
+};
+
+export default AssignmentFields;
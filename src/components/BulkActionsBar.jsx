@@ -0,0 +1,180 @@
+import React, { useEffect, useRef, useState } from 'react';
+import ConfirmationModal from './ConfirmationModal.jsx';
+import { useMemberProfiles } from '../contexts/WorkspaceContext.js';
+import { useWorkflow } from '../contexts/WorkflowContext.js';
+import { useToast } from '../contexts/ToastContext.js';
+import { BULK_ACTIONS, formatTicketCount, planBulkAction } from '../utils/bulkActions.js';
+import { getDisplayName } from '../utils/profiles.js';
+import { getStatusLabel } from '../utils/workflow.js';
+import { buildExportFilename, downloadFile, ticketsToCsv, ticketsToJson } from '../utils/ticketIO.js';
+
+const buttonStyle = "px-3 py-1.5 text-sm font-medium rounded-lg bg-white dark:bg-gray-800 border text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 shadow-sm transition";
+const selectStyle = "p-1.5 text-sm rounded-lg border bg-white dark:bg-gray-800 shadow-sm";
+
+// Option value for "Unassigned", since the empty value is the select's placeholder
+const UNASSIGNED = '__unassigned__';
+
+/**
+ * BulkActionsBar: Selection controls for the ticket list and the actions that
+ * apply to every selected ticket — status change, reassignment, export and
+ * moving to the trash (with an undo). Each action is confirmed first, listing the tickets the user is not
+ * allowed to change; those are skipped.
+ */
+const BulkActionsBar = ({ tickets, selectedTickets, onSelectionChange, user, role, viewLabel, onBulkUpdate, onBulkDelete, onBulkRestore }) => {
+    const workflow = useWorkflow();
+    const profiles = useMemberProfiles();
+    const { showToast } = useToast();
+    const selectAllRef = useRef(null);
+    const [pending, setPending] = useState(null); // { action, value, label, plan }
+    const [runState, setRunState] = useState({ busy: false, error: null });
+
+    const selectedCount = selectedTickets.length;
+    const allSelected = tickets.length > 0 && selectedCount === tickets.length;
+
+    useEffect(() => {
+        if (selectAllRef.current) selectAllRef.current.indeterminate = selectedCount > 0 && !allSelected;
+    }, [selectedCount, allSelected]);
+
+    const people = Object.keys(profiles)
+        .map(uid => ({ uid, name: getDisplayName(profiles[uid], uid) }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    const start = (action, value, label) => {
+        setRunState({ busy: false, error: null });
+        setPending({ action, value, label, plan: planBulkAction(action, value, selectedTickets, { workflow, role, uid: user.uid }) });
+    };
+
+    const exportSelection = (format) => {
+        const filename = buildExportFilename(`${viewLabel} selection`);
+        if (format === 'csv') downloadFile(ticketsToCsv(selectedTickets), `${filename}.csv`, 'text/csv;charset=utf-8');
+        else downloadFile(ticketsToJson(selectedTickets), `${filename}.json`, 'application/json');
+    };
+
+    const run = async () => {
+        const { action, plan } = pending;
+        setRunState({ busy: true, error: null });
+        const { succeeded, failed } = action === BULK_ACTIONS.DELETE
+            ? await onBulkDelete(plan.allowed.map(entry => entry.ticket))
+            : await onBulkUpdate(plan.allowed);
+
+        if (succeeded.length === 0) {
+            setRunState({ busy: false, error: 'No tickets could be changed. Check your connection and try again.' });
+            return;
+        }
+
+        // Whatever was not changed stays selected so it can be looked at or retried
+        const doneIds = new Set(succeeded.map(item => (item.ticket || item).id));
+        onSelectionChange(new Set(selectedTickets.filter(ticket => !doneIds.has(ticket.id)).map(ticket => ticket.id)));
+        setPending(null);
+        setRunState({ busy: false, error: null });
+
+        const isDelete = action === BULK_ACTIONS.DELETE;
+        const notes = [
+            plan.denied.length > 0 && `${plan.denied.length} skipped (not allowed)`,
+            failed.length > 0 && `${failed.length} failed`,
+        ].filter(Boolean);
+        showToast({
+            type: failed.length > 0 ? 'error' : 'success',
+            message: `${isDelete ? 'Moved' : 'Updated'} ${formatTicketCount(succeeded.length)}${isDelete ? ' to the trash' : ''}.${notes.length > 0 ? ` ${notes.join(', ')}.` : ''}`,
+            onUndo: isDelete ? () => undoDelete(succeeded) : null,
+        });
+    };
+
+    const undoDelete = async (tickets) => {
+        const { failed } = await onBulkRestore(tickets);
+        if (failed.length > 0) {
+            showToast({ type: 'error', message: `${formatTicketCount(failed.length)} could not be restored. Find them on the Trash page.` });
+        }
+    };
+
+    const describePending = () => {
+        const count = formatTicketCount(pending.plan.allowed.length);
+        if (pending.plan.allowed.length === 0) return 'You are not allowed to change any of the selected tickets.';
+        if (pending.action === BULK_ACTIONS.DELETE) return `Move ${count} to the trash? They can be restored from the Trash page.`;
+        if (pending.action === BULK_ACTIONS.STATUS) return `Move ${count} to ${pending.label}?`;
+        return pending.value ? `Assign ${count} to ${pending.label}?` : `Unassign ${count}?`;
+    };
+
+    if (tickets.length === 0) return null;
+
+    return (
+        <div className="mb-4 p-3 bg-white dark:bg-gray-800 rounded-lg shadow-sm flex flex-wrap items-center gap-3 text-sm">
+            <label className="flex items-center gap-2 font-medium text-gray-700 dark:text-gray-300 cursor-pointer">
+                <input
+                    ref={selectAllRef}
+                    type="checkbox"
+                    checked={allSelected}
+                    onChange={() => onSelectionChange(new Set(allSelected ? [] : tickets.map(ticket => ticket.id)))}
+                    className="h-4 w-4 rounded border-gray-300 dark:border-gray-600 text-indigo-600 dark:text-indigo-400"
+                />
+                {selectedCount > 0 ? `${selectedCount} selected` : `Select all (${tickets.length})`}
+            </label>
+
+            {selectedCount > 0 && (
+                <>
+                    <select
+                        value=""
+                        onChange={(e) => start(BULK_ACTIONS.STATUS, e.target.value, getStatusLabel(workflow, e.target.value))}
+                        className={selectStyle}
+                        aria-label="Change status of selected tickets"
+                    >
+                        <option value="" disabled>Move to…</option>
+                        {workflow.statuses.map(status => <option key={status.id} value={status.id}>{status.label}</option>)}
+                    </select>
+                    <select
+                        value=""
+                        onChange={(e) => {
+                            const uid = e.target.value === UNASSIGNED ? null : e.target.value;
+                            start(BULK_ACTIONS.ASSIGN, uid, uid ? getDisplayName(profiles[uid], uid) : 'nobody');
+                        }}
+                        className={selectStyle}
+                        aria-label="Reassign selected tickets"
+                    >
+                        <option value="" disabled>Assign to…</option>
+                        <option value={UNASSIGNED}>Unassigned</option>
+                        {people.map(({ uid, name }) => <option key={uid} value={uid}>{name}</option>)}
+                    </select>
+                    <button type="button" className={buttonStyle} onClick={() => exportSelection('csv')}>Export CSV</button>
+                    <button type="button" className={buttonStyle} onClick={() => exportSelection('json')}>Export JSON</button>
+                    <button type="button" className={`${buttonStyle} text-red-600 dark:text-red-400`} onClick={() => start(BULK_ACTIONS.DELETE, null, null)}>
+                        Delete
+                    </button>
+                    <button type="button" onClick={() => onSelectionChange(new Set())} className="font-medium text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-200">
+                        Clear selection
+                    </button>
+                </>
+            )}
+
+            <ConfirmationModal
+                isOpen={Boolean(pending)}
+                title={pending?.action === BULK_ACTIONS.DELETE ? 'Move to Trash' : pending?.action === BULK_ACTIONS.STATUS ? 'Change Status' : 'Reassign Tickets'}
+                message={pending ? describePending() : ''}
+                onConfirm={run}
+                onCancel={() => setPending(null)}
+                busy={runState.busy}
+                error={runState.error}
+                confirmDisabled={!pending || pending.plan.allowed.length === 0}
+                confirmLabel={pending?.action === BULK_ACTIONS.DELETE ? 'Move to Trash' : `Update ${formatTicketCount(pending?.plan.allowed.length || 0)}`}
+                busyLabel={pending?.action === BULK_ACTIONS.DELETE ? 'Moving...' : 'Updating...'}
+            >
+                {pending && pending.plan.unchanged.length > 0 && (
+                    <p className="-mt-4 mb-4 text-sm text-gray-500 dark:text-gray-400">
+                        {formatTicketCount(pending.plan.unchanged.length)} already {pending.plan.unchanged.length === 1 ? 'has' : 'have'} this {pending.action === BULK_ACTIONS.STATUS ? 'status' : 'assignee'}.
+                    </p>
+                )}
+                {pending && pending.plan.denied.length > 0 && (
+                    <div className="mb-6 text-sm">
+                        <p className="font-medium text-gray-700 dark:text-gray-300">{formatTicketCount(pending.plan.denied.length)} will be skipped:</p>
+                        <ul className="mt-1 max-h-40 overflow-y-auto list-disc pl-5 space-y-1 text-gray-600 dark:text-gray-300">
+                            {pending.plan.denied.map(({ ticket, reason }) => (
+                                <li key={ticket.id}><span className="font-medium text-gray-800 dark:text-gray-100">{ticket.title}</span>: {reason}</li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+            </ConfirmationModal>
+        </div>
+    );
+};
+
+export default BulkActionsBar;
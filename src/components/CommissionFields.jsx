@@ -0,0 +1,161 @@
+import React from 'react';
+import {
+    CURRENCIES,
+    RATE_TYPES,
+    calculatePayout,
+    formatCurrency,
+} from '../utils/commission.js';
+
+export const EMPTY_TIER = { upTo: '', rate: '' };
+
+// Validation message under a form input; `id` is referenced by the input's aria-describedby
+export const FieldError = ({ id, message }) => (
+    message ? <p id={id} className="mt-1 text-xs font-medium text-red-600 dark:text-red-400">{message}</p> : null
+);
+
+// Input classes, outlined in red while the field has a validation error
+export const getInputStyle = (hasError) => `w-full p-3 border rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm transition ${hasError ? 'border-red-500' : 'border-gray-300 dark:border-gray-600'}`;
+
+// Deal value, currency and rate inputs for the ticket forms, with a live payout preview.
+// `errors` maps field names to the messages from getCommissionFieldErrors.
+const CommissionFields = ({ commission, onChange, errors = {} }) => {
+    const { dealValue, currency, rateType, commissionRate, rateTiers } = commission;
+    const payout = calculatePayout(commission);
+    const inputStyle = getInputStyle(false);
+
+    const updateTier = (index, field, value) => {
+        onChange({ rateTiers: rateTiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier)) });
+    };
+
+    return (
+        <div className="space-y-4 p-4 bg-gray-50 dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-600">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                <div className="sm:col-span-2">
+                    <label htmlFor="dealValue" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Deal Value
+                    </label>
+                    <input
+                        id="dealValue"
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={dealValue}
+                        onChange={(e) => onChange({ dealValue: e.target.value })}
+                        placeholder="e.g., 12500"
+                        required
+                        aria-invalid={Boolean(errors.dealValue)}
+                        aria-describedby="dealValue-error"
+                        className={getInputStyle(errors.dealValue)}
+                    />
+                    <FieldError id="dealValue-error" message={errors.dealValue} />
+                </div>
+                <div>
+                    <label htmlFor="currency" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Currency
+                    </label>
+                    <select
+                        id="currency"
+                        value={currency}
+                        onChange={(e) => onChange({ currency: e.target.value })}
+                        aria-invalid={Boolean(errors.currency)}
+                        className={`${getInputStyle(errors.currency)} bg-white dark:bg-gray-800`}
+                    >
+                        {CURRENCIES.map(code => <option key={code} value={code}>{code}</option>)}
+                    </select>
+                    <FieldError message={errors.currency} />
+                </div>
+            </div>
+
+            <div className="flex space-x-3">
+                {[{ value: RATE_TYPES.FLAT, label: 'Flat Rate' }, { value: RATE_TYPES.TIERED, label: 'Tiered Plan' }].map(option => (
+                    <button
+                        key={option.value}
+                        type="button"
+                        onClick={() => onChange({ rateType: option.value })}
+                        className={`px-4 py-2 text-sm font-medium rounded-lg transition ${rateType === option.value ? 'bg-indigo-600 text-white shadow-md' : 'bg-white dark:bg-gray-800 text-gray-600 dark:text-gray-300 border hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                    >
+                        {option.label}
+                    </button>
+                ))}
+            </div>
+
+            {rateType === RATE_TYPES.TIERED ? (
+                <div className="space-y-2">
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                        Each rate applies to the part of the deal up to its limit. Leave the last limit empty for "and above".
+                    </p>
+                    {rateTiers.map((tier, index) => (
+                        <div key={index} className="flex items-center space-x-2">
+                            <input
+                                type="number"
+                                min="0"
+                                step="0.01"
+                                value={tier.upTo}
+                                onChange={(e) => updateTier(index, 'upTo', e.target.value)}
+                                placeholder="Up to (empty = no limit)"
+                                aria-label={`Tier ${index + 1} limit`}
+                                className={inputStyle}
+                            />
+                            <input
+                                type="number"
+                                min="0"
+                                max="100"
+                                step="0.01"
+                                value={tier.rate}
+                                onChange={(e) => updateTier(index, 'rate', e.target.value)}
+                                placeholder="Rate %"
+                                aria-label={`Tier ${index + 1} rate`}
+                                className={`${inputStyle} w-32`}
+                            />
+                            <button
+                                type="button"
+                                onClick={() => onChange({ rateTiers: rateTiers.filter((_, i) => i !== index) })}
+                                disabled={rateTiers.length === 1}
+                                className="p-2 text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/40 rounded-full transition disabled:opacity-30"
+                                title="Remove Tier"
+                            >
+                                ✕
+                            </button>
+                        </div>
+                    ))}
+                    <button
+                        type="button"
+                        onClick={() => onChange({ rateTiers: [...rateTiers, EMPTY_TIER] })}
+                        className="text-sm font-medium text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-200"
+                    >
+                        + Add Tier
+                    </button>
+                    <FieldError message={errors.rateTiers} />
+                </div>
+            ) : (
+                <div>
+                    <label htmlFor="commissionRate" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Commission Rate (%)
+                    </label>
+                    <input
+                        id="commissionRate"
+                        type="number"
+                        min="0"
+                        max="100"
+                        step="0.01"
+                        value={commissionRate}
+                        onChange={(e) => onChange({ commissionRate: e.target.value })}
+                        placeholder="e.g., 7.5"
+                        required
+                        aria-invalid={Boolean(errors.commissionRate)}
+                        aria-describedby="commissionRate-error"
+                        className={getInputStyle(errors.commissionRate)}
+                    />
+                    <FieldError id="commissionRate-error" message={errors.commissionRate} />
+                </div>
+            )}
+
+            <div className="flex justify-between items-center pt-2 border-t border-gray-200 dark:border-gray-600">
+                <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Estimated Payout</span>
+                <span className="text-lg font-bold text-indigo-700 dark:text-indigo-300">{formatCurrency(payout, currency)}</span>
+            </div>
+        </div>
+    );
+};
+
+export default CommissionFields;
@@ -0,0 +1,37 @@
+import React from 'react';
+
+// Custom Modal Component to replace window.confirm()
+// Stays open while `busy`, and shows `error` when the confirmed action failed so it can be retried.
+// `children` are shown under the message, e.g. details of what the action will skip.
+const ConfirmationModal = ({ isOpen, title, message, onConfirm, onCancel, busy = false, error = null, confirmLabel = 'Delete Permanently', busyLabel = 'Deleting...', confirmDisabled = false, children }) => {
+    if (!isOpen) return null;
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 backdrop-blur-sm">
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl p-6 w-full max-w-sm transform transition-all duration-300 scale-100">
+                <h3 className="text-xl font-bold text-gray-800 dark:text-gray-100 border-b pb-2 mb-4">{title}</h3>
+                <p className="text-gray-600 dark:text-gray-300 mb-6">{message}</p>
+                {children}
+                {error && <p className="-mt-3 mb-6 text-sm font-medium text-red-600 dark:text-red-400" role="alert">{error}</p>}
+                <div className="flex justify-end space-x-3">
+                    <button
+                        onClick={onCancel}
+                        disabled={busy}
+                        className="px-4 py-2 text-sm font-medium rounded-lg text-gray-700 dark:text-gray-300 bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={onConfirm}
+                        disabled={busy || confirmDisabled}
+                        className="px-4 py-2 text-sm font-medium rounded-lg text-white bg-red-600 hover:bg-red-700 shadow-md transition transform hover:scale-[1.02] disabled:opacity-50"
+                    >
+                        {busy ? busyLabel : error ? 'Try Again' : confirmLabel}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ConfirmationModal;
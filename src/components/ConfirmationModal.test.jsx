@@ -0,0 +1,49 @@
+import React from 'react';
+import { describe, expect, it, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ConfirmationModal from './ConfirmationModal.jsx';
+
+const renderModal = (props = {}) => {
+    const handlers = { onConfirm: vi.fn(), onCancel: vi.fn() };
+    render(<ConfirmationModal isOpen title="Delete Ticket" message="This cannot be undone." {...handlers} {...props} />);
+    return handlers;
+};
+
+describe('ConfirmationModal', () => {
+    it('renders nothing while closed', () => {
+        const { container } = render(<ConfirmationModal isOpen={false} title="Delete Ticket" message="Gone" onConfirm={vi.fn()} onCancel={vi.fn()} />);
+        expect(container).toBeEmptyDOMElement();
+    });
+
+    it('shows the title and message and calls the handlers', async () => {
+        const user = userEvent.setup();
+        const { onConfirm, onCancel } = renderModal();
+
+        expect(screen.getByText('Delete Ticket')).toBeInTheDocument();
+        expect(screen.getByText('This cannot be undone.')).toBeInTheDocument();
+
+        await user.click(screen.getByRole('button', { name: 'Delete Permanently' }));
+        expect(onConfirm).toHaveBeenCalledTimes(1);
+
+        await user.click(screen.getByRole('button', { name: 'Cancel' }));
+        expect(onCancel).toHaveBeenCalledTimes(1);
+    });
+
+    it('uses custom labels', () => {
+        renderModal({ confirmLabel: 'Leave', busyLabel: 'Leaving...' });
+        expect(screen.getByRole('button', { name: 'Leave' })).toBeInTheDocument();
+    });
+
+    it('disables both buttons while busy', () => {
+        renderModal({ busy: true });
+        expect(screen.getByRole('button', { name: 'Deleting...' })).toBeDisabled();
+        expect(screen.getByRole('button', { name: 'Cancel' })).toBeDisabled();
+    });
+
+    it('shows the error and offers to try again', () => {
+        renderModal({ error: 'The ticket could not be deleted.' });
+        expect(screen.getByRole('alert')).toHaveTextContent('The ticket could not be deleted.');
+        expect(screen.getByRole('button', { name: 'Try Again' })).toBeEnabled();
+    });
+});
@@ -0,0 +1,53 @@
+import React from 'react';
+import { FieldError, getInputStyle } from './CommissionFields.jsx';
+import { FIELD_TYPES, TEXT_VALUE_MAX_LENGTH } from '../utils/ticketTypes.js';
+
+const INPUT_TYPES = {
+    [FIELD_TYPES.TEXT]: 'text',
+    [FIELD_TYPES.NUMBER]: 'number',
+    [FIELD_TYPES.AMOUNT]: 'number',
+    [FIELD_TYPES.DATE]: 'date',
+};
+
+/**
+ * CustomFields: Inputs for the custom fields of the ticket's type, in the
+ * type's order. `values` maps field ids to the entered strings; `errors` uses
+ * the `customFields.<id>` keys from getCustomFieldErrors.
+ */
+const CustomFields = ({ ticketType, values, onChange, errors = {}, currency, idPrefix = '' }) => {
+    if (!ticketType || ticketType.fields.length === 0) return null;
+
+    return (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 p-4 bg-gray-50 dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-600">
+            {ticketType.fields.map(field => {
+                const id = `${idPrefix}custom-${field.id}`;
+                const error = errors[`customFields.${field.id}`];
+                return (
+                    <div key={field.id}>
+                        <label htmlFor={id} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                            {field.label}
+                            {field.type === FIELD_TYPES.AMOUNT && currency && ` (${currency})`}
+                            {!field.required && <span className="font-normal text-gray-500 dark:text-gray-400"> (optional)</span>}
+                        </label>
+                        <input
+                            id={id}
+                            type={INPUT_TYPES[field.type] || 'text'}
+                            value={values[field.id] ?? ''}
+                            onChange={(e) => onChange({ ...values, [field.id]: e.target.value })}
+                            required={field.required}
+                            {...(field.type === FIELD_TYPES.AMOUNT && { min: '0', step: '0.01' })}
+                            {...(field.type === FIELD_TYPES.NUMBER && { step: 'any' })}
+                            {...(field.type === FIELD_TYPES.TEXT && { maxLength: TEXT_VALUE_MAX_LENGTH })}
+                            aria-invalid={Boolean(error)}
+                            aria-describedby={`${id}-error`}
+                            className={getInputStyle(error)}
+                        />
+                        <FieldError id={`${id}-error`} message={error} />
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default CustomFields;
@@ -0,0 +1,59 @@
+import React from 'react';
+
+/**
+ * ErrorBoundary: Catches render errors below it (e.g. a malformed ticket
+ * document) and shows a fallback instead of unmounting the whole app.
+ * Changing `resetKey` (such as the route) clears the error.
+ *
+ * `fallback` is an element or a function receiving { error, reset }.
+ */
+class ErrorBoundary extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = { error: null };
+        this.reset = this.reset.bind(this);
+    }
+
+    static getDerivedStateFromError(error) {
+        return { error };
+    }
+
+    componentDidCatch(error, info) {
+        console.error("Error rendering component: ", error, info.componentStack);
+    }
+
+    componentDidUpdate(prevProps) {
+        if (this.state.error && prevProps.resetKey !== this.props.resetKey) {
+            this.reset();
+        }
+    }
+
+    reset() {
+        this.setState({ error: null });
+    }
+
+    render() {
+        const { error } = this.state;
+        if (!error) return this.props.children;
+
+        const { fallback } = this.props;
+        if (typeof fallback === 'function') return fallback({ error, reset: this.reset });
+        if (fallback) return fallback;
+
+        return (
+            <div className="p-8 bg-red-50 dark:bg-red-900/30 border-t-4 border-red-500 rounded-xl shadow-lg text-red-800 dark:text-red-200">
+                <h2 className="text-xl font-bold mb-2">Something went wrong on this page</h2>
+                <p className="text-sm mb-4">The rest of the app still works. Try again, or pick another page above.</p>
+                <button
+                    type="button"
+                    onClick={this.reset}
+                    className="px-4 py-2 text-sm font-semibold rounded-lg text-white bg-red-600 hover:bg-red-700 shadow-md transition"
+                >
+                    Try Again
+                </button>
+            </div>
+        );
+    }
+}
+
+export default ErrorBoundary;
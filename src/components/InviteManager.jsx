@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import { collection, onSnapshot } from 'firebase/firestore';
+import { getInvitesCollectionPath } from '../config.js';
+import { useWorkspace } from '../contexts/WorkspaceContext.js';
+import { ROLES, ROLE_LABELS } from '../utils/permissions.js';
+import { INVITE_TTL_DAYS, buildInviteLink, createInvite, isInviteExpired, revokeInvite } from '../utils/workspaces.js';
+
+const formatDate = (timestamp) => (timestamp?.toDate
+    ? timestamp.toDate().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+    : '');
+
+/**
+ * InviteManager: Admin-only invite links for the active workspace. Anyone who
+ * opens a link while signed in can join with the link's role until it expires
+ * or is revoked.
+ */
+const InviteManager = ({ db, user }) => {
+    const workspace = useWorkspace();
+    const [invites, setInvites] = useState([]);
+    const [role, setRole] = useState(ROLES.SUBMITTER);
+    const [copiedCode, setCopiedCode] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!db || !workspace.id) return;
+
+        const unsubscribe = onSnapshot(collection(db, getInvitesCollectionPath(workspace.id)), (snapshot) => {
+            setInvites(snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0)));
+        }, (err) => {
+            console.error("Error listening to invites: ", err);
+        });
+
+        return () => unsubscribe();
+    }, [db, workspace.id]);
+
+    const copyLink = async (code) => {
+        try {
+            await navigator.clipboard.writeText(buildInviteLink(workspace.id, code));
+            setCopiedCode(code);
+        } catch (err) {
+            console.error("Error copying invite link: ", err);
+            setError('The link could not be copied. Select it and copy it instead.');
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setError(null);
+        try {
+            const code = await createInvite(db, workspace, role, user.uid);
+            await copyLink(code);
+        } catch (err) {
+            console.error("Error creating invite: ", err);
+            setError('The invite link could not be created.');
+        }
+    };
+
+    const handleRevoke = async (code) => {
+        setError(null);
+        try {
+            await revokeInvite(db, workspace.id, code);
+        } catch (err) {
+            console.error("Error revoking invite: ", err);
+            setError('The invite link could not be revoked.');
+        }
+    };
+
+    return (
+        <div className="mt-8 space-y-4">
+            <h3 className="text-xl font-bold text-yellow-800 dark:text-yellow-200">Invite Links</h3>
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+                Share a link with the people you want to add. Links work for {INVITE_TTL_DAYS} days and can be used by anyone who has them, so revoke a link once everyone has joined.
+            </p>
+            <form onSubmit={handleCreate} className="flex flex-col sm:flex-row gap-2">
+                <select value={role} onChange={(e) => setRole(e.target.value)} className="rounded-md border-gray-300 dark:border-gray-600 shadow-sm p-2" aria-label="Role for new members">
+                    {Object.values(ROLES).map(value => <option key={value} value={value}>Join as {ROLE_LABELS[value]}</option>)}
+                </select>
+                <button type="submit" className="px-4 py-2 text-sm font-semibold rounded-lg text-white bg-yellow-600 hover:bg-yellow-700 shadow-md transition">
+                    Create and Copy Link
+                </button>
+            </form>
+            {invites.length > 0 && (
+                <ul className="divide-y divide-yellow-100 dark:divide-yellow-800 bg-white dark:bg-gray-800 rounded-lg shadow-sm">
+                    {invites.map(invite => {
+                        const expired = isInviteExpired(invite);
+                        return (
+                            <li key={invite.id} className="p-3 flex flex-col sm:flex-row sm:items-center justify-between gap-2 text-sm">
+                                <div className="min-w-0">
+                                    <input
+                                        type="text"
+                                        readOnly
+                                        value={buildInviteLink(workspace.id, invite.id)}
+                                        onFocus={(e) => e.target.select()}
+                                        className="w-full font-mono text-xs text-gray-700 dark:text-gray-300 bg-gray-50 dark:bg-gray-800 rounded p-1"
+                                        aria-label="Invite link"
+                                    />
+                                    <p className={`mt-1 text-xs ${expired ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}`}>
+                                        {ROLE_LABELS[invite.role] || invite.role} · {expired ? 'Expired' : 'Expires'} {formatDate(invite.expiresAt)}
+                                    </p>
+                                </div>
+                                <div className="flex items-center gap-3 shrink-0">
+                                    {!expired && (
+                                        <button type="button" onClick={() => copyLink(invite.id)} className="text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-200 font-medium">
+                                            {copiedCode === invite.id ? 'Copied' : 'Copy'}
+                                        </button>
+                                    )}
+                                    <button type="button" onClick={() => handleRevoke(invite.id)} className="text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-200 font-medium">
+                                        {expired ? 'Remove' : 'Revoke'}
+                                    </button>
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+            {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+        </div>
+    );
+};
+
+export default InviteManager;
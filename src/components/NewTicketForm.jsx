@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import AssignmentFields from './AssignmentFields.jsx';
+import CommissionFields, { EMPTY_TIER, FieldError, getInputStyle } from './CommissionFields.jsx';
+import CustomFields from './CustomFields.jsx';
+import { useTicketTypes } from '../contexts/TicketTypesContext.js';
+import { useToast } from '../contexts/ToastContext.js';
+import { DEFAULT_CURRENCY, RATE_TYPES } from '../utils/commission.js';
+import { DEFAULT_PRIORITY } from '../utils/sla.js';
+import { findTicketType } from '../utils/ticketTypes.js';
+import { TITLE_MAX_LENGTH, getTicketFieldErrors } from '../utils/tickets.js';
+
+const createEmptyCommission = (currency) => ({
+    dealValue: '',
+    currency,
+    rateType: RATE_TYPES.FLAT,
+    commissionRate: '',
+    rateTiers: [EMPTY_TIER],
+});
+
+const EMPTY_ASSIGNMENT = { assigneeId: '', priority: DEFAULT_PRIORITY, dueDate: '' };
+
+/**
+ * NewTicketForm: The "Submit a New Commission Ticket" form. Owns its input state
+ * and hands validated input to `onSubmit`, which writes the ticket. Field
+ * messages appear after the first submit attempt and update as the user types.
+ * When the workspace has ticket types, picking one adds its custom fields.
+ */
+const NewTicketForm = ({ defaultCurrency = DEFAULT_CURRENCY, onSubmit, disabled }) => {
+    const { showToast } = useToast();
+    const ticketTypes = useTicketTypes();
+    const [typeId, setTypeId] = useState('');
+    const [customFields, setCustomFields] = useState({});
+    const [title, setTitle] = useState('');
+    const [description, setDescription] = useState('');
+    const [commission, setCommission] = useState(() => createEmptyCommission(defaultCurrency));
+    const [assignment, setAssignment] = useState(EMPTY_ASSIGNMENT);
+    const [formError, setFormError] = useState(null);
+    const [showFieldErrors, setShowFieldErrors] = useState(false);
+    const [submitting, setSubmitting] = useState(false);
+
+    // A type removed by an admin while selected falls back to no type
+    const ticketType = findTicketType(ticketTypes, typeId);
+    const input = { title, description, ...commission, ...assignment, typeId: ticketType?.id || '', customFields };
+    const fieldErrors = showFieldErrors ? getTicketFieldErrors(input, ticketType) : {};
+
+    // New tickets start in the user's preferred currency
+    useEffect(() => {
+        setCommission(prev => ({ ...prev, currency: defaultCurrency }));
+    }, [defaultCurrency]);
+
+    const updateCommission = useCallback((changes) => {
+        setFormError(null);
+        setCommission(prev => ({ ...prev, ...changes }));
+    }, []);
+
+    // Retrying from the toast resubmits exactly what failed, even if the form was edited since
+    const submitTicket = async (ticketInput) => {
+        setFormError(null);
+        setSubmitting(true);
+        try {
+            await onSubmit(ticketInput);
+            setTitle('');
+            setDescription('');
+            setCommission(createEmptyCommission(defaultCurrency));
+            setAssignment(EMPTY_ASSIGNMENT);
+            setCustomFields({});
+            setShowFieldErrors(false);
+        } catch (error) {
+            console.error("Error creating document: ", error);
+            setFormError('The ticket could not be saved. Your input has been kept, please try again.');
+            showToast({ type: 'error', message: 'Your new ticket could not be saved.', onRetry: () => submitTicket(ticketInput) });
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (disabled || submitting) return;
+
+        if (Object.keys(getTicketFieldErrors(input, ticketType)).length > 0) {
+            setShowFieldErrors(true);
+            return;
+        }
+        submitTicket(input);
+    };
+
+    return (
+        <div id="new-ticket-form" className="mt-12 p-8 bg-white dark:bg-gray-800 rounded-xl shadow-2xl border-t-8 border-green-500">
+            <h2 className="text-2xl font-bold text-gray-800 dark:text-gray-100 mb-6 flex items-center space-x-2">
+                <span className="w-8 h-8 text-2xl text-green-500">📝</span>
+                <span>Submit a New Commission Ticket</span>
+            </h2>
+            <form onSubmit={handleSubmit} noValidate className="space-y-6">
+                {ticketTypes.length > 0 && (
+                    <div>
+                        <label htmlFor="ticketType" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                            Ticket Type
+                        </label>
+                        <select
+                            id="ticketType"
+                            value={ticketType?.id || ''}
+                            onChange={(e) => { setTypeId(e.target.value); setCustomFields({}); }}
+                            className={`${getInputStyle(false)} bg-white dark:bg-gray-800`}
+                        >
+                            <option value="">General</option>
+                            {ticketTypes.map(type => <option key={type.id} value={type.id}>{type.label}</option>)}
+                        </select>
+                    </div>
+                )}
+                <div>
+                    <label htmlFor="title" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Title (Concise Summary)
+                    </label>
+                    <input
+                        id="title"
+                        type="text"
+                        value={title}
+                        onChange={(e) => setTitle(e.target.value)}
+                        placeholder="e.g., Refund for double-charged order #457"
+                        required
+                        aria-invalid={Boolean(fieldErrors.title)}
+                        aria-describedby="title-error"
+                        className={getInputStyle(fieldErrors.title)}
+                        maxLength={TITLE_MAX_LENGTH}
+                    />
+                    <FieldError id="title-error" message={fieldErrors.title} />
+                </div>
+                <div>
+                    <label htmlFor="description" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        {ticketType ? 'Description' : 'Full Description (Include details, dates, and order IDs)'}
+                    </label>
+                    <textarea
+                        id="description"
+                        value={description}
+                        onChange={(e) => setDescription(e.target.value)}
+                        placeholder={ticketType?.descriptionHint || 'Provide all necessary information for resolution...'}
+                        rows="4"
+                        required
+                        aria-invalid={Boolean(fieldErrors.description)}
+                        aria-describedby="description-error"
+                        className={getInputStyle(fieldErrors.description)}
+                    ></textarea>
+                    <FieldError id="description-error" message={fieldErrors.description} />
+                </div>
+                <CustomFields
+                    ticketType={ticketType}
+                    values={customFields}
+                    onChange={(values) => { setFormError(null); setCustomFields(values); }}
+                    errors={fieldErrors}
+                    currency={commission.currency}
+                />
+                <AssignmentFields value={assignment} onChange={(changes) => setAssignment(prev => ({ ...prev, ...changes }))} errors={fieldErrors} />
+                <CommissionFields commission={commission} onChange={updateCommission} errors={fieldErrors} />
+                {formError && (
+                    <p className="text-sm font-medium text-red-600 dark:text-red-400">{formError}</p>
+                )}
+                <button
+                    type="submit"
+                    className="w-full sm:w-auto px-8 py-3 bg-indigo-600 text-white font-semibold rounded-lg shadow-lg hover:bg-indigo-700 transition duration-150 transform hover:scale-[1.02] disabled:opacity-50"
+                    disabled={disabled || submitting}
+                >
+                    {disabled ? 'Connecting...' : submitting ? 'Submitting...' : 'Submit Ticket'}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default NewTicketForm;
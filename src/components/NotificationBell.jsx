@@ -0,0 +1,104 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import UserBadge from './UserBadge.jsx';
+import { useProfiles } from '../contexts/ProfilesContext.js';
+import { useWorkflow } from '../contexts/WorkflowContext.js';
+import { describeNotification } from '../utils/notifications.js';
+import { getDisplayName } from '../utils/profiles.js';
+import { getTicketRoute } from '../utils/workspaces.js';
+
+const formatTimestamp = (timestamp) => {
+    if (!timestamp || !timestamp.toDate) return 'Just now';
+    return timestamp.toDate().toLocaleString('en-US', {
+        month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+};
+
+/**
+ * NotificationBell: Header button with the unread count that opens the
+ * notification center. Opening a notification marks it read and goes to its ticket,
+ * whose route switches to the ticket's workspace.
+ */
+const NotificationBell = ({ notifications, onMarkRead }) => {
+    const profiles = useProfiles();
+    const workflow = useWorkflow();
+    const [open, setOpen] = useState(false);
+    const containerRef = useRef(null);
+    const unread = notifications.filter(notification => !notification.read);
+
+    // Close when clicking anywhere else
+    useEffect(() => {
+        if (!open) return;
+        const handleClick = (e) => {
+            if (!containerRef.current?.contains(e.target)) setOpen(false);
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [open]);
+
+    return (
+        <div ref={containerRef} className="relative">
+            <button
+                type="button"
+                onClick={() => setOpen(prev => !prev)}
+                onKeyDown={(e) => { if (e.key === 'Escape') setOpen(false); }}
+                className="relative p-1.5 rounded-lg bg-white dark:bg-gray-800 border hover:bg-gray-100 dark:hover:bg-gray-700 transition"
+                aria-label={`Notifications (${unread.length} unread)`}
+                aria-expanded={open}
+            >
+                <span className="text-base leading-none">🔔</span>
+                {unread.length > 0 && (
+                    <span className="absolute -top-1.5 -right-1.5 min-w-[1.1rem] px-1 text-[10px] font-bold leading-[1.1rem] text-center rounded-full bg-red-600 text-white">
+                        {unread.length > 99 ? '99+' : unread.length}
+                    </span>
+                )}
+            </button>
+
+            {open && (
+                <div className="absolute right-0 mt-2 w-80 max-h-96 overflow-y-auto bg-white dark:bg-gray-800 rounded-xl shadow-2xl border z-20 text-left">
+                    <div className="flex justify-between items-center px-4 py-2 border-b">
+                        <span className="font-semibold text-gray-800 dark:text-gray-100">Notifications</span>
+                        {unread.length > 0 && (
+                            <button
+                                type="button"
+                                onClick={() => onMarkRead(unread.map(notification => notification.id))}
+                                className="text-xs font-medium text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-200"
+                            >
+                                Mark all read
+                            </button>
+                        )}
+                    </div>
+                    {notifications.length === 0 ? (
+                        <p className="px-4 py-6 text-sm text-center text-gray-500 dark:text-gray-400">You're all caught up.</p>
+                    ) : (
+                        <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+                            {notifications.map(notification => (
+                                <li key={notification.id}>
+                                    <Link
+                                        to={getTicketRoute(notification.workspaceId, notification.ticketId)}
+                                        onClick={() => {
+                                            if (!notification.read) onMarkRead([notification.id]);
+                                            setOpen(false);
+                                        }}
+                                        className={`flex gap-2 px-4 py-3 text-sm hover:bg-gray-50 dark:hover:bg-gray-700 ${notification.read ? 'text-gray-500 dark:text-gray-400' : 'text-gray-800 dark:text-gray-100 bg-indigo-50/50 dark:bg-indigo-900/20'}`}
+                                    >
+                                        <UserBadge uid={notification.actorId} size="md" showName={false} />
+                                        <span className="min-w-0">
+                                            <span className="block break-words">
+                                                {describeNotification(notification, getDisplayName(profiles[notification.actorId], notification.actorId), workflow)}
+                                            </span>
+                                            <span className="block text-xs text-gray-400">{formatTimestamp(notification.createdAt)}</span>
+                                        </span>
+                                        {!notification.read && <span className="ml-auto mt-1.5 w-2 h-2 rounded-full bg-indigo-600 shrink-0" aria-label="Unread"></span>}
+                                    </Link>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default NotificationBell;
@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { doc, updateDoc } from 'firebase/firestore';
+import { getMemberDocPath } from '../config.js';
+import UserBadge from './UserBadge.jsx';
+import { useWorkspace } from '../contexts/WorkspaceContext.js';
+import { ROLES, ROLE_LABELS } from '../utils/permissions.js';
+import { removeMember } from '../utils/workspaces.js';
+
+/**
+ * RoleManager: Admin-only list of the workspace's members and their roles.
+ * New members join through invite links (see InviteManager).
+ */
+const RoleManager = ({ db, user }) => {
+    const workspace = useWorkspace();
+    const [error, setError] = useState(null);
+    const members = Object.entries(workspace.members).map(([uid, member]) => ({ uid, ...member }));
+
+    const assignRole = async (targetUid, newRole) => {
+        setError(null);
+        try {
+            await updateDoc(doc(db, getMemberDocPath(workspace.id, targetUid)), { role: newRole });
+        } catch (err) {
+            console.error("Error assigning role: ", err);
+            setError('The role could not be saved.');
+        }
+    };
+
+    const remove = async (targetUid) => {
+        setError(null);
+        try {
+            await removeMember(db, workspace.id, targetUid);
+        } catch (err) {
+            console.error("Error removing member: ", err);
+            setError('The member could not be removed.');
+        }
+    };
+
+    return (
+        <div className="mt-8 space-y-4">
+            <h3 className="text-xl font-bold text-yellow-800 dark:text-yellow-200">Members of {workspace.name}</h3>
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+                Reviewers can change the status of other people's tickets. Admins can edit, delete and move any ticket, manage members and edit the workflow.
+            </p>
+            <ul className="divide-y divide-yellow-100 dark:divide-yellow-800 bg-white dark:bg-gray-800 rounded-lg shadow-sm">
+                {members.map(member => (
+                    <li key={member.uid} className="p-3 flex items-center justify-between gap-2 text-sm">
+                        <UserBadge uid={member.uid} size="md" className="text-gray-800 dark:text-gray-100" />
+                        {member.uid === user.uid ? (
+                            <span className="text-xs text-gray-500 dark:text-gray-400">{ROLE_LABELS[member.role] || member.role} (you)</span>
+                        ) : (
+                            <div className="flex items-center space-x-2 shrink-0">
+                                <select
+                                    value={member.role}
+                                    onChange={(e) => assignRole(member.uid, e.target.value)}
+                                    className="rounded-md border-gray-300 dark:border-gray-600 shadow-sm p-1"
+                                    aria-label="Role"
+                                >
+                                    {Object.values(ROLES).map(value => <option key={value} value={value}>{ROLE_LABELS[value]}</option>)}
+                                </select>
+                                <button type="button" onClick={() => remove(member.uid)} className="text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-200" title="Remove from workspace">
+                                    ✕
+                                </button>
+                            </div>
+                        )}
+                    </li>
+                ))}
+            </ul>
+            {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+        </div>
+    );
+};
+
+export default RoleManager;
@@ -0,0 +1,13 @@
+import React from 'react';
+import { useWorkflow } from '../contexts/WorkflowContext.js';
+import { getStatusColor, getStatusLabel } from '../utils/workflow.js';
+
+const StatusBadge = ({ status }) => {
+    const workflow = useWorkflow();
+    const baseStyle = "px-3 py-1 text-xs font-semibold rounded-full";
+    // Statuses removed from the workflow keep their stored name and fall back to gray
+    const colorStyle = getStatusColor(workflow, status).badge;
+    return <span className={`${baseStyle} ${colorStyle}`}>{getStatusLabel(workflow, status)}</span>;
+};
+
+export default StatusBadge;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { describe, expect, it } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import StatusBadge from './StatusBadge.jsx';
+import WorkflowContext from '../contexts/WorkflowContext.js';
+import { WORKFLOW_PRESETS } from '../utils/workflow.js';
+
+describe('StatusBadge', () => {
+    it('shows the label and color of the status in the default workflow', () => {
+        render(<StatusBadge status="In Progress" />);
+        expect(screen.getByText('In Progress')).toHaveClass('bg-blue-100', 'text-blue-800');
+    });
+
+    it('uses the workflow from context', () => {
+        render(
+            <WorkflowContext.Provider value={WORKFLOW_PRESETS['Commission approval']}>
+                <StatusBadge status="Rejected" />
+            </WorkflowContext.Provider>
+        );
+        expect(screen.getByText('Rejected')).toHaveClass('bg-red-100');
+    });
+
+    it('keeps the stored name of a status removed from the workflow, in gray', () => {
+        render(<StatusBadge status="Legacy" />);
+        expect(screen.getByText('Legacy')).toHaveClass('bg-gray-100', 'text-gray-800');
+    });
+});
@@ -0,0 +1,239 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { collection, deleteDoc, doc, onSnapshot, orderBy, query, setDoc } from 'firebase/firestore';
+import { deleteObject, getBlob, ref, uploadBytesResumable } from 'firebase/storage';
+import { getAttachmentStoragePath, getAttachmentsCollectionPath } from '../config.js';
+import UserBadge from './UserBadge.jsx';
+import { useWorkspace } from '../contexts/WorkspaceContext.js';
+import useOnlineStatus from '../hooks/useOnlineStatus.js';
+import { ROLES } from '../utils/permissions.js';
+import {
+    ATTACHMENT_ACCEPT,
+    ATTACHMENT_MAX_BYTES,
+    buildAttachmentDocument,
+    buildStorageFileName,
+    formatFileSize,
+    isImageAttachment,
+    validateAttachment,
+} from '../utils/attachments.js';
+
+// Object URLs of opened files are kept long enough for the new tab to load them
+const OPENED_FILE_URL_MS = 60 * 1000;
+
+// Files are downloaded with the Storage SDK each time they are shown, so storage.rules
+// decide who sees them (a removed member no longer can)
+const loadFileUrl = async (storage, storagePath) => URL.createObjectURL(await getBlob(ref(storage, storagePath)));
+
+const AttachmentThumbnail = ({ storage, attachment }) => {
+    const [url, setUrl] = useState(null);
+
+    useEffect(() => {
+        if (!storage) return;
+        let objectUrl = null;
+        let cancelled = false;
+        loadFileUrl(storage, attachment.storagePath)
+            .then((loaded) => {
+                objectUrl = loaded;
+                if (cancelled) URL.revokeObjectURL(loaded);
+                else setUrl(loaded);
+            })
+            .catch((error) => {
+                console.error(`Error loading ${attachment.name}: `, error);
+            });
+        return () => {
+            cancelled = true;
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        };
+    }, [storage, attachment.storagePath, attachment.name]);
+
+    return url
+        ? <img src={url} alt="" className="w-10 h-10 rounded object-cover shrink-0" />
+        : <span className="w-10 h-10 rounded bg-gray-100 dark:bg-gray-700 shrink-0 animate-pulse"></span>;
+};
+
+/**
+ * TicketAttachments: Files attached to a ticket (invoices, order screenshots...).
+ * Uploads go to Cloud Storage with live progress; a metadata document per file
+ * keeps the list live for everyone viewing the ticket.
+ */
+const TicketAttachments = ({ db, storage, ticket, user, role }) => {
+    const workspace = useWorkspace();
+    const fileInputRef = useRef(null);
+    const online = useOnlineStatus();
+    const [attachments, setAttachments] = useState([]);
+    const [uploads, setUploads] = useState({}); // attachmentId -> { name, progress }
+    const [errors, setErrors] = useState([]);
+
+    useEffect(() => {
+        if (!db) return;
+
+        const attachmentsQuery = query(collection(db, getAttachmentsCollectionPath(workspace.id, ticket.id)), orderBy('uploadedAt', 'desc'));
+        const unsubscribe = onSnapshot(attachmentsQuery, (snapshot) => {
+            setAttachments(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => {
+            console.error("Error listening to attachments: ", error);
+            setErrors(['Attachments could not be loaded.']);
+        });
+
+        return () => unsubscribe();
+    }, [db, workspace.id, ticket.id]);
+
+    const uploadFile = async (file) => {
+        // The metadata id is reserved first so the storage object can be named after it
+        const attachmentRef = doc(collection(db, getAttachmentsCollectionPath(workspace.id, ticket.id)));
+        const storagePath = getAttachmentStoragePath(workspace.id, ticket.id, buildStorageFileName(attachmentRef.id, file.name));
+        const storageRef = ref(storage, storagePath);
+
+        setUploads(prev => ({ ...prev, [attachmentRef.id]: { name: file.name, progress: 0 } }));
+        try {
+            const task = uploadBytesResumable(storageRef, file, {
+                contentType: file.type,
+                customMetadata: { uploadedBy: user.uid },
+            });
+            task.on('state_changed', (snapshot) => {
+                const progress = Math.round((snapshot.bytesTransferred / snapshot.totalBytes) * 100);
+                setUploads(prev => ({ ...prev, [attachmentRef.id]: { name: file.name, progress } }));
+            });
+            await task;
+            await setDoc(attachmentRef, buildAttachmentDocument(file, storagePath, user.uid));
+        } catch (error) {
+            console.error(`Error uploading ${file.name}: `, error);
+            setErrors(prev => [...prev, `${file.name} could not be uploaded.`]);
+        } finally {
+            setUploads(prev => {
+                const { [attachmentRef.id]: done, ...rest } = prev;
+                return rest;
+            });
+        }
+    };
+
+    const handleFilesSelected = (e) => {
+        const files = [...e.target.files];
+        e.target.value = ''; // allow re-selecting the same file
+        const problems = files.map(validateAttachment).filter(Boolean);
+        setErrors(problems);
+        files.filter(file => !validateAttachment(file)).forEach(uploadFile);
+    };
+
+    // The tab is opened right away, while the click still counts as a user action, and pointed at the file once it has loaded
+    const openAttachment = async (attachment) => {
+        const tab = window.open('', '_blank');
+        if (!tab) {
+            setErrors(['Allow pop-ups for this site to open attachments.']);
+            return;
+        }
+        tab.opener = null;
+        setErrors([]);
+        try {
+            const url = await loadFileUrl(storage, attachment.storagePath);
+            tab.location.href = url;
+            setTimeout(() => URL.revokeObjectURL(url), OPENED_FILE_URL_MS);
+        } catch (error) {
+            console.error(`Error opening ${attachment.name}: `, error);
+            tab.close();
+            setErrors([`${attachment.name} could not be opened.`]);
+        }
+    };
+
+    const removeAttachment = async (attachment) => {
+        setErrors([]);
+        try {
+            await deleteObject(ref(storage, attachment.storagePath));
+        } catch (error) {
+            // A file that is already gone should not keep its metadata around
+            if (error.code !== 'storage/object-not-found') {
+                console.error(`Error deleting ${attachment.name}: `, error);
+                setErrors([`${attachment.name} could not be deleted.`]);
+                return;
+            }
+        }
+        try {
+            await deleteDoc(doc(db, getAttachmentsCollectionPath(workspace.id, ticket.id), attachment.id));
+        } catch (error) {
+            console.error(`Error deleting ${attachment.name}: `, error);
+            setErrors([`${attachment.name} could not be deleted.`]);
+        }
+    };
+
+    const pendingUploads = Object.entries(uploads);
+
+    return (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-xl font-bold text-gray-800 dark:text-gray-100">Attachments ({attachments.length})</h3>
+                {/* Files go straight to Cloud Storage, which has no offline queue */}
+                <button
+                    type="button"
+                    onClick={() => fileInputRef.current?.click()}
+                    disabled={!user || !storage || !online}
+                    title={online ? undefined : 'Attachments can be added once you are back online'}
+                    className="px-3 py-2 text-sm font-medium rounded-lg bg-white dark:bg-gray-800 border text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 shadow-sm transition disabled:opacity-50"
+                >
+                    Attach Files
+                </button>
+                <input ref={fileInputRef} type="file" multiple accept={ATTACHMENT_ACCEPT} className="hidden" onChange={handleFilesSelected} />
+            </div>
+
+            {errors.length > 0 && (
+                <ul className="mb-3 space-y-1 text-sm text-red-600 dark:text-red-400">
+                    {errors.map(error => <li key={error}>{error}</li>)}
+                </ul>
+            )}
+
+            {pendingUploads.length > 0 && (
+                <ul className="mb-3 space-y-2">
+                    {pendingUploads.map(([id, { name, progress }]) => (
+                        <li key={id} className="text-sm">
+                            <div className="flex justify-between text-gray-600 dark:text-gray-300"><span className="truncate">{name}</span><span>{progress}%</span></div>
+                            <div className="mt-1 bg-gray-200 dark:bg-gray-700 rounded-full h-2 overflow-hidden">
+                                <div className="bg-indigo-500 h-full" style={{ width: `${progress}%` }}></div>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {attachments.length === 0 && pendingUploads.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                    No files yet. Attach invoices or order screenshots (up to {formatFileSize(ATTACHMENT_MAX_BYTES)} each).
+                </p>
+            ) : (
+                <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+                    {attachments.map(attachment => (
+                        <li key={attachment.id} className="py-2 flex items-center gap-3 text-sm">
+                            {isImageAttachment(attachment) ? (
+                                <AttachmentThumbnail storage={storage} attachment={attachment} />
+                            ) : (
+                                <span className="w-10 h-10 rounded bg-indigo-50 dark:bg-indigo-900/30 text-indigo-600 dark:text-indigo-400 text-lg flex items-center justify-center shrink-0">📄</span>
+                            )}
+                            <div className="min-w-0 flex-1">
+                                <button
+                                    type="button"
+                                    onClick={() => openAttachment(attachment)}
+                                    disabled={!storage}
+                                    className="max-w-full font-medium text-indigo-700 dark:text-indigo-300 hover:underline truncate block text-left"
+                                >
+                                    {attachment.name}
+                                </button>
+                                <p className="text-xs text-gray-500 dark:text-gray-400">
+                                    {formatFileSize(attachment.size)} · <UserBadge uid={attachment.uploadedBy} />
+                                </p>
+                            </div>
+                            {(attachment.uploadedBy === user?.uid || role === ROLES.ADMIN) && (
+                                <button
+                                    type="button"
+                                    onClick={() => removeAttachment(attachment)}
+                                    className="p-2 text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/40 rounded-full transition"
+                                    title="Delete attachment"
+                                >
+                                    ✕
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default TicketAttachments;
@@ -0,0 +1,214 @@
+import React, { useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import StatusBadge from './StatusBadge.jsx';
+import UserBadge from './UserBadge.jsx';
+import { useTicketTypes } from '../contexts/TicketTypesContext.js';
+import { useWorkflow } from '../contexts/WorkflowContext.js';
+import { useWorkspace } from '../contexts/WorkspaceContext.js';
+import { RATE_TYPES, describeRate, formatCurrency } from '../utils/commission.js';
+import { DEFAULT_ROLE, canDeleteTicket, canEditTicket } from '../utils/permissions.js';
+import { getAllowedTransitions, getStatusLabel } from '../utils/workflow.js';
+import { DEFAULT_PRIORITY, PRIORITY_LABELS, PRIORITY_STYLES, SLA_STATES, formatDueDate, getSlaStatus } from '../utils/sla.js';
+import { isDeletedTicket } from '../utils/tickets.js';
+import { describeCustomFields, findTicketType } from '../utils/ticketTypes.js';
+import { getTicketRoute } from '../utils/workspaces.js';
+
+const SLA_BADGES = {
+    [SLA_STATES.BREACHED]: { label: 'Overdue', className: 'bg-red-600 text-white' },
+    [SLA_STATES.DUE_SOON]: { label: 'Due soon', className: 'bg-orange-100 dark:bg-orange-900/50 text-orange-800 dark:text-orange-200' },
+};
+
+// `onToggleSelect` adds a checkbox for bulk actions (see BulkActionsBar)
+const TicketCard = React.memo(({ ticket, user, role = DEFAULT_ROLE, onUpdate, onDeleteConfirm, selected = false, onToggleSelect }) => {
+    const workflow = useWorkflow();
+    const ticketRoute = getTicketRoute(useWorkspace().id, ticket.id);
+    const ticketType = findTicketType(useTicketTypes(), ticket.typeId);
+    const customFields = describeCustomFields(ticket, ticketType);
+    // Status picked in the dropdown while its write is in flight
+    const [pendingStatus, setPendingStatus] = useState(null);
+    const displayedStatus = pendingStatus ?? ticket.status;
+    // A ticket in the trash is read-only until it is restored
+    const isDeleted = isDeletedTicket(ticket);
+    const nextStatuses = isDeleted ? [] : getAllowedTransitions(workflow, role, ticket, user?.uid);
+    const canMoveStatus = nextStatuses.length > 0;
+    const canEdit = !isDeleted && canEditTicket(role, ticket, user?.uid, workflow);
+    const canDelete = !isDeleted && canDeleteTicket(role, ticket, user?.uid);
+    const priority = ticket.priority || DEFAULT_PRIORITY;
+    const sla = getSlaStatus({ ...ticket, status: displayedStatus }, workflow);
+    const slaBadge = SLA_BADGES[sla.state];
+
+    const formatTimestamp = (timestamp) => {
+        if (!timestamp || !timestamp.toDate) return 'N/A';
+        return timestamp.toDate().toLocaleDateString('en-US', {
+            year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+    };
+
+    // Optimistic: the card shows the new status at once and rolls back if onUpdate reports a failure
+    // (App shows the error). On success the live snapshot already carries the new status.
+    const handleStatusChange = async (newStatus) => {
+        setPendingStatus(newStatus);
+        await onUpdate(ticket, { status: newStatus });
+        setPendingStatus(null);
+    };
+
+    const StatusDropdown = useMemo(() => (
+        <select
+            value={displayedStatus}
+            onChange={(e) => handleStatusChange(e.target.value)}
+            disabled={pendingStatus !== null}
+            className="p-2 rounded-lg border focus:ring-2 focus:ring-indigo-500 cursor-pointer bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 text-sm shadow-sm disabled:opacity-60"
+        >
+            {/* Only the current status and the transitions this user may make are offered */}
+            {[ticket.status, ...nextStatuses].map(status => (
+                <option key={status} value={status}>{getStatusLabel(workflow, status)}</option>
+            ))}
+        </select>
+    ), [ticket, onUpdate, workflow, pendingStatus, nextStatuses.join('|')]);
+
+
+    return (
+        <div className={`bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg hover:shadow-xl transition duration-300 border-t-4 border-indigo-500 flex flex-col space-y-4 ${selected ? 'ring-2 ring-indigo-400' : ''}`}>
+            <div className="flex justify-between items-start">
+                {onToggleSelect && (
+                    <input
+                        type="checkbox"
+                        checked={selected}
+                        onChange={() => onToggleSelect(ticket.id)}
+                        aria-label={`Select "${ticket.title}"`}
+                        className="mt-1.5 mr-3 h-4 w-4 shrink-0 rounded border-gray-300 dark:border-gray-600 text-indigo-600 dark:text-indigo-400 cursor-pointer"
+                    />
+                )}
+                <h3 className="flex-1 min-w-0 text-xl font-bold text-gray-800 dark:text-gray-100 truncate pr-4">
+                    {/* Each ticket has a shareable deep link */}
+                    <Link to={ticketRoute} className="hover:text-indigo-600 dark:hover:text-indigo-400 transition">{ticket.title}</Link>
+                </h3>
+                <div className="flex flex-col items-end gap-1 shrink-0">
+                    <StatusBadge status={displayedStatus} />
+                    {/* A type since removed by an admin is shown by its id */}
+                    {ticket.typeId && (
+                        <span className="px-2 py-0.5 text-[10px] font-semibold rounded-full bg-indigo-100 dark:bg-indigo-900/50 text-indigo-800 dark:text-indigo-200">
+                            {ticketType?.label || ticket.typeId}
+                        </span>
+                    )}
+                    <span className={`px-2 py-0.5 text-[10px] font-semibold rounded-full ${PRIORITY_STYLES[priority] || PRIORITY_STYLES[DEFAULT_PRIORITY]}`}>
+                        {PRIORITY_LABELS[priority] || priority}
+                    </span>
+                    {isDeleted && (
+                        <span className="px-2 py-0.5 text-[10px] font-semibold rounded-full bg-gray-700 text-white">In trash</span>
+                    )}
+                    {slaBadge && !isDeleted && (
+                        <span className={`px-2 py-0.5 text-[10px] font-semibold rounded-full ${slaBadge.className}`}>{slaBadge.label}</span>
+                    )}
+                    {/* Written on this device but not yet confirmed by the server */}
+                    {ticket.hasPendingWrites && (
+                        <span className="px-2 py-0.5 text-[10px] font-semibold rounded-full bg-orange-100 dark:bg-orange-900/50 text-orange-800 dark:text-orange-200" title="Will sync when back online">
+                            Pending sync
+                        </span>
+                    )}
+                </div>
+            </div>
+
+            <p className="text-sm text-gray-600 dark:text-gray-300 flex-grow leading-relaxed line-clamp-3">{ticket.description}</p>
+
+            {customFields.length > 0 && (
+                <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs">
+                    {customFields.map(({ id, label, value }) => (
+                        <div key={id} className="min-w-0">
+                            <dt className="text-gray-500 dark:text-gray-400">{label}</dt>
+                            <dd className="font-medium text-gray-800 dark:text-gray-100 truncate" title={value}>{value}</dd>
+                        </div>
+                    ))}
+                </dl>
+            )}
+
+            {ticket.dealValue !== undefined && ticket.dealValue !== null && (
+                <div className="grid grid-cols-3 gap-2 p-3 bg-indigo-50 dark:bg-indigo-900/30 rounded-lg text-center">
+                    <div>
+                        <p className="text-xs text-gray-500 dark:text-gray-400 uppercase tracking-wider">Deal</p>
+                        <p className="text-sm font-semibold text-gray-800 dark:text-gray-100">{formatCurrency(ticket.dealValue, ticket.currency)}</p>
+                    </div>
+                    <div>
+                        <p className="text-xs text-gray-500 dark:text-gray-400 uppercase tracking-wider">Rate</p>
+                        <p className="text-sm font-semibold text-gray-800 dark:text-gray-100" title={ticket.rateType === RATE_TYPES.TIERED ? ticket.rateTiers?.map(tier => `${tier.rate}% up to ${tier.upTo ?? '∞'}`).join(', ') : undefined}>
+                            {describeRate(ticket)}
+                        </p>
+                    </div>
+                    <div>
+                        <p className="text-xs text-gray-500 dark:text-gray-400 uppercase tracking-wider">Payout</p>
+                        <p className="text-sm font-bold text-indigo-700 dark:text-indigo-300">{formatCurrency(ticket.payoutAmount, ticket.currency)}</p>
+                    </div>
+                </div>
+            )}
+
+            <div className="text-xs text-gray-500 dark:text-gray-400 space-y-1 pt-2 border-t border-gray-100 dark:border-gray-700">
+                <div className="flex items-center space-x-2">
+                    <span className="w-4 h-4 text-indigo-500 text-lg">👤</span>
+                    <span className="font-medium text-gray-700 dark:text-gray-300">Owner:</span>
+                    {/* Hovering the name reveals the underlying user ID */}
+                    <UserBadge uid={ticket.userId} className="flex-1 text-gray-700 dark:text-gray-300" />
+                </div>
+                <div className="flex items-center space-x-2">
+                    <span className="w-4 h-4 text-indigo-500 text-lg">🎯</span>
+                    <span className="font-medium text-gray-700 dark:text-gray-300">Assignee:</span>
+                    {ticket.assigneeId ? <UserBadge uid={ticket.assigneeId} className="flex-1 text-gray-700 dark:text-gray-300" /> : <span className="italic">Unassigned</span>}
+                </div>
+                <div className="flex items-center space-x-2">
+                    <span className="w-4 h-4 text-indigo-500 text-lg">📅</span>
+                    <span className="font-medium text-gray-700 dark:text-gray-300">Created:</span>
+                    <span>{formatTimestamp(ticket.createdAt)}</span>
+                </div>
+                {sla.deadline && sla.state !== SLA_STATES.RESOLVED && (
+                    <div className="flex items-center space-x-2">
+                        <span className="w-4 h-4 text-indigo-500 text-lg">⏰</span>
+                        <span className="font-medium text-gray-700 dark:text-gray-300">Due:</span>
+                        {/* An explicit due date wins over the priority's SLA */}
+                        <span className={sla.state === SLA_STATES.BREACHED ? 'font-semibold text-red-600 dark:text-red-400' : undefined}>
+                            {ticket.dueDate
+                                ? formatDueDate(ticket.dueDate)
+                                : `${sla.deadline.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })} (SLA)`}
+                        </span>
+                    </div>
+                )}
+            </div>
+
+            <div className="flex justify-between items-center pt-3">
+                {/* Shown only when the workflow allows this user to move the ticket somewhere */}
+                {canMoveStatus ? StatusDropdown : <span />}
+
+                <div className="flex items-center space-x-1">
+                    {canEdit && (
+                        <Link
+                            to={`${ticketRoute}?edit=1`}
+                            className="p-2 text-indigo-600 dark:text-indigo-400 hover:bg-indigo-50 dark:hover:bg-indigo-900/40 rounded-full transition duration-150"
+                            title="Edit Ticket"
+                        >
+                            {/* SVG Pencil Icon (lucide-react icon equivalent) */}
+                            <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M12 20h9"></path><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path></svg>
+                        </Link>
+                    )}
+                    {canDelete && (
+                        <button
+                            onClick={() => onDeleteConfirm(ticket.id)}
+                            className="p-2 text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/40 rounded-full transition duration-150"
+                            title="Delete Ticket"
+                        >
+                            {/* SVG Trash Can Icon (lucide-react icon equivalent) */}
+                            <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path></svg>
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+});
+
+// Stands in for a card whose document could not be rendered (see ErrorBoundary)
+export const BrokenTicketCard = ({ id }) => (
+    <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg border-t-4 border-red-500 text-sm text-red-700 dark:text-red-300">
+        <p className="font-semibold">This ticket could not be displayed.</p>
+        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400 font-mono break-all">{id}</p>
+    </div>
+);
+
+export default TicketCard;
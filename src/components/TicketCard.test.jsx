@@ -0,0 +1,135 @@
+import React from 'react';
+import { describe, expect, it, vi } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import { Timestamp } from 'firebase/firestore';
+import TicketCard from './TicketCard.jsx';
+import ProfilesContext from '../contexts/ProfilesContext.js';
+import TicketTypesContext from '../contexts/TicketTypesContext.js';
+import WorkspaceContext from '../contexts/WorkspaceContext.js';
+import { ROLES } from '../utils/permissions.js';
+import { TICKET_TYPE_PRESETS } from '../utils/ticketTypes.js';
+
+const PROFILES = {
+    carol: { displayName: 'Carol Seller' },
+    bob: { displayName: 'Bob Reviewer' },
+};
+
+const baseTicket = {
+    id: 'ticket-1',
+    title: 'Annual renewal – Acme',
+    description: 'Signed order attached.',
+    dealValue: 12000,
+    currency: 'USD',
+    rateType: 'flat',
+    commissionRate: 5,
+    rateTiers: [],
+    payoutAmount: 600,
+    status: 'Open',
+    priority: 'high',
+    assigneeId: null,
+    dueDate: null,
+    userId: 'carol',
+    createdAt: Timestamp.now(),
+};
+
+const renderCard = ({ ticket = {}, uid = 'carol', role = ROLES.SUBMITTER, onUpdate = vi.fn(), onDeleteConfirm = vi.fn(), ticketTypes = [] } = {}) => {
+    render(
+        <MemoryRouter>
+            <WorkspaceContext.Provider value={{ id: 'ws-1', name: 'Sales', role, members: {} }}>
+                <ProfilesContext.Provider value={PROFILES}>
+                    <TicketTypesContext.Provider value={ticketTypes}>
+                        <TicketCard ticket={{ ...baseTicket, ...ticket }} user={{ uid }} role={role} onUpdate={onUpdate} onDeleteConfirm={onDeleteConfirm} />
+                    </TicketTypesContext.Provider>
+                </ProfilesContext.Provider>
+            </WorkspaceContext.Provider>
+        </MemoryRouter>
+    );
+    return { onUpdate, onDeleteConfirm };
+};
+
+describe('TicketCard', () => {
+    it('shows the ticket, its commission and the owner by name', () => {
+        renderCard();
+
+        expect(screen.getByRole('link', { name: 'Annual renewal – Acme' })).toHaveAttribute('href', '/w/ws-1/tickets/ticket-1');
+        expect(screen.getByText('Signed order attached.')).toBeInTheDocument();
+        expect(screen.getByText('$12,000.00')).toBeInTheDocument();
+        expect(screen.getByText('5%')).toBeInTheDocument();
+        expect(screen.getByText('$600.00')).toBeInTheDocument();
+        expect(screen.getByText('Carol Seller')).toBeInTheDocument();
+        expect(screen.getByText('Unassigned')).toBeInTheDocument();
+        expect(screen.getByText('High')).toBeInTheDocument();
+    });
+
+    it('lets the owner edit and delete but not move the status', async () => {
+        const user = userEvent.setup();
+        const { onDeleteConfirm } = renderCard();
+
+        expect(screen.getByTitle('Edit Ticket')).toHaveAttribute('href', '/w/ws-1/tickets/ticket-1?edit=1');
+        expect(screen.queryByRole('combobox')).not.toBeInTheDocument();
+
+        await user.click(screen.getByTitle('Delete Ticket'));
+        expect(onDeleteConfirm).toHaveBeenCalledWith('ticket-1');
+    });
+
+    it("lets a reviewer move someone else's ticket but not edit it", async () => {
+        const user = userEvent.setup();
+        let finishUpdate;
+        const onUpdate = vi.fn(() => new Promise(resolve => { finishUpdate = resolve; }));
+        renderCard({ uid: 'bob', role: ROLES.REVIEWER, onUpdate });
+
+        expect(screen.queryByTitle('Edit Ticket')).not.toBeInTheDocument();
+        expect(screen.queryByTitle('Delete Ticket')).not.toBeInTheDocument();
+
+        const select = screen.getByRole('combobox');
+        expect(within(select).getAllByRole('option').map(option => option.value)).toEqual(['Open', 'In Progress', 'Resolved']);
+
+        await user.selectOptions(select, 'Resolved');
+        expect(onUpdate).toHaveBeenCalledWith(expect.objectContaining({ id: 'ticket-1' }), { status: 'Resolved' });
+        // Shown at once and locked until the write settles
+        expect(select).toHaveValue('Resolved');
+        expect(select).toBeDisabled();
+
+        finishUpdate(false);
+        await vi.waitFor(() => expect(select).toBeEnabled());
+        expect(select).toHaveValue('Open');
+    });
+
+    it('flags overdue tickets and unsynced changes', () => {
+        renderCard({ ticket: { dueDate: '2020-01-31', hasPendingWrites: true } });
+
+        expect(screen.getByText('Overdue')).toBeInTheDocument();
+        expect(screen.getByText('Pending sync')).toBeInTheDocument();
+        expect(screen.getByText('Jan 31, 2020')).toHaveClass('text-red-600');
+    });
+
+    it('shows a ticket in the trash as read-only, even to its owner', () => {
+        renderCard({ ticket: { deletedAt: Timestamp.now(), deletedBy: 'carol' }, role: ROLES.ADMIN });
+
+        expect(screen.getByText('In trash')).toBeInTheDocument();
+        expect(screen.queryByTitle('Edit Ticket')).not.toBeInTheDocument();
+        expect(screen.queryByTitle('Delete Ticket')).not.toBeInTheDocument();
+        expect(screen.queryByRole('combobox')).not.toBeInTheDocument();
+    });
+
+    it('shows the ticket type and its custom fields', () => {
+        renderCard({
+            ticket: { typeId: 'missing-commission', customFields: { orderId: 'ORD-457', saleDate: '2024-02-01', amount: 900 } },
+            ticketTypes: TICKET_TYPE_PRESETS,
+        });
+
+        expect(screen.getByText('Missing commission')).toBeInTheDocument();
+        expect(screen.getByText('Order ID')).toBeInTheDocument();
+        expect(screen.getByText('ORD-457')).toBeInTheDocument();
+        expect(screen.getByText('Feb 1, 2024')).toBeInTheDocument();
+        expect(screen.getByText('$900.00')).toBeInTheDocument();
+    });
+
+    it('shows the assignee by name', () => {
+        renderCard({ ticket: { assigneeId: 'bob' } });
+        expect(screen.getByText('Bob Reviewer')).toBeInTheDocument();
+        expect(screen.queryByText('Unassigned')).not.toBeInTheDocument();
+    });
+});
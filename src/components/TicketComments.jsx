@@ -0,0 +1,260 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { collection, deleteDoc, doc, onSnapshot, orderBy, query, writeBatch } from 'firebase/firestore';
+import { getCommentsCollectionPath } from '../config.js';
+import UserBadge from './UserBadge.jsx';
+import { useProfiles } from '../contexts/ProfilesContext.js';
+import { useMemberProfiles, useWorkspace } from '../contexts/WorkspaceContext.js';
+import { NOTIFICATION_TYPES, addNotification } from '../utils/notifications.js';
+import { commitWrite } from '../utils/offline.js';
+import { ROLES } from '../utils/permissions.js';
+import { getDisplayName } from '../utils/profiles.js';
+import {
+    COMMENT_MAX_LENGTH,
+    buildComment,
+    buildCommentUpdate,
+    extractMentions,
+    formatMention,
+    getMentionQuery,
+    splitMentions,
+    validateCommentBody,
+} from '../utils/comments.js';
+
+const formatTimestamp = (timestamp) => {
+    if (!timestamp || !timestamp.toDate) return 'Just now';
+    return timestamp.toDate().toLocaleString('en-US', {
+        year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+};
+
+/**
+ * CommentInput: Textarea that suggests users when an @mention is being typed.
+ */
+const CommentInput = ({ value, onChange, onSubmit, submitLabel, onCancel, disabled }) => {
+    const profiles = useMemberProfiles();
+    const textareaRef = useRef(null);
+    const [mentionQuery, setMentionQuery] = useState(null);
+
+    const suggestions = mentionQuery === null ? [] : Object.keys(profiles)
+        .map(uid => ({ uid, name: getDisplayName(profiles[uid], uid) }))
+        .filter(({ name }) => name.toLowerCase().includes(mentionQuery.toLowerCase()))
+        .slice(0, 5);
+
+    const handleChange = (e) => {
+        onChange(e.target.value);
+        setMentionQuery(getMentionQuery(e.target.value, e.target.selectionStart));
+    };
+
+    const insertMention = (uid) => {
+        const cursor = textareaRef.current.selectionStart;
+        const before = value.slice(0, cursor).replace(/@[^\s@]*$/, '');
+        const mention = `${formatMention(profiles[uid], uid)} `;
+        onChange(before + mention + value.slice(cursor));
+        setMentionQuery(null);
+        textareaRef.current.focus();
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        setMentionQuery(null);
+        onSubmit();
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-2">
+            <textarea
+                ref={textareaRef}
+                value={value}
+                onChange={handleChange}
+                onKeyDown={(e) => {
+                    if (e.key === 'Escape') setMentionQuery(null);
+                    // Ctrl/Cmd+Enter posts without reaching for the mouse
+                    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) handleSubmit(e);
+                }}
+                rows="3"
+                maxLength={COMMENT_MAX_LENGTH}
+                placeholder="Write a comment... Type @ to mention someone."
+                className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm text-sm"
+                disabled={disabled}
+            />
+            {suggestions.length > 0 && (
+                <ul className="w-64 bg-white dark:bg-gray-800 border rounded-lg shadow-lg text-sm overflow-hidden" aria-label="Mention suggestions">
+                    {suggestions.map(({ uid }) => (
+                        <li key={uid}>
+                            <button type="button" onClick={() => insertMention(uid)} className="w-full text-left px-3 py-2 hover:bg-indigo-50 dark:hover:bg-indigo-900/40">
+                                <UserBadge uid={uid} />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div className="flex justify-end space-x-2">
+                {onCancel && (
+                    <button type="button" onClick={onCancel} className="px-3 py-1.5 text-sm font-medium rounded-lg text-gray-700 dark:text-gray-300 bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition">
+                        Cancel
+                    </button>
+                )}
+                <button
+                    type="submit"
+                    disabled={disabled || !value.trim()}
+                    className="px-3 py-1.5 text-sm font-semibold rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 shadow-md transition disabled:opacity-50"
+                >
+                    {submitLabel}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+/**
+ * TicketComments: Live discussion thread for a ticket. Every workspace member can
+ * comment; authors edit and delete their own comments, admins can delete any.
+ */
+const TicketComments = ({ db, ticket, user, role }) => {
+    const profiles = useProfiles();
+    const memberProfiles = useMemberProfiles();
+    const workspace = useWorkspace();
+    const [comments, setComments] = useState([]);
+    const [draft, setDraft] = useState('');
+    const [editing, setEditing] = useState(null); // { id, body }
+    const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+    const [error, setError] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    useEffect(() => {
+        if (!db) return;
+
+        const commentsQuery = query(collection(db, getCommentsCollectionPath(workspace.id, ticket.id)), orderBy('createdAt', 'asc'));
+        const unsubscribe = onSnapshot(commentsQuery, (snapshot) => {
+            setComments(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => {
+            console.error("Error listening to comments: ", err);
+            setError('Comments could not be loaded.');
+        });
+
+        return () => unsubscribe();
+    }, [db, workspace.id, ticket.id]);
+
+    // Runs a write and reports a readable error; returns whether it succeeded
+    const run = async (action, failureMessage) => {
+        setError(null);
+        setBusy(true);
+        try {
+            await action();
+            return true;
+        } catch (err) {
+            console.error(`${failureMessage}: `, err);
+            setError(failureMessage);
+            return false;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const notifyMentions = (batch, uids) => {
+        uids.forEach(uid => addNotification(batch, db, workspace.id, uid, NOTIFICATION_TYPES.MENTION, ticket, user.uid));
+    };
+
+    const addComment = async () => {
+        const validationError = validateCommentBody(draft);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+        const mentions = extractMentions(draft, memberProfiles);
+        const batch = writeBatch(db);
+        batch.set(doc(collection(db, getCommentsCollectionPath(workspace.id, ticket.id))), buildComment(draft, user.uid, mentions));
+        notifyMentions(batch, mentions);
+        const saved = await run(() => commitWrite(batch.commit(), 'comment'), 'Comment could not be posted');
+        if (saved) setDraft('');
+    };
+
+    const saveEdit = async () => {
+        const validationError = validateCommentBody(editing.body);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+        const mentions = extractMentions(editing.body, memberProfiles);
+        const previousMentions = comments.find(comment => comment.id === editing.id)?.mentions || [];
+        const batch = writeBatch(db);
+        batch.update(doc(db, getCommentsCollectionPath(workspace.id, ticket.id), editing.id), buildCommentUpdate(editing.body, mentions));
+        // Only people newly mentioned by the edit are notified
+        notifyMentions(batch, mentions.filter(uid => !previousMentions.includes(uid)));
+        const saved = await run(() => commitWrite(batch.commit(), 'comment edit'), 'Comment could not be updated');
+        if (saved) setEditing(null);
+    };
+
+    const deleteComment = async (commentId) => {
+        await run(() => commitWrite(deleteDoc(doc(db, getCommentsCollectionPath(workspace.id, ticket.id), commentId)), 'comment deletion'), 'Comment could not be deleted');
+        setConfirmDeleteId(null);
+    };
+
+    return (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg">
+            <h3 className="text-xl font-bold text-gray-800 dark:text-gray-100 mb-4">Discussion ({comments.length})</h3>
+
+            {comments.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">No comments yet. Start the conversation below.</p>
+            ) : (
+                <ul className="space-y-4 mb-6">
+                    {comments.map(comment => {
+                        const isAuthor = comment.authorId === user?.uid;
+                        return (
+                            <li key={comment.id} className="border-b border-gray-100 dark:border-gray-700 pb-3">
+                                <div className="flex items-center justify-between text-xs text-gray-500 dark:text-gray-400">
+                                    <span>
+                                        <UserBadge uid={comment.authorId} className="font-medium text-gray-700 dark:text-gray-300" />
+                                        {' · '}{formatTimestamp(comment.createdAt)}
+                                        {comment.updatedAt && <span className="italic"> (edited)</span>}
+                                    </span>
+                                    {editing?.id !== comment.id && (
+                                        <span className="space-x-2">
+                                            {isAuthor && (
+                                                <button type="button" onClick={() => setEditing({ id: comment.id, body: comment.body })} className="text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-200">
+                                                    Edit
+                                                </button>
+                                            )}
+                                            {(isAuthor || role === ROLES.ADMIN) && (confirmDeleteId === comment.id ? (
+                                                <>
+                                                    <button type="button" onClick={() => deleteComment(comment.id)} disabled={busy} className="font-semibold text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-200">Confirm delete</button>
+                                                    <button type="button" onClick={() => setConfirmDeleteId(null)} className="text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-100">Keep</button>
+                                                </>
+                                            ) : (
+                                                <button type="button" onClick={() => setConfirmDeleteId(comment.id)} className="text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-200">Delete</button>
+                                            ))}
+                                        </span>
+                                    )}
+                                </div>
+                                {editing?.id === comment.id ? (
+                                    <div className="mt-2">
+                                        <CommentInput
+                                            value={editing.body}
+                                            onChange={(body) => setEditing(prev => ({ ...prev, body }))}
+                                            onSubmit={saveEdit}
+                                            onCancel={() => setEditing(null)}
+                                            submitLabel="Save"
+                                            disabled={busy}
+                                        />
+                                    </div>
+                                ) : (
+                                    <p className="mt-1 text-sm text-gray-800 dark:text-gray-100 whitespace-pre-wrap break-words">
+                                        {splitMentions(comment.body, comment.mentions, profiles).map((part, index) => (
+                                            part.uid
+                                                ? <span key={index} className={`font-semibold ${part.uid === user?.uid ? 'bg-yellow-100 dark:bg-yellow-900/50 text-yellow-900 dark:text-yellow-200' : 'text-indigo-700 dark:text-indigo-300'}`}>{part.text}</span>
+                                                : <React.Fragment key={index}>{part.text}</React.Fragment>
+                                        ))}
+                                    </p>
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+
+            {error && <p className="mb-2 text-sm font-medium text-red-600 dark:text-red-400">{error}</p>}
+            <CommentInput value={draft} onChange={setDraft} onSubmit={addComment} submitLabel="Comment" disabled={busy || !user} />
+        </div>
+    );
+};
+
+export default TicketComments;
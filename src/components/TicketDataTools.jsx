@@ -0,0 +1,160 @@
+import React, { useRef, useState } from 'react';
+import { useProfiles } from '../contexts/ProfilesContext.js';
+import { useTicketTypes } from '../contexts/TicketTypesContext.js';
+import { getDisplayName } from '../utils/profiles.js';
+import { validateTicketInput } from '../utils/tickets.js';
+import { findTicketType } from '../utils/ticketTypes.js';
+import {
+    IMPORT_COLUMNS,
+    buildExportFilename,
+    downloadFile,
+    parseTicketCsv,
+    printSummary,
+    ticketsToCsv,
+    ticketsToJson,
+    ticketsToPrintSection,
+} from '../utils/ticketIO.js';
+
+const buttonStyle = "px-3 py-2 text-sm font-medium rounded-lg bg-white dark:bg-gray-800 border text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 shadow-sm transition disabled:opacity-50";
+
+/**
+ * TicketDataTools: Export of the tickets currently shown (CSV / JSON / PDF) and
+ * CSV import, which validates every row and creates tickets via `onImportTicket`.
+ */
+const TicketDataTools = ({ tickets, viewLabel, defaultCurrency, onImportTicket }) => {
+    const profiles = useProfiles();
+    const ticketTypes = useTicketTypes();
+    const fileInputRef = useRef(null);
+    const [importState, setImportState] = useState(null); // { fileName, error, rows, results, running }
+
+    const filename = buildExportFilename(viewLabel);
+
+    const exportPdf = () => {
+        const opened = printSummary({
+            title: `Commission Tickets — ${viewLabel}`,
+            subtitle: `${tickets.length} ticket(s) · Generated ${new Date().toLocaleString('en-US')}`,
+            sections: [ticketsToPrintSection(viewLabel, tickets, (uid) => getDisplayName(profiles[uid], uid))],
+        });
+        if (!opened) alert('Allow pop-ups for this site to export a PDF.');
+    };
+
+    // Custom fields are checked against the row's ticket type, which must exist in this workspace
+    const validateImportRow = (input) => {
+        const ticketType = findTicketType(ticketTypes, input.typeId);
+        if (input.typeId && !ticketType) return `Unknown ticket type "${input.typeId}".`;
+        return validateTicketInput(input, ticketType);
+    };
+
+    const handleFileSelected = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = ''; // allow re-selecting the same file
+        if (!file) return;
+
+        const { error, rows } = parseTicketCsv(await file.text(), { defaultCurrency });
+        // Validate up front so every problem is reported before anything is written
+        const checkedRows = rows.map(row => (row.error ? row : { ...row, error: validateImportRow(row.input) }));
+        setImportState({ fileName: file.name, error, rows: checkedRows, results: null, running: false });
+    };
+
+    const runImport = async () => {
+        const validRows = importState.rows.filter(row => !row.error);
+        setImportState(prev => ({ ...prev, running: true }));
+
+        const results = [];
+        // Sequential on purpose: keeps the created order stable and surfaces the failing row
+        for (const row of validRows) {
+            try {
+                await onImportTicket(row.input);
+                results.push({ line: row.line, ok: true });
+            } catch (error) {
+                console.error(`Error importing row ${row.line}: `, error);
+                results.push({ line: row.line, ok: false, error: error.message });
+            }
+        }
+        setImportState(prev => ({ ...prev, running: false, results }));
+    };
+
+    const validCount = importState?.rows.filter(row => !row.error).length || 0;
+    const invalidRows = importState?.rows.filter(row => row.error) || [];
+    const failedResults = importState?.results?.filter(result => !result.ok) || [];
+
+    return (
+        <div className="flex flex-wrap items-center gap-2">
+            <button type="button" className={buttonStyle} disabled={tickets.length === 0} onClick={() => downloadFile(ticketsToCsv(tickets), `${filename}.csv`, 'text/csv;charset=utf-8')}>
+                Export CSV
+            </button>
+            <button type="button" className={buttonStyle} disabled={tickets.length === 0} onClick={() => downloadFile(ticketsToJson(tickets), `${filename}.json`, 'application/json')}>
+                Export JSON
+            </button>
+            <button type="button" className={buttonStyle} disabled={tickets.length === 0} onClick={exportPdf}>
+                Export PDF
+            </button>
+            <button type="button" className={buttonStyle} onClick={() => fileInputRef.current?.click()}>
+                Import CSV
+            </button>
+            <input ref={fileInputRef} type="file" accept=".csv,text/csv" className="hidden" onChange={handleFileSelected} />
+
+            {importState && (
+                <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 backdrop-blur-sm">
+                    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl p-6 w-full max-w-lg max-h-[80vh] overflow-y-auto">
+                        <h3 className="text-xl font-bold text-gray-800 dark:text-gray-100 border-b pb-2 mb-4">Import {importState.fileName}</h3>
+
+                        {importState.error ? (
+                            <div className="space-y-2 text-sm">
+                                <p className="text-red-600 dark:text-red-400 font-medium">{importState.error}</p>
+                                <p className="text-gray-500 dark:text-gray-400">Expected columns: <code className="font-mono">{IMPORT_COLUMNS.join(', ')}</code></p>
+                            </div>
+                        ) : importState.results ? (
+                            <div className="space-y-2 text-sm">
+                                <p className="text-green-700 dark:text-green-300 font-medium">
+                                    Imported {importState.results.length - failedResults.length} of {importState.rows.length} row(s).
+                                </p>
+                                {[...invalidRows, ...failedResults].length > 0 && (
+                                    <ul className="space-y-1 text-red-600 dark:text-red-400">
+                                        {[...invalidRows, ...failedResults]
+                                            .sort((a, b) => a.line - b.line)
+                                            .map(row => <li key={row.line}>Row {row.line}: {row.error}</li>)}
+                                    </ul>
+                                )}
+                            </div>
+                        ) : (
+                            <div className="space-y-2 text-sm">
+                                <p className="text-gray-700 dark:text-gray-300">
+                                    {validCount} valid row(s) ready to import{invalidRows.length > 0 ? `, ${invalidRows.length} with errors (skipped)` : ''}.
+                                </p>
+                                {invalidRows.length > 0 && (
+                                    <ul className="space-y-1 text-red-600 dark:text-red-400">
+                                        {invalidRows.map(row => <li key={row.line}>Row {row.line}: {row.error}</li>)}
+                                    </ul>
+                                )}
+                            </div>
+                        )}
+
+                        <div className="flex justify-end space-x-3 mt-6">
+                            <button
+                                type="button"
+                                onClick={() => setImportState(null)}
+                                disabled={importState.running}
+                                className="px-4 py-2 text-sm font-medium rounded-lg text-gray-700 dark:text-gray-300 bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition"
+                            >
+                                {importState.results || importState.error ? 'Close' : 'Cancel'}
+                            </button>
+                            {!importState.results && !importState.error && (
+                                <button
+                                    type="button"
+                                    onClick={runImport}
+                                    disabled={validCount === 0 || importState.running}
+                                    className="px-4 py-2 text-sm font-medium rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 shadow-md transition disabled:opacity-50"
+                                >
+                                    {importState.running ? 'Importing...' : `Import ${validCount} Ticket(s)`}
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TicketDataTools;
@@ -0,0 +1,107 @@
+import React, { useState, useCallback } from 'react';
+import AssignmentFields from './AssignmentFields.jsx';
+import CommissionFields, { FieldError, getInputStyle } from './CommissionFields.jsx';
+import CustomFields from './CustomFields.jsx';
+import { useTicketTypes } from '../contexts/TicketTypesContext.js';
+import { findTicketType } from '../utils/ticketTypes.js';
+import { TITLE_MAX_LENGTH, buildTicketUpdate, getTicketFieldErrors, toTicketInput } from '../utils/tickets.js';
+
+/**
+ * TicketEditForm: Edits every user-editable field of an existing ticket. The
+ * payout is recomputed on save; `onSave` resolves to true when the write succeeded.
+ * The custom fields are those of the ticket's type as currently defined.
+ */
+const TicketEditForm = ({ ticket, onSave, onCancel }) => {
+    const ticketType = findTicketType(useTicketTypes(), ticket.typeId);
+    const [input, setInput] = useState(() => toTicketInput(ticket));
+    const [formError, setFormError] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [showFieldErrors, setShowFieldErrors] = useState(false);
+    const fieldErrors = showFieldErrors ? getTicketFieldErrors(input, ticketType) : {};
+
+    const updateInput = useCallback((changes) => {
+        setFormError(null);
+        setInput(prev => ({ ...prev, ...changes }));
+    }, []);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (Object.keys(getTicketFieldErrors(input, ticketType)).length > 0) {
+            setShowFieldErrors(true);
+            return;
+        }
+
+        setSaving(true);
+        const saved = await onSave(buildTicketUpdate(input, ticketType));
+        setSaving(false);
+        if (saved) {
+            onCancel();
+        } else {
+            setFormError('The ticket could not be saved. Please try again.');
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} noValidate className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg border-t-4 border-indigo-500 space-y-4">
+            <h3 className="text-xl font-bold text-gray-800 dark:text-gray-100">Edit Ticket</h3>
+            <div>
+                <label htmlFor="edit-title" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Title</label>
+                <input
+                    id="edit-title"
+                    type="text"
+                    value={input.title}
+                    onChange={(e) => updateInput({ title: e.target.value })}
+                    required
+                    maxLength={TITLE_MAX_LENGTH}
+                    aria-invalid={Boolean(fieldErrors.title)}
+                    aria-describedby="edit-title-error"
+                    className={getInputStyle(fieldErrors.title)}
+                />
+                <FieldError id="edit-title-error" message={fieldErrors.title} />
+            </div>
+            <div>
+                <label htmlFor="edit-description" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Description</label>
+                <textarea
+                    id="edit-description"
+                    value={input.description}
+                    onChange={(e) => updateInput({ description: e.target.value })}
+                    rows="4"
+                    required
+                    aria-invalid={Boolean(fieldErrors.description)}
+                    aria-describedby="edit-description-error"
+                    className={getInputStyle(fieldErrors.description)}
+                ></textarea>
+                <FieldError id="edit-description-error" message={fieldErrors.description} />
+            </div>
+            <CustomFields
+                ticketType={ticketType}
+                values={input.customFields}
+                onChange={(customFields) => updateInput({ customFields })}
+                errors={fieldErrors}
+                currency={input.currency}
+                idPrefix="edit-"
+            />
+            <AssignmentFields value={input} onChange={updateInput} errors={fieldErrors} idPrefix="edit-" />
+            <CommissionFields commission={input} onChange={updateInput} errors={fieldErrors} />
+            {formError && <p className="text-sm font-medium text-red-600 dark:text-red-400">{formError}</p>}
+            <div className="flex justify-end space-x-3">
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    className="px-4 py-2 text-sm font-medium rounded-lg text-gray-700 dark:text-gray-300 bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition"
+                >
+                    Cancel
+                </button>
+                <button
+                    type="submit"
+                    disabled={saving}
+                    className="px-4 py-2 text-sm font-medium rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 shadow-md transition disabled:opacity-50"
+                >
+                    {saving ? 'Saving...' : 'Save Changes'}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default TicketEditForm;
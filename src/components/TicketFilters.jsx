@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { useMemberProfiles } from '../contexts/WorkspaceContext.js';
+import { useWorkflow } from '../contexts/WorkflowContext.js';
+import { getDisplayName } from '../utils/profiles.js';
+import { getStatusIds, getStatusLabel } from '../utils/workflow.js';
+import {
+    DEFAULT_FILTERS,
+    SORT_LABELS,
+    countActiveFilters,
+    filtersFromSearchParams,
+    filtersToSearchParams,
+} from '../utils/ticketFilters.js';
+
+const fieldStyle = "mt-1 block w-full rounded-md border border-gray-300 dark:border-gray-600 shadow-sm p-2 bg-white dark:bg-gray-800 text-sm";
+const labelStyle = "block text-xs font-medium text-gray-600 dark:text-gray-300";
+
+/**
+ * TicketFilters: Search box, filters, sort order and saved presets for a ticket
+ * list. Presets store the URL query string, so applying one restores the exact view.
+ * `partial` notes that the results cover only the tickets loaded so far.
+ */
+const TicketFilters = ({ filters, onChange, showOwner, presets = [], onSavePresets, resultCount, totalCount, partial = false }) => {
+    const profiles = useMemberProfiles();
+    const workflow = useWorkflow();
+    const [presetName, setPresetName] = useState('');
+
+    const setFilter = (key, value) => onChange({ ...filters, [key]: value });
+    const activeCount = countActiveFilters(filters);
+    const currentSearch = filtersToSearchParams(filters).toString();
+
+    const ownerOptions = Object.keys(profiles)
+        .map(uid => ({ uid, name: getDisplayName(profiles[uid], uid) }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    const savePreset = (e) => {
+        e.preventDefault();
+        const name = presetName.trim();
+        if (!name) return;
+        // Saving under an existing name replaces that preset
+        onSavePresets([...presets.filter(preset => preset.name !== name), { name, search: currentSearch }]);
+        setPresetName('');
+    };
+
+    const applyPreset = (name) => {
+        const preset = presets.find(p => p.name === name);
+        if (preset) onChange(filtersFromSearchParams(new URLSearchParams(preset.search)));
+    };
+
+    return (
+        <div className="mb-6 p-4 bg-white dark:bg-gray-800 rounded-xl shadow-md space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+                <label className="block sm:col-span-2">
+                    <span className={labelStyle}>Search</span>
+                    <input
+                        type="search"
+                        value={filters.q}
+                        onChange={(e) => setFilter('q', e.target.value)}
+                        placeholder="Title or description..."
+                        className={fieldStyle}
+                    />
+                </label>
+                <label className="block">
+                    <span className={labelStyle}>Status</span>
+                    <select value={filters.status} onChange={(e) => setFilter('status', e.target.value)} className={fieldStyle}>
+                        <option value="">All statuses</option>
+                        {getStatusIds(workflow).map(status => <option key={status} value={status}>{getStatusLabel(workflow, status)}</option>)}
+                    </select>
+                </label>
+                <label className="block">
+                    <span className={labelStyle}>Sort by</span>
+                    <select value={filters.sort} onChange={(e) => setFilter('sort', e.target.value)} className={fieldStyle}>
+                        {Object.entries(SORT_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                </label>
+                {showOwner && (
+                    <label className="block">
+                        <span className={labelStyle}>Owner</span>
+                        <select value={filters.owner} onChange={(e) => setFilter('owner', e.target.value)} className={fieldStyle}>
+                            <option value="">Anyone</option>
+                            {ownerOptions.map(({ uid, name }) => <option key={uid} value={uid}>{name}</option>)}
+                        </select>
+                    </label>
+                )}
+                <label className="block">
+                    <span className={labelStyle}>Created from</span>
+                    <input type="date" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} className={fieldStyle} />
+                </label>
+                <label className="block">
+                    <span className={labelStyle}>Created to</span>
+                    <input type="date" value={filters.to} onChange={(e) => setFilter('to', e.target.value)} className={fieldStyle} />
+                </label>
+                <div className="grid grid-cols-2 gap-2">
+                    <label className="block">
+                        <span className={labelStyle}>Min deal value</span>
+                        <input type="number" min="0" step="any" value={filters.minAmount} onChange={(e) => setFilter('minAmount', e.target.value)} className={fieldStyle} />
+                    </label>
+                    <label className="block">
+                        <span className={labelStyle}>Max deal value</span>
+                        <input type="number" min="0" step="any" value={filters.maxAmount} onChange={(e) => setFilter('maxAmount', e.target.value)} className={fieldStyle} />
+                    </label>
+                </div>
+            </div>
+
+            <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3 text-sm">
+                <div className="flex items-center gap-3 text-gray-600 dark:text-gray-300">
+                    <span>Showing {resultCount} of {totalCount} ticket(s)</span>
+                    {partial && <span className="text-xs text-gray-500 dark:text-gray-400">Only loaded tickets are searched and sorted.</span>}
+                    {activeCount > 0 && (
+                        <button
+                            type="button"
+                            onClick={() => onChange({ ...DEFAULT_FILTERS, sort: filters.sort })}
+                            className="font-medium text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-200"
+                        >
+                            Clear {activeCount} filter(s)
+                        </button>
+                    )}
+                </div>
+
+                <div className="flex flex-wrap items-center gap-2">
+                    {presets.length > 0 && (
+                        <select
+                            value=""
+                            onChange={(e) => applyPreset(e.target.value)}
+                            className="rounded-md border border-gray-300 dark:border-gray-600 shadow-sm p-2 bg-white dark:bg-gray-800 text-sm"
+                            aria-label="Apply a saved filter"
+                        >
+                            <option value="">Saved filters...</option>
+                            {presets.map(preset => <option key={preset.name} value={preset.name}>{preset.name}</option>)}
+                        </select>
+                    )}
+                    {presets.some(preset => preset.search === currentSearch) && (
+                        <button
+                            type="button"
+                            onClick={() => onSavePresets(presets.filter(preset => preset.search !== currentSearch))}
+                            className="px-3 py-2 text-xs font-medium rounded-lg text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/40 transition"
+                        >
+                            Delete preset
+                        </button>
+                    )}
+                    <form onSubmit={savePreset} className="flex items-center gap-2">
+                        <input
+                            type="text"
+                            value={presetName}
+                            onChange={(e) => setPresetName(e.target.value)}
+                            placeholder="Preset name"
+                            maxLength={40}
+                            className="rounded-md border border-gray-300 dark:border-gray-600 shadow-sm p-2 text-sm w-36"
+                        />
+                        <button
+                            type="submit"
+                            disabled={!presetName.trim()}
+                            className="px-3 py-2 text-sm font-medium rounded-lg bg-white dark:bg-gray-800 border text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 shadow-sm transition disabled:opacity-50"
+                        >
+                            Save Filter
+                        </button>
+                    </form>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default TicketFilters;
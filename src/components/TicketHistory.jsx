@@ -0,0 +1,81 @@
+import React, { useState, useEffect } from 'react';
+import { collection, onSnapshot, orderBy, query } from 'firebase/firestore';
+import { getHistoryCollectionPath } from '../config.js';
+import UserBadge from './UserBadge.jsx';
+import { useWorkspace } from '../contexts/WorkspaceContext.js';
+import { HISTORY_TYPES, TRACKED_FIELDS, formatHistoryValue } from '../utils/history.js';
+
+const formatTimestamp = (timestamp) => {
+    if (!timestamp || !timestamp.toDate) return 'Just now';
+    return timestamp.toDate().toLocaleString('en-US', {
+        year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+};
+
+// People are shown by name rather than uid
+const HistoryValue = ({ field, value, currency }) => (
+    field === 'assigneeId' && value
+        ? <UserBadge uid={value} />
+        : formatHistoryValue(field, value, currency)
+);
+
+/**
+ * TicketHistory: Live timeline of a ticket's audit log, newest entry first.
+ */
+const TicketHistory = ({ db, ticket }) => {
+    const workspace = useWorkspace();
+    const [entries, setEntries] = useState([]);
+
+    useEffect(() => {
+        if (!db) return;
+
+        const historyQuery = query(collection(db, getHistoryCollectionPath(workspace.id, ticket.id)), orderBy('changedAt', 'desc'));
+        const unsubscribe = onSnapshot(historyQuery, (snapshot) => {
+            setEntries(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => {
+            console.error("Error listening to ticket history: ", error);
+        });
+
+        return () => unsubscribe();
+    }, [db, workspace.id, ticket.id]);
+
+    return (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg">
+            <h3 className="text-xl font-bold text-gray-800 dark:text-gray-100 mb-4">History</h3>
+            {entries.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No changes recorded yet.</p>
+            ) : (
+                <ol className="relative border-l-2 border-indigo-100 dark:border-indigo-800 space-y-6 ml-2">
+                    {entries.map(entry => (
+                        <li key={entry.id} className="ml-4">
+                            <span className="absolute -left-[7px] mt-1.5 w-3 h-3 rounded-full bg-indigo-500"></span>
+                            <p className="text-xs text-gray-500 dark:text-gray-400">
+                                {formatTimestamp(entry.changedAt)} · <UserBadge uid={entry.actorId} className="font-medium text-gray-700 dark:text-gray-300" />
+                            </p>
+                            {entry.type === HISTORY_TYPES.CREATED ? (
+                                <p className="text-sm font-medium text-gray-800 dark:text-gray-100">Created the ticket</p>
+                            ) : entry.type === HISTORY_TYPES.DELETED ? (
+                                <p className="text-sm font-medium text-red-700 dark:text-red-300">Moved the ticket to the trash</p>
+                            ) : entry.type === HISTORY_TYPES.RESTORED ? (
+                                <p className="text-sm font-medium text-gray-800 dark:text-gray-100">Restored the ticket from the trash</p>
+                            ) : (
+                                <ul className="mt-1 space-y-1 text-sm text-gray-700 dark:text-gray-300">
+                                    {entry.changes.map(({ field, from, to }) => (
+                                        <li key={field}>
+                                            <span className="font-medium">{TRACKED_FIELDS[field] || field}:</span>{' '}
+                                            <span className="line-through text-gray-400"><HistoryValue field={field} value={from} currency={ticket.currency} /></span>
+                                            {' → '}
+                                            <span><HistoryValue field={field} value={to} currency={ticket.currency} /></span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+};
+
+export default TicketHistory;
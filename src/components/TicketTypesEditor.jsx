@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from 'react';
+import {
+    FIELD_LABEL_MAX_LENGTH,
+    FIELD_TYPES,
+    FIELD_TYPE_LABELS,
+    TICKET_TYPE_PRESETS,
+    TYPE_LABEL_MAX_LENGTH,
+    toFieldId,
+    toTypeId,
+    validateTicketTypes,
+} from '../utils/ticketTypes.js';
+
+const inputStyle = "block w-full rounded-md border border-gray-300 dark:border-gray-600 shadow-sm p-1.5 text-sm bg-white dark:bg-gray-800";
+
+// Drafts key types and fields locally; new ones get their id from the label on save,
+// saved ones keep theirs since tickets store it
+let nextKey = 0;
+const toDraftField = (field, isNew) => ({ ...field, key: `field-${nextKey++}`, isNew });
+const toDraftType = (type, isNew) => ({ ...type, key: `type-${nextKey++}`, isNew, fields: type.fields.map(field => toDraftField(field, isNew)) });
+const toDraft = (types) => types.map(type => toDraftType(type, false));
+
+const fromDraft = (draft) => draft.map(type => ({
+    id: type.isNew ? toTypeId(type.label) : type.id,
+    label: type.label.trim(),
+    descriptionHint: type.descriptionHint.trim(),
+    fields: type.fields.map(field => ({
+        id: field.isNew ? toFieldId(field.label) : field.id,
+        label: field.label.trim(),
+        type: field.type,
+        required: field.required,
+        pattern: field.type === FIELD_TYPES.TEXT ? field.pattern.trim() : '',
+    })),
+}));
+
+/**
+ * TicketTypesEditor: Admin editor for the ticket types offered on the
+ * submission form — their names, description hints and custom fields (label,
+ * kind of value, whether it is required and an optional format for text).
+ */
+const TicketTypesEditor = ({ ticketTypes, onSave }) => {
+    const [draft, setDraft] = useState(() => toDraft(ticketTypes));
+    const [message, setMessage] = useState(null); // { type: 'error' | 'success', text }
+    const [saving, setSaving] = useState(false);
+
+    // Pick up changes saved by another admin
+    useEffect(() => {
+        setDraft(toDraft(ticketTypes));
+    }, [ticketTypes]);
+
+    const update = (next) => {
+        setDraft(next);
+        setMessage(null);
+    };
+
+    const updateType = (key, changes) => update(draft.map(type => (type.key === key ? { ...type, ...changes } : type)));
+
+    const updateField = (typeKey, fieldKey, changes) => {
+        const type = draft.find(t => t.key === typeKey);
+        updateType(typeKey, { fields: type.fields.map(field => (field.key === fieldKey ? { ...field, ...changes } : field)) });
+    };
+
+    const addType = (preset) => {
+        const type = preset || { id: '', label: '', descriptionHint: '', fields: [] };
+        update([...draft, toDraftType(type, true)]);
+    };
+
+    const addField = (typeKey) => {
+        const type = draft.find(t => t.key === typeKey);
+        updateType(typeKey, { fields: [...type.fields, toDraftField({ id: '', label: '', type: FIELD_TYPES.TEXT, required: false, pattern: '' }, true)] });
+    };
+
+    const removeField = (typeKey, fieldKey) => {
+        const type = draft.find(t => t.key === typeKey);
+        updateType(typeKey, { fields: type.fields.filter(field => field.key !== fieldKey) });
+    };
+
+    const handleSave = async () => {
+        const next = fromDraft(draft);
+        const error = validateTicketTypes(next);
+        if (error) {
+            setMessage({ type: 'error', text: error });
+            return;
+        }
+        setSaving(true);
+        const saveError = await onSave(next);
+        setSaving(false);
+        setMessage(saveError ? { type: 'error', text: saveError } : { type: 'success', text: 'Ticket types saved.' });
+    };
+
+    return (
+        <div className="mt-8 space-y-4">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+                <h3 className="text-xl font-bold text-yellow-800 dark:text-yellow-200">Ticket Types</h3>
+                <select
+                    value=""
+                    onChange={(e) => addType(TICKET_TYPE_PRESETS.find(preset => preset.id === e.target.value))}
+                    className="rounded-md border border-gray-300 dark:border-gray-600 shadow-sm p-2 text-sm bg-white dark:bg-gray-800"
+                    aria-label="Add a preset ticket type"
+                >
+                    <option value="">Add a preset...</option>
+                    {TICKET_TYPE_PRESETS.map(preset => <option key={preset.id} value={preset.id}>{preset.label}</option>)}
+                </select>
+            </div>
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+                Submitters pick a type on the new ticket form and fill in its fields. Without any types the form asks for a title and description only.
+            </p>
+
+            {draft.map(type => (
+                <div key={type.key} className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-3 space-y-3">
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                        <label className="block text-sm">
+                            <span className="text-gray-700 dark:text-gray-300">Name</span>
+                            <input
+                                type="text"
+                                value={type.label}
+                                onChange={(e) => updateType(type.key, { label: e.target.value })}
+                                maxLength={TYPE_LABEL_MAX_LENGTH}
+                                placeholder="e.g. Missing commission"
+                                className={`mt-1 ${inputStyle}`}
+                            />
+                        </label>
+                        <label className="block text-sm">
+                            <span className="text-gray-700 dark:text-gray-300">Description hint</span>
+                            <input
+                                type="text"
+                                value={type.descriptionHint}
+                                onChange={(e) => updateType(type.key, { descriptionHint: e.target.value })}
+                                placeholder="Shown in the empty description box"
+                                className={`mt-1 ${inputStyle}`}
+                            />
+                        </label>
+                    </div>
+
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full text-sm">
+                            <thead className="bg-yellow-100 dark:bg-yellow-900/50 text-yellow-900 dark:text-yellow-200 text-left">
+                                <tr>
+                                    <th className="p-2">Field</th>
+                                    <th className="p-2">Kind</th>
+                                    <th className="p-2 text-center">Required</th>
+                                    <th className="p-2">Format (text only)</th>
+                                    <th className="p-2"></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {type.fields.map(field => (
+                                    <tr key={field.key} className="border-t border-gray-100 dark:border-gray-700">
+                                        <td className="p-2">
+                                            <input
+                                                type="text"
+                                                value={field.label}
+                                                onChange={(e) => updateField(type.key, field.key, { label: e.target.value })}
+                                                maxLength={FIELD_LABEL_MAX_LENGTH}
+                                                placeholder="e.g. Order ID"
+                                                aria-label="Field label"
+                                                className={inputStyle}
+                                            />
+                                        </td>
+                                        <td className="p-2">
+                                            <select
+                                                value={field.type}
+                                                onChange={(e) => updateField(type.key, field.key, { type: e.target.value })}
+                                                aria-label="Kind of value"
+                                                className={inputStyle}
+                                            >
+                                                {Object.entries(FIELD_TYPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                            </select>
+                                        </td>
+                                        <td className="p-2 text-center">
+                                            <input
+                                                type="checkbox"
+                                                checked={field.required}
+                                                onChange={(e) => updateField(type.key, field.key, { required: e.target.checked })}
+                                                aria-label="Required"
+                                            />
+                                        </td>
+                                        <td className="p-2">
+                                            <input
+                                                type="text"
+                                                value={field.pattern}
+                                                onChange={(e) => updateField(type.key, field.key, { pattern: e.target.value })}
+                                                disabled={field.type !== FIELD_TYPES.TEXT}
+                                                placeholder="e.g. ORD-\d{6}"
+                                                aria-label="Format as a regular expression"
+                                                title="A regular expression the whole value must match"
+                                                className={`${inputStyle} font-mono disabled:opacity-40`}
+                                            />
+                                        </td>
+                                        <td className="p-2 text-right">
+                                            <button type="button" onClick={() => removeField(type.key, field.key)} className="px-2 text-red-500 hover:text-red-700 dark:hover:text-red-300" title="Remove field">✕</button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div className="flex justify-between text-sm">
+                        <button type="button" onClick={() => addField(type.key)} className="font-medium text-yellow-700 dark:text-yellow-300 hover:text-yellow-900 dark:hover:text-yellow-200">+ Add field</button>
+                        <button type="button" onClick={() => update(draft.filter(t => t.key !== type.key))} className="font-medium text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-200">
+                            Remove type
+                        </button>
+                    </div>
+                </div>
+            ))}
+
+            <button type="button" onClick={() => addType()} className="text-sm font-medium text-yellow-700 dark:text-yellow-300 hover:text-yellow-900 dark:hover:text-yellow-200">+ Add ticket type</button>
+
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+                Tickets keep the values of a removed field or type, shown under the field's id, until the ticket is next edited.
+            </p>
+
+            <div className="flex items-center space-x-3">
+                <button
+                    type="button"
+                    onClick={handleSave}
+                    disabled={saving}
+                    className="px-4 py-2 text-sm font-semibold rounded-lg text-white bg-yellow-600 hover:bg-yellow-700 shadow-md transition disabled:opacity-50"
+                >
+                    {saving ? 'Saving...' : 'Save Ticket Types'}
+                </button>
+                <button type="button" onClick={() => update(toDraft(ticketTypes))} className="text-sm text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-100">
+                    Discard changes
+                </button>
+                {message && (
+                    <span className={`text-sm ${message.type === 'error' ? 'text-red-600 dark:text-red-400' : 'text-green-700 dark:text-green-300'}`}>{message.text}</span>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default TicketTypesEditor;
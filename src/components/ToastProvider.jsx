@@ -0,0 +1,93 @@
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import ToastContext from '../contexts/ToastContext.js';
+
+const AUTO_DISMISS_MS = 6000;
+
+const TOAST_STYLES = {
+    error: 'bg-red-600 text-white',
+    success: 'bg-green-600 text-white',
+    info: 'bg-gray-800 text-white',
+};
+
+let nextToastId = 0;
+
+/**
+ * ToastProvider: Owns the toast stack and renders it in the bottom corner.
+ * A toast with the same message as one already shown replaces it, so a failing
+ * listener that reports repeatedly does not flood the screen.
+ */
+const ToastProvider = ({ children }) => {
+    const [toasts, setToasts] = useState([]);
+    const timersRef = useRef(new Map()); // id -> timeout
+
+    const dismissToast = useCallback((id) => {
+        clearTimeout(timersRef.current.get(id));
+        timersRef.current.delete(id);
+        setToasts(prev => prev.filter(toast => toast.id !== id));
+    }, []);
+
+    const showToast = useCallback(({ type = 'info', message, onRetry = null, onUndo = null }) => {
+        const id = ++nextToastId;
+        setToasts(prev => {
+            prev.filter(toast => toast.message === message).forEach(toast => {
+                clearTimeout(timersRef.current.get(toast.id));
+                timersRef.current.delete(toast.id);
+            });
+            return [...prev.filter(toast => toast.message !== message), { id, type, message, onRetry, onUndo }];
+        });
+        // Failures the user can act on wait for them; everything else fades on its own
+        if (!(type === 'error' && onRetry)) {
+            timersRef.current.set(id, setTimeout(() => dismissToast(id), AUTO_DISMISS_MS));
+        }
+        return id;
+    }, [dismissToast]);
+
+    useEffect(() => {
+        const timers = timersRef.current;
+        return () => timers.forEach(timer => clearTimeout(timer));
+    }, []);
+
+    const value = useMemo(() => ({ showToast, dismissToast }), [showToast, dismissToast]);
+
+    return (
+        <ToastContext.Provider value={value}>
+            {children}
+            <div className="fixed bottom-4 right-4 z-[60] flex flex-col items-end gap-2 max-w-sm" role="status" aria-live="polite">
+                {toasts.map(toast => (
+                    <div key={toast.id} className={`flex items-start gap-3 px-4 py-3 rounded-lg shadow-xl text-sm ${TOAST_STYLES[toast.type] || TOAST_STYLES.info}`}>
+                        <span className="flex-1">{toast.message}</span>
+                        {toast.onUndo && (
+                            <button
+                                type="button"
+                                onClick={() => {
+                                    dismissToast(toast.id);
+                                    toast.onUndo();
+                                }}
+                                className="font-semibold underline hover:no-underline"
+                            >
+                                Undo
+                            </button>
+                        )}
+                        {toast.onRetry && (
+                            <button
+                                type="button"
+                                onClick={() => {
+                                    dismissToast(toast.id);
+                                    toast.onRetry();
+                                }}
+                                className="font-semibold underline hover:no-underline"
+                            >
+                                Retry
+                            </button>
+                        )}
+                        <button type="button" onClick={() => dismissToast(toast.id)} className="opacity-80 hover:opacity-100" aria-label="Dismiss">
+                            ✕
+                        </button>
+                    </div>
+                ))}
+            </div>
+        </ToastContext.Provider>
+    );
+};
+
+export default ToastProvider;
@@ -0,0 +1,32 @@
+import React from 'react';
+import { useProfile } from '../contexts/ProfilesContext.js';
+import { getDisplayName, getInitials } from '../utils/profiles.js';
+
+const SIZES = {
+    sm: 'w-5 h-5 text-[10px]',
+    md: 'w-8 h-8 text-xs',
+};
+
+/**
+ * UserBadge: Avatar and display name for a uid. Falls back to initials when
+ * the user has no photo, and to a short "Guest" label when there is no profile.
+ */
+const UserBadge = ({ uid, size = 'sm', showName = true, className = '' }) => {
+    const profile = useProfile(uid);
+    const name = getDisplayName(profile, uid);
+
+    return (
+        <span className={`inline-flex items-center space-x-1.5 min-w-0 ${className}`} title={uid}>
+            {profile?.photoURL ? (
+                <img src={profile.photoURL} alt="" referrerPolicy="no-referrer" className={`${SIZES[size]} rounded-full object-cover shrink-0`} />
+            ) : (
+                <span className={`${SIZES[size]} rounded-full bg-indigo-100 dark:bg-indigo-900/50 text-indigo-700 dark:text-indigo-300 font-bold flex items-center justify-center shrink-0`}>
+                    {getInitials(name) || '?'}
+                </span>
+            )}
+            {showName && <span className="truncate">{name}</span>}
+        </span>
+    );
+};
+
+export default UserBadge;
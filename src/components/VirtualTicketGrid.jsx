@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
+
+// Mirrors the md / lg / xl breakpoints of the original CSS grid
+const getColumnCount = (width) => {
+    if (width >= 1280) return 4;
+    if (width >= 1024) return 3;
+    if (width >= 768) return 2;
+    return 1;
+};
+
+const ROW_GAP = 24; // gap-6
+const ESTIMATED_ROW_HEIGHT = 360;
+const OVERSCAN_PX = 800;
+
+const MeasuredRow = ({ rowKey, columns, observer, children }) => {
+    const ref = useRef(null);
+
+    useLayoutEffect(() => {
+        const node = ref.current;
+        if (!observer || !node) return;
+        observer.observe(node);
+        return () => observer.unobserve(node);
+    }, [observer]);
+
+    return (
+        <div
+            ref={ref}
+            data-row-key={rowKey}
+            className="grid gap-6"
+            style={{ gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`, marginBottom: ROW_GAP }}
+        >
+            {children}
+        </div>
+    );
+};
+
+/**
+ * VirtualTicketGrid: Window-scrolled grid that only mounts the rows near the
+ * viewport. Row heights are measured once rendered; rows that were never on
+ * screen use an estimate. `onEndReached` fires when the last row comes into view.
+ */
+const VirtualTicketGrid = ({ items, renderItem, onEndReached }) => {
+    const containerRef = useRef(null);
+    const rowHeightsRef = useRef(new Map()); // first item id in row -> measured height
+    const [columns, setColumns] = useState(() => getColumnCount(window.innerWidth));
+    const [viewport, setViewport] = useState({ top: 0, bottom: window.innerHeight });
+    const [, setMeasureVersion] = useState(0);
+
+    const updateViewport = useCallback(() => {
+        if (!containerRef.current) return;
+        const offset = containerRef.current.getBoundingClientRect().top;
+        setViewport({ top: -offset, bottom: window.innerHeight - offset });
+    }, []);
+
+    useEffect(() => {
+        const handleResize = () => {
+            setColumns(getColumnCount(window.innerWidth));
+            updateViewport();
+        };
+        window.addEventListener('scroll', updateViewport, { passive: true });
+        window.addEventListener('resize', handleResize);
+        updateViewport();
+        return () => {
+            window.removeEventListener('scroll', updateViewport);
+            window.removeEventListener('resize', handleResize);
+        };
+    }, [updateViewport]);
+
+    // Heights are keyed by the row's first ticket, so they survive list updates but not column changes
+    useLayoutEffect(() => {
+        rowHeightsRef.current.clear();
+    }, [columns]);
+
+    const rows = [];
+    for (let i = 0; i < items.length; i += columns) rows.push(items.slice(i, i + columns));
+
+    const rowKey = (row) => row[0].id;
+    const heightOf = (row) => rowHeightsRef.current.get(rowKey(row)) ?? ESTIMATED_ROW_HEIGHT;
+
+    let offset = 0;
+    let start = rows.length;
+    let end = rows.length;
+    let topSpacer = 0;
+    for (let i = 0; i < rows.length; i++) {
+        const height = heightOf(rows[i]) + ROW_GAP;
+        if (start === rows.length && offset + height >= viewport.top - OVERSCAN_PX) {
+            start = i;
+            topSpacer = offset;
+        }
+        if (offset > viewport.bottom + OVERSCAN_PX) {
+            end = i;
+            break;
+        }
+        offset += height;
+    }
+    let bottomSpacer = 0;
+    for (let i = end; i < rows.length; i++) bottomSpacer += heightOf(rows[i]) + ROW_GAP;
+
+    const lastRowVisible = rows.length === 0 || end === rows.length;
+    useEffect(() => {
+        if (lastRowVisible && onEndReached) onEndReached();
+    }, [lastRowVisible, items.length, onEndReached]);
+
+    // A ResizeObserver keeps measurements right when cards grow (e.g. edits, late-loading avatars)
+    const observerRef = useRef(null);
+    if (!observerRef.current && typeof ResizeObserver !== 'undefined') {
+        observerRef.current = new ResizeObserver(entries => {
+            let changed = false;
+            entries.forEach(entry => {
+                const key = entry.target.dataset.rowKey;
+                const height = entry.target.offsetHeight;
+                if (rowHeightsRef.current.get(key) !== height) {
+                    rowHeightsRef.current.set(key, height);
+                    changed = true;
+                }
+            });
+            if (changed) setMeasureVersion(version => version + 1);
+        });
+    }
+    useEffect(() => () => observerRef.current?.disconnect(), []);
+
+    return (
+        <div ref={containerRef} style={{ paddingTop: topSpacer, paddingBottom: bottomSpacer }}>
+            {rows.slice(start, end).map(row => (
+                <MeasuredRow key={`${columns}-${rowKey(row)}`} rowKey={rowKey(row)} columns={columns} observer={observerRef.current}>
+                    {row.map(renderItem)}
+                </MeasuredRow>
+            ))}
+        </div>
+    );
+};
+
+export default VirtualTicketGrid;
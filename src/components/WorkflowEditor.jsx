@@ -0,0 +1,279 @@
+import React, { useState, useEffect } from 'react';
+import { ROLES, ROLE_LABELS } from '../utils/permissions.js';
+import {
+    STATUS_COLORS,
+    STATUS_ID_MAX_LENGTH,
+    WORKFLOW_PRESETS,
+    pruneTransitions,
+    validateWorkflow,
+} from '../utils/workflow.js';
+
+const inputStyle = "block w-full rounded-md border border-gray-300 dark:border-gray-600 shadow-sm p-1.5 text-sm bg-white dark:bg-gray-800";
+const ROLE_ORDER = [ROLES.SUBMITTER, ROLES.REVIEWER, ROLES.ADMIN];
+
+// Drafts key statuses and transitions by a local key, so a new status can be renamed before saving
+let nextKey = 0;
+const toDraft = (workflow) => ({
+    statuses: workflow.statuses.map(status => ({ ...status, key: status.id, isNew: false })),
+    initialStatus: workflow.initialStatus,
+    transitions: JSON.parse(JSON.stringify(workflow.transitions)),
+});
+
+const fromDraft = (draft) => {
+    const idByKey = Object.fromEntries(draft.statuses.map(status => [status.key, status.id.trim()]));
+    const transitions = {};
+    Object.entries(draft.transitions).forEach(([from, targets]) => {
+        if (!idByKey[from]) return;
+        transitions[idByKey[from]] = {};
+        Object.entries(targets).forEach(([to, roles]) => {
+            if (idByKey[to]) transitions[idByKey[from]][idByKey[to]] = roles;
+        });
+    });
+    const statuses = draft.statuses.map(({ id, label, color, resolved }) => ({
+        id: id.trim(),
+        label: (label || id).trim(),
+        color,
+        resolved,
+    }));
+    const statusIds = statuses.map(status => status.id);
+    return {
+        statuses,
+        initialStatus: idByKey[draft.initialStatus] || '',
+        transitions: pruneTransitions(transitions, statusIds),
+    };
+};
+
+/**
+ * WorkflowEditor: Admin editor for the ticket workflow — statuses (name, label,
+ * color, whether they count as resolved) and which roles may move a ticket
+ * between each pair of statuses.
+ */
+const WorkflowEditor = ({ workflow, onSave }) => {
+    const [draft, setDraft] = useState(() => toDraft(workflow));
+    const [message, setMessage] = useState(null); // { type: 'error' | 'success', text }
+    const [saving, setSaving] = useState(false);
+
+    // Pick up changes saved by another admin
+    useEffect(() => {
+        setDraft(toDraft(workflow));
+    }, [workflow]);
+
+    const update = (changes) => {
+        setDraft(prev => ({ ...prev, ...changes }));
+        setMessage(null);
+    };
+
+    const updateStatus = (key, changes) => update({
+        statuses: draft.statuses.map(status => (status.key === key ? { ...status, ...changes } : status)),
+    });
+
+    const moveStatus = (index, offset) => {
+        const statuses = [...draft.statuses];
+        const [moved] = statuses.splice(index, 1);
+        statuses.splice(index + offset, 0, moved);
+        update({ statuses });
+    };
+
+    const addStatus = () => {
+        const key = `new-${nextKey++}`;
+        update({ statuses: [...draft.statuses, { key, id: '', label: '', color: 'gray', resolved: false, isNew: true }] });
+    };
+
+    const removeStatus = (key) => {
+        const { [key]: removed, ...transitions } = draft.transitions;
+        Object.keys(transitions).forEach(from => {
+            const { [key]: dropped, ...targets } = transitions[from];
+            transitions[from] = targets;
+        });
+        update({
+            statuses: draft.statuses.filter(status => status.key !== key),
+            transitions,
+            initialStatus: draft.initialStatus === key ? '' : draft.initialStatus,
+        });
+    };
+
+    const toggleRole = (from, to, role) => {
+        const current = draft.transitions[from]?.[to] || [];
+        const roles = current.includes(role) ? current.filter(r => r !== role) : [...current, role];
+        update({ transitions: { ...draft.transitions, [from]: { ...draft.transitions[from], [to]: roles } } });
+    };
+
+    const applyPreset = (name) => {
+        if (!WORKFLOW_PRESETS[name]) return;
+        update(toDraft(WORKFLOW_PRESETS[name]));
+    };
+
+    const handleSave = async () => {
+        const next = fromDraft(draft);
+        const error = validateWorkflow(next);
+        if (error) {
+            setMessage({ type: 'error', text: error });
+            return;
+        }
+        setSaving(true);
+        const saveError = await onSave(next);
+        setSaving(false);
+        setMessage(saveError ? { type: 'error', text: saveError } : { type: 'success', text: 'Workflow saved.' });
+    };
+
+    const removedIds = workflow.statuses
+        .map(status => status.id)
+        .filter(id => !draft.statuses.some(status => !status.isNew && status.id === id));
+
+    return (
+        <div className="mt-8 space-y-4">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+                <h3 className="text-xl font-bold text-yellow-800 dark:text-yellow-200">Ticket Workflow</h3>
+                <select
+                    value=""
+                    onChange={(e) => applyPreset(e.target.value)}
+                    className="rounded-md border border-gray-300 dark:border-gray-600 shadow-sm p-2 text-sm bg-white dark:bg-gray-800"
+                    aria-label="Start from a preset"
+                >
+                    <option value="">Start from a preset...</option>
+                    {Object.keys(WORKFLOW_PRESETS).map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+            </div>
+
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm overflow-x-auto">
+                <table className="min-w-full text-sm">
+                    <thead className="bg-yellow-100 dark:bg-yellow-900/50 text-yellow-900 dark:text-yellow-200 text-left">
+                        <tr>
+                            <th className="p-2">Name</th>
+                            <th className="p-2">Label</th>
+                            <th className="p-2">Color</th>
+                            <th className="p-2 text-center">Resolved</th>
+                            <th className="p-2"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {draft.statuses.map((status, index) => (
+                            <tr key={status.key} className="border-t border-gray-100 dark:border-gray-700">
+                                <td className="p-2">
+                                    {/* Tickets store the name, so it is fixed once saved */}
+                                    {status.isNew ? (
+                                        <input
+                                            type="text"
+                                            value={status.id}
+                                            onChange={(e) => updateStatus(status.key, { id: e.target.value })}
+                                            maxLength={STATUS_ID_MAX_LENGTH}
+                                            placeholder="e.g. Under Review"
+                                            className={inputStyle}
+                                        />
+                                    ) : (
+                                        <code className="font-mono text-xs">{status.id}</code>
+                                    )}
+                                </td>
+                                <td className="p-2">
+                                    <input
+                                        type="text"
+                                        value={status.label}
+                                        onChange={(e) => updateStatus(status.key, { label: e.target.value })}
+                                        maxLength={STATUS_ID_MAX_LENGTH}
+                                        placeholder={status.id}
+                                        className={inputStyle}
+                                    />
+                                </td>
+                                <td className="p-2">
+                                    <select value={status.color} onChange={(e) => updateStatus(status.key, { color: e.target.value })} className={inputStyle}>
+                                        {Object.entries(STATUS_COLORS).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+                                    </select>
+                                </td>
+                                <td className="p-2 text-center">
+                                    <input
+                                        type="checkbox"
+                                        checked={status.resolved}
+                                        onChange={(e) => updateStatus(status.key, { resolved: e.target.checked })}
+                                        title="Counts as resolved (paid out) in stats and reports"
+                                    />
+                                </td>
+                                <td className="p-2 whitespace-nowrap text-right">
+                                    <button type="button" onClick={() => moveStatus(index, -1)} disabled={index === 0} className="px-2 text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-100 disabled:opacity-30" title="Move up">↑</button>
+                                    <button type="button" onClick={() => moveStatus(index, 1)} disabled={index === draft.statuses.length - 1} className="px-2 text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-100 disabled:opacity-30" title="Move down">↓</button>
+                                    <button type="button" onClick={() => removeStatus(status.key)} className="px-2 text-red-500 hover:text-red-700 dark:hover:text-red-300" title="Remove status">✕</button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <div className="p-2 border-t border-gray-100 dark:border-gray-700">
+                    <button type="button" onClick={addStatus} className="text-sm font-medium text-yellow-700 dark:text-yellow-300 hover:text-yellow-900 dark:hover:text-yellow-200">+ Add status</button>
+                </div>
+            </div>
+
+            {removedIds.length > 0 && (
+                <p className="text-xs text-orange-700 dark:text-orange-300">
+                    Tickets still in {removedIds.join(', ')} keep that status; only admins can move them into the new workflow.
+                </p>
+            )}
+
+            <label className="block text-sm">
+                <span className="text-gray-700 dark:text-gray-300">New tickets start as:</span>
+                <select value={draft.initialStatus} onChange={(e) => update({ initialStatus: e.target.value })} className={`mt-1 ${inputStyle}`}>
+                    <option value="">Select a status</option>
+                    {draft.statuses.map(status => (
+                        <option key={status.key} value={status.key}>{status.label || status.id || '(unnamed)'}</option>
+                    ))}
+                </select>
+            </label>
+
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm overflow-x-auto">
+                <p className="p-2 text-xs text-gray-500 dark:text-gray-400">
+                    Allowed transitions: who may move a ticket from the row status to the column status. Reviewers never move their own tickets; submitters only move their own.
+                </p>
+                <table className="min-w-full text-xs">
+                    <thead className="bg-yellow-100 dark:bg-yellow-900/50 text-yellow-900 dark:text-yellow-200">
+                        <tr>
+                            <th className="p-2 text-left">From \ To</th>
+                            {draft.statuses.map(to => <th key={to.key} className="p-2">{to.label || to.id || '(unnamed)'}</th>)}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {draft.statuses.map(from => (
+                            <tr key={from.key} className="border-t border-gray-100 dark:border-gray-700">
+                                <th className="p-2 text-left font-medium">{from.label || from.id || '(unnamed)'}</th>
+                                {draft.statuses.map(to => (
+                                    <td key={to.key} className="p-2 text-center">
+                                        {from.key === to.key ? '—' : (
+                                            <div className="flex flex-col items-start gap-0.5">
+                                                {ROLE_ORDER.map(role => (
+                                                    <label key={role} className="flex items-center gap-1 whitespace-nowrap">
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={(draft.transitions[from.key]?.[to.key] || []).includes(role)}
+                                                            onChange={() => toggleRole(from.key, to.key, role)}
+                                                        />
+                                                        {ROLE_LABELS[role]}
+                                                    </label>
+                                                ))}
+                                            </div>
+                                        )}
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="flex items-center space-x-3">
+                <button
+                    type="button"
+                    onClick={handleSave}
+                    disabled={saving}
+                    className="px-4 py-2 text-sm font-semibold rounded-lg text-white bg-yellow-600 hover:bg-yellow-700 shadow-md transition disabled:opacity-50"
+                >
+                    {saving ? 'Saving...' : 'Save Workflow'}
+                </button>
+                <button type="button" onClick={() => update(toDraft(workflow))} className="text-sm text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-100">
+                    Discard changes
+                </button>
+                {message && (
+                    <span className={`text-sm ${message.type === 'error' ? 'text-red-600 dark:text-red-400' : 'text-green-700 dark:text-green-300'}`}>{message.text}</span>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default WorkflowEditor;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+
+const MANAGE_OPTION = '__manage__';
+
+/**
+ * WorkspaceSwitcher: Header select for the active workspace. Switching goes back
+ * to the ticket list, since an open ticket belongs to the previous workspace.
+ */
+const WorkspaceSwitcher = ({ workspaces, activeWorkspaceId, onSwitch }) => {
+    const navigate = useNavigate();
+
+    const handleChange = (e) => {
+        if (e.target.value === MANAGE_OPTION) {
+            navigate('/workspaces');
+            return;
+        }
+        onSwitch(e.target.value);
+        navigate('/tickets/mine');
+    };
+
+    return (
+        <select
+            value={activeWorkspaceId || ''}
+            onChange={handleChange}
+            className="max-w-[12rem] px-2 py-1 text-xs font-semibold rounded-lg bg-white dark:bg-gray-800 border text-gray-800 dark:text-gray-100 truncate"
+            aria-label="Workspace"
+        >
+            {workspaces.map(workspace => (
+                <option key={workspace.id} value={workspace.id}>{workspace.name || 'Loading...'}</option>
+            ))}
+            <option value={MANAGE_OPTION}>Manage workspaces…</option>
+        </select>
+    );
+};
+
+export default WorkspaceSwitcher;
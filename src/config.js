@@ -0,0 +1,67 @@
+// Configuration comes from, in order of precedence:
+//   1. Globals injected by the hosting canvas (__firebase_config, __app_id, __initial_auth_token).
+//      The 'typeof' checks are required: the globals are simply undeclared elsewhere.
+//   2. VITE_FIREBASE_* / VITE_APP_ID variables from .env.local (see .env.example).
+//   3. In development only, a demo project that works against the Firebase Emulator Suite
+//      without credentials ("demo-" project ids never reach production services).
+const env = import.meta.env;
+
+export const isDevelopment = env.DEV;
+
+const DEMO_PROJECT_ID = 'demo-commission-tracker';
+
+const envFirebaseConfig = env.VITE_FIREBASE_PROJECT_ID ? {
+    apiKey: env.VITE_FIREBASE_API_KEY,
+    authDomain: env.VITE_FIREBASE_AUTH_DOMAIN,
+    projectId: env.VITE_FIREBASE_PROJECT_ID,
+    storageBucket: env.VITE_FIREBASE_STORAGE_BUCKET,
+    messagingSenderId: env.VITE_FIREBASE_MESSAGING_SENDER_ID,
+    appId: env.VITE_FIREBASE_APP_ID,
+} : null;
+
+const demoFirebaseConfig = isDevelopment ? {
+    apiKey: 'demo-api-key',
+    authDomain: `${DEMO_PROJECT_ID}.firebaseapp.com`,
+    projectId: DEMO_PROJECT_ID,
+    storageBucket: `${DEMO_PROJECT_ID}.appspot.com`,
+} : null;
+
+export const appId = typeof __app_id !== 'undefined' ? __app_id : (env.VITE_APP_ID || 'default-app-id');
+export const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : (envFirebaseConfig || demoFirebaseConfig);
+export const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+
+// The dev server talks to the local emulators (ports from firebase.json) unless
+// VITE_USE_EMULATORS=false, e.g. to try a real project from .env.local
+export const USE_EMULATORS = isDevelopment && env.VITE_USE_EMULATORS !== 'false';
+export const EMULATOR_HOST = env.VITE_EMULATOR_HOST || '127.0.0.1';
+export const EMULATOR_PORTS = { auth: 9099, firestore: 8080, storage: 9199 };
+
+// Workspaces (teams) own their tickets, roles and shared configuration; users
+// only see the workspaces they are members of (see firestore.rules)
+export const WORKSPACES_COLLECTION_PATH = `artifacts/${appId}/workspaces`;
+export const getWorkspaceDocPath = (workspaceId) => `${WORKSPACES_COLLECTION_PATH}/${workspaceId}`;
+// Membership and role (submitter / reviewer / admin), one document per user id
+export const getMembersCollectionPath = (workspaceId) => `${getWorkspaceDocPath(workspaceId)}/members`;
+export const getMemberDocPath = (workspaceId, uid) => `${getMembersCollectionPath(workspaceId)}/${uid}`;
+// Invite links; the document id is the code in the link
+export const getInvitesCollectionPath = (workspaceId) => `${getWorkspaceDocPath(workspaceId)}/invites`;
+export const getInviteDocPath = (workspaceId, code) => `${getInvitesCollectionPath(workspaceId)}/${code}`;
+export const getTicketsCollectionPath = (workspaceId) => `${getWorkspaceDocPath(workspaceId)}/tickets`;
+export const getTicketDocPath = (workspaceId, ticketId) => `${getTicketsCollectionPath(workspaceId)}/${ticketId}`;
+// Append-only audit log kept alongside each ticket
+export const getHistoryCollectionPath = (workspaceId, ticketId) => `${getTicketDocPath(workspaceId, ticketId)}/history`;
+// Discussion thread and uploaded-file metadata kept alongside each ticket
+export const getCommentsCollectionPath = (workspaceId, ticketId) => `${getTicketDocPath(workspaceId, ticketId)}/comments`;
+export const getAttachmentsCollectionPath = (workspaceId, ticketId) => `${getTicketDocPath(workspaceId, ticketId)}/attachments`;
+// Attachment files themselves live in Cloud Storage under the same path
+export const getAttachmentStoragePath = (workspaceId, ticketId, fileId) => `${getTicketDocPath(workspaceId, ticketId)}/${fileId}`;
+// Display names and avatars of the workspace's members, past and present; only members read them
+export const getProfilesCollectionPath = (workspaceId) => `${getWorkspaceDocPath(workspaceId)}/profiles`;
+export const getProfileDocPath = (workspaceId, uid) => `${getProfilesCollectionPath(workspaceId)}/${uid}`;
+// Shared configuration edited by the workspace's admins, e.g. the ticket workflow
+export const getWorkflowDocPath = (workspaceId) => `${getWorkspaceDocPath(workspaceId)}/config/workflow`;
+export const getTicketTypesDocPath = (workspaceId) => `${getWorkspaceDocPath(workspaceId)}/config/ticketTypes`;
+// Per-user preferences (e.g. default currency, active workspace) live in the user's private space
+export const getSettingsDocPath = (uid) => `artifacts/${appId}/users/${uid}/settings/preferences`;
+// Each user's inbox; other users write into it when they act on that user's tickets
+export const getNotificationsCollectionPath = (uid) => `artifacts/${appId}/users/${uid}/notifications`;
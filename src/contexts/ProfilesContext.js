@@ -0,0 +1,13 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * ProfilesContext: Map of uid -> public profile, kept live by App so any
+ * component can show a user's name without threading profiles through props.
+ */
+const ProfilesContext = createContext({});
+
+export const useProfiles = () => useContext(ProfilesContext);
+
+export const useProfile = (uid) => useContext(ProfilesContext)[uid] || null;
+
+export default ProfilesContext;
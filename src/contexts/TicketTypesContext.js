@@ -0,0 +1,11 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * TicketTypesContext: The workspace's ticket types and their custom fields
+ * (see ticketTypes.js), kept live by App from the shared ticket types document.
+ */
+const TicketTypesContext = createContext([]);
+
+export const useTicketTypes = () => useContext(TicketTypesContext);
+
+export default TicketTypesContext;
@@ -0,0 +1,13 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * ToastContext: Shows short-lived notifications (see ToastProvider). `showToast`
+ * takes { type: 'error' | 'success' | 'info', message, onRetry, onUndo } and
+ * returns the toast's id; errors with a retry action stay until dismissed or
+ * retried. `onUndo` adds an Undo button for as long as the toast is shown.
+ */
+const ToastContext = createContext({ showToast: () => null, dismissToast: () => {} });
+
+export const useToast = () => useContext(ToastContext);
+
+export default ToastContext;
@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_WORKFLOW } from '../utils/workflow.js';
+
+/**
+ * WorkflowContext: The active ticket workflow (statuses, colors, transitions),
+ * kept live by App from the shared workflow document.
+ */
+const WorkflowContext = createContext(DEFAULT_WORKFLOW);
+
+export const useWorkflow = () => useContext(WorkflowContext);
+
+export default WorkflowContext;
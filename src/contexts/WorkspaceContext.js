@@ -0,0 +1,23 @@
+import { createContext, useContext, useMemo } from 'react';
+import { useProfiles } from './ProfilesContext.js';
+
+/**
+ * WorkspaceContext: The active workspace — `{ id, name, role, members }`, where
+ * `members` maps uid -> membership — kept live by App. Components build their
+ * Firestore paths from `id`.
+ */
+const WorkspaceContext = createContext({ id: null, name: '', role: null, members: {} });
+
+export const useWorkspace = () => useContext(WorkspaceContext);
+
+// uid -> profile (or null) for the workspace's members only, for user pickers and @mentions
+export const useMemberProfiles = () => {
+    const profiles = useProfiles();
+    const { members } = useWorkspace();
+    return useMemo(
+        () => Object.fromEntries(Object.keys(members).map(uid => [uid, profiles[uid] || null])),
+        [profiles, members],
+    );
+};
+
+export default WorkspaceContext;
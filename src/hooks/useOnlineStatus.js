@@ -0,0 +1,23 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * useOnlineStatus: Whether the browser currently reports a network connection.
+ */
+const useOnlineStatus = () => {
+    const [online, setOnline] = useState(() => navigator.onLine);
+
+    useEffect(() => {
+        const handleOnline = () => setOnline(true);
+        const handleOffline = () => setOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    return online;
+};
+
+export default useOnlineStatus;
@@ -0,0 +1,132 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { collection, onSnapshot, query, startAfter, endAt, limit } from 'firebase/firestore';
+import { withSyncState } from '../utils/offline.js';
+import { isDeletedTicket } from '../utils/tickets.js';
+
+export const PAGE_SIZE = 24;
+
+const NO_CURSORS = [];
+
+/**
+ * usePaginatedTickets: Live, cursor-paginated ticket listener.
+ *
+ * Every loaded page has its own onSnapshot listener. The last page is open
+ * (`startAfter(previous cursor)` + `limit`); when more are requested its last
+ * document becomes a cursor and the page is closed with `endAt(cursor)`.
+ * Closed pages are bounded by documents rather than by a count, so inserts and
+ * deletes never create gaps or duplicates between pages.
+ *
+ * `constraints` must include an orderBy; `queryKey` identifies them and resets
+ * the window when it or `collectionPath` changes.
+ */
+const usePaginatedTickets = (db, collectionPath, constraints, baseQueryKey, enabled = true, pageSize = PAGE_SIZE) => {
+    const queryKey = `${collectionPath}|${baseQueryKey}`;
+
+    // Cursors belong to one query; a different key starts again from the first page
+    const [windowState, setWindowState] = useState({ key: queryKey, cursors: [] });
+    const cursors = windowState.key === queryKey ? windowState.cursors : NO_CURSORS;
+
+    const [pageDocs, setPageDocs] = useState({}); // pageKey -> DocumentSnapshot[]
+    const [error, setError] = useState(null);
+    const [attempt, setAttempt] = useState(0); // bumped by retry() to re-create failed listeners
+    const listenersRef = useRef(new Map()); // pageKey -> unsubscribe
+
+    // Callers build a new constraints array on every render; queryKey (part of every page key)
+    // says when they actually change, so the listeners only read the latest ones from here
+    const constraintsRef = useRef(constraints);
+    useEffect(() => {
+        constraintsRef.current = constraints;
+    });
+
+    const pageKeys = useMemo(() => {
+        const keys = [];
+        for (let i = 0; i <= cursors.length; i++) {
+            keys.push(`${queryKey}|${cursors[i - 1]?.id || 'start'}|${cursors[i]?.id || 'open'}`);
+        }
+        return keys;
+    }, [queryKey, cursors]);
+
+    useEffect(() => {
+        const listeners = listenersRef.current;
+        const wanted = new Map();
+        if (db && collectionPath && enabled) {
+            for (let i = 0; i <= cursors.length; i++) {
+                const pageConstraints = [...constraintsRef.current];
+                if (i > 0) pageConstraints.push(startAfter(cursors[i - 1]));
+                pageConstraints.push(i < cursors.length ? endAt(cursors[i]) : limit(pageSize));
+                wanted.set(pageKeys[i], pageConstraints);
+            }
+        }
+
+        listeners.forEach((unsubscribe, key) => {
+            if (wanted.has(key)) return;
+            unsubscribe();
+            listeners.delete(key);
+        });
+
+        wanted.forEach((pageConstraints, key) => {
+            if (listeners.has(key)) return;
+            const pageQuery = query(collection(db, collectionPath), ...pageConstraints);
+            // Metadata changes are included so tickets drop their pending badge once synced
+            listeners.set(key, onSnapshot(pageQuery, { includeMetadataChanges: true }, (snapshot) => {
+                setPageDocs(prev => ({ ...prev, [key]: snapshot.docs }));
+                setError(null);
+            }, (err) => {
+                console.error("Error listening to tickets: ", err);
+                // A failed listener is dead; forget it so retry() can subscribe again
+                listeners.delete(key);
+                setError('Tickets could not be loaded.');
+            }));
+        });
+
+        // Drop data for pages that are no longer listened to
+        setPageDocs(prev => {
+            const next = {};
+            Object.keys(prev).forEach(key => { if (wanted.has(key)) next[key] = prev[key]; });
+            return next;
+        });
+    }, [db, collectionPath, enabled, cursors, pageKeys, pageSize, attempt]);
+
+    useEffect(() => {
+        const listeners = listenersRef.current;
+        return () => {
+            listeners.forEach(unsubscribe => unsubscribe());
+            listeners.clear();
+        };
+    }, []);
+
+    // While a page's new listener is pending (e.g. it was just closed), keep showing its previous documents
+    const lastDocsRef = useRef({ key: queryKey, pages: [] });
+    const docsByPage = useMemo(() => {
+        const previous = lastDocsRef.current.key === queryKey ? lastDocsRef.current.pages : [];
+        const pages = pageKeys.map((key, i) => pageDocs[key] || previous[i] || null);
+        lastDocsRef.current = { key: queryKey, pages };
+        return pages;
+    }, [pageDocs, pageKeys, queryKey]);
+
+    const openPage = docsByPage[docsByPage.length - 1];
+    const loading = enabled && !openPage;
+    const hasMore = Boolean(openPage && openPage.length >= pageSize);
+
+    // Pages are cut from the raw query, so tickets in the trash only shorten the page they fall in
+    const tickets = useMemo(
+        () => docsByPage.flatMap(docs => (docs || []).map(withSyncState)).filter(ticket => !isDeletedTicket(ticket)),
+        [docsByPage],
+    );
+
+    const loadMore = useCallback(() => {
+        if (!hasMore) return;
+        const cursor = openPage[openPage.length - 1];
+        if (cursors.some(existing => existing.id === cursor.id)) return;
+        setWindowState({ key: queryKey, cursors: [...cursors, cursor] });
+    }, [hasMore, openPage, queryKey, cursors]);
+
+    const retry = useCallback(() => {
+        setError(null);
+        setAttempt(count => count + 1);
+    }, []);
+
+    return { tickets, loading, hasMore, loadMore, error, retry };
+};
+
+export default usePaginatedTickets;
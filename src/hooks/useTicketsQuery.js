@@ -0,0 +1,44 @@
+import { useState, useEffect, useRef } from 'react';
+import { collection, onSnapshot, query } from 'firebase/firestore';
+import { isDeletedTicket } from '../utils/tickets.js';
+
+/**
+ * useTicketsQuery: Live listener for every ticket matching `constraints`, for
+ * aggregate views that need complete data rather than a page at a time.
+ * `queryKey` identifies the constraints and re-subscribes when it changes.
+ * Tickets in the trash are left out unless `includeDeleted` is set.
+ */
+const useTicketsQuery = (db, collectionPath, constraints, queryKey, enabled = true, includeDeleted = false) => {
+    const [tickets, setTickets] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Callers build a new constraints array on every render; the listener reads the latest
+    // ones from here and only resubscribes when queryKey says they changed
+    const constraintsRef = useRef(constraints);
+    useEffect(() => {
+        constraintsRef.current = constraints;
+    });
+
+    useEffect(() => {
+        if (!db || !collectionPath || !enabled) return;
+
+        setLoading(true);
+        const unsubscribe = onSnapshot(query(collection(db, collectionPath), ...constraintsRef.current), (snapshot) => {
+            const fetched = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            setTickets(includeDeleted ? fetched : fetched.filter(ticket => !isDeletedTicket(ticket)));
+            setError(null);
+            setLoading(false);
+        }, (err) => {
+            console.error("Error listening to tickets: ", err);
+            setError('Tickets could not be loaded.');
+            setLoading(false);
+        });
+
+        return () => unsubscribe();
+    }, [db, collectionPath, queryKey, enabled, includeDeleted]);
+
+    return { tickets, loading, error };
+};
+
+export default useTicketsQuery;
@@ -0,0 +1,57 @@
+import { useState, useEffect, useMemo } from 'react';
+import { collectionGroup, doc, onSnapshot, query, where } from 'firebase/firestore';
+import { appId, getWorkspaceDocPath } from '../config.js';
+
+/**
+ * useWorkspaces: Live list of the workspaces `uid` is a member of, as
+ * `{ id, name, role }` sorted by name. Memberships come from a collection group
+ * query on `members`; each workspace document is then listened to for its name.
+ */
+const useWorkspaces = (db, uid, revision = 0) => {
+    const [memberships, setMemberships] = useState([]); // [{ id, role }]
+    const [names, setNames] = useState({}); // workspaceId -> name
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!db || !uid) return;
+
+        setLoading(true);
+        const membershipsQuery = query(collectionGroup(db, 'members'), where('uid', '==', uid));
+        const unsubscribe = onSnapshot(membershipsQuery, (snapshot) => {
+            // The collection group spans every app id; keep this app's workspaces only
+            setMemberships(snapshot.docs
+                .filter(memberDoc => memberDoc.ref.parent.parent.path.startsWith(`artifacts/${appId}/`))
+                .map(memberDoc => ({ id: memberDoc.ref.parent.parent.id, role: memberDoc.data().role })));
+            setError(null);
+            setLoading(false);
+        }, (err) => {
+            console.error("Error listening to workspaces: ", err);
+            setError(err);
+            setLoading(false);
+        });
+
+        return () => unsubscribe();
+    }, [db, uid, revision]);
+
+    const workspaceIds = memberships.map(membership => membership.id).sort().join(',');
+    useEffect(() => {
+        if (!db || !workspaceIds) return;
+
+        const unsubscribes = workspaceIds.split(',').map(id => onSnapshot(doc(db, getWorkspaceDocPath(id)), (snapshot) => {
+            setNames(prev => ({ ...prev, [id]: snapshot.data()?.name || 'Untitled workspace' }));
+        }, (err) => {
+            console.error("Error listening to workspace: ", err);
+        }));
+
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [db, workspaceIds]);
+
+    const workspaces = useMemo(() => memberships
+        .map(membership => ({ ...membership, name: names[membership.id] || '' }))
+        .sort((a, b) => a.name.localeCompare(b.name)), [memberships, names]);
+
+    return { workspaces, loading: Boolean(uid) && loading, error };
+};
+
+export default useWorkspaces;
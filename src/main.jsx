@@ -1,10 +1,35 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
+import { BrowserRouter } from 'react-router-dom';
 import App from './App.jsx';
-import './index.css'; // This is needed even if empty, as per Vercel/Vite structure
+import ToastProvider from './components/ToastProvider.jsx';
+import '@fontsource/inter/400.css';
+import '@fontsource/inter/500.css';
+import '@fontsource/inter/600.css';
+import '@fontsource/inter/700.css';
+import '@fontsource/inter/800.css';
+import './index.css'; // Tailwind, compiled by Vite (see vite.config.js)
+import { applyTheme, getStoredTheme } from './utils/theme.js';
+
+// The theme last used on this device, so a dark page doesn't flash light while settings load
+applyTheme(getStoredTheme());
+
+// The service worker serves the app shell offline; only registered in production
+// builds so it never caches the dev server's modules.
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((error) => {
+      console.error("Service worker registration failed: ", error);
+    });
+  });
+}
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <BrowserRouter>
+      <ToastProvider>
+        <App />
+      </ToastProvider>
+    </BrowserRouter>
   </React.StrictMode>,
 );
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import {
+  getAuthErrorMessage,
+  signInAsGuest,
+  signInWithEmail,
+  signInWithGoogle,
+  signUpWithEmail,
+} from '../utils/auth.js';
+
+const inputStyle = "w-full p-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 shadow-sm transition";
+
+/**
+ * AuthPage: Sign-in / sign-up screen shown to signed-out users, with Google
+ * sign-in and a guest (anonymous) option that can be upgraded later.
+ */
+const AuthPage = ({ auth, onAccountChange }) => {
+  const [mode, setMode] = useState('signIn'); // 'signIn' | 'signUp'
+  const [displayName, setDisplayName] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // Runs an auth call, surfacing a readable error; success is picked up by App's auth listener
+  const run = async (action) => {
+    setError(null);
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      console.error("Authentication failed:", err);
+      setError(getAuthErrorMessage(err));
+      setBusy(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    run(async () => {
+      if (mode === 'signUp') {
+        await signUpWithEmail(auth, email, password, displayName);
+        // The display name is set after the account exists; publish it to the profile
+        await onAccountChange();
+      } else {
+        await signInWithEmail(auth, email, password);
+      }
+    });
+  };
+
+  const isSignUp = mode === 'signUp';
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 p-4">
+      <div className="w-full max-w-md bg-white dark:bg-gray-800 rounded-xl shadow-2xl p-8 border-t-8 border-indigo-500 space-y-6">
+        <h1 className="text-3xl font-extrabold text-indigo-600 dark:text-indigo-400 text-center">
+          CommissionGuard <span className="text-gray-900 dark:text-gray-100">Tracker</span>
+        </h1>
+        <p className="text-center text-gray-500 dark:text-gray-400 text-sm">
+          {isSignUp ? 'Create an account to track your commission tickets.' : 'Sign in to your account.'}
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {isSignUp && (
+            <input
+              type="text"
+              value={displayName}
+              onChange={(e) => setDisplayName(e.target.value)}
+              placeholder="Display name"
+              autoComplete="name"
+              className={inputStyle}
+            />
+          )}
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="Email"
+            autoComplete="email"
+            required
+            className={inputStyle}
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+            autoComplete={isSignUp ? 'new-password' : 'current-password'}
+            required
+            minLength={6}
+            className={inputStyle}
+          />
+          {error && <p className="text-sm font-medium text-red-600 dark:text-red-400">{error}</p>}
+          <button
+            type="submit"
+            disabled={busy}
+            className="w-full px-8 py-3 bg-indigo-600 text-white font-semibold rounded-lg shadow-lg hover:bg-indigo-700 transition disabled:opacity-50"
+          >
+            {isSignUp ? 'Create Account' : 'Sign In'}
+          </button>
+        </form>
+
+        <div className="flex items-center space-x-3 text-xs text-gray-400">
+          <span className="flex-1 border-t"></span><span>OR</span><span className="flex-1 border-t"></span>
+        </div>
+
+        <div className="space-y-3">
+          <button
+            type="button"
+            onClick={() => run(() => signInWithGoogle(auth))}
+            disabled={busy}
+            className="w-full px-4 py-3 border rounded-lg font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 transition disabled:opacity-50"
+          >
+            Continue with Google
+          </button>
+          <button
+            type="button"
+            onClick={() => run(() => signInAsGuest(auth))}
+            disabled={busy}
+            className="w-full px-4 py-3 rounded-lg font-medium text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 transition disabled:opacity-50"
+          >
+            Continue as Guest
+          </button>
+        </div>
+
+        <p className="text-center text-sm text-gray-600 dark:text-gray-300">
+          {isSignUp ? 'Already have an account?' : 'New here?'}{' '}
+          <button
+            type="button"
+            onClick={() => { setMode(isSignUp ? 'signIn' : 'signUp'); setError(null); }}
+            className="font-semibold text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-200"
+          >
+            {isSignUp ? 'Sign in' : 'Create an account'}
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default AuthPage;
@@ -0,0 +1,237 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import ErrorBoundary from '../components/ErrorBoundary.jsx';
+import TicketCard, { BrokenTicketCard } from '../components/TicketCard.jsx';
+import TicketFilters from '../components/TicketFilters.jsx';
+import { useWorkflow } from '../contexts/WorkflowContext.js';
+import { applyTicketFilters, filtersFromSearchParams, filtersToSearchParams, usesClientSideFilters } from '../utils/ticketFilters.js';
+import { canTransition, getAllowedTransitions, getStatusColor, getStatusLabel } from '../utils/workflow.js';
+
+// How long a card moved by someone else stays highlighted
+const HIGHLIGHT_MS = 2000;
+
+/**
+ * BoardPage: Kanban board with one column per workflow status. Cards are moved
+ * by dragging them to another column or, with the keyboard, by focusing a card
+ * and pressing ← / →. Moves go through the same `onUpdate` path as the status
+ * dropdown, so workflow rules, history and notifications all apply.
+ * Loaded dynamically via lazy/Suspense.
+ */
+const BoardPage = ({ tickets, user, role, filterPresets, onSaveFilterPresets, hasMore, loading, error, onRetry, onLoadMore, onUpdate, onDeleteConfirm }) => {
+  const workflow = useWorkflow();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => filtersFromSearchParams(searchParams), [searchParams]);
+  const visibleTickets = useMemo(() => applyTicketFilters(tickets, filters), [tickets, filters]);
+  const setFilters = (next) => setSearchParams(filtersToSearchParams(next), { replace: true });
+
+  // As on the ticket lists, keep loading pages while none of the loaded tickets match
+  const loadedOnly = hasMore && usesClientSideFilters(filters);
+  const searchingMore = loadedOnly && visibleTickets.length === 0 && !error;
+  useEffect(() => {
+    if (searchingMore && !loading) onLoadMore();
+  }, [searchingMore, loading, onLoadMore]);
+
+  const [pendingMoves, setPendingMoves] = useState({}); // ticketId -> status while its write is in flight
+  const [dragging, setDragging] = useState(null); // ticket being dragged
+  const [dropTarget, setDropTarget] = useState(null); // status id under the pointer
+  const [focusId, setFocusId] = useState(null); // card to focus once it lands in its new column
+  const [announcement, setAnnouncement] = useState('');
+  const [highlighted, setHighlighted] = useState({}); // ticketId -> true
+  const boardRef = useRef(null);
+
+  const columns = useMemo(() => {
+    const known = workflow.statuses.map(status => ({ id: status.id, label: status.label, tickets: [] }));
+    const byId = Object.fromEntries(known.map(column => [column.id, column]));
+    // Tickets left in a status removed from the workflow stay visible until an admin moves them
+    const other = { id: null, label: 'Other statuses', tickets: [] };
+    visibleTickets.forEach(ticket => {
+      const status = pendingMoves[ticket.id] ?? ticket.status;
+      (byId[status] || other).tickets.push(ticket);
+    });
+    return other.tickets.length > 0 ? [...known, other] : known;
+  }, [visibleTickets, workflow, pendingMoves]);
+
+  // Cards moved by someone else flash briefly as their change arrives
+  const previousStatusesRef = useRef(null);
+  const highlightTimersRef = useRef([]);
+  useEffect(() => {
+    const previous = previousStatusesRef.current;
+    previousStatusesRef.current = Object.fromEntries(tickets.map(ticket => [ticket.id, ticket.status]));
+    if (!previous) return;
+
+    const changed = tickets
+      .filter(ticket => previous[ticket.id] && previous[ticket.id] !== ticket.status && ticket.updatedBy !== user?.uid)
+      .map(ticket => ticket.id);
+    if (changed.length === 0) return;
+    setHighlighted(prev => ({ ...prev, ...Object.fromEntries(changed.map(id => [id, true])) }));
+    highlightTimersRef.current.push(setTimeout(() => {
+      setHighlighted(prev => {
+        const next = { ...prev };
+        changed.forEach(id => delete next[id]);
+        return next;
+      });
+    }, HIGHLIGHT_MS));
+  }, [tickets, user]);
+
+  useEffect(() => {
+    const timers = highlightTimersRef.current;
+    return () => timers.forEach(timer => clearTimeout(timer));
+  }, []);
+
+  // A moved card is re-mounted in its new column, so focus follows it there
+  useEffect(() => {
+    if (!focusId) return;
+    boardRef.current?.querySelector(`[data-ticket-id="${focusId}"]`)?.focus();
+    setFocusId(null);
+  }, [columns, focusId]);
+
+  const moveTicket = async (ticket, toStatus) => {
+    if (!canTransition(workflow, role, ticket, user?.uid, toStatus)) return;
+    const label = getStatusLabel(workflow, toStatus);
+    setPendingMoves(prev => ({ ...prev, [ticket.id]: toStatus }));
+    setAnnouncement(`Moved "${ticket.title}" to ${label}.`);
+    const saved = await onUpdate(ticket, { status: toStatus });
+    setPendingMoves(({ [ticket.id]: done, ...rest }) => rest);
+    if (!saved) setAnnouncement(`"${ticket.title}" could not be moved to ${label}.`);
+  };
+
+  // ← / → move to the nearest column in that direction the workflow allows
+  const handleCardKeyDown = (e, ticket, columnIndex) => {
+    if (e.target !== e.currentTarget || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+    e.preventDefault();
+    const step = e.key === 'ArrowLeft' ? -1 : 1;
+    for (let i = columnIndex + step; i >= 0 && i < columns.length; i += step) {
+      const target = columns[i].id;
+      if (target && canTransition(workflow, role, ticket, user?.uid, target)) {
+        setFocusId(ticket.id);
+        moveTicket(ticket, target);
+        return;
+      }
+    }
+    setAnnouncement(`"${ticket.title}" cannot be moved further ${step < 0 ? 'left' : 'right'}.`);
+  };
+
+  const endDrag = () => {
+    setDragging(null);
+    setDropTarget(null);
+  };
+
+  const canDropOn = (column) => Boolean(dragging && column.id && canTransition(workflow, role, dragging, user?.uid, column.id));
+
+  return (
+    <div>
+      <TicketFilters
+        filters={filters}
+        onChange={setFilters}
+        showOwner
+        presets={filterPresets}
+        onSavePresets={onSaveFilterPresets}
+        resultCount={visibleTickets.length}
+        totalCount={`${tickets.length}${hasMore ? '+' : ''}`}
+        partial={loadedOnly}
+      />
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-lg flex items-center justify-between gap-4">
+          <span>{error}</span>
+          <button type="button" onClick={onRetry} className="px-3 py-1.5 text-sm font-semibold rounded-lg text-white bg-red-600 hover:bg-red-700 transition">
+            Retry
+          </button>
+        </div>
+      )}
+
+      <p id="board-instructions" className="mb-3 text-sm text-gray-500 dark:text-gray-400">
+        Drag a card to another column to change its status, or focus a card and press ← / →. Only moves the workflow allows you to make are accepted.
+      </p>
+      <p className="sr-only" aria-live="assertive">{announcement}</p>
+
+      {(loading || searchingMore) && visibleTickets.length === 0 ? (
+        <div className="p-8 text-center text-indigo-600 dark:text-indigo-400 font-semibold animate-pulse">{searchingMore ? 'Searching more tickets...' : 'Loading tickets...'}</div>
+      ) : (
+        <div ref={boardRef} className="flex gap-4 overflow-x-auto pb-4">
+          {columns.map((column, columnIndex) => {
+            const color = getStatusColor(workflow, column.id);
+            const droppable = canDropOn(column);
+            return (
+              <section
+                key={column.id ?? 'other'}
+                aria-label={`${column.label} (${column.tickets.length})`}
+                onDragOver={(e) => {
+                  if (!droppable) return;
+                  e.preventDefault();
+                  e.dataTransfer.dropEffect = 'move';
+                  setDropTarget(column.id);
+                }}
+                onDragLeave={(e) => {
+                  if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(null);
+                }}
+                onDrop={(e) => {
+                  e.preventDefault();
+                  if (droppable) moveTicket(dragging, column.id);
+                  endDrag();
+                }}
+                className={`w-80 shrink-0 rounded-xl p-3 border-2 transition ${dropTarget === column.id ? 'bg-indigo-50 dark:bg-indigo-900/30 border-indigo-400' : droppable ? 'bg-gray-100 dark:bg-gray-700 border-dashed border-indigo-300 dark:border-indigo-800' : 'bg-gray-100 dark:bg-gray-700 border-transparent'}`}
+              >
+                <header className="flex items-center justify-between mb-3 px-1">
+                  <h3 className={`font-bold ${color.text}`}>{column.label}</h3>
+                  <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${color.badge}`}>
+                    {column.tickets.length}{hasMore ? '+' : ''}
+                  </span>
+                </header>
+                <div className="space-y-3 min-h-[4rem]">
+                  {column.tickets.map(ticket => {
+                    const movable = !pendingMoves[ticket.id] && getAllowedTransitions(workflow, role, ticket, user?.uid).length > 0;
+                    return (
+                      <div
+                        key={ticket.id}
+                        data-ticket-id={ticket.id}
+                        tabIndex={0}
+                        draggable={movable}
+                        aria-describedby="board-instructions"
+                        onDragStart={(e) => {
+                          e.dataTransfer.setData('text/plain', ticket.id);
+                          e.dataTransfer.effectAllowed = 'move';
+                          setDragging(ticket);
+                        }}
+                        onDragEnd={endDrag}
+                        onKeyDown={(e) => handleCardKeyDown(e, ticket, columnIndex)}
+                        className={`rounded-xl outline-none focus-visible:ring-4 focus-visible:ring-indigo-400 transition ${movable ? 'cursor-grab active:cursor-grabbing' : ''} ${dragging?.id === ticket.id ? 'opacity-50' : ''} ${highlighted[ticket.id] ? 'ring-4 ring-yellow-300' : ''}`}
+                      >
+                        <ErrorBoundary resetKey={ticket} fallback={<BrokenTicketCard id={ticket.id} />}>
+                          <TicketCard
+                            ticket={ticket}
+                            user={user}
+                            role={role}
+                            onUpdate={onUpdate}
+                            onDeleteConfirm={onDeleteConfirm}
+                          />
+                        </ErrorBoundary>
+                      </div>
+                    );
+                  })}
+                  {column.tickets.length === 0 && (
+                    <p className="p-4 text-sm text-center text-gray-400">No tickets</p>
+                  )}
+                </div>
+              </section>
+            );
+          })}
+        </div>
+      )}
+
+      {hasMore && (
+        <div className="mt-2 text-center">
+          <button
+            type="button"
+            onClick={onLoadMore}
+            className="px-4 py-2 text-sm font-medium rounded-lg bg-white dark:bg-gray-800 border text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 shadow-sm transition"
+          >
+            Load more tickets
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BoardPage;
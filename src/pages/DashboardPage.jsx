@@ -1,18 +1,149 @@
-import React from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import BulkActionsBar from '../components/BulkActionsBar.jsx';
+import ErrorBoundary from '../components/ErrorBoundary.jsx';
+import TicketCard, { BrokenTicketCard } from '../components/TicketCard.jsx';
+import TicketDataTools from '../components/TicketDataTools.jsx';
+import TicketFilters from '../components/TicketFilters.jsx';
+import VirtualTicketGrid from '../components/VirtualTicketGrid.jsx';
+import {
+  applyTicketFilters,
+  countActiveFilters,
+  filtersFromSearchParams,
+  filtersToSearchParams,
+  usesClientSideFilters,
+} from '../utils/ticketFilters.js';
 
 /**
- * DashboardPage: The main page of the application, loaded immediately.
+ * DashboardPage: The ticket grid for "My Tickets" and "All Tickets", loaded immediately.
+ * Filter state is read from and written to the URL query string. Tickets arrive a
+ * page at a time and only the cards near the viewport are mounted. Tickets can be
+ * selected for bulk actions; only selected tickets that are still shown count.
  */
-const DashboardPage = () => {
+const DashboardPage = ({ tickets, user, role, viewLabel, defaultCurrency, filterPresets, onSaveFilterPresets, hasMore, loading, error, onRetry, onLoadMore, onUpdate, onDeleteConfirm, onImportTicket, onBulkUpdate, onBulkDelete, onBulkRestore }) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => filtersFromSearchParams(searchParams), [searchParams]);
+  const visibleTickets = useMemo(() => applyTicketFilters(tickets, filters), [tickets, filters]);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const selectedTickets = useMemo(() => visibleTickets.filter(ticket => selectedIds.has(ticket.id)), [visibleTickets, selectedIds]);
+
+  // Search and amount filters only see the pages loaded so far; while nothing loaded
+  // matches, keep loading rather than report no matches with tickets still unseen
+  const loadedOnly = hasMore && usesClientSideFilters(filters);
+  const searchingMore = loadedOnly && visibleTickets.length === 0 && !error;
+  useEffect(() => {
+    if (searchingMore && !loading) onLoadMore();
+  }, [searchingMore, loading, onLoadMore]);
+
+  // My Tickets and All Tickets share this component instance
+  useEffect(() => {
+    setSelectedIds(new Set());
+  }, [viewLabel]);
+
+  const toggleSelected = useCallback((id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }, []);
+
+  // replace: typing in the search box should not flood the browser history
+  const setFilters = (next) => setSearchParams(filtersToSearchParams(next), { replace: true });
+
   return (
-    <div className="p-8 bg-white rounded-xl shadow-lg">
-      <h2 className="text-3xl font-bold text-gray-800 mb-4">Dashboard</h2>
-      <p className="text-gray-600">
-        This is your main content area. This module is **statically imported** and loads instantly with the app.
-      </p>
-      <div className="mt-4 text-sm text-green-600 font-medium">
-        (Check the network tab when you switch to Reports or Settings to see the new chunks load!)
+    <div>
+      <TicketFilters
+        filters={filters}
+        onChange={setFilters}
+        showOwner={viewLabel !== 'My Tickets'}
+        presets={filterPresets}
+        onSavePresets={onSaveFilterPresets}
+        resultCount={visibleTickets.length}
+        totalCount={`${tickets.length}${hasMore ? '+' : ''}`}
+        partial={loadedOnly}
+      />
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-lg flex items-center justify-between gap-4">
+          <span>{error}</span>
+          {onRetry && (
+            <button type="button" onClick={onRetry} className="px-3 py-1.5 text-sm font-semibold rounded-lg text-white bg-red-600 hover:bg-red-700 transition">
+              Retry
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Export / Import of the current list view */}
+      <div className="mb-6 flex justify-end">
+        <TicketDataTools
+          tickets={visibleTickets}
+          viewLabel={viewLabel}
+          defaultCurrency={defaultCurrency}
+          onImportTicket={onImportTicket}
+        />
       </div>
+
+      <BulkActionsBar
+        tickets={visibleTickets}
+        selectedTickets={selectedTickets}
+        onSelectionChange={setSelectedIds}
+        user={user}
+        role={role}
+        viewLabel={viewLabel}
+        onBulkUpdate={onBulkUpdate}
+        onBulkDelete={onBulkDelete}
+        onBulkRestore={onBulkRestore}
+      />
+
+      {visibleTickets.length > 0 ? (
+        <VirtualTicketGrid
+          items={visibleTickets}
+          onEndReached={onLoadMore}
+          renderItem={ticket => (
+            // A malformed ticket document only takes down its own card
+            <ErrorBoundary key={ticket.id} resetKey={ticket} fallback={<BrokenTicketCard id={ticket.id} />}>
+              <TicketCard
+                ticket={ticket}
+                user={user}
+                role={role}
+                onUpdate={onUpdate}
+                onDeleteConfirm={onDeleteConfirm} // Use the confirmation handler
+                selected={selectedIds.has(ticket.id)}
+                onToggleSelect={toggleSelected}
+              />
+            </ErrorBoundary>
+          )}
+        />
+      ) : searchingMore ? (
+        <div className="p-8 text-center text-indigo-600 dark:text-indigo-400 font-semibold animate-pulse">Searching more tickets...</div>
+      ) : loading ? (
+        <div className="p-8 text-center text-indigo-600 dark:text-indigo-400 font-semibold animate-pulse">Loading tickets...</div>
+      ) : countActiveFilters(filters) > 0 ? (
+        <div className="bg-gray-100 dark:bg-gray-700 p-8 rounded-xl text-center text-gray-500 dark:text-gray-400 shadow-inner">
+          <p className="text-lg font-medium">No tickets match these filters.</p>
+          <p className="text-sm mt-2">Adjust or clear the filters above.</p>
+        </div>
+      ) : (
+        <div className="bg-gray-100 dark:bg-gray-700 p-8 rounded-xl text-center text-gray-500 dark:text-gray-400 shadow-inner">
+          <p className="text-lg font-medium">No {viewLabel === 'My Tickets' ? 'personal' : 'active'} commission tickets found.</p>
+          <p className="text-sm mt-2">Submit a new one below!</p>
+        </div>
+      )}
+
+      {hasMore && (
+        <div className="mt-2 text-center">
+          <button
+            type="button"
+            onClick={onLoadMore}
+            className="px-4 py-2 text-sm font-medium rounded-lg bg-white dark:bg-gray-800 border text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 shadow-sm transition"
+          >
+            Load more tickets
+          </button>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { ROLE_LABELS } from '../utils/permissions.js';
+import { acceptInvite, getInvite, isInviteExpired } from '../utils/workspaces.js';
+
+/**
+ * JoinWorkspacePage: Landing page of an invite link (`/join/:workspaceId/:code`).
+ * Shows which workspace and role the link grants and joins on confirmation.
+ */
+const JoinWorkspacePage = ({ db, user, workspaces, onSwitch }) => {
+  const { workspaceId, code } = useParams();
+  const navigate = useNavigate();
+  const [invite, setInvite] = useState(null);
+  const [status, setStatus] = useState('loading'); // 'loading' | 'ready' | 'missing' | 'expired' | 'error'
+  const [joining, setJoining] = useState(false);
+  const [error, setError] = useState(null);
+  const alreadyMember = workspaces.some(workspace => workspace.id === workspaceId);
+
+  useEffect(() => {
+    if (!db || alreadyMember) return;
+
+    let cancelled = false;
+    setStatus('loading');
+    getInvite(db, workspaceId, code)
+      .then((result) => {
+        if (cancelled) return;
+        setInvite(result);
+        setStatus(!result ? 'missing' : isInviteExpired(result) ? 'expired' : 'ready');
+      })
+      .catch((err) => {
+        console.error("Error loading invite: ", err);
+        if (!cancelled) setStatus('error');
+      });
+
+    return () => { cancelled = true; };
+  }, [db, workspaceId, code, alreadyMember]);
+
+  const openWorkspace = () => {
+    onSwitch(workspaceId);
+    navigate('/tickets/mine', { replace: true });
+  };
+
+  const join = async () => {
+    setError(null);
+    setJoining(true);
+    try {
+      await acceptInvite(db, workspaceId, invite, user.uid);
+      openWorkspace();
+    } catch (err) {
+      console.error("Error joining workspace: ", err);
+      setError('You could not join this workspace. The link may have just been revoked.');
+      setJoining(false);
+    }
+  };
+
+  return (
+    <div className="p-8 bg-white dark:bg-gray-800 rounded-xl shadow-lg max-w-lg mx-auto text-center space-y-4">
+      <h2 className="text-2xl font-bold text-gray-900 dark:text-gray-100">Join a Workspace</h2>
+
+      {alreadyMember ? (
+        <>
+          <p className="text-gray-600 dark:text-gray-300">You are already a member of this workspace.</p>
+          <button type="button" onClick={openWorkspace} className="px-5 py-2 font-semibold rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 shadow-md transition">
+            Open Workspace
+          </button>
+        </>
+      ) : status === 'loading' ? (
+        <p className="text-indigo-600 dark:text-indigo-400 font-semibold animate-pulse">Checking invite...</p>
+      ) : status === 'ready' ? (
+        <>
+          <p className="text-gray-600 dark:text-gray-300">
+            You have been invited to <span className="font-semibold text-gray-900 dark:text-gray-100">{invite.workspaceName}</span> as a{' '}
+            <span className="font-semibold text-gray-900 dark:text-gray-100">{ROLE_LABELS[invite.role] || invite.role}</span>.
+          </p>
+          <button
+            type="button"
+            onClick={join}
+            disabled={joining}
+            className="px-5 py-2 font-semibold rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 shadow-md transition disabled:opacity-50"
+          >
+            {joining ? 'Joining...' : 'Join Workspace'}
+          </button>
+          {error && <p className="text-sm text-red-600 dark:text-red-400" role="alert">{error}</p>}
+        </>
+      ) : (
+        <p className="text-red-700 dark:text-red-300">
+          {status === 'missing' && 'This invite link is not valid. It may have been revoked.'}
+          {status === 'expired' && 'This invite link has expired. Ask an admin of the workspace for a new one.'}
+          {status === 'error' && 'The invite could not be loaded. Check your connection and try again.'}
+        </p>
+      )}
+
+      <Link to="/workspaces" className="block text-sm font-medium text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-200">
+        Go to your workspaces
+      </Link>
+    </div>
+  );
+};
+
+export default JoinWorkspacePage;
@@ -1,21 +1,291 @@
-import React from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { collection, onSnapshot, query, where, Timestamp } from 'firebase/firestore';
+import { getTicketsCollectionPath } from '../config.js';
+import UserBadge from '../components/UserBadge.jsx';
+import { useProfiles } from '../contexts/ProfilesContext.js';
+import { useWorkflow } from '../contexts/WorkflowContext.js';
+import { useWorkspace } from '../contexts/WorkspaceContext.js';
+import { formatCurrency } from '../utils/commission.js';
+import { getDisplayName } from '../utils/profiles.js';
+import { getStatusIds, getStatusLabel } from '../utils/workflow.js';
+import { printSummary, ticketsToPrintSection } from '../utils/ticketIO.js';
+import { isDeletedTicket } from '../utils/tickets.js';
+import {
+  GROUP_BY,
+  DATE_RANGE_PRESETS,
+  buildReport,
+  summarizeReport,
+  getTicketDate,
+  parseDateInput,
+  toDateInputValue,
+  endOfDay,
+} from '../utils/reports.js';
+
+const formatTotals = (totals) => {
+  const entries = Object.entries(totals);
+  if (entries.length === 0) return '—';
+  return entries.map(([currency, amount]) => formatCurrency(amount, currency)).join(' + ');
+};
+
+const GROUP_LABELS = {
+  [GROUP_BY.MONTH]: 'Month',
+  [GROUP_BY.QUARTER]: 'Quarter',
+  [GROUP_BY.OWNER]: 'Owner',
+};
 
 /**
- * ReportsPage: A placeholder for a complex page, loaded dynamically via lazy/Suspense.
+ * ReportsPage: Commission reports over all of the workspace's tickets, grouped by
+ * period or owner, with drill-down into the tickets behind each number.
  */
-const ReportsPage = () => {
-  // Simulate heavy processing or complex UI that would make this file large
+const ReportsPage = ({ db }) => {
+  const profiles = useProfiles();
+  const workflow = useWorkflow();
+  const workspace = useWorkspace();
+  const statusIds = getStatusIds(workflow);
+  const [tickets, setTickets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [range, setRange] = useState(() => {
+    const { from, to } = DATE_RANGE_PRESETS['This Quarter'](new Date());
+    return { from: toDateInputValue(from), to: toDateInputValue(to) };
+  });
+  const [groupBy, setGroupBy] = useState(GROUP_BY.MONTH);
+  const [selection, setSelection] = useState(null); // { key, status }
+
+  // Only the selected date range is read from Firestore; a single-field range
+  // on createdAt does not require a composite index.
+  useEffect(() => {
+    if (!db || !workspace.id) return;
+
+    const constraints = [];
+    const from = parseDateInput(range.from);
+    const to = endOfDay(parseDateInput(range.to));
+    if (from) constraints.push(where('createdAt', '>=', Timestamp.fromDate(from)));
+    if (to) constraints.push(where('createdAt', '<', Timestamp.fromDate(to)));
+
+    setLoading(true);
+    const unsubscribe = onSnapshot(query(collection(db, getTicketsCollectionPath(workspace.id)), ...constraints), (snapshot) => {
+      setTickets(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(ticket => !isDeletedTicket(ticket)));
+      setError(null);
+      setLoading(false);
+    }, (err) => {
+      console.error("Error loading report data: ", err);
+      setError('Report data could not be loaded.');
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [db, workspace.id, range.from, range.to]);
+
+  const rows = useMemo(() => buildReport(tickets, groupBy, workflow), [tickets, groupBy, workflow]);
+  const summary = useMemo(() => summarizeReport(rows, workflow), [rows, workflow]);
+
+  const drillDownTickets = useMemo(() => {
+    if (!selection) return [];
+    const row = rows.find(r => r.key === selection.key);
+    if (!row) return [];
+    return row.tickets
+      .filter(ticket => !selection.status || ticket.status === selection.status)
+      .sort((a, b) => (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0));
+  }, [rows, selection]);
+
+  const applyPreset = (name) => {
+    const { from, to } = DATE_RANGE_PRESETS[name](new Date());
+    setRange({ from: toDateInputValue(from), to: toDateInputValue(to) });
+    setSelection(null);
+  };
+
+  const selectedRow = selection && rows.find(r => r.key === selection.key);
+
+  // Owner rows are keyed by uid; show the owner's display name instead
+  const getOwnerName = (uid) => getDisplayName(profiles[uid], uid);
+  const labelFor = (row) => (groupBy === GROUP_BY.OWNER && row.key !== 'total' ? getOwnerName(row.key) : row.label);
+
+  const exportPdf = () => {
+    const sections = [{
+      heading: `By ${GROUP_LABELS[groupBy]}`,
+      columns: [GROUP_LABELS[groupBy], 'Total', ...statusIds.map(status => getStatusLabel(workflow, status)), 'Resolution', 'Paid Out'],
+      rows: [...rows, summary].map(row => [
+        labelFor(row),
+        row.total,
+        ...statusIds.map(status => row.byStatus[status]?.count || 0),
+        `${row.resolutionRate}%`,
+        formatTotals(row.paidOut),
+      ]),
+    }];
+    if (selectedRow) {
+      sections.push(ticketsToPrintSection(`${labelFor(selectedRow)}${selection.status ? ` · ${getStatusLabel(workflow, selection.status)}` : ''}`, drillDownTickets, getOwnerName));
+    }
+    const opened = printSummary({
+      title: 'Commission Report',
+      subtitle: `${range.from || 'Beginning'} to ${range.to || 'today'} · Generated ${new Date().toLocaleString('en-US')}`,
+      sections,
+    });
+    if (!opened) alert('Allow pop-ups for this site to export a PDF.');
+  };
+
   return (
-    <div className="p-8 bg-blue-50 rounded-xl border border-blue-200 shadow-lg">
-      <h2 className="text-3xl font-bold text-blue-800 mb-4">Commission Reports</h2>
-      <p className="text-blue-600">
-        This page was **dynamically imported (Code Split)**. Its code was not loaded until you clicked the navigation link.
-      </p>
-      <ul className="mt-4 space-y-2 text-sm text-blue-700">
-        <li>- Generate Q3 Sales Data</li>
-        <li>- View Payout History</li>
-        <li>- Export PDF (Simulated Feature)</li>
-      </ul>
+    <div className="p-8 bg-blue-50 dark:bg-blue-900/30 rounded-xl border border-blue-200 dark:border-blue-800 shadow-lg space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4">
+        <div>
+          <h2 className="text-3xl font-bold text-blue-800 dark:text-blue-200 mb-2">Commission Reports</h2>
+          <p className="text-blue-600 dark:text-blue-400">
+            Payout history, period summaries and per-owner totals across all commission tickets.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={exportPdf}
+          disabled={loading || rows.length === 0}
+          className="px-4 py-2 text-sm font-semibold rounded-lg text-white bg-blue-600 hover:bg-blue-700 shadow-md transition disabled:opacity-50"
+        >
+          Export PDF
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-col lg:flex-row lg:items-end gap-4 p-4 bg-white dark:bg-gray-800 rounded-xl shadow-sm">
+        <div className="flex flex-wrap gap-2">
+          {Object.keys(DATE_RANGE_PRESETS).map(name => (
+            <button
+              key={name}
+              type="button"
+              onClick={() => applyPreset(name)}
+              className="px-3 py-1 text-xs font-medium rounded-full border border-blue-200 dark:border-blue-800 text-blue-700 dark:text-blue-300 hover:bg-blue-100 dark:hover:bg-blue-900/60 transition"
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+        <label className="block text-sm">
+          <span className="text-gray-700 dark:text-gray-300">From</span>
+          <input
+            type="date"
+            value={range.from}
+            onChange={(e) => { setRange(prev => ({ ...prev, from: e.target.value })); setSelection(null); }}
+            className="mt-1 block rounded-md border border-gray-300 dark:border-gray-600 shadow-sm p-2"
+          />
+        </label>
+        <label className="block text-sm">
+          <span className="text-gray-700 dark:text-gray-300">To</span>
+          <input
+            type="date"
+            value={range.to}
+            onChange={(e) => { setRange(prev => ({ ...prev, to: e.target.value })); setSelection(null); }}
+            className="mt-1 block rounded-md border border-gray-300 dark:border-gray-600 shadow-sm p-2"
+          />
+        </label>
+        <label className="block text-sm">
+          <span className="text-gray-700 dark:text-gray-300">Group by</span>
+          <select
+            value={groupBy}
+            onChange={(e) => { setGroupBy(e.target.value); setSelection(null); }}
+            className="mt-1 block rounded-md border border-gray-300 dark:border-gray-600 shadow-sm p-2 bg-white dark:bg-gray-800"
+          >
+            {Object.values(GROUP_BY).map(value => <option key={value} value={value}>{GROUP_LABELS[value]}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {error && <p className="p-4 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-lg">{error}</p>}
+
+      {/* Summary */}
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div className="bg-white dark:bg-gray-800 p-4 rounded-xl shadow-sm">
+          <p className="text-xs text-gray-500 dark:text-gray-400 uppercase tracking-wider">Tickets</p>
+          <p className="mt-1 text-3xl font-extrabold text-gray-900 dark:text-gray-100">{summary.total}</p>
+        </div>
+        <div className="bg-white dark:bg-gray-800 p-4 rounded-xl shadow-sm">
+          <p className="text-xs text-gray-500 dark:text-gray-400 uppercase tracking-wider">Resolved</p>
+          <p className="mt-1 text-3xl font-extrabold text-gray-900 dark:text-gray-100">
+            {summary.resolved} <span className="text-base font-medium text-gray-500 dark:text-gray-400">({summary.resolutionRate}%)</span>
+          </p>
+        </div>
+        <div className="bg-white dark:bg-gray-800 p-4 rounded-xl shadow-sm">
+          <p className="text-xs text-gray-500 dark:text-gray-400 uppercase tracking-wider">Paid Out</p>
+          <p className="mt-1 text-xl font-extrabold text-blue-800 dark:text-blue-200">{formatTotals(summary.paidOut)}</p>
+        </div>
+      </div>
+
+      {/* Report table */}
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-blue-100 dark:bg-blue-900/50 text-blue-900 dark:text-blue-200 text-left">
+            <tr>
+              <th className="p-3">{GROUP_LABELS[groupBy]}</th>
+              <th className="p-3 text-right">Total</th>
+              {statusIds.map(status => <th key={status} className="p-3 text-right">{getStatusLabel(workflow, status)}</th>)}
+              <th className="p-3 text-right">Resolution</th>
+              <th className="p-3 text-right">Paid Out</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr><td colSpan={statusIds.length + 4} className="p-6 text-center text-gray-500 dark:text-gray-400">Loading report...</td></tr>
+            ) : rows.length === 0 ? (
+              <tr><td colSpan={statusIds.length + 4} className="p-6 text-center text-gray-500 dark:text-gray-400">No tickets in this date range.</td></tr>
+            ) : rows.map(row => (
+              <tr key={row.key} className={`border-t border-gray-100 dark:border-gray-700 ${selection?.key === row.key ? 'bg-blue-50 dark:bg-blue-900/30' : 'hover:bg-gray-50 dark:hover:bg-gray-700'}`}>
+                <td className="p-3">
+                  <button
+                    type="button"
+                    onClick={() => setSelection({ key: row.key, status: null })}
+                    className="font-medium text-blue-700 dark:text-blue-300 hover:underline"
+                  >
+                    {groupBy === GROUP_BY.OWNER ? <UserBadge uid={row.key} /> : row.label}
+                  </button>
+                </td>
+                <td className="p-3 text-right font-semibold">{row.total}</td>
+                {statusIds.map(status => (
+                  <td key={status} className="p-3 text-right">
+                    <button
+                      type="button"
+                      onClick={() => setSelection({ key: row.key, status })}
+                      disabled={!row.byStatus[status]?.count}
+                      className="hover:underline disabled:no-underline disabled:text-gray-400"
+                      title={formatTotals(row.byStatus[status]?.payout || {})}
+                    >
+                      {row.byStatus[status]?.count || 0}
+                    </button>
+                  </td>
+                ))}
+                <td className="p-3 text-right">{row.resolutionRate}%</td>
+                <td className="p-3 text-right">{formatTotals(row.paidOut)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Drill-down */}
+      {selectedRow && (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-4 space-y-3">
+          <div className="flex justify-between items-center">
+            <h3 className="text-lg font-bold text-gray-800 dark:text-gray-100">
+              {labelFor(selectedRow)}{selection.status ? ` · ${getStatusLabel(workflow, selection.status)}` : ''} ({drillDownTickets.length})
+            </h3>
+            <button type="button" onClick={() => setSelection(null)} className="text-sm text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-100">
+              Close
+            </button>
+          </div>
+          <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+            {drillDownTickets.map(ticket => (
+              <li key={ticket.id} className="py-2 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-1 text-sm">
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-800 dark:text-gray-100 truncate">{ticket.title}</p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {getTicketDate(ticket)?.toLocaleDateString('en-US') || 'N/A'} · {getOwnerName(ticket.userId)}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-3 shrink-0">
+                  <span className="text-xs text-gray-600 dark:text-gray-300">{getStatusLabel(workflow, ticket.status)}</span>
+                  <span className="font-semibold text-blue-800 dark:text-blue-200">{formatCurrency(ticket.payoutAmount, ticket.currency)}</span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
     </div>
   );
 };
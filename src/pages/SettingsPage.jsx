@@ -1,29 +1,147 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import AccountPanel from '../components/AccountPanel.jsx';
+import InviteManager from '../components/InviteManager.jsx';
+import RoleManager from '../components/RoleManager.jsx';
+import TicketTypesEditor from '../components/TicketTypesEditor.jsx';
+import WorkflowEditor from '../components/WorkflowEditor.jsx';
+import { useTicketTypes } from '../contexts/TicketTypesContext.js';
+import { useWorkflow } from '../contexts/WorkflowContext.js';
+import { CURRENCIES } from '../utils/commission.js';
+import { canManageRoles, canManageTicketTypes, canManageWorkflow } from '../utils/permissions.js';
+import { THEME_LABELS } from '../utils/theme.js';
+import {
+  NOTIFICATION_TYPE_LABELS,
+  browserNotificationsSupported,
+  getNotificationPrefs,
+} from '../utils/notifications.js';
 
 /**
- * SettingsPage: A placeholder for a complex page, loaded dynamically via lazy/Suspense.
+ * SettingsPage: The user's preferences (default currency, theme, notifications) and
+ * account, plus the workspace administration a role allows: members and roles,
+ * invites, the status workflow and ticket types. Loaded dynamically via lazy/Suspense.
  */
-const SettingsPage = () => {
-  // Simulate heavy processing or complex UI that would make this file large
+const SettingsPage = ({ db, auth, user, role, settings, onSave, onSaveProfile, onAccountChange, onSaveWorkflow, onSaveTicketTypes }) => {
+  const workflow = useWorkflow();
+  const ticketTypes = useTicketTypes();
+  const [defaultCurrency, setDefaultCurrency] = useState(settings.defaultCurrency);
+  const [theme, setTheme] = useState(settings.theme);
+  const [notifications, setNotifications] = useState(() => getNotificationPrefs(settings));
+  const [permissionNote, setPermissionNote] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  // Keep the form in sync when the stored settings change (e.g. from another tab)
+  useEffect(() => {
+    setDefaultCurrency(settings.defaultCurrency);
+  }, [settings.defaultCurrency]);
+
+  useEffect(() => {
+    setTheme(settings.theme);
+  }, [settings.theme]);
+
+  const storedNotifications = settings.notifications;
+  useEffect(() => {
+    setNotifications(getNotificationPrefs({ notifications: storedNotifications }));
+  }, [storedNotifications]);
+
+  const updateNotifications = (changes) => {
+    setNotifications(prev => ({ ...prev, ...changes }));
+    setSaved(false);
+  };
+
+  // The browser asks for permission the first time; a refusal leaves the option off
+  const toggleBrowserNotifications = async (checked) => {
+    setPermissionNote(null);
+    if (checked && Notification.permission !== 'granted') {
+      const permission = await Notification.requestPermission();
+      if (permission !== 'granted') {
+        setPermissionNote('Notifications are blocked for this site. Allow them in your browser settings to turn this on.');
+        return;
+      }
+    }
+    updateNotifications({ browser: checked });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const success = await onSave({ defaultCurrency, theme, notifications });
+    setSaved(success);
+  };
+
   return (
-    <div className="p-8 bg-yellow-50 rounded-xl border border-yellow-200 shadow-lg">
-      <h2 className="text-3xl font-bold text-yellow-800 mb-4">User Settings</h2>
-      <p className="text-yellow-600">
-        This page was **dynamically imported (Code Split)**. Its code was not loaded until you clicked the navigation link.
-      </p>
-      <form className="mt-4 space-y-4">
+    <div className="p-8 bg-yellow-50 dark:bg-gray-800 rounded-xl border border-yellow-200 dark:border-gray-600 shadow-lg">
+      <h2 className="text-3xl font-bold text-yellow-800 dark:text-yellow-200 mb-4">User Settings</h2>
+      <form onSubmit={handleSubmit} className="mt-4 space-y-4">
         <label className="block">
-          <span className="text-gray-700">Default Currency:</span>
-          <input type="text" defaultValue="USD" className="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2" />
+          <span className="text-gray-700 dark:text-gray-300">Default Currency:</span>
+          <select
+            value={defaultCurrency}
+            onChange={(e) => { setDefaultCurrency(e.target.value); setSaved(false); }}
+            className="mt-1 block w-full rounded-md border-gray-300 dark:border-gray-600 shadow-sm p-2"
+          >
+            {CURRENCIES.map(code => <option key={code} value={code}>{code}</option>)}
+          </select>
+          <span className="mt-1 block text-xs text-gray-500 dark:text-gray-400">Used for new commission tickets.</span>
+        </label>
+        <label className="block">
+          <span className="text-gray-700 dark:text-gray-300">Theme:</span>
+          <select
+            value={theme}
+            onChange={(e) => { setTheme(e.target.value); setSaved(false); }}
+            className="mt-1 block w-full rounded-md border-gray-300 dark:border-gray-600 shadow-sm p-2"
+          >
+            {Object.entries(THEME_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          <span className="mt-1 block text-xs text-gray-500 dark:text-gray-400">Applies on every device you sign in on.</span>
         </label>
         <label className="block">
-          <span className="text-gray-700">Notifications:</span>
-          <select className="mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2">
-            <option>Enabled</option>
-            <option>Disabled</option>
+          <span className="text-gray-700 dark:text-gray-300">Notifications:</span>
+          <select
+            value={notifications.enabled ? 'enabled' : 'disabled'}
+            onChange={(e) => updateNotifications({ enabled: e.target.value === 'enabled' })}
+            className="mt-1 block w-full rounded-md border-gray-300 dark:border-gray-600 shadow-sm p-2"
+          >
+            <option value="enabled">Enabled</option>
+            <option value="disabled">Disabled</option>
           </select>
         </label>
+        {notifications.enabled && (
+          <fieldset className="space-y-2 pl-1">
+            <legend className="text-sm text-gray-700 dark:text-gray-300 mb-1">Notify me about:</legend>
+            {Object.entries(NOTIFICATION_TYPE_LABELS).map(([type, label]) => (
+              <label key={type} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={notifications.types[type]}
+                  onChange={(e) => updateNotifications({ types: { ...notifications.types, [type]: e.target.checked } })}
+                />
+                {label}
+              </label>
+            ))}
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 pt-1">
+              <input
+                type="checkbox"
+                checked={notifications.browser}
+                disabled={!browserNotificationsSupported()}
+                onChange={(e) => toggleBrowserNotifications(e.target.checked)}
+              />
+              Also show browser notifications while the app is open
+            </label>
+            {!browserNotificationsSupported() && <p className="text-xs text-gray-500 dark:text-gray-400">This browser does not support notifications.</p>}
+            {permissionNote && <p className="text-xs text-red-600 dark:text-red-400">{permissionNote}</p>}
+          </fieldset>
+        )}
+        <div className="flex items-center space-x-3">
+          <button type="submit" className="px-4 py-2 text-sm font-semibold rounded-lg text-white bg-yellow-600 hover:bg-yellow-700 shadow-md transition">
+            Save Settings
+          </button>
+          {saved && <span className="text-sm text-green-700 dark:text-green-300">Saved.</span>}
+        </div>
       </form>
+      <AccountPanel auth={auth} user={user} onSaveProfile={onSaveProfile} onAccountChange={onAccountChange} />
+      {canManageRoles(role) && <RoleManager db={db} user={user} />}
+      {canManageRoles(role) && <InviteManager db={db} user={user} />}
+      {canManageWorkflow(role) && <WorkflowEditor workflow={workflow} onSave={onSaveWorkflow} />}
+      {canManageTicketTypes(role) && <TicketTypesEditor ticketTypes={ticketTypes} onSave={onSaveTicketTypes} />}
     </div>
   );
 };
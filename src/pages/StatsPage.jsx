@@ -0,0 +1,307 @@
+import React, { useState, useMemo } from 'react';
+import { where, Timestamp } from 'firebase/firestore';
+import { getTicketsCollectionPath } from '../config.js';
+import UserBadge from '../components/UserBadge.jsx';
+import { useWorkflow } from '../contexts/WorkflowContext.js';
+import { useWorkspace } from '../contexts/WorkspaceContext.js';
+import useTicketsQuery from '../hooks/useTicketsQuery.js';
+import { formatCurrency } from '../utils/commission.js';
+import { getStatusColor, isResolvedStatus } from '../utils/workflow.js';
+import { SLA_POLICY, buildAgingReport } from '../utils/sla.js';
+import { DATE_RANGE_PRESETS, parseDateInput, toDateInputValue, endOfDay } from '../utils/reports.js';
+import {
+  PERIODS,
+  percentOf,
+  buildStatusDistribution,
+  buildWeeklyThroughput,
+  buildOwnerLeaderboard,
+  buildPayoutsByPeriod,
+  countSlaStates,
+  getResolutionTime,
+  summarizeDurations,
+  formatDuration,
+} from '../utils/stats.js';
+
+const formatTotals = (totals) => {
+  const entries = Object.entries(totals);
+  if (entries.length === 0) return '—';
+  return entries.map(([currency, amount]) => formatCurrency(amount, currency)).join(' + ');
+};
+
+const LEADERBOARD_SIZE = 10;
+const NO_TICKETS = [];
+
+// Builds range constraints on a timestamp field; `from` falls back to the epoch
+// so tickets without the field (e.g. never resolved) are excluded either way.
+const rangeConstraints = (field, from, to) => [
+  where(field, '>=', from ? Timestamp.fromDate(from) : Timestamp.fromMillis(0)),
+  ...(to ? [where(field, '<', Timestamp.fromDate(to))] : []),
+];
+
+/**
+ * StatsPage: Ticket metrics for a date range over the workspace's tickets:
+ * weekly created vs resolved, time to resolution, per-owner leaderboard and
+ * payouts per period, plus SLA breaches and aging of the tickets still open.
+ */
+const StatsPage = ({ db }) => {
+  const workflow = useWorkflow();
+  const workspace = useWorkspace();
+  const ticketsPath = getTicketsCollectionPath(workspace.id);
+  const [range, setRange] = useState(() => {
+    const { from, to } = DATE_RANGE_PRESETS['This Quarter'](new Date());
+    return { from: toDateInputValue(from), to: toDateInputValue(to) };
+  });
+  const [payoutPeriod, setPayoutPeriod] = useState(PERIODS.MONTH);
+
+  const from = useMemo(() => parseDateInput(range.from), [range.from]);
+  const to = useMemo(() => endOfDay(parseDateInput(range.to)), [range.to]);
+  const rangeKey = `${range.from}|${range.to}`;
+  const openStatusIds = workflow.statuses.filter(status => !status.resolved).map(status => status.id);
+
+  // Three single-field queries, so no composite indexes are needed: tickets
+  // created in the range, tickets resolved in the range and every open ticket.
+  const created = useTicketsQuery(db, ticketsPath, rangeConstraints('createdAt', from, to), `created|${rangeKey}`);
+  const resolved = useTicketsQuery(db, ticketsPath, rangeConstraints('resolvedAt', from, to), `resolved|${rangeKey}`);
+  const open = useTicketsQuery(db, ticketsPath, [where('status', 'in', openStatusIds)], `open|${openStatusIds.join(',')}`, openStatusIds.length > 0);
+
+  // Skip tickets whose status no longer counts as resolved after a workflow change
+  const resolvedTickets = useMemo(
+    () => resolved.tickets.filter(ticket => isResolvedStatus(workflow, ticket.status)),
+    [resolved.tickets, workflow]
+  );
+  const openTickets = openStatusIds.length > 0 ? open.tickets : NO_TICKETS;
+
+  const stats = useMemo(() => {
+    const now = new Date();
+    const aging = buildAgingReport(openTickets, workflow, now);
+
+    return {
+      total: created.tickets.length,
+      byStatus: buildStatusDistribution(created.tickets, workflow),
+      resolved: resolvedTickets.length,
+      resolution: summarizeDurations(resolvedTickets.map(getResolutionTime)),
+      ...countSlaStates(openTickets, workflow, now),
+      aging,
+      openTotal: aging.reduce((sum, bucket) => sum + bucket.count, 0),
+    };
+  }, [created.tickets, resolvedTickets, openTickets, workflow]);
+
+  const weeks = useMemo(
+    () => buildWeeklyThroughput(created.tickets, resolvedTickets, from, to && new Date(to.getTime() - 1)),
+    [created.tickets, resolvedTickets, from, to]
+  );
+  const weekMax = Math.max(1, ...weeks.map(week => Math.max(week.created, week.resolved)));
+  const leaderboard = useMemo(() => buildOwnerLeaderboard(created.tickets, resolvedTickets), [created.tickets, resolvedTickets]);
+  const payouts = useMemo(() => buildPayoutsByPeriod(resolvedTickets, payoutPeriod), [resolvedTickets, payoutPeriod]);
+  const payoutMax = Math.max(1, ...payouts.map(row => row.count));
+
+  const loading = created.loading || resolved.loading || open.loading;
+  const error = created.error || resolved.error || open.error;
+
+  const applyPreset = (name) => {
+    const preset = DATE_RANGE_PRESETS[name](new Date());
+    setRange({ from: toDateInputValue(preset.from), to: toDateInputValue(preset.to) });
+  };
+
+  return (
+    <div className="space-y-8">
+      <h2 className="text-3xl font-extrabold text-gray-900 dark:text-gray-100">Ticket Metrics Overview</h2>
+
+      {/* Date range */}
+      <div className="flex flex-col lg:flex-row lg:items-end gap-4 p-4 bg-white dark:bg-gray-800 rounded-xl shadow-sm">
+        <div className="flex flex-wrap gap-2">
+          {Object.keys(DATE_RANGE_PRESETS).map(name => (
+            <button
+              key={name}
+              type="button"
+              onClick={() => applyPreset(name)}
+              className="px-3 py-1 text-xs font-medium rounded-full border border-indigo-200 dark:border-indigo-800 text-indigo-700 dark:text-indigo-300 hover:bg-indigo-100 dark:hover:bg-indigo-900/60 transition"
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+        <label className="block text-sm">
+          <span className="text-gray-700 dark:text-gray-300">From</span>
+          <input
+            type="date"
+            value={range.from}
+            onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))}
+            className="mt-1 block rounded-md border border-gray-300 dark:border-gray-600 shadow-sm p-2"
+          />
+        </label>
+        <label className="block text-sm">
+          <span className="text-gray-700 dark:text-gray-300">To</span>
+          <input
+            type="date"
+            value={range.to}
+            onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))}
+            className="mt-1 block rounded-md border border-gray-300 dark:border-gray-600 shadow-sm p-2"
+          />
+        </label>
+        {loading && <span className="text-sm text-indigo-600 dark:text-indigo-400 font-semibold animate-pulse">Loading...</span>}
+      </div>
+
+      {error && <p className="p-4 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-lg">{error}</p>}
+
+      <div className="grid grid-cols-2 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+        {[{ label: 'Created', value: stats.total, color: 'text-indigo-600 dark:text-indigo-400', icon: '📊' },
+          { label: 'Resolved', value: stats.resolved, color: 'text-green-600 dark:text-green-400', icon: '✅' },
+          { label: 'Avg. Resolution', value: formatDuration(stats.resolution.average), color: 'text-sky-600 dark:text-sky-400', icon: '⏱' },
+          { label: 'Median Resolution', value: formatDuration(stats.resolution.median), color: 'text-sky-600 dark:text-sky-400', icon: '⏱' },
+          { label: 'Overdue (SLA)', value: stats.breached, color: 'text-red-600 dark:text-red-400', icon: '⏰' },
+          { label: 'Due Soon', value: stats.dueSoon, color: 'text-orange-500', icon: '⌛' },
+          ...stats.byStatus.map(status => ({ label: status.label, value: status.count, color: getStatusColor(workflow, status.id).text, icon: '●' })),
+        ].map(({ label, value, color, icon: Icon }) => (
+          <div key={label} className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-md border-b-4 border-gray-100 dark:border-gray-700 hover:border-indigo-500 transition duration-300">
+            <div className="flex items-center space-x-3">
+              <span className={`w-6 h-6 text-2xl ${color}`}>{Icon}</span>
+              <p className="text-sm font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">{label}</p>
+            </div>
+            <p className="mt-2 text-4xl font-extrabold text-gray-900 dark:text-gray-100">{value}</p>
+          </div>
+        ))}
+      </div>
+      <p className="-mt-4 text-xs text-gray-500 dark:text-gray-400">
+        Resolution times cover the {stats.resolution.count} ticket{stats.resolution.count === 1 ? '' : 's'} resolved in this range. Tickets resolved before resolution times were recorded are not included. Overdue and Due Soon count all open tickets.
+      </p>
+
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <h3 className="text-xl font-bold text-gray-800 dark:text-gray-100">Created vs Resolved per Week</h3>
+          <div className="flex items-center gap-4 text-xs text-gray-600 dark:text-gray-300">
+            <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-indigo-500"></span>Created</span>
+            <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-green-500"></span>Resolved</span>
+          </div>
+        </div>
+        {weeks.length === 0 ? (
+          <p className="p-6 text-center text-gray-500 dark:text-gray-400">No tickets in this date range.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <div className="flex items-end gap-2 h-48 min-w-max" role="img" aria-label={`Weekly created and resolved tickets, ${weeks.length} weeks`}>
+              {weeks.map(week => (
+                <div key={week.key} className="flex items-end gap-0.5 h-full w-10" title={`Week of ${week.label}: ${week.created} created, ${week.resolved} resolved`}>
+                  <div className="flex-1 bg-indigo-500 rounded-t" style={{ height: `${percentOf(week.created, weekMax)}%` }}></div>
+                  <div className="flex-1 bg-green-500 rounded-t" style={{ height: `${percentOf(week.resolved, weekMax)}%` }}></div>
+                </div>
+              ))}
+            </div>
+            <div className="flex gap-2 mt-1 min-w-max">
+              {weeks.map(week => (
+                <div key={week.key} className="w-10 text-[10px] text-center text-gray-500 dark:text-gray-400">{week.label}</div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg">
+        <h3 className="text-xl font-bold mb-4 text-gray-800 dark:text-gray-100">Status Distribution ({stats.total} Created)</h3>
+        <div className="space-y-4">
+          {stats.byStatus.map(status => {
+            const color = getStatusColor(workflow, status.id);
+            return (
+              <div key={status.id} className="flex items-center space-x-4">
+                <div className={`w-32 text-sm font-medium ${color.text}`}>{status.label} ({status.percent}%)</div>
+                <div className="flex-1 bg-gray-200 dark:bg-gray-700 rounded-full h-4 overflow-hidden">
+                  <div className={`${color.bar} h-full rounded-r-full`} style={{ width: `${status.percent}%` }}></div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-8">
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg">
+          <h3 className="text-xl font-bold mb-4 text-gray-800 dark:text-gray-100">Owner Leaderboard</h3>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="text-left text-gray-500 dark:text-gray-400 uppercase text-xs tracking-wider">
+                <tr>
+                  <th className="p-2">Owner</th>
+                  <th className="p-2 text-right">Created</th>
+                  <th className="p-2 text-right">Resolved</th>
+                  <th className="p-2 text-right">Median Resolution</th>
+                  <th className="p-2 text-right">Paid Out</th>
+                </tr>
+              </thead>
+              <tbody>
+                {leaderboard.length === 0 ? (
+                  <tr><td colSpan={5} className="p-6 text-center text-gray-500 dark:text-gray-400">No tickets in this date range.</td></tr>
+                ) : leaderboard.slice(0, LEADERBOARD_SIZE).map(owner => (
+                  <tr key={owner.uid} className="border-t border-gray-100 dark:border-gray-700">
+                    <td className="p-2"><UserBadge uid={owner.uid} /></td>
+                    <td className="p-2 text-right">{owner.created}</td>
+                    <td className="p-2 text-right font-semibold">{owner.resolved}</td>
+                    <td className="p-2 text-right">{formatDuration(owner.medianResolution)}</td>
+                    <td className="p-2 text-right">{formatTotals(owner.paidOut)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg">
+          <div className="flex items-center justify-between gap-2 mb-4">
+            <h3 className="text-xl font-bold text-gray-800 dark:text-gray-100">Payouts per {payoutPeriod === PERIODS.WEEK ? 'Week' : 'Month'}</h3>
+            <div className="flex rounded-lg border overflow-hidden text-xs font-medium" role="group" aria-label="Payout period">
+              {[[PERIODS.WEEK, 'Week'], [PERIODS.MONTH, 'Month']].map(([value, label]) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => setPayoutPeriod(value)}
+                  aria-pressed={payoutPeriod === value}
+                  className={`px-3 py-1 transition ${payoutPeriod === value ? 'bg-indigo-600 text-white' : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          {payouts.length === 0 ? (
+            <p className="p-6 text-center text-gray-500 dark:text-gray-400">No tickets resolved in this date range.</p>
+          ) : (
+            <div className="space-y-3">
+              {payouts.map(row => (
+                <div key={row.key} className="flex items-center space-x-4">
+                  <div className="w-24 text-sm font-medium text-gray-700 dark:text-gray-300">{payoutPeriod === PERIODS.WEEK ? `Wk ${row.label}` : row.label}</div>
+                  <div className="flex-1 bg-gray-200 dark:bg-gray-700 rounded-full h-3 overflow-hidden">
+                    <div className="bg-green-500 h-full rounded-r-full" style={{ width: `${percentOf(row.count, payoutMax)}%` }}></div>
+                  </div>
+                  <div className="w-40 text-sm text-right text-gray-700 dark:text-gray-300">
+                    {formatTotals(row.paidOut)} <span className="text-gray-400">({row.count})</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg">
+        <h3 className="text-xl font-bold mb-1 text-gray-800 dark:text-gray-100">Aging of Unresolved Tickets ({stats.openTotal})</h3>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mb-4">
+          SLA: {Object.entries(SLA_POLICY).map(([priority, days]) => `${priority} ${days}d`).join(' · ')} (business days, unless a due date is set). Red marks tickets past their deadline. Covers every open ticket, whatever the date range.
+        </p>
+        <div className="space-y-4">
+          {stats.aging.map(bucket => (
+            <div key={bucket.label} className="flex items-center space-x-4">
+              <div className="w-32 text-sm font-medium text-gray-700 dark:text-gray-300">{bucket.label}</div>
+              <div className="flex-1 bg-gray-200 dark:bg-gray-700 rounded-full h-4 overflow-hidden flex">
+                <div className="bg-red-500 h-full" style={{ width: `${percentOf(bucket.breached, stats.openTotal)}%` }}></div>
+                <div className="bg-indigo-400 h-full" style={{ width: `${percentOf(bucket.count - bucket.breached, stats.openTotal)}%` }}></div>
+              </div>
+              <div className="w-28 text-sm text-right text-gray-600 dark:text-gray-300">
+                {bucket.count}{bucket.breached > 0 && <span className="text-red-600 dark:text-red-400"> ({bucket.breached} overdue)</span>}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StatsPage;
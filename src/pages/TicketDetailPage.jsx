@@ -0,0 +1,140 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { doc, onSnapshot } from 'firebase/firestore';
+import { getTicketDocPath } from '../config.js';
+import TicketAttachments from '../components/TicketAttachments.jsx';
+import TicketCard from '../components/TicketCard.jsx';
+import TicketComments from '../components/TicketComments.jsx';
+import TicketEditForm from '../components/TicketEditForm.jsx';
+import TicketHistory from '../components/TicketHistory.jsx';
+import UserBadge from '../components/UserBadge.jsx';
+import { useWorkflow } from '../contexts/WorkflowContext.js';
+import { useWorkspace } from '../contexts/WorkspaceContext.js';
+import { withSyncState } from '../utils/offline.js';
+import { canEditTicket, canRestoreTicket } from '../utils/permissions.js';
+import { isDeletedTicket } from '../utils/tickets.js';
+
+/**
+ * TicketDetailPage: A single ticket addressed by workspace and id, so it can be shared
+ * as a link, with its edit form (`?edit=1`), attachments, discussion thread and change
+ * history. Opening a ticket of another of the user's workspaces switches to that one.
+ * A ticket in the trash is shown read-only with a way to restore it.
+ * Loaded dynamically via lazy/Suspense.
+ */
+const TicketDetailPage = ({ db, storage, user, role, workspaces, onSwitchWorkspace, onUpdate, onDeleteConfirm, onRestore }) => {
+  const workspace = useWorkspace();
+  const { workspaceId = workspace.id, ticketId } = useParams();
+  const inActiveWorkspace = workspaceId === workspace.id;
+  const isMember = workspaces.some(candidate => candidate.id === workspaceId);
+  const workflow = useWorkflow();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [ticket, setTicket] = useState(null);
+  const [status, setStatus] = useState('loading'); // 'loading' | 'ready' | 'missing' | 'forbidden' | 'error'
+  const [restoring, setRestoring] = useState(false);
+
+  // The ticket is loaded once its workspace is the active one, so every listener in App agrees
+  useEffect(() => {
+    if (inActiveWorkspace) return;
+    setStatus(isMember ? 'loading' : 'forbidden');
+    if (isMember) onSwitchWorkspace(workspaceId);
+  }, [inActiveWorkspace, isMember, workspaceId, onSwitchWorkspace]);
+
+  useEffect(() => {
+    if (!db || !workspace.id || !inActiveWorkspace) return;
+
+    setStatus('loading');
+    const ticketRef = doc(db, getTicketDocPath(workspace.id, ticketId));
+    const unsubscribe = onSnapshot(ticketRef, { includeMetadataChanges: true }, (snapshot) => {
+      if (snapshot.exists()) {
+        setTicket(withSyncState(snapshot));
+        setStatus('ready');
+      } else {
+        setTicket(null);
+        setStatus('missing');
+      }
+    }, (error) => {
+      console.error("Error loading ticket: ", error);
+      setStatus('error');
+    });
+
+    return () => unsubscribe();
+  }, [db, workspace.id, inActiveWorkspace, ticketId]);
+
+  const isDeleted = status === 'ready' && isDeletedTicket(ticket);
+
+  // Editing is limited to the ticket owner (until it is resolved) and admins, and to tickets not in the trash
+  const canEdit = status === 'ready' && !isDeleted && canEditTicket(role, ticket, user?.uid, workflow);
+  const isEditing = canEdit && searchParams.get('edit') === '1';
+  const setEditing = (editing) => setSearchParams(editing ? { edit: '1' } : {}, { replace: true });
+
+  // The snapshot listener picks up the restored ticket; App reports a failure
+  const handleRestore = async () => {
+    setRestoring(true);
+    await onRestore(ticket.id);
+    setRestoring(false);
+  };
+
+  return (
+    <div className="space-y-6">
+      <Link to="/tickets/mine" className="text-sm font-medium text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-200">
+        ← Back to tickets
+      </Link>
+
+      {status === 'loading' && (
+        <div className="p-8 bg-white dark:bg-gray-800 rounded-xl shadow-lg text-center text-gray-500 dark:text-gray-400">Loading ticket...</div>
+      )}
+      {status === 'missing' && (
+        <div className="p-8 bg-gray-100 dark:bg-gray-700 rounded-xl text-center text-gray-500 dark:text-gray-400 shadow-inner">
+          <p className="text-lg font-medium">This ticket does not exist or has been deleted.</p>
+        </div>
+      )}
+      {status === 'forbidden' && (
+        <div className="p-8 bg-gray-100 dark:bg-gray-700 rounded-xl text-center text-gray-500 dark:text-gray-400 shadow-inner">
+          <p className="text-lg font-medium">This ticket belongs to a workspace you are not a member of.</p>
+          <p className="text-sm mt-1">Ask one of its admins for an invite link.</p>
+        </div>
+      )}
+      {status === 'error' && (
+        <div className="p-8 bg-red-50 dark:bg-red-900/30 rounded-xl text-center text-red-700 dark:text-red-300">The ticket could not be loaded.</div>
+      )}
+      {isDeleted && (
+        <div className="p-4 bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-xl flex flex-wrap items-center justify-between gap-3 text-sm text-gray-700 dark:text-gray-300">
+          <span className="flex flex-wrap items-center gap-1">
+            This ticket is in the trash. Deleted by <UserBadge uid={ticket.deletedBy} className="font-medium" />
+            {ticket.deletedAt?.toDate && ` on ${ticket.deletedAt.toDate().toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}`}.
+          </span>
+          {canRestoreTicket(role, ticket, user?.uid) && (
+            <button
+              type="button"
+              onClick={handleRestore}
+              disabled={restoring}
+              className="px-4 py-2 text-sm font-medium rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 shadow-sm transition disabled:opacity-60"
+            >
+              {restoring ? 'Restoring...' : 'Restore'}
+            </button>
+          )}
+        </div>
+      )}
+      {status === 'ready' && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 items-start">
+          <div className="space-y-6">
+            {isEditing ? (
+              <TicketEditForm
+                ticket={ticket}
+                onSave={(updates) => onUpdate(ticket, updates)}
+                onCancel={() => setEditing(false)}
+              />
+            ) : (
+              <TicketCard ticket={ticket} user={user} role={role} onUpdate={onUpdate} onDeleteConfirm={onDeleteConfirm} />
+            )}
+            <TicketAttachments db={db} storage={storage} ticket={ticket} user={user} role={role} />
+            <TicketComments db={db} ticket={ticket} user={user} role={role} />
+          </div>
+          <TicketHistory db={db} ticket={ticket} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TicketDetailPage;
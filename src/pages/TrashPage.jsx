@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { where, orderBy, Timestamp } from 'firebase/firestore';
+import { getTicketsCollectionPath } from '../config.js';
+import ConfirmationModal from '../components/ConfirmationModal.jsx';
+import UserBadge from '../components/UserBadge.jsx';
+import { useWorkspace } from '../contexts/WorkspaceContext.js';
+import { useToast } from '../contexts/ToastContext.js';
+import useTicketsQuery from '../hooks/useTicketsQuery.js';
+import { formatTicketCount } from '../utils/bulkActions.js';
+import { canPurgeTickets, canRestoreTicket } from '../utils/permissions.js';
+import { TRASH_RETENTION_DAYS, getPurgeDate, isPurgeable } from '../utils/tickets.js';
+import { purgeTicket, purgeTickets } from '../utils/ticketWrites.js';
+import { getTicketRoute } from '../utils/workspaces.js';
+
+// Deleted tickets are the ones with a deletedAt stamp, newest first
+const TRASH_CONSTRAINTS = [where('deletedAt', '>', Timestamp.fromMillis(0)), orderBy('deletedAt', 'desc')];
+
+const formatDate = (date) => (date ? date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' }) : '—');
+
+/**
+ * TrashPage: The workspace's deleted tickets. Their owner or an admin can
+ * restore them; admins can delete them permanently once they have been in the
+ * trash for TRASH_RETENTION_DAYS.
+ */
+const TrashPage = ({ db, storage, user, role, onRestore }) => {
+  const workspace = useWorkspace();
+  const { showToast } = useToast();
+  const { tickets, loading, error } = useTicketsQuery(
+    db, workspace.id ? getTicketsCollectionPath(workspace.id) : null, TRASH_CONSTRAINTS, 'trash', true, true
+  );
+  const [restoringId, setRestoringId] = useState(null);
+  const [purging, setPurging] = useState(null); // tickets awaiting confirmation
+  const [purgeState, setPurgeState] = useState({ busy: false, error: null });
+
+  const canPurge = canPurgeTickets(role);
+  const purgeable = canPurge ? tickets.filter(ticket => isPurgeable(ticket)) : [];
+
+  // The listener drops the ticket from the list once it is restored; App reports a failure
+  const handleRestore = async (ticketId) => {
+    setRestoringId(ticketId);
+    await onRestore(ticketId);
+    setRestoringId(null);
+  };
+
+  const startPurge = (toPurge) => {
+    setPurgeState({ busy: false, error: null });
+    setPurging(toPurge);
+  };
+
+  const purge = async () => {
+    setPurgeState({ busy: true, error: null });
+    if (purging.length === 1) {
+      try {
+        await purgeTicket(db, storage, workspace.id, purging[0].id);
+        setPurging(null);
+        setPurgeState({ busy: false, error: null });
+      } catch (err) {
+        console.error("Error purging ticket: ", err);
+        setPurgeState({ busy: false, error: 'The ticket could not be deleted. Try again.' });
+      }
+      return;
+    }
+
+    const { succeeded, failed } = await purgeTickets(db, storage, workspace.id, purging);
+    if (succeeded.length === 0) {
+      setPurgeState({ busy: false, error: 'No tickets could be deleted. Check your connection and try again.' });
+      return;
+    }
+    setPurging(null);
+    setPurgeState({ busy: false, error: null });
+    showToast({
+      type: failed.length > 0 ? 'error' : 'success',
+      message: `Permanently deleted ${formatTicketCount(succeeded.length)}.${failed.length > 0 ? ` ${failed.length} failed.` : ''}`,
+    });
+  };
+
+  return (
+    <div className="p-8 bg-white dark:bg-gray-800 rounded-xl shadow-lg space-y-6">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h2 className="text-3xl font-bold text-gray-900 dark:text-gray-100 mb-2">Trash</h2>
+          <p className="text-gray-600 dark:text-gray-300">
+            Deleted tickets stay here until they are restored. After {TRASH_RETENTION_DAYS} days an admin can delete them permanently.
+          </p>
+        </div>
+        {purgeable.length > 0 && (
+          <button
+            type="button"
+            onClick={() => startPurge(purgeable)}
+            className="px-4 py-2 text-sm font-semibold rounded-lg text-white bg-red-600 hover:bg-red-700 shadow-md transition"
+          >
+            Delete {formatTicketCount(purgeable.length)} Permanently
+          </button>
+        )}
+      </div>
+
+      {loading && <p className="text-center text-gray-500 dark:text-gray-400">Loading trash...</p>}
+      {error && <p className="p-4 bg-red-50 dark:bg-red-900/30 rounded-lg text-center text-red-700 dark:text-red-300">{error}</p>}
+      {!loading && !error && tickets.length === 0 && (
+        <p className="p-8 bg-gray-100 dark:bg-gray-700 rounded-xl text-center text-gray-500 dark:text-gray-400 shadow-inner">The trash is empty.</p>
+      )}
+
+      {tickets.length > 0 && (
+        <ul className="divide-y divide-gray-100 dark:divide-gray-700 border rounded-lg">
+          {tickets.map(ticket => (
+            <li key={ticket.id} className="p-4 flex flex-wrap items-center justify-between gap-4">
+              <div className="min-w-0 space-y-1">
+                <Link to={getTicketRoute(workspace.id, ticket.id)} className="font-semibold text-gray-800 dark:text-gray-100 hover:text-indigo-600 dark:hover:text-indigo-400 truncate block">{ticket.title}</Link>
+                <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-gray-500 dark:text-gray-400">
+                  <span className="flex items-center gap-1">Owner: <UserBadge uid={ticket.userId} /></span>
+                  <span className="flex items-center gap-1">
+                    Deleted by <UserBadge uid={ticket.deletedBy} /> on {formatDate(ticket.deletedAt?.toDate?.())}
+                  </span>
+                  <span>Can be purged {isPurgeable(ticket) ? 'now' : `from ${formatDate(getPurgeDate(ticket))}`}</span>
+                </div>
+              </div>
+              <div className="flex items-center gap-3 shrink-0 text-sm">
+                {canRestoreTicket(role, ticket, user?.uid) && (
+                  <button
+                    type="button"
+                    onClick={() => handleRestore(ticket.id)}
+                    disabled={restoringId === ticket.id}
+                    className="font-medium text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-200 disabled:opacity-50"
+                  >
+                    {restoringId === ticket.id ? 'Restoring...' : 'Restore'}
+                  </button>
+                )}
+                {canPurge && isPurgeable(ticket) && (
+                  <button type="button" onClick={() => startPurge([ticket])} className="font-medium text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-200">
+                    Delete Permanently
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <ConfirmationModal
+        isOpen={Boolean(purging)}
+        title="Delete Permanently"
+        message={purging?.length === 1
+          ? `Permanently delete "${purging[0].title}"? This cannot be undone.`
+          : `Permanently delete ${formatTicketCount(purging?.length || 0)}? This cannot be undone.`}
+        onConfirm={purge}
+        onCancel={() => setPurging(null)}
+        busy={purgeState.busy}
+        error={purgeState.error}
+        confirmLabel="Delete Permanently"
+        busyLabel="Deleting..."
+      />
+    </div>
+  );
+};
+
+export default TrashPage;
@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import ConfirmationModal from '../components/ConfirmationModal.jsx';
+import { ROLE_LABELS } from '../utils/permissions.js';
+import { WORKSPACE_NAME_MAX_LENGTH, createWorkspace, removeMember, validateWorkspaceName } from '../utils/workspaces.js';
+
+/**
+ * WorkspacesPage: The user's workspaces, where they switch, create or leave
+ * one. Also shown in place of everything else until the user has a workspace.
+ */
+const WorkspacesPage = ({ db, user, workspaces, activeWorkspaceId, onSwitch }) => {
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [leaving, setLeaving] = useState(null); // workspace being left
+  const [leaveState, setLeaveState] = useState({ busy: false, error: null });
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const validationError = validateWorkspaceName(name);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    setError(null);
+    setBusy(true);
+    try {
+      const workspaceId = await createWorkspace(db, name, user.uid);
+      setName('');
+      onSwitch(workspaceId);
+    } catch (err) {
+      console.error("Error creating workspace: ", err);
+      setError('The workspace could not be created.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const leaveWorkspace = async () => {
+    setLeaveState({ busy: true, error: null });
+    try {
+      await removeMember(db, leaving.id, user.uid);
+      setLeaving(null);
+      setLeaveState({ busy: false, error: null });
+    } catch (err) {
+      console.error("Error leaving workspace: ", err);
+      setLeaveState({ busy: false, error: 'You could not leave the workspace. Try again.' });
+    }
+  };
+
+  return (
+    <div className="p-8 bg-white dark:bg-gray-800 rounded-xl shadow-lg space-y-8 max-w-2xl mx-auto">
+      <div>
+        <h2 className="text-3xl font-bold text-gray-900 dark:text-gray-100 mb-2">Workspaces</h2>
+        <p className="text-gray-600 dark:text-gray-300">
+          Each workspace has its own tickets, members and workflow. To join an existing one, open the invite link an admin of that workspace sends you.
+        </p>
+      </div>
+
+      {workspaces.length > 0 && (
+        <ul className="divide-y divide-gray-100 dark:divide-gray-700 border rounded-lg">
+          {workspaces.map(workspace => (
+            <li key={workspace.id} className="p-4 flex items-center justify-between gap-4">
+              <div className="min-w-0">
+                <p className="font-semibold text-gray-800 dark:text-gray-100 truncate">{workspace.name || 'Loading...'}</p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">{ROLE_LABELS[workspace.role] || workspace.role}</p>
+              </div>
+              <div className="flex items-center gap-3 shrink-0 text-sm">
+                {workspace.id === activeWorkspaceId ? (
+                  <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-indigo-100 dark:bg-indigo-900/50 text-indigo-800 dark:text-indigo-200">Current</span>
+                ) : (
+                  <button type="button" onClick={() => onSwitch(workspace.id)} className="font-medium text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-200">
+                    Switch
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => { setLeaving(workspace); setLeaveState({ busy: false, error: null }); }}
+                  className="font-medium text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-200"
+                >
+                  Leave
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleCreate} noValidate className="space-y-2">
+        <label htmlFor="workspace-name" className="block text-sm font-medium text-gray-700 dark:text-gray-300">New workspace</label>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <input
+            id="workspace-name"
+            type="text"
+            value={name}
+            maxLength={WORKSPACE_NAME_MAX_LENGTH}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g. EMEA Sales"
+            aria-invalid={Boolean(error)}
+            className="flex-1 p-2 border border-gray-300 dark:border-gray-600 rounded-lg shadow-sm"
+          />
+          <button
+            type="submit"
+            disabled={busy}
+            className="px-4 py-2 text-sm font-semibold rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 shadow-md transition disabled:opacity-50"
+          >
+            {busy ? 'Creating...' : 'Create Workspace'}
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400">You will be its admin and can invite others from the Settings page.</p>
+        {error && <p className="text-sm text-red-600 dark:text-red-400" role="alert">{error}</p>}
+      </form>
+
+      <ConfirmationModal
+        isOpen={Boolean(leaving)}
+        title="Leave Workspace"
+        message={`Leave "${leaving?.name}"? You will lose access to its tickets until someone invites you again. If you are its only admin, nobody will be able to manage it.`}
+        onConfirm={leaveWorkspace}
+        onCancel={() => setLeaving(null)}
+        busy={leaveState.busy}
+        error={leaveState.error}
+        confirmLabel="Leave"
+        busyLabel="Leaving..."
+      />
+    </div>
+  );
+};
+
+export default WorkspacesPage;
@@ -0,0 +1,8 @@
+// Loaded by Vitest before every test file (see vite.config.js)
+import '@testing-library/jest-dom/vitest';
+import { cleanup } from '@testing-library/react';
+import { afterEach } from 'vitest';
+
+afterEach(() => {
+    cleanup();
+});
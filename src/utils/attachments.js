@@ -0,0 +1,56 @@
+/**
+ * attachments: Validation and metadata for files attached to tickets (invoices,
+ * order screenshots...). The files are stored in Cloud Storage; a metadata
+ * document per file is kept in the ticket's attachments subcollection.
+ *
+ * The metadata holds the storage path only, never a download URL: those carry a
+ * token that bypasses storage.rules, so files are fetched with the SDK when shown.
+ */
+import { serverTimestamp } from 'firebase/firestore';
+
+// Keep in sync with storage.rules
+export const ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+
+export const ALLOWED_ATTACHMENT_TYPES = {
+    'application/pdf': 'PDF',
+    'image/png': 'PNG',
+    'image/jpeg': 'JPEG',
+    'image/gif': 'GIF',
+    'image/webp': 'WebP',
+    'text/csv': 'CSV',
+    'text/plain': 'Text',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'Excel',
+};
+
+export const ATTACHMENT_ACCEPT = Object.keys(ALLOWED_ATTACHMENT_TYPES).join(',');
+
+export const formatFileSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Returns an error message for a file that cannot be attached, or null when valid.
+export const validateAttachment = (file) => {
+    if (!ALLOWED_ATTACHMENT_TYPES[file.type]) {
+        return `${file.name}: only ${Object.values(ALLOWED_ATTACHMENT_TYPES).join(', ')} files can be attached.`;
+    }
+    if (file.size > ATTACHMENT_MAX_BYTES) {
+        return `${file.name} is ${formatFileSize(file.size)}; the limit is ${formatFileSize(ATTACHMENT_MAX_BYTES)}.`;
+    }
+    return null;
+};
+
+// Storage object names are prefixed with the metadata id so two uploads of "invoice.pdf" never collide
+export const buildStorageFileName = (attachmentId, fileName) => `${attachmentId}-${fileName.replace(/[/\\]/g, '_')}`;
+
+export const isImageAttachment = (attachment) => attachment.contentType?.startsWith('image/');
+
+export const buildAttachmentDocument = (file, storagePath, uploadedBy) => ({
+    name: file.name,
+    contentType: file.type,
+    size: file.size,
+    storagePath,
+    uploadedBy,
+    uploadedAt: serverTimestamp(),
+});
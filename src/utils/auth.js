@@ -0,0 +1,65 @@
+/**
+ * auth: Account flows on top of Firebase Auth — email/password and Google
+ * sign-in, and upgrading an anonymous guest session into a real account.
+ */
+import {
+    EmailAuthProvider,
+    GoogleAuthProvider,
+    createUserWithEmailAndPassword,
+    linkWithCredential,
+    linkWithPopup,
+    signInAnonymously,
+    signInWithEmailAndPassword,
+    signInWithPopup,
+    signOut,
+    updateProfile,
+} from 'firebase/auth';
+
+const AUTH_ERROR_MESSAGES = {
+    'auth/invalid-email': 'That email address is not valid.',
+    'auth/missing-password': 'Enter a password.',
+    'auth/weak-password': 'Passwords need at least 6 characters.',
+    'auth/email-already-in-use': 'An account with this email already exists. Sign in instead.',
+    'auth/credential-already-in-use': 'That account already exists. Sign in to it instead.',
+    'auth/invalid-credential': 'Email or password is incorrect.',
+    'auth/wrong-password': 'Email or password is incorrect.',
+    'auth/user-not-found': 'Email or password is incorrect.',
+    'auth/too-many-requests': 'Too many attempts. Please wait a moment and try again.',
+    'auth/popup-closed-by-user': 'The sign-in window was closed before finishing.',
+    'auth/operation-not-allowed': 'This sign-in method is not enabled for the project.',
+};
+
+export const getAuthErrorMessage = (error) => AUTH_ERROR_MESSAGES[error?.code] || 'Something went wrong. Please try again.';
+
+export const signInWithEmail = (auth, email, password) => signInWithEmailAndPassword(auth, email.trim(), password);
+
+export const signUpWithEmail = async (auth, email, password, displayName) => {
+    const { user } = await createUserWithEmailAndPassword(auth, email.trim(), password);
+    if (displayName?.trim()) await updateProfile(user, { displayName: displayName.trim() });
+    return user;
+};
+
+export const signInWithGoogle = (auth) => signInWithPopup(auth, new GoogleAuthProvider());
+
+export const signInAsGuest = (auth) => signInAnonymously(auth);
+
+export const signOutUser = (auth) => signOut(auth);
+
+/**
+ * Upgrades the current anonymous user in place. The uid is unchanged, so every
+ * ticket created as a guest stays owned by the new account.
+ */
+export const linkGuestWithEmail = async (auth, email, password, displayName) => {
+    const credential = EmailAuthProvider.credential(email.trim(), password);
+    const { user } = await linkWithCredential(auth.currentUser, credential);
+    if (displayName?.trim()) await updateProfile(user, { displayName: displayName.trim() });
+    // Linking does not emit an auth state change, so refresh the user for listeners
+    await user.reload();
+    return auth.currentUser;
+};
+
+export const linkGuestWithGoogle = async (auth) => {
+    const { user } = await linkWithPopup(auth.currentUser, new GoogleAuthProvider());
+    await user.reload();
+    return auth.currentUser;
+};
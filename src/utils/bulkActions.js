@@ -0,0 +1,56 @@
+/**
+ * bulkActions: Status changes, reassignment and deletion of many selected
+ * tickets at once. Every ticket goes through the same permission checks as a
+ * single change; the ones the user may not change are skipped with a reason
+ * and never sent to Firestore.
+ */
+import { diffTicket } from './history.js';
+import { canDeleteTicket, canEditTicket } from './permissions.js';
+import { canTransition, getStatusLabel } from './workflow.js';
+
+export const BULK_ACTIONS = {
+    STATUS: 'status',
+    ASSIGN: 'assign',
+    DELETE: 'delete',
+};
+
+// e.g. "1 ticket", "12 tickets"
+export const formatTicketCount = (count) => `${count} ticket${count === 1 ? '' : 's'}`;
+
+const getUpdates = (action, value) => (action === BULK_ACTIONS.STATUS ? { status: value } : { assigneeId: value || null });
+
+const getDenialReason = (action, value, ticket, { workflow, role, uid }) => {
+    if (action === BULK_ACTIONS.DELETE) {
+        return canDeleteTicket(role, ticket, uid) ? null : 'Only its owner or an admin can delete it.';
+    }
+    if (action === BULK_ACTIONS.STATUS) {
+        return canTransition(workflow, role, ticket, uid, value)
+            ? null
+            : `You cannot move it from ${getStatusLabel(workflow, ticket.status)} to ${getStatusLabel(workflow, value)}.`;
+    }
+    if (canEditTicket(role, ticket, uid, workflow)) return null;
+    return ticket.userId === uid ? 'It is resolved, so only an admin can reassign it.' : 'Only its owner or an admin can reassign it.';
+};
+
+/**
+ * Splits the selected tickets for `action` (with `value`, the new status or
+ * assignee) into:
+ *   allowed:   [{ ticket, updates, changes }] to write; `changes` as from diffTicket
+ *   denied:    [{ ticket, reason }] the user may not change
+ *   unchanged: tickets that already have the value
+ */
+export const planBulkAction = (action, value, tickets, user) => {
+    const plan = { allowed: [], denied: [], unchanged: [] };
+    tickets.forEach(ticket => {
+        const updates = action === BULK_ACTIONS.DELETE ? null : getUpdates(action, value);
+        const changes = updates ? diffTicket(ticket, updates) : [];
+        if (updates && changes.length === 0) {
+            plan.unchanged.push(ticket);
+            return;
+        }
+        const reason = getDenialReason(action, value, ticket, user);
+        if (reason) plan.denied.push({ ticket, reason });
+        else plan.allowed.push({ ticket, updates, changes });
+    });
+    return plan;
+};
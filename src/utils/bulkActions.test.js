@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest';
+import { BULK_ACTIONS, formatTicketCount, planBulkAction } from './bulkActions.js';
+import { ROLES } from './permissions.js';
+import { DEFAULT_WORKFLOW } from './workflow.js';
+
+const tickets = [
+    { id: 'mine-open', title: 'Mine', userId: 'carol', status: 'Open', assigneeId: null },
+    { id: 'theirs-open', title: 'Theirs', userId: 'dan', status: 'Open', assigneeId: 'bob' },
+    { id: 'theirs-resolved', title: 'Done', userId: 'dan', status: 'Resolved', assigneeId: null },
+];
+
+const ids = (entries) => entries.map(entry => (entry.ticket || entry).id);
+const as = (role, uid) => ({ workflow: DEFAULT_WORKFLOW, role, uid });
+
+describe('planBulkAction', () => {
+    it("lets a reviewer move other people's tickets, skipping ones already there", () => {
+        const plan = planBulkAction(BULK_ACTIONS.STATUS, 'Resolved', tickets, as(ROLES.REVIEWER, 'bob'));
+
+        expect(ids(plan.allowed)).toEqual(['mine-open', 'theirs-open']);
+        expect(plan.allowed[0]).toMatchObject({
+            updates: { status: 'Resolved' },
+            changes: [{ field: 'status', from: 'Open', to: 'Resolved' }],
+        });
+        expect(ids(plan.unchanged)).toEqual(['theirs-resolved']);
+        expect(plan.denied).toEqual([]);
+    });
+
+    it('explains why a submitter cannot move statuses', () => {
+        const plan = planBulkAction(BULK_ACTIONS.STATUS, 'Resolved', tickets.slice(0, 1), as(ROLES.SUBMITTER, 'carol'));
+
+        expect(plan.allowed).toEqual([]);
+        expect(plan.denied).toEqual([{ ticket: tickets[0], reason: 'You cannot move it from Open to Resolved.' }]);
+    });
+
+    it('only lets owners and admins reassign', () => {
+        const submitterPlan = planBulkAction(BULK_ACTIONS.ASSIGN, 'bob', tickets, as(ROLES.SUBMITTER, 'carol'));
+        expect(ids(submitterPlan.allowed)).toEqual(['mine-open']);
+        expect(ids(submitterPlan.unchanged)).toEqual(['theirs-open']);
+        expect(ids(submitterPlan.denied)).toEqual(['theirs-resolved']);
+
+        const adminPlan = planBulkAction(BULK_ACTIONS.ASSIGN, null, tickets, as(ROLES.ADMIN, 'alice'));
+        expect(ids(adminPlan.allowed)).toEqual(['theirs-open']);
+        expect(adminPlan.allowed[0].updates).toEqual({ assigneeId: null });
+    });
+
+    it('keeps owners from reassigning their resolved tickets', () => {
+        const resolved = { id: 'mine-resolved', title: 'Paid', userId: 'carol', status: 'Resolved', assigneeId: null };
+        const plan = planBulkAction(BULK_ACTIONS.ASSIGN, 'bob', [resolved], as(ROLES.SUBMITTER, 'carol'));
+
+        expect(plan.denied).toEqual([{ ticket: resolved, reason: 'It is resolved, so only an admin can reassign it.' }]);
+        expect(ids(planBulkAction(BULK_ACTIONS.ASSIGN, 'bob', [resolved], as(ROLES.ADMIN, 'alice')).allowed)).toEqual(['mine-resolved']);
+    });
+
+    it('only lets owners and admins delete', () => {
+        const plan = planBulkAction(BULK_ACTIONS.DELETE, null, tickets, as(ROLES.REVIEWER, 'dan'));
+
+        expect(ids(plan.allowed)).toEqual(['theirs-open', 'theirs-resolved']);
+        expect(plan.denied).toEqual([{ ticket: tickets[0], reason: 'Only its owner or an admin can delete it.' }]);
+    });
+});
+
+describe('formatTicketCount', () => {
+    it('pluralizes', () => {
+        expect(formatTicketCount(1)).toBe('1 ticket');
+        expect(formatTicketCount(12)).toBe('12 tickets');
+    });
+});
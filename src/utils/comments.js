@@ -0,0 +1,72 @@
+/**
+ * comments: Ticket discussion threads, including @mentions of other users.
+ */
+import { serverTimestamp } from 'firebase/firestore';
+import { getDisplayName } from './profiles.js';
+
+export const COMMENT_MAX_LENGTH = 2000;
+
+// Returns an error message for an invalid comment body, or null when valid.
+export const validateCommentBody = (body) => {
+    if (!body || !body.trim()) return 'Write a comment first.';
+    if (body.trim().length > COMMENT_MAX_LENGTH) return `Comments must be ${COMMENT_MAX_LENGTH} characters or fewer.`;
+    return null;
+};
+
+// Text inserted for a mention; names may contain spaces, so mentions are matched by exact name
+export const formatMention = (profile, uid) => `@${getDisplayName(profile, uid)}`;
+
+/**
+ * Resolves the users mentioned in `body` against the known profiles. Longer
+ * names are checked first so "@Ann Lee" is not also read as "@Ann".
+ */
+export const extractMentions = (body, profiles) => {
+    let remaining = body;
+    const mentioned = [];
+    Object.keys(profiles)
+        .map(uid => ({ uid, mention: formatMention(profiles[uid], uid) }))
+        .sort((a, b) => b.mention.length - a.mention.length)
+        .forEach(({ uid, mention }) => {
+            if (!remaining.includes(mention)) return;
+            mentioned.push(uid);
+            remaining = remaining.split(mention).join(' ');
+        });
+    return mentioned;
+};
+
+/**
+ * Splits a comment body into text and mention parts for rendering, e.g.
+ * [{ text: 'Thanks ' }, { text: '@Ann Lee', uid: 'abc' }].
+ */
+export const splitMentions = (body, mentions = [], profiles = {}) => {
+    const names = mentions
+        .map(uid => ({ uid, mention: formatMention(profiles[uid], uid) }))
+        .sort((a, b) => b.mention.length - a.mention.length);
+    if (names.length === 0) return [{ text: body }];
+
+    const escaped = names.map(({ mention }) => mention.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return body
+        .split(new RegExp(`(${escaped.join('|')})`))
+        .filter(Boolean)
+        .map(text => ({ text, uid: names.find(({ mention }) => mention === text)?.uid }));
+};
+
+// Finds a partially typed mention ending at the cursor, e.g. "Thanks @an|" -> "an"
+export const getMentionQuery = (body, cursor) => {
+    const match = /(?:^|\s)@([^\s@]{0,30})$/.exec(body.slice(0, cursor));
+    return match ? match[1] : null;
+};
+
+export const buildComment = (body, authorId, mentions) => ({
+    body: body.trim(),
+    authorId,
+    mentions,
+    createdAt: serverTimestamp(),
+    updatedAt: null,
+});
+
+export const buildCommentUpdate = (body, mentions) => ({
+    body: body.trim(),
+    mentions,
+    updatedAt: serverTimestamp(),
+});
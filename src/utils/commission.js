@@ -0,0 +1,135 @@
+/**
+ * commission: Payout calculation helpers shared by the ticket form and TicketCard.
+ */
+
+export const CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'INR', 'JPY'];
+export const DEFAULT_CURRENCY = 'USD';
+
+export const RATE_TYPES = {
+    FLAT: 'flat',
+    TIERED: 'tiered',
+};
+
+const roundToCents = (value) => Math.round(value * 100) / 100;
+
+const isBlank = (value) => value === '' || value === null || value === undefined;
+
+const toNumber = (value) => {
+    if (isBlank(value)) return NaN;
+    return Number(value);
+};
+
+// Normalizes form input (strings) into tiers sorted by their upper bound.
+// A tier with an empty `upTo` is open-ended and always sorts last.
+export const normalizeTiers = (tiers = []) => tiers
+    .map(tier => ({
+        upTo: isBlank(tier.upTo) ? null : toNumber(tier.upTo),
+        rate: toNumber(tier.rate),
+    }))
+    .filter(tier => Number.isFinite(tier.rate) && (tier.upTo === null || Number.isFinite(tier.upTo)))
+    .sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+
+// Marginal tiered commission: each tier's rate applies only to the slice of the
+// deal value that falls between the previous tier's bound and its own.
+const calculateTieredPayout = (dealValue, tiers) => {
+    let payout = 0;
+    let lowerBound = 0;
+    for (const { upTo, rate } of normalizeTiers(tiers)) {
+        const upperBound = upTo === null ? dealValue : Math.min(upTo, dealValue);
+        if (upperBound > lowerBound) {
+            payout += (upperBound - lowerBound) * (rate / 100);
+        }
+        if (upTo === null || upTo >= dealValue) break;
+        lowerBound = upTo;
+    }
+    return payout;
+};
+
+/**
+ * Returns the payout for a deal, rounded to cents, or null when the inputs
+ * are incomplete (no deal value, or no usable rate).
+ */
+export const calculatePayout = ({ dealValue, rateType = RATE_TYPES.FLAT, commissionRate, rateTiers }) => {
+    const value = toNumber(dealValue);
+    if (!Number.isFinite(value) || value < 0) return null;
+
+    if (rateType === RATE_TYPES.TIERED) {
+        if (normalizeTiers(rateTiers).length === 0) return null;
+        return roundToCents(calculateTieredPayout(value, rateTiers));
+    }
+
+    const rate = toNumber(commissionRate);
+    if (!Number.isFinite(rate)) return null;
+    return roundToCents(value * (rate / 100));
+};
+
+/**
+ * Builds the commission fields stored on a ticket document from raw form input.
+ * The payout is always derived here so it stays in sync with its inputs.
+ */
+export const buildCommissionFields = ({ dealValue, currency, rateType, commissionRate, rateTiers }) => {
+    const isTiered = rateType === RATE_TYPES.TIERED;
+    const fields = {
+        dealValue: Number.isFinite(toNumber(dealValue)) ? toNumber(dealValue) : null,
+        currency: currency || DEFAULT_CURRENCY,
+        rateType: isTiered ? RATE_TYPES.TIERED : RATE_TYPES.FLAT,
+        commissionRate: !isTiered && Number.isFinite(toNumber(commissionRate)) ? toNumber(commissionRate) : null,
+        rateTiers: isTiered ? normalizeTiers(rateTiers) : [],
+    };
+    return { ...fields, payoutAmount: calculatePayout(fields) };
+};
+
+// Checks tiers as entered, since normalizeTiers silently drops the ones it cannot use.
+// Rows left completely empty in the tier editor are ignored.
+const getTierError = (rateTiers = []) => {
+    const tiers = rateTiers.filter(tier => !isBlank(tier.upTo) || !isBlank(tier.rate));
+    if (tiers.length === 0) return 'Add at least one rate tier.';
+    if (tiers.some(tier => !Number.isFinite(toNumber(tier.rate)))) return 'Every tier needs a rate.';
+    if (tiers.some(tier => tier.rate < 0 || tier.rate > 100)) return 'Tier rates must be between 0 and 100%.';
+
+    const limits = tiers.filter(tier => !isBlank(tier.upTo)).map(tier => toNumber(tier.upTo));
+    if (limits.some(limit => !Number.isFinite(limit) || limit < 0)) return 'Tier limits must be zero or more.';
+    if (tiers.length - limits.length > 1) return 'Only one tier can be open-ended.';
+    if (new Set(limits).size < limits.length) return 'Each tier needs a different limit.';
+    return null;
+};
+
+// Error messages keyed by the input they belong to (dealValue, currency,
+// commissionRate, rateTiers); empty when the commission input is valid.
+export const getCommissionFieldErrors = ({ dealValue, currency, rateType, commissionRate, rateTiers }) => {
+    const errors = {};
+    const value = toNumber(dealValue);
+    if (!Number.isFinite(value) || value < 0) errors.dealValue = 'Deal value must be zero or more.';
+    if (currency && !CURRENCIES.includes(currency)) errors.currency = `Unsupported currency "${currency}".`;
+
+    if (rateType === RATE_TYPES.TIERED) {
+        const tierError = getTierError(rateTiers);
+        if (tierError) errors.rateTiers = tierError;
+        return errors;
+    }
+
+    const rate = toNumber(commissionRate);
+    if (!Number.isFinite(rate) || rate < 0 || rate > 100) errors.commissionRate = 'Commission rate must be between 0 and 100%.';
+    return errors;
+};
+
+// Returns an error message for invalid commission input, or null when valid.
+export const validateCommissionInput = (commission) => Object.values(getCommissionFieldErrors(commission))[0] || null;
+
+export const formatCurrency = (amount, currency = DEFAULT_CURRENCY) => {
+    if (amount === null || amount === undefined || !Number.isFinite(Number(amount))) return '—';
+    try {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+    } catch {
+        // Unknown currency codes make Intl throw; fall back to a plain suffix.
+        return `${Number(amount).toFixed(2)} ${currency}`;
+    }
+};
+
+// Short human-readable description of a ticket's rate, e.g. "7.5%" or "Tiered (3)".
+export const describeRate = (ticket) => {
+    if (ticket.rateType === RATE_TYPES.TIERED) {
+        return `Tiered (${ticket.rateTiers?.length || 0})`;
+    }
+    return Number.isFinite(ticket.commissionRate) ? `${ticket.commissionRate}%` : '—';
+};
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { RATE_TYPES, calculatePayout, getCommissionFieldErrors } from './commission.js';
+
+const tiered = (rateTiers) => ({ dealValue: '10000', currency: 'USD', rateType: RATE_TYPES.TIERED, commissionRate: '', rateTiers });
+
+describe('tiered commission', () => {
+    it('applies each rate to its slice of the deal', () => {
+        expect(calculatePayout(tiered([{ upTo: '1000', rate: '10' }, { upTo: '', rate: '5' }]))).toBe(550);
+        expect(getCommissionFieldErrors(tiered([{ upTo: '1000', rate: '10' }, { upTo: '', rate: '5' }]))).toEqual({});
+    });
+
+    it('ignores empty rows but reports half-filled tiers', () => {
+        expect(getCommissionFieldErrors(tiered([{ upTo: '', rate: '5' }, { upTo: '', rate: '' }]))).toEqual({});
+        expect(getCommissionFieldErrors(tiered([{ upTo: '1000', rate: '' }, { upTo: '', rate: '5' }])).rateTiers)
+            .toBe('Every tier needs a rate.');
+        expect(getCommissionFieldErrors(tiered([{ upTo: '', rate: '' }])).rateTiers).toBe('Add at least one rate tier.');
+    });
+
+    it('rejects tiers sharing a limit, or more than one open-ended tier', () => {
+        expect(getCommissionFieldErrors(tiered([{ upTo: '1000', rate: '10' }, { upTo: '1000', rate: '5' }])).rateTiers)
+            .toBe('Each tier needs a different limit.');
+        expect(getCommissionFieldErrors(tiered([{ upTo: '', rate: '10' }, { upTo: '', rate: '5' }])).rateTiers)
+            .toBe('Only one tier can be open-ended.');
+        expect(getCommissionFieldErrors(tiered([{ upTo: '-5', rate: '10' }])).rateTiers).toBe('Tier limits must be zero or more.');
+    });
+});
+
+describe('deal value', () => {
+    it('accepts zero and rejects negative or missing values', () => {
+        const flat = (dealValue) => ({ dealValue, currency: 'USD', rateType: RATE_TYPES.FLAT, commissionRate: '5' });
+        expect(getCommissionFieldErrors(flat('0'))).toEqual({});
+        expect(getCommissionFieldErrors(flat('-1')).dealValue).toBe('Deal value must be zero or more.');
+        expect(getCommissionFieldErrors(flat('')).dealValue).toBe('Deal value must be zero or more.');
+    });
+});
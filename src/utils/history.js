@@ -0,0 +1,73 @@
+/**
+ * history: Field-level change tracking for the per-ticket audit log.
+ */
+import { serverTimestamp } from 'firebase/firestore';
+import { RATE_TYPES, formatCurrency } from './commission.js';
+import { PRIORITY_LABELS, formatDueDate } from './sla.js';
+
+export const HISTORY_TYPES = {
+    CREATED: 'created',
+    UPDATED: 'updated',
+    DELETED: 'deleted',
+    RESTORED: 'restored',
+};
+
+// Fields recorded in the history, with their display labels
+export const TRACKED_FIELDS = {
+    title: 'Title',
+    description: 'Description',
+    status: 'Status',
+    dealValue: 'Deal value',
+    currency: 'Currency',
+    rateType: 'Rate type',
+    commissionRate: 'Commission rate',
+    rateTiers: 'Rate tiers',
+    payoutAmount: 'Payout',
+    assigneeId: 'Assignee',
+    priority: 'Priority',
+    dueDate: 'Due date',
+    customFields: 'Details',
+};
+
+const MONEY_FIELDS = new Set(['dealValue', 'payoutAmount']);
+
+// Firestore values are plain data, so a JSON comparison covers arrays of tiers too.
+// Map keys are sorted first, since Firestore does not keep the order they were written in.
+const sortKeys = (key, value) => (value && typeof value === 'object' && !Array.isArray(value)
+    ? Object.fromEntries(Object.entries(value).sort(([a], [b]) => a.localeCompare(b)))
+    : value);
+const isSameValue = (a, b) => JSON.stringify(a ?? null, sortKeys) === JSON.stringify(b ?? null, sortKeys);
+
+/**
+ * Lists the tracked fields that `updates` actually changes on `ticket`, as
+ * { field, from, to } entries. Unchanged fields are left out.
+ */
+export const diffTicket = (ticket, updates) => Object.keys(TRACKED_FIELDS)
+    .filter(field => field in updates && !isSameValue(ticket[field], updates[field]))
+    .map(field => ({ field, from: ticket[field] ?? null, to: updates[field] ?? null }));
+
+export const buildHistoryEntry = (type, actorId, changes = []) => ({
+    type,
+    actorId,
+    changes,
+    changedAt: serverTimestamp(),
+});
+
+export const formatHistoryValue = (field, value, currency) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (MONEY_FIELDS.has(field)) return formatCurrency(value, currency);
+    if (field === 'commissionRate') return `${value}%`;
+    if (field === 'priority') return PRIORITY_LABELS[value] || value;
+    if (field === 'dueDate') return formatDueDate(value) || value;
+    if (field === 'rateType') return value === RATE_TYPES.TIERED ? 'Tiered' : 'Flat';
+    if (field === 'rateTiers') {
+        if (value.length === 0) return '—';
+        return value.map(tier => `${tier.rate}% ${tier.upTo === null ? 'above' : `to ${tier.upTo}`}`).join(', ');
+    }
+    // Keyed by field id (see ticketTypes.js); the labels may have changed since
+    if (field === 'customFields') {
+        const entries = Object.entries(value);
+        return entries.length === 0 ? '—' : entries.map(([id, fieldValue]) => `${id}: ${fieldValue}`).join(', ');
+    }
+    return String(value);
+};
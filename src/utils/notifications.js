@@ -0,0 +1,78 @@
+/**
+ * notifications: In-app notification documents and per-user preferences.
+ *
+ * There is no server code, so whoever triggers a notification writes it into the
+ * recipient's inbox (see getNotificationsCollectionPath) in the same batch as the
+ * change itself. Preferences are private, so the recipient applies them when
+ * reading: disabled types are neither shown nor counted as unread.
+ */
+import { collection, doc, serverTimestamp } from 'firebase/firestore';
+import { getNotificationsCollectionPath } from '../config.js';
+import { getStatusLabel } from './workflow.js';
+
+export const NOTIFICATION_TYPES = {
+    STATUS: 'status',
+    ASSIGNED: 'assigned',
+    MENTION: 'mention',
+};
+
+export const NOTIFICATION_TYPE_LABELS = {
+    [NOTIFICATION_TYPES.STATUS]: 'Status changes on my tickets',
+    [NOTIFICATION_TYPES.ASSIGNED]: 'Tickets assigned to me',
+    [NOTIFICATION_TYPES.MENTION]: 'Mentions in comments',
+};
+
+export const DEFAULT_NOTIFICATION_PREFS = {
+    enabled: true,
+    browser: false,
+    types: {
+        [NOTIFICATION_TYPES.STATUS]: true,
+        [NOTIFICATION_TYPES.ASSIGNED]: true,
+        [NOTIFICATION_TYPES.MENTION]: true,
+    },
+};
+
+// Stored preferences merged over the defaults, so new types start enabled
+export const getNotificationPrefs = (settings) => ({
+    ...DEFAULT_NOTIFICATION_PREFS,
+    ...settings?.notifications,
+    types: { ...DEFAULT_NOTIFICATION_PREFS.types, ...settings?.notifications?.types },
+});
+
+export const isNotificationEnabled = (prefs, type) => prefs.enabled && prefs.types[type] !== false;
+
+/**
+ * Adds a notification for `recipientId` to a write batch. Nobody is notified
+ * about their own actions. `details` holds type-specific fields, e.g. `status`.
+ * The workspace id lets the inbox, which spans workspaces, open the right one.
+ */
+export const addNotification = (batch, db, workspaceId, recipientId, type, ticket, actorId, details = {}) => {
+    if (!recipientId || recipientId === actorId) return;
+    batch.set(doc(collection(db, getNotificationsCollectionPath(recipientId))), {
+        type,
+        workspaceId,
+        ticketId: ticket.id,
+        ticketTitle: ticket.title || '',
+        actorId,
+        ...details,
+        read: false,
+        createdAt: serverTimestamp(),
+    });
+};
+
+// One-line text for the notification center and browser notifications
+export const describeNotification = (notification, actorName, workflow) => {
+    const title = `"${notification.ticketTitle}"`;
+    switch (notification.type) {
+        case NOTIFICATION_TYPES.STATUS:
+            return `${actorName} moved ${title} to ${getStatusLabel(workflow, notification.status)}`;
+        case NOTIFICATION_TYPES.ASSIGNED:
+            return `${actorName} assigned ${title} to you`;
+        case NOTIFICATION_TYPES.MENTION:
+            return `${actorName} mentioned you on ${title}`;
+        default:
+            return `${actorName} updated ${title}`;
+    }
+};
+
+export const browserNotificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
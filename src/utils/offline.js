@@ -0,0 +1,36 @@
+/**
+ * offline: Helpers for working without a connection. Firestore's persistent
+ * cache applies writes locally at once and syncs them when the network returns.
+ */
+
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// Notified when a write queued while offline is later rejected by the server
+const syncErrorListeners = new Set();
+
+export const onSyncError = (listener) => {
+    syncErrorListeners.add(listener);
+    return () => syncErrorListeners.delete(listener);
+};
+
+/**
+ * Awaits a Firestore write while online. Offline, the write is already in the
+ * local cache and queued, but its promise only settles once the server confirms
+ * it — so resolve straight away instead of leaving the UI waiting for the network.
+ * A later rejection is reported to the onSyncError listeners.
+ */
+export const commitWrite = (writePromise, description) => {
+    if (!isOffline()) return writePromise;
+    writePromise.catch(error => {
+        console.error(`Error syncing ${description}: `, error);
+        syncErrorListeners.forEach(listener => listener(description, error));
+    });
+    return Promise.resolve();
+};
+
+// Document data plus whether it still has local changes the server has not confirmed
+export const withSyncState = (snapshot) => ({
+    id: snapshot.id,
+    ...snapshot.data(),
+    hasPendingWrites: snapshot.metadata.hasPendingWrites,
+});
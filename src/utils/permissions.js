@@ -0,0 +1,43 @@
+/**
+ * permissions: Role-based access checks. These mirror firestore.rules, which is
+ * what actually enforces them; the UI uses them to hide actions a user cannot take.
+ */
+
+export const ROLES = {
+    SUBMITTER: 'submitter',
+    REVIEWER: 'reviewer',
+    ADMIN: 'admin',
+};
+
+export const ROLE_LABELS = {
+    [ROLES.SUBMITTER]: 'Submitter',
+    [ROLES.REVIEWER]: 'Reviewer',
+    [ROLES.ADMIN]: 'Admin',
+};
+
+// Users without a role document are submitters
+export const DEFAULT_ROLE = ROLES.SUBMITTER;
+
+const isOwner = (ticket, uid) => Boolean(uid) && ticket.userId === uid;
+
+// Status changes follow the configured workflow; see canTransition in workflow.js
+
+// Same check as isResolvedStatus in workflow.js, which imports this module
+const isResolved = (workflow, ticket) => workflow.statuses.some(status => status.id === ticket.status && status.resolved);
+
+// Owners edit their tickets until a reviewer resolves them; after that the payout is settled and only admins change it
+export const canEditTicket = (role, ticket, uid, workflow) => role === ROLES.ADMIN || (isOwner(ticket, uid) && !isResolved(workflow, ticket));
+
+// Deleting moves a ticket to the trash; whoever may delete it may also restore it
+export const canDeleteTicket = (role, ticket, uid) => role === ROLES.ADMIN || isOwner(ticket, uid);
+
+export const canRestoreTicket = canDeleteTicket;
+
+// Only admins remove tickets for good, and only once they have been in the trash long enough (see isPurgeable)
+export const canPurgeTickets = (role) => role === ROLES.ADMIN;
+
+export const canManageRoles = (role) => role === ROLES.ADMIN;
+
+export const canManageWorkflow = (role) => role === ROLES.ADMIN;
+
+export const canManageTicketTypes = (role) => role === ROLES.ADMIN;
@@ -0,0 +1,12 @@
+// Stylesheet of the print window opened by printSummary (ticketIO.js). The window
+// inherits the app's Content-Security-Policy, which allows this exact text by its
+// hash (see vite.config.js), so any change here is picked up by the next build.
+export const PRINT_STYLES = `
+body { font-family: 'Inter', Arial, sans-serif; color: #111827; margin: 32px; }
+h1 { font-size: 22px; margin: 0 0 4px; }
+p { color: #6b7280; margin: 0 0 24px; font-size: 12px; }
+h2 { font-size: 16px; margin: 24px 0 8px; }
+table { width: 100%; border-collapse: collapse; font-size: 12px; }
+th, td { border-bottom: 1px solid #e5e7eb; padding: 6px 8px; text-align: left; }
+th { background: #eef2ff; }
+`;
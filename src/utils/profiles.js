@@ -0,0 +1,27 @@
+/**
+ * profiles: Public user profiles (display name and avatar) shown instead of raw uids.
+ */
+import { serverTimestamp } from 'firebase/firestore';
+
+export const PROFILE_NAME_MAX_LENGTH = 60;
+
+// Fallback name for users who have not set one, e.g. "Guest 3f9a"
+export const getDisplayName = (profile, uid) => {
+    if (profile?.displayName) return profile.displayName;
+    return uid ? `Guest ${uid.slice(0, 4)}` : 'Unknown user';
+};
+
+export const getInitials = (name) => name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(part => part[0].toUpperCase())
+    .join('');
+
+// Profile fields derived from the Firebase Auth user, written on every sign-in
+export const buildProfileFromAuthUser = (authUser) => ({
+    displayName: authUser.displayName || (authUser.email ? authUser.email.split('@')[0] : null),
+    photoURL: authUser.photoURL || null,
+    isAnonymous: authUser.isAnonymous,
+    lastSeenAt: serverTimestamp(),
+});
@@ -0,0 +1,153 @@
+/**
+ * reports: Grouping and aggregation helpers behind the Commission Reports page.
+ */
+import { DEFAULT_WORKFLOW, getStatusIds, isResolvedStatus } from './workflow.js';
+
+export const GROUP_BY = {
+    MONTH: 'month',
+    QUARTER: 'quarter',
+    OWNER: 'owner',
+};
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export const getTicketDate = (ticket) => (ticket.createdAt?.toDate ? ticket.createdAt.toDate() : null);
+
+const getQuarter = (date) => Math.floor(date.getMonth() / 3) + 1;
+
+// Returns a sortable key and a display label for the group a ticket falls into
+const getGroup = (ticket, groupBy) => {
+    if (groupBy === GROUP_BY.OWNER) {
+        return { key: ticket.userId || 'unknown', label: ticket.userId || 'Unknown owner' };
+    }
+
+    const date = getTicketDate(ticket);
+    if (!date) return { key: 'pending', label: 'Pending timestamp' };
+
+    const year = date.getFullYear();
+    if (groupBy === GROUP_BY.QUARTER) {
+        const quarter = getQuarter(date);
+        return { key: `${year}-Q${quarter}`, label: `Q${quarter} ${year}` };
+    }
+    const month = date.getMonth();
+    return { key: `${year}-${String(month + 1).padStart(2, '0')}`, label: `${MONTH_NAMES[month]} ${year}` };
+};
+
+const addToCurrencyTotals = (totals, ticket) => {
+    const amount = Number(ticket.payoutAmount);
+    if (!Number.isFinite(amount)) return;
+    const currency = ticket.currency || 'USD';
+    totals[currency] = Math.round(((totals[currency] || 0) + amount) * 100) / 100;
+};
+
+const createBucket = (key, label, workflow) => ({
+    key,
+    label,
+    tickets: [],
+    byStatus: Object.fromEntries(getStatusIds(workflow).map(status => [status, { count: 0, payout: {} }])),
+    // Payout history only counts tickets in resolved statuses, since those are the ones paid out
+    paidOut: {},
+});
+
+const countResolved = (byStatus, workflow) => Object.entries(byStatus)
+    .filter(([status]) => isResolvedStatus(workflow, status))
+    .reduce((sum, [, { count }]) => sum + count, 0);
+
+/**
+ * Groups tickets by month, quarter or owner. Each row carries per-status counts
+ * and payout totals (kept per currency so amounts are never mixed), the
+ * resolution rate, and the underlying tickets for drill-down. Statuses and what
+ * counts as resolved come from the workflow.
+ */
+export const buildReport = (tickets, groupBy = GROUP_BY.MONTH, workflow = DEFAULT_WORKFLOW) => {
+    const buckets = new Map();
+
+    tickets.forEach(ticket => {
+        const { key, label } = getGroup(ticket, groupBy);
+        if (!buckets.has(key)) buckets.set(key, createBucket(key, label, workflow));
+        const bucket = buckets.get(key);
+
+        bucket.tickets.push(ticket);
+        if (!bucket.byStatus[ticket.status]) {
+            bucket.byStatus[ticket.status] = { count: 0, payout: {} };
+        }
+        bucket.byStatus[ticket.status].count += 1;
+        addToCurrencyTotals(bucket.byStatus[ticket.status].payout, ticket);
+        if (isResolvedStatus(workflow, ticket.status)) addToCurrencyTotals(bucket.paidOut, ticket);
+    });
+
+    const rows = [...buckets.values()].map(bucket => {
+        const total = bucket.tickets.length;
+        const resolved = countResolved(bucket.byStatus, workflow);
+        return {
+            ...bucket,
+            total,
+            resolved,
+            resolutionRate: total > 0 ? Math.round((resolved / total) * 1000) / 10 : 0,
+        };
+    });
+
+    // Time periods read newest first; owners are ranked by ticket volume
+    if (groupBy === GROUP_BY.OWNER) {
+        return rows.sort((a, b) => b.total - a.total);
+    }
+    return rows.sort((a, b) => b.key.localeCompare(a.key));
+};
+
+// Totals across every row of a report, in the same shape as a single row
+export const summarizeReport = (rows, workflow = DEFAULT_WORKFLOW) => {
+    const summary = createBucket('total', 'Total', workflow);
+    rows.forEach(row => {
+        summary.tickets.push(...row.tickets);
+        Object.entries(row.byStatus).forEach(([status, { count, payout }]) => {
+            if (!summary.byStatus[status]) summary.byStatus[status] = { count: 0, payout: {} };
+            summary.byStatus[status].count += count;
+            Object.entries(payout).forEach(([currency, amount]) => {
+                addToCurrencyTotals(summary.byStatus[status].payout, { currency, payoutAmount: amount });
+            });
+        });
+        Object.entries(row.paidOut).forEach(([currency, amount]) => {
+            addToCurrencyTotals(summary.paidOut, { currency, payoutAmount: amount });
+        });
+    });
+    const total = summary.tickets.length;
+    const resolved = countResolved(summary.byStatus, workflow);
+    return {
+        ...summary,
+        total,
+        resolved,
+        resolutionRate: total > 0 ? Math.round((resolved / total) * 1000) / 10 : 0,
+    };
+};
+
+const startOfQuarter = (date) => new Date(date.getFullYear(), Math.floor(date.getMonth() / 3) * 3, 1);
+
+// Preset ranges offered on the Reports page; both ends are inclusive days
+export const DATE_RANGE_PRESETS = {
+    'This Month': (now) => ({ from: new Date(now.getFullYear(), now.getMonth(), 1), to: null }),
+    'This Quarter': (now) => ({ from: startOfQuarter(now), to: null }),
+    'Last Quarter': (now) => {
+        const thisQuarter = startOfQuarter(now);
+        return {
+            from: new Date(thisQuarter.getFullYear(), thisQuarter.getMonth() - 3, 1),
+            to: new Date(thisQuarter.getFullYear(), thisQuarter.getMonth(), 0),
+        };
+    },
+    'Year to Date': (now) => ({ from: new Date(now.getFullYear(), 0, 1), to: null }),
+    'All Time': () => ({ from: null, to: null }),
+};
+
+// Converts a YYYY-MM-DD input value to a local Date (or null when empty)
+export const parseDateInput = (value) => {
+    if (!value) return null;
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+export const toDateInputValue = (date) => {
+    if (!date) return '';
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// Exclusive upper bound for an inclusive end day, for use in range queries
+export const endOfDay = (date) => (date ? new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1) : null);
@@ -0,0 +1,129 @@
+/**
+ * sla: Ticket priorities, due dates and the service-level policy that decides
+ * when an unresolved ticket is overdue, plus the age buckets on the Stats page.
+ *
+ * A ticket's deadline is its explicit due date when one is set, otherwise its
+ * creation time plus the business days its priority allows (SLA_POLICY).
+ * Due dates are stored as YYYY-MM-DD strings: a calendar day, not an instant.
+ */
+import { endOfDay, getTicketDate, parseDateInput } from './reports.js';
+import { isResolvedStatus } from './workflow.js';
+
+export const PRIORITIES = {
+    LOW: 'low',
+    MEDIUM: 'medium',
+    HIGH: 'high',
+    URGENT: 'urgent',
+};
+
+export const DEFAULT_PRIORITY = PRIORITIES.MEDIUM;
+
+// Most pressing first, for selects and sorting
+export const PRIORITY_ORDER = [PRIORITIES.URGENT, PRIORITIES.HIGH, PRIORITIES.MEDIUM, PRIORITIES.LOW];
+
+export const PRIORITY_LABELS = {
+    [PRIORITIES.LOW]: 'Low',
+    [PRIORITIES.MEDIUM]: 'Medium',
+    [PRIORITIES.HIGH]: 'High',
+    [PRIORITIES.URGENT]: 'Urgent',
+};
+
+export const PRIORITY_STYLES = {
+    [PRIORITIES.LOW]: 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300',
+    [PRIORITIES.MEDIUM]: 'bg-sky-100 dark:bg-sky-900/50 text-sky-800 dark:text-sky-200',
+    [PRIORITIES.HIGH]: 'bg-orange-100 dark:bg-orange-900/50 text-orange-800 dark:text-orange-200',
+    [PRIORITIES.URGENT]: 'bg-red-100 dark:bg-red-900/50 text-red-800 dark:text-red-200',
+};
+
+// Business days a ticket of each priority may stay unresolved
+export const SLA_POLICY = {
+    [PRIORITIES.URGENT]: 1,
+    [PRIORITIES.HIGH]: 3,
+    [PRIORITIES.MEDIUM]: 5,
+    [PRIORITIES.LOW]: 10,
+};
+
+export const SLA_STATES = {
+    RESOLVED: 'resolved',
+    ON_TRACK: 'on-track',
+    DUE_SOON: 'due-soon',
+    BREACHED: 'breached',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Unresolved tickets this close to their deadline are flagged as due soon
+const DUE_SOON_MS = DAY_MS;
+
+export const isValidPriority = (priority) => Object.values(PRIORITIES).includes(priority);
+
+export const isValidDueDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(parseDateInput(value).getTime());
+
+// Weekends are skipped; public holidays are not known and count as business days
+export const addBusinessDays = (date, days) => {
+    const result = new Date(date);
+    let remaining = days;
+    while (remaining > 0) {
+        result.setDate(result.getDate() + 1);
+        const weekday = result.getDay();
+        if (weekday !== 0 && weekday !== 6) remaining--;
+    }
+    return result;
+};
+
+// The moment a ticket becomes overdue, or null while its creation time is pending
+export const getSlaDeadline = (ticket, policy = SLA_POLICY) => {
+    if (ticket.dueDate && isValidDueDate(ticket.dueDate)) return endOfDay(parseDateInput(ticket.dueDate));
+    const created = getTicketDate(ticket);
+    if (!created) return null;
+    return addBusinessDays(created, policy[ticket.priority] ?? policy[DEFAULT_PRIORITY]);
+};
+
+// Returns { state, deadline }; resolved tickets are never in breach
+export const getSlaStatus = (ticket, workflow, now = new Date(), policy = SLA_POLICY) => {
+    const deadline = getSlaDeadline(ticket, policy);
+    if (isResolvedStatus(workflow, ticket.status)) return { state: SLA_STATES.RESOLVED, deadline };
+    if (!deadline) return { state: SLA_STATES.ON_TRACK, deadline };
+
+    const remaining = deadline.getTime() - now.getTime();
+    if (remaining < 0) return { state: SLA_STATES.BREACHED, deadline };
+    if (remaining < DUE_SOON_MS) return { state: SLA_STATES.DUE_SOON, deadline };
+    return { state: SLA_STATES.ON_TRACK, deadline };
+};
+
+export const formatDueDate = (value) => {
+    if (!value || !isValidDueDate(value)) return '';
+    return parseDateInput(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+// Age ranges for unresolved tickets; `maxDays` is inclusive
+export const AGING_BUCKETS = [
+    { label: '0–2 days', maxDays: 2 },
+    { label: '3–7 days', maxDays: 7 },
+    { label: '8–14 days', maxDays: 14 },
+    { label: '15–30 days', maxDays: 30 },
+    { label: 'Over 30 days', maxDays: Infinity },
+];
+
+export const getTicketAgeDays = (ticket, now = new Date()) => {
+    const created = getTicketDate(ticket);
+    if (!created) return 0;
+    return Math.max(0, Math.floor((now.getTime() - created.getTime()) / DAY_MS));
+};
+
+/**
+ * Buckets unresolved tickets by age, counting how many in each bucket are
+ * past their SLA deadline.
+ */
+export const buildAgingReport = (tickets, workflow, now = new Date()) => {
+    const buckets = AGING_BUCKETS.map(bucket => ({ ...bucket, count: 0, breached: 0 }));
+    tickets
+        .filter(ticket => !isResolvedStatus(workflow, ticket.status))
+        .forEach(ticket => {
+            const age = getTicketAgeDays(ticket, now);
+            const bucket = buckets.find(({ maxDays }) => age <= maxDays);
+            bucket.count++;
+            if (getSlaStatus(ticket, workflow, now).state === SLA_STATES.BREACHED) bucket.breached++;
+        });
+    return buckets;
+};
@@ -0,0 +1,164 @@
+/**
+ * stats: Throughput, resolution time, leaderboard and payout aggregations
+ * behind the Stats page. Resolution figures rely on `resolvedAt`, which is
+ * stamped when a ticket enters a resolved status (see getResolutionUpdate in
+ * tickets.js); tickets resolved before it was recorded are left out of them.
+ */
+import { getTicketDate } from './reports.js';
+import { SLA_STATES, getSlaStatus } from './sla.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export const PERIODS = {
+    WEEK: 'week',
+    MONTH: 'month',
+};
+
+// Share of `total` as a percentage with one decimal, e.g. "12.5"; 0 when there is nothing to divide
+export const percentOf = (count, total) => (total > 0 ? ((count / total) * 100).toFixed(1) : 0);
+
+export const getResolvedDate = (ticket) => (ticket.resolvedAt?.toDate ? ticket.resolvedAt.toDate() : null);
+
+// Weeks start on Monday, at local midnight
+export const startOfWeek = (date) => {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    return start;
+};
+
+const toDayKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const getPeriod = (date, period) => {
+    if (period === PERIODS.MONTH) {
+        return {
+            key: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`,
+            label: `${MONTH_NAMES[date.getMonth()]} ${date.getFullYear()}`,
+        };
+    }
+    const week = startOfWeek(date);
+    return { key: toDayKey(week), label: `${MONTH_NAMES[week.getMonth()]} ${week.getDate()}` };
+};
+
+/**
+ * Tickets created and resolved per week, oldest first. Every week between
+ * `from` (or the earliest ticket) and `to` (or today) is present, empty weeks
+ * included, so the chart's time axis has no gaps.
+ */
+export const buildWeeklyThroughput = (createdTickets, resolvedTickets, from = null, to = null) => {
+    const createdDates = createdTickets.map(getTicketDate).filter(Boolean);
+    const resolvedDates = resolvedTickets.map(getResolvedDate).filter(Boolean);
+    const allDates = [...createdDates, ...resolvedDates];
+    if (!from && allDates.length === 0) return [];
+
+    const first = startOfWeek(from || new Date(Math.min(...allDates.map(date => date.getTime()))));
+    const last = startOfWeek(to || new Date());
+    const weeks = new Map();
+    for (let week = first; week <= last; week = new Date(week.getFullYear(), week.getMonth(), week.getDate() + 7)) {
+        const { key, label } = getPeriod(week, PERIODS.WEEK);
+        weeks.set(key, { key, label, created: 0, resolved: 0 });
+    }
+
+    createdDates.forEach(date => {
+        const week = weeks.get(getPeriod(date, PERIODS.WEEK).key);
+        if (week) week.created += 1;
+    });
+    resolvedDates.forEach(date => {
+        const week = weeks.get(getPeriod(date, PERIODS.WEEK).key);
+        if (week) week.resolved += 1;
+    });
+    return [...weeks.values()];
+};
+
+// Milliseconds from creation to resolution, for tickets that have both
+export const getResolutionTime = (ticket) => {
+    const created = getTicketDate(ticket);
+    const resolved = getResolvedDate(ticket);
+    if (!created || !resolved) return null;
+    return Math.max(0, resolved.getTime() - created.getTime());
+};
+
+export const summarizeDurations = (durations) => {
+    const values = durations.filter(value => value !== null).sort((a, b) => a - b);
+    if (values.length === 0) return { count: 0, average: null, median: null };
+    const middle = Math.floor(values.length / 2);
+    return {
+        count: values.length,
+        average: values.reduce((sum, value) => sum + value, 0) / values.length,
+        median: values.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2,
+    };
+};
+
+// Every status of the workflow in order, with its ticket count and share; statuses without tickets included
+export const buildStatusDistribution = (tickets, workflow) => workflow.statuses.map(status => {
+    const count = tickets.filter(ticket => ticket.status === status.id).length;
+    return { ...status, count, percent: percentOf(count, tickets.length) };
+});
+
+// How many of `tickets` are past their SLA deadline or close to it
+export const countSlaStates = (tickets, workflow, now = new Date()) => {
+    const states = tickets.map(ticket => getSlaStatus(ticket, workflow, now).state);
+    return {
+        breached: states.filter(state => state === SLA_STATES.BREACHED).length,
+        dueSoon: states.filter(state => state === SLA_STATES.DUE_SOON).length,
+    };
+};
+
+// e.g. "3d 4h", "5h", "under 1h"
+export const formatDuration = (ms) => {
+    if (ms === null || ms === undefined) return '—';
+    const days = Math.floor(ms / DAY_MS);
+    const hours = Math.floor((ms % DAY_MS) / HOUR_MS);
+    if (days > 0) return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+    return hours > 0 ? `${hours}h` : 'under 1h';
+};
+
+const addAmount = (totals, ticket) => {
+    const amount = Number(ticket.payoutAmount);
+    if (!Number.isFinite(amount)) return;
+    const currency = ticket.currency || 'USD';
+    totals[currency] = Math.round(((totals[currency] || 0) + amount) * 100) / 100;
+};
+
+/**
+ * Per-owner figures: tickets created and resolved in the range, commission
+ * paid out (per currency) and median time to resolution. Ranked by tickets
+ * resolved, then created.
+ */
+export const buildOwnerLeaderboard = (createdTickets, resolvedTickets) => {
+    const owners = new Map();
+    const getOwner = (uid) => {
+        const key = uid || 'unknown';
+        if (!owners.has(key)) owners.set(key, { uid: key, created: 0, resolved: 0, paidOut: {}, durations: [] });
+        return owners.get(key);
+    };
+
+    createdTickets.forEach(ticket => { getOwner(ticket.userId).created += 1; });
+    resolvedTickets.forEach(ticket => {
+        const owner = getOwner(ticket.userId);
+        owner.resolved += 1;
+        addAmount(owner.paidOut, ticket);
+        owner.durations.push(getResolutionTime(ticket));
+    });
+
+    return [...owners.values()]
+        .map(({ durations, ...owner }) => ({ ...owner, medianResolution: summarizeDurations(durations).median }))
+        .sort((a, b) => b.resolved - a.resolved || b.created - a.created);
+};
+
+// Commission paid out per week or month (by resolution date), newest first, kept per currency
+export const buildPayoutsByPeriod = (resolvedTickets, period = PERIODS.MONTH) => {
+    const rows = new Map();
+    resolvedTickets.forEach(ticket => {
+        const date = getResolvedDate(ticket);
+        if (!date) return;
+        const { key, label } = getPeriod(date, period);
+        if (!rows.has(key)) rows.set(key, { key, label, count: 0, paidOut: {} });
+        const row = rows.get(key);
+        row.count += 1;
+        addAmount(row.paidOut, ticket);
+    });
+    return [...rows.values()].sort((a, b) => b.key.localeCompare(a.key));
+};
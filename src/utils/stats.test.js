@@ -0,0 +1,168 @@
+import { describe, expect, it } from 'vitest';
+import { Timestamp } from 'firebase/firestore';
+import { DEFAULT_WORKFLOW } from './workflow.js';
+import {
+    PERIODS,
+    buildOwnerLeaderboard,
+    buildPayoutsByPeriod,
+    buildStatusDistribution,
+    buildWeeklyThroughput,
+    countSlaStates,
+    formatDuration,
+    getResolutionTime,
+    percentOf,
+    startOfWeek,
+    summarizeDurations,
+} from './stats.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const at = (year, month, day, hour = 12) => Timestamp.fromDate(new Date(year, month - 1, day, hour));
+
+const ticket = (fields) => ({ status: 'Open', priority: 'medium', currency: 'USD', ...fields });
+
+describe('percentOf', () => {
+    it('returns the share with one decimal', () => {
+        expect(percentOf(1, 8)).toBe('12.5');
+        expect(percentOf(2, 3)).toBe('66.7');
+    });
+
+    it('returns 0 when the total is 0', () => {
+        expect(percentOf(0, 0)).toBe(0);
+    });
+});
+
+describe('startOfWeek', () => {
+    it('goes back to Monday at midnight', () => {
+        // 2024-01-07 is a Sunday
+        expect(startOfWeek(new Date(2024, 0, 7, 18))).toEqual(new Date(2024, 0, 1));
+        expect(startOfWeek(new Date(2024, 0, 1, 9))).toEqual(new Date(2024, 0, 1));
+    });
+});
+
+describe('buildWeeklyThroughput', () => {
+    const created = [
+        ticket({ createdAt: at(2024, 1, 2) }),
+        ticket({ createdAt: at(2024, 1, 3) }),
+        ticket({ createdAt: at(2024, 1, 16) }),
+    ];
+    const resolved = [ticket({ createdAt: at(2023, 12, 20), resolvedAt: at(2024, 1, 10) })];
+
+    it('counts created and resolved tickets per week, empty weeks included', () => {
+        const weeks = buildWeeklyThroughput(created, resolved, null, new Date(2024, 0, 20));
+        expect(weeks.map(({ label, created: c, resolved: r }) => [label, c, r])).toEqual([
+            ['Jan 1', 2, 0],
+            ['Jan 8', 0, 1],
+            ['Jan 15', 1, 0],
+        ]);
+    });
+
+    it('starts at `from` and drops tickets outside the range', () => {
+        const weeks = buildWeeklyThroughput(created, resolved, new Date(2024, 0, 8), new Date(2024, 0, 14));
+        expect(weeks).toEqual([{ key: '2024-01-08', label: 'Jan 8', created: 0, resolved: 1 }]);
+    });
+
+    it('is empty without tickets or a start date', () => {
+        expect(buildWeeklyThroughput([], [])).toEqual([]);
+    });
+});
+
+describe('resolution times', () => {
+    it('measures from creation to resolution', () => {
+        expect(getResolutionTime(ticket({ createdAt: at(2024, 1, 1), resolvedAt: at(2024, 1, 3) }))).toBe(2 * DAY);
+    });
+
+    it('is null for tickets without a resolution stamp', () => {
+        expect(getResolutionTime(ticket({ createdAt: at(2024, 1, 1) }))).toBeNull();
+    });
+
+    it('summarizes average and median, ignoring missing values', () => {
+        expect(summarizeDurations([4, null, 1, 10])).toEqual({ count: 3, average: 5, median: 4 });
+        expect(summarizeDurations([1, 2, 3, 10])).toEqual({ count: 4, average: 4, median: 2.5 });
+        expect(summarizeDurations([null])).toEqual({ count: 0, average: null, median: null });
+    });
+
+    it('formats durations in days and hours', () => {
+        expect(formatDuration(3 * DAY + 4 * HOUR)).toBe('3d 4h');
+        expect(formatDuration(2 * DAY)).toBe('2d');
+        expect(formatDuration(5 * HOUR + 1000)).toBe('5h');
+        expect(formatDuration(10 * 60 * 1000)).toBe('under 1h');
+        expect(formatDuration(null)).toBe('—');
+    });
+});
+
+describe('buildOwnerLeaderboard', () => {
+    it('ranks owners by tickets resolved, then created, with payouts per currency', () => {
+        const created = [
+            ticket({ userId: 'carol' }),
+            ticket({ userId: 'carol' }),
+            ticket({ userId: 'dan' }),
+            ticket({ userId: 'erin' }),
+        ];
+        const resolved = [
+            ticket({ userId: 'dan', payoutAmount: 100.1, createdAt: at(2024, 1, 1), resolvedAt: at(2024, 1, 2) }),
+            ticket({ userId: 'dan', payoutAmount: 50.2, createdAt: at(2024, 1, 1), resolvedAt: at(2024, 1, 4) }),
+            ticket({ userId: 'dan', payoutAmount: 20, currency: 'EUR', createdAt: at(2024, 1, 1), resolvedAt: at(2024, 1, 6) }),
+        ];
+
+        const leaderboard = buildOwnerLeaderboard(created, resolved);
+
+        expect(leaderboard.map(owner => owner.uid)).toEqual(['dan', 'carol', 'erin']);
+        expect(leaderboard[0]).toEqual({
+            uid: 'dan',
+            created: 1,
+            resolved: 3,
+            paidOut: { USD: 150.3, EUR: 20 },
+            medianResolution: 3 * DAY,
+        });
+        expect(leaderboard[1]).toMatchObject({ created: 2, resolved: 0, paidOut: {}, medianResolution: null });
+    });
+});
+
+describe('buildPayoutsByPeriod', () => {
+    const resolved = [
+        ticket({ payoutAmount: 10, resolvedAt: at(2024, 1, 2) }),
+        ticket({ payoutAmount: 15, resolvedAt: at(2024, 1, 30) }),
+        ticket({ payoutAmount: 5, resolvedAt: at(2024, 2, 1) }),
+        ticket({ payoutAmount: 99 }),
+    ];
+
+    it('groups by month, newest first', () => {
+        expect(buildPayoutsByPeriod(resolved, PERIODS.MONTH)).toEqual([
+            { key: '2024-02', label: 'Feb 2024', count: 1, paidOut: { USD: 5 } },
+            { key: '2024-01', label: 'Jan 2024', count: 2, paidOut: { USD: 25 } },
+        ]);
+    });
+
+    it('groups by week', () => {
+        expect(buildPayoutsByPeriod(resolved, PERIODS.WEEK).map(row => [row.label, row.count])).toEqual([
+            ['Jan 29', 2],
+            ['Jan 1', 1],
+        ]);
+    });
+});
+
+describe('buildStatusDistribution', () => {
+    it('lists every workflow status with its count and share', () => {
+        const tickets = [ticket({ status: 'Open' }), ticket({ status: 'Open' }), ticket({ status: 'Resolved' }), ticket({ status: 'Retired' })];
+        expect(buildStatusDistribution(tickets, DEFAULT_WORKFLOW).map(({ id, count, percent }) => [id, count, percent])).toEqual([
+            ['Open', 2, '50.0'],
+            ['In Progress', 0, '0.0'],
+            ['Resolved', 1, '25.0'],
+        ]);
+    });
+});
+
+describe('countSlaStates', () => {
+    it('counts overdue and due-soon tickets, never resolved ones', () => {
+        const now = new Date(2024, 0, 15, 12);
+        const tickets = [
+            ticket({ createdAt: at(2024, 1, 1), dueDate: '2024-01-10' }),
+            ticket({ createdAt: at(2024, 1, 1), dueDate: '2024-01-15' }),
+            ticket({ createdAt: at(2024, 1, 1), dueDate: '2024-02-01' }),
+            ticket({ createdAt: at(2024, 1, 1), dueDate: '2024-01-10', status: 'Resolved' }),
+        ];
+        expect(countSlaStates(tickets, DEFAULT_WORKFLOW, now)).toEqual({ breached: 1, dueSoon: 1 });
+    });
+});
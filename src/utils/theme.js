@@ -0,0 +1,57 @@
+/**
+ * theme: Light and dark color themes. The choice is saved with the user's
+ * settings and mirrored in localStorage, so the right theme is applied before
+ * the first render instead of after settings load (see main.jsx).
+ */
+export const THEMES = {
+    LIGHT: 'light',
+    DARK: 'dark',
+    SYSTEM: 'system',
+};
+
+export const THEME_LABELS = {
+    [THEMES.SYSTEM]: 'Match my device',
+    [THEMES.LIGHT]: 'Light',
+    [THEMES.DARK]: 'Dark',
+};
+
+export const DEFAULT_THEME = THEMES.SYSTEM;
+
+const STORAGE_KEY = 'theme';
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+export const isValidTheme = (theme) => Object.values(THEMES).includes(theme);
+
+export const isDarkTheme = (theme, prefersDark) => theme === THEMES.DARK || (theme === THEMES.SYSTEM && prefersDark);
+
+const prefersDarkScheme = () => Boolean(window.matchMedia?.(DARK_QUERY).matches);
+
+// localStorage throws when storage is disabled; the default theme applies then
+export const getStoredTheme = () => {
+    try {
+        const theme = localStorage.getItem(STORAGE_KEY);
+        return isValidTheme(theme) ? theme : DEFAULT_THEME;
+    } catch {
+        return DEFAULT_THEME;
+    }
+};
+
+// Sets the `dark` class Tailwind's dark styles key off (see tailwind.config.js) and remembers the choice
+export const applyTheme = (theme) => {
+    const next = isValidTheme(theme) ? theme : DEFAULT_THEME;
+    document.documentElement.classList.toggle('dark', isDarkTheme(next, prefersDarkScheme()));
+    try {
+        localStorage.setItem(STORAGE_KEY, next);
+    } catch {
+        // Not remembered across reloads; settings still apply once loaded
+    }
+};
+
+// Re-applies a "Match my device" theme when the device switches; returns the unsubscribe function
+export const watchSystemTheme = (theme) => {
+    const query = window.matchMedia?.(DARK_QUERY);
+    if (theme !== THEMES.SYSTEM || !query) return () => {};
+    const onChange = () => applyTheme(theme);
+    query.addEventListener('change', onChange);
+    return () => query.removeEventListener('change', onChange);
+};
@@ -0,0 +1,35 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { THEMES, DEFAULT_THEME, applyTheme, getStoredTheme, isDarkTheme } from './theme.js';
+
+describe('isDarkTheme', () => {
+    it('follows the device only for the system theme', () => {
+        expect(isDarkTheme(THEMES.DARK, false)).toBe(true);
+        expect(isDarkTheme(THEMES.LIGHT, true)).toBe(false);
+        expect(isDarkTheme(THEMES.SYSTEM, true)).toBe(true);
+        expect(isDarkTheme(THEMES.SYSTEM, false)).toBe(false);
+    });
+});
+
+describe('applyTheme', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        document.documentElement.classList.remove('dark');
+    });
+
+    it('toggles the dark class and remembers the choice', () => {
+        applyTheme(THEMES.DARK);
+        expect(document.documentElement.classList.contains('dark')).toBe(true);
+        expect(getStoredTheme()).toBe(THEMES.DARK);
+
+        applyTheme(THEMES.LIGHT);
+        expect(document.documentElement.classList.contains('dark')).toBe(false);
+        expect(getStoredTheme()).toBe(THEMES.LIGHT);
+    });
+
+    it('falls back to the default for unknown themes', () => {
+        applyTheme('sepia');
+        expect(getStoredTheme()).toBe(DEFAULT_THEME);
+        localStorage.setItem('theme', 'sepia');
+        expect(getStoredTheme()).toBe(DEFAULT_THEME);
+    });
+});
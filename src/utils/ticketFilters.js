@@ -0,0 +1,138 @@
+/**
+ * ticketFilters: Search, filter and sort state for the ticket lists. The state
+ * lives in the URL query string so filtered views can be bookmarked and shared.
+ *
+ * Status, owner, date range and created-date order are applied by Firestore
+ * (see firestore.indexes.json); text search, amount range and the other sort
+ * orders are applied client-side to the documents that query returns.
+ */
+import { where, orderBy, Timestamp } from 'firebase/firestore';
+import { parseDateInput, endOfDay } from './reports.js';
+
+export const SORT_OPTIONS = {
+    NEWEST: 'newest',
+    OLDEST: 'oldest',
+    AMOUNT_DESC: 'amount-desc',
+    AMOUNT_ASC: 'amount-asc',
+    PAYOUT_DESC: 'payout-desc',
+    TITLE: 'title',
+};
+
+export const SORT_LABELS = {
+    [SORT_OPTIONS.NEWEST]: 'Newest first',
+    [SORT_OPTIONS.OLDEST]: 'Oldest first',
+    [SORT_OPTIONS.AMOUNT_DESC]: 'Deal value (high to low)',
+    [SORT_OPTIONS.AMOUNT_ASC]: 'Deal value (low to high)',
+    [SORT_OPTIONS.PAYOUT_DESC]: 'Payout (high to low)',
+    [SORT_OPTIONS.TITLE]: 'Title (A–Z)',
+};
+
+export const DEFAULT_FILTERS = {
+    q: '',
+    status: '',
+    owner: '',
+    from: '',
+    to: '',
+    minAmount: '',
+    maxAmount: '',
+    sort: SORT_OPTIONS.NEWEST,
+};
+
+export const filtersFromSearchParams = (searchParams) => {
+    const filters = { ...DEFAULT_FILTERS };
+    Object.keys(DEFAULT_FILTERS).forEach(key => {
+        const value = searchParams.get(key);
+        if (value !== null) filters[key] = value;
+    });
+    if (!SORT_LABELS[filters.sort]) filters.sort = DEFAULT_FILTERS.sort;
+    return filters;
+};
+
+// Only non-default values are written so a clean list keeps a clean URL
+export const filtersToSearchParams = (filters) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        if (key in DEFAULT_FILTERS && value !== '' && value !== DEFAULT_FILTERS[key]) params.set(key, value);
+    });
+    return params;
+};
+
+export const countActiveFilters = (filters) => Object.keys(DEFAULT_FILTERS)
+    .filter(key => key !== 'sort' && filters[key] !== DEFAULT_FILTERS[key])
+    .length;
+
+// Hand-edited URLs can carry unparseable dates; those are ignored rather than breaking the query
+const toValidDate = (date) => (date && !Number.isNaN(date.getTime()) ? date : null);
+
+/**
+ * Query constraints for the filters Firestore can answer with an index.
+ * `ownerId` pins the query to one owner (the "My Tickets" view) and wins over the owner filter.
+ */
+export const buildTicketQueryConstraints = (filters, ownerId = null) => {
+    const constraints = [];
+    const owner = ownerId || filters.owner;
+    if (owner) constraints.push(where('userId', '==', owner));
+    if (filters.status) constraints.push(where('status', '==', filters.status));
+
+    const from = toValidDate(parseDateInput(filters.from));
+    const to = endOfDay(toValidDate(parseDateInput(filters.to)));
+    if (from) constraints.push(where('createdAt', '>=', Timestamp.fromDate(from)));
+    if (to) constraints.push(where('createdAt', '<', Timestamp.fromDate(to)));
+
+    constraints.push(orderBy('createdAt', filters.sort === SORT_OPTIONS.OLDEST ? 'asc' : 'desc'));
+    return constraints;
+};
+
+// Stable key for the server-side part of the filters, so typing in the search box does not resubscribe
+export const getQueryKey = (filters, ownerId = null) => JSON.stringify([
+    ownerId || filters.owner,
+    filters.status,
+    filters.from,
+    filters.to,
+    filters.sort === SORT_OPTIONS.OLDEST,
+]);
+
+const parseAmount = (value) => {
+    if (value === '') return null;
+    const amount = parseFloat(value);
+    return Number.isFinite(amount) ? amount : null;
+};
+
+// Text search, amounts and sorts other than by creation date only see the tickets loaded so far
+export const usesClientSideFilters = (filters) => filters.q.trim() !== ''
+    || parseAmount(filters.minAmount) !== null
+    || parseAmount(filters.maxAmount) !== null
+    || ![SORT_OPTIONS.NEWEST, SORT_OPTIONS.OLDEST].includes(filters.sort);
+
+const byNumberDesc = (field) => (a, b) => (b[field] ?? -Infinity) - (a[field] ?? -Infinity);
+
+const COMPARATORS = {
+    [SORT_OPTIONS.NEWEST]: (a, b) => (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0),
+    [SORT_OPTIONS.OLDEST]: (a, b) => (a.createdAt?.toMillis() || 0) - (b.createdAt?.toMillis() || 0),
+    [SORT_OPTIONS.AMOUNT_DESC]: byNumberDesc('dealValue'),
+    [SORT_OPTIONS.AMOUNT_ASC]: (a, b) => (a.dealValue ?? Infinity) - (b.dealValue ?? Infinity),
+    [SORT_OPTIONS.PAYOUT_DESC]: byNumberDesc('payoutAmount'),
+    [SORT_OPTIONS.TITLE]: (a, b) => (a.title || '').localeCompare(b.title || ''),
+};
+
+/**
+ * Applies the client-side filters and the selected sort order. Every search term
+ * must appear in the title or description (case-insensitive).
+ */
+export const applyTicketFilters = (tickets, filters) => {
+    const terms = filters.q.toLowerCase().split(/\s+/).filter(Boolean);
+    const minAmount = parseAmount(filters.minAmount);
+    const maxAmount = parseAmount(filters.maxAmount);
+
+    return tickets
+        .filter(ticket => {
+            if (terms.length > 0) {
+                const haystack = `${ticket.title || ''} ${ticket.description || ''}`.toLowerCase();
+                if (!terms.every(term => haystack.includes(term))) return false;
+            }
+            if (minAmount !== null && !(ticket.dealValue >= minAmount)) return false;
+            if (maxAmount !== null && !(ticket.dealValue <= maxAmount)) return false;
+            return true;
+        })
+        .sort(COMPARATORS[filters.sort] || COMPARATORS[SORT_OPTIONS.NEWEST]);
+};
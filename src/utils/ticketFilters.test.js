@@ -0,0 +1,92 @@
+import { describe, expect, it } from 'vitest';
+import { Timestamp } from 'firebase/firestore';
+import {
+    DEFAULT_FILTERS,
+    SORT_OPTIONS,
+    applyTicketFilters,
+    countActiveFilters,
+    filtersFromSearchParams,
+    filtersToSearchParams,
+    getQueryKey,
+    usesClientSideFilters,
+} from './ticketFilters.js';
+
+const tickets = [
+    { id: 'a', title: 'Renewal for Acme', description: 'Annual license', dealValue: 5000, payoutAmount: 250, createdAt: Timestamp.fromMillis(2000) },
+    { id: 'b', title: 'Globex upgrade', description: 'Enterprise tier for Acme subsidiary', dealValue: 12000, payoutAmount: 600, createdAt: Timestamp.fromMillis(3000) },
+    { id: 'c', title: 'Initech pilot', description: 'Three month pilot', dealValue: null, payoutAmount: null, createdAt: Timestamp.fromMillis(1000) },
+];
+
+const ids = (list) => list.map(ticket => ticket.id);
+const withFilters = (overrides) => ({ ...DEFAULT_FILTERS, ...overrides });
+
+describe('applyTicketFilters', () => {
+    it('sorts newest first by default', () => {
+        expect(ids(applyTicketFilters(tickets, DEFAULT_FILTERS))).toEqual(['b', 'a', 'c']);
+    });
+
+    it.each([
+        [SORT_OPTIONS.OLDEST, ['c', 'a', 'b']],
+        [SORT_OPTIONS.AMOUNT_DESC, ['b', 'a', 'c']],
+        [SORT_OPTIONS.AMOUNT_ASC, ['a', 'b', 'c']],
+        [SORT_OPTIONS.PAYOUT_DESC, ['b', 'a', 'c']],
+        [SORT_OPTIONS.TITLE, ['b', 'c', 'a']],
+    ])('sorts by %s, tickets without the value last', (sort, expected) => {
+        expect(ids(applyTicketFilters(tickets, withFilters({ sort })))).toEqual(expected);
+    });
+
+    it('matches every search term in the title or description, ignoring case', () => {
+        expect(ids(applyTicketFilters(tickets, withFilters({ q: 'acme' })))).toEqual(['b', 'a']);
+        expect(ids(applyTicketFilters(tickets, withFilters({ q: 'ACME enterprise' })))).toEqual(['b']);
+    });
+
+    it('keeps deal values inside the amount range', () => {
+        expect(ids(applyTicketFilters(tickets, withFilters({ minAmount: '5000', maxAmount: '10000' })))).toEqual(['a']);
+        expect(ids(applyTicketFilters(tickets, withFilters({ minAmount: 'abc' })))).toEqual(['b', 'a', 'c']);
+    });
+
+    it('does not reorder the input array', () => {
+        const input = [...tickets];
+        applyTicketFilters(input, withFilters({ sort: SORT_OPTIONS.TITLE }));
+        expect(ids(input)).toEqual(['a', 'b', 'c']);
+    });
+});
+
+describe('URL state', () => {
+    it('round-trips filters through the query string, leaving defaults out', () => {
+        const filters = withFilters({ q: 'acme', status: 'Open', sort: SORT_OPTIONS.OLDEST });
+        const params = filtersToSearchParams(filters);
+        expect(params.toString()).toBe('q=acme&status=Open&sort=oldest');
+        expect(filtersFromSearchParams(params)).toEqual(filters);
+    });
+
+    it('falls back to the default sort for unknown values', () => {
+        expect(filtersFromSearchParams(new URLSearchParams('sort=bogus')).sort).toBe(SORT_OPTIONS.NEWEST);
+    });
+
+    it('counts active filters other than the sort order', () => {
+        expect(countActiveFilters(withFilters({ q: 'x', owner: 'carol', sort: SORT_OPTIONS.TITLE }))).toBe(2);
+    });
+});
+
+describe('getQueryKey', () => {
+    it('only changes with the filters Firestore applies', () => {
+        const base = getQueryKey(DEFAULT_FILTERS);
+        expect(getQueryKey(withFilters({ q: 'acme', minAmount: '10', sort: SORT_OPTIONS.TITLE }))).toBe(base);
+        expect(getQueryKey(withFilters({ status: 'Open' }))).not.toBe(base);
+        expect(getQueryKey(withFilters({ sort: SORT_OPTIONS.OLDEST }))).not.toBe(base);
+    });
+
+    it('pins the owner for My Tickets', () => {
+        expect(getQueryKey(withFilters({ owner: 'dan' }), 'carol')).toBe(getQueryKey(withFilters({ owner: 'carol' })));
+    });
+});
+
+describe('usesClientSideFilters', () => {
+    it('is set by search, amounts and sorts Firestore does not apply', () => {
+        expect(usesClientSideFilters(withFilters({ status: 'Open', sort: SORT_OPTIONS.OLDEST }))).toBe(false);
+        expect(usesClientSideFilters(withFilters({ q: 'acme' }))).toBe(true);
+        expect(usesClientSideFilters(withFilters({ minAmount: '1000' }))).toBe(true);
+        expect(usesClientSideFilters(withFilters({ sort: SORT_OPTIONS.TITLE }))).toBe(true);
+    });
+});
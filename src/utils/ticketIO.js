@@ -0,0 +1,253 @@
+/**
+ * ticketIO: CSV / JSON serialization of tickets, the printable PDF summary,
+ * and parsing of CSV imports into ticket input.
+ */
+import { RATE_TYPES, formatCurrency } from './commission.js';
+import { PRINT_STYLES } from './printStyles.js';
+
+export const EXPORT_COLUMNS = [
+    'id', 'title', 'description', 'status', 'userId', 'createdAt',
+    'dealValue', 'currency', 'rateType', 'commissionRate', 'rateTiers', 'payoutAmount',
+    'assigneeId', 'priority', 'dueDate', 'typeId', 'customFields',
+];
+
+// Columns a CSV import reads; everything else (id, status, owner...) is assigned on creation
+export const IMPORT_COLUMNS = [
+    'title', 'description', 'dealValue', 'currency', 'commissionRate', 'rateTiers',
+    'assigneeId', 'priority', 'dueDate', 'typeId', 'customFields',
+];
+
+const toIsoString = (timestamp) => (timestamp?.toDate ? timestamp.toDate().toISOString() : '');
+
+// Tiers are written as "upTo:rate" pairs separated by "|", with an empty upTo for the open-ended tier
+const serializeTiers = (tiers = []) => tiers.map(tier => `${tier.upTo ?? ''}:${tier.rate}`).join('|');
+
+const parseTiers = (value) => value.split('|').filter(Boolean).map(pair => {
+    const [upTo = '', rate = ''] = pair.split(':').map(part => part.trim());
+    return { upTo, rate };
+});
+
+// Custom field values are written as a JSON object; imports read them back as form text
+const parseCustomFields = (value) => {
+    const parsed = JSON.parse(value);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('Not an object');
+    return Object.fromEntries(Object.entries(parsed).map(([id, fieldValue]) => [id, fieldValue === null ? '' : String(fieldValue)]));
+};
+
+// Plain objects with Firestore timestamps flattened to ISO strings
+export const toExportRecords = (tickets) => tickets.map(ticket => ({
+    id: ticket.id,
+    title: ticket.title ?? '',
+    description: ticket.description ?? '',
+    status: ticket.status ?? '',
+    userId: ticket.userId ?? '',
+    createdAt: toIsoString(ticket.createdAt),
+    dealValue: ticket.dealValue ?? null,
+    currency: ticket.currency ?? '',
+    rateType: ticket.rateType ?? '',
+    commissionRate: ticket.commissionRate ?? null,
+    rateTiers: ticket.rateTiers ?? [],
+    payoutAmount: ticket.payoutAmount ?? null,
+    assigneeId: ticket.assigneeId ?? '',
+    priority: ticket.priority ?? '',
+    dueDate: ticket.dueDate ?? '',
+    typeId: ticket.typeId ?? '',
+    customFields: ticket.customFields ?? {},
+}));
+
+// Spreadsheet apps execute cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvCell = (value, { guardFormula = false } = {}) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (guardFormula && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    if (/[",\r\n]/.test(text)) return `"${text.replace(/"/g, '""')}"`;
+    return text;
+};
+
+const TEXT_COLUMNS = new Set(['title', 'description']);
+
+export const ticketsToCsv = (tickets) => {
+    const lines = [EXPORT_COLUMNS.join(',')];
+    toExportRecords(tickets).forEach(record => {
+        lines.push(EXPORT_COLUMNS.map(column => {
+            let value = record[column];
+            if (column === 'rateTiers') value = serializeTiers(record.rateTiers);
+            if (column === 'customFields') value = Object.keys(record.customFields).length > 0 ? JSON.stringify(record.customFields) : '';
+            return escapeCsvCell(value, { guardFormula: TEXT_COLUMNS.has(column) });
+        }).join(','));
+    });
+    return lines.join('\r\n');
+};
+
+export const ticketsToJson = (tickets) => JSON.stringify(toExportRecords(tickets), null, 2);
+
+/**
+ * Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and embedded
+ * newlines are supported. Returns an array of rows (arrays of strings).
+ */
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    // Drop blank lines (a single empty field)
+    return rows.filter(cells => cells.length > 1 || cells[0].trim() !== '');
+};
+
+const unguardFormula = (text) => (text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text);
+
+/**
+ * Turns CSV text into ticket input rows for import. Each entry carries its
+ * row number (the header is row 1) and either `input`, ready for validation
+ * and creation, or an `error` describing why the row cannot be used.
+ */
+export const parseTicketCsv = (text, { defaultCurrency } = {}) => {
+    const [header, ...dataRows] = parseCsv(text);
+    if (!header) return { error: 'The file is empty.', rows: [] };
+
+    const columns = header.map(name => name.trim());
+    const missing = ['title', 'description', 'dealValue'].filter(name => !columns.includes(name));
+    if (missing.length > 0) {
+        return { error: `Missing required column(s): ${missing.join(', ')}.`, rows: [] };
+    }
+
+    const rows = dataRows.map((cells, index) => {
+        const line = index + 2; // header is row 1
+        if (cells.length > columns.length) {
+            return { line, error: `Expected ${columns.length} columns but found ${cells.length}.` };
+        }
+        const record = Object.fromEntries(columns.map((name, i) => [name, (cells[i] ?? '').trim()]));
+        const rateTiers = record.rateTiers ? parseTiers(record.rateTiers) : [];
+        let customFields = {};
+        try {
+            if (record.customFields) customFields = parseCustomFields(record.customFields);
+        } catch {
+            return { line, error: 'customFields must be a JSON object of field values.' };
+        }
+        return {
+            line,
+            input: {
+                title: unguardFormula(record.title),
+                description: unguardFormula(record.description),
+                dealValue: record.dealValue,
+                currency: (record.currency || defaultCurrency || '').toUpperCase(),
+                rateType: rateTiers.length > 0 ? RATE_TYPES.TIERED : RATE_TYPES.FLAT,
+                commissionRate: record.commissionRate ?? '',
+                rateTiers,
+                assigneeId: record.assigneeId ?? '',
+                priority: (record.priority || '').toLowerCase(),
+                dueDate: record.dueDate ?? '',
+                typeId: record.typeId ?? '',
+                customFields,
+            },
+        };
+    });
+
+    return { error: null, rows };
+};
+
+export const downloadFile = (content, filename, mimeType) => {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+// e.g. "commission-tickets-my-tickets-2026-10-19"
+export const buildExportFilename = (label) => {
+    const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `commission-tickets-${slug}-${new Date().toISOString().slice(0, 10)}`;
+};
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Opens a print-ready summary in a new window and triggers the browser's print
+ * dialog, where "Save as PDF" produces the exported document.
+ * `sections` is a list of { heading, columns, rows } tables.
+ */
+export const printSummary = ({ title, subtitle, sections }) => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) return false;
+
+    const tables = sections.map(({ heading, columns, rows }) => `
+        <h2>${escapeHtml(heading)}</h2>
+        <table>
+            <thead><tr>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>
+            <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table>`).join('');
+
+    printWindow.document.write(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8" />
+    <title>${escapeHtml(title)}</title>
+    <style>${PRINT_STYLES}</style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(subtitle)}</p>
+    ${tables}
+</body>
+</html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+    return true;
+};
+
+// Table section listing tickets, used by the PDF exports; `getOwnerName` maps a uid to a display name
+export const ticketsToPrintSection = (heading, tickets, getOwnerName = (uid) => uid) => ({
+    heading,
+    columns: ['Title', 'Status', 'Owner', 'Created', 'Deal', 'Payout'],
+    rows: tickets.map(ticket => [
+        ticket.title,
+        ticket.status,
+        getOwnerName(ticket.userId),
+        ticket.createdAt?.toDate ? ticket.createdAt.toDate().toLocaleDateString('en-US') : 'N/A',
+        formatCurrency(ticket.dealValue, ticket.currency),
+        formatCurrency(ticket.payoutAmount, ticket.currency),
+    ]),
+});
@@ -0,0 +1,114 @@
+import { describe, expect, it } from 'vitest';
+import { parseCsv, parseTicketCsv, ticketsToCsv } from './ticketIO.js';
+
+const ticket = (overrides = {}) => ({
+    id: 'ticket-1',
+    title: 'Annual renewal',
+    description: 'Signed order attached.',
+    status: 'open',
+    userId: 'carol',
+    dealValue: 12000,
+    currency: 'USD',
+    rateType: 'flat',
+    commissionRate: 5,
+    rateTiers: [],
+    payoutAmount: 600,
+    assigneeId: '',
+    priority: 'medium',
+    dueDate: '',
+    typeId: null,
+    customFields: {},
+    ...overrides,
+});
+
+describe('CSV parsing', () => {
+    it('reads quoted fields with commas, doubled quotes and newlines', () => {
+        expect(parseCsv('title,description\n"Renewal, Acme","Said ""yes""\non the call"')).toEqual([
+            ['title', 'description'],
+            ['Renewal, Acme', 'Said "yes"\non the call'],
+        ]);
+    });
+
+    it('accepts CRLF and CR line endings, a byte order mark and skips blank lines', () => {
+        expect(parseCsv('\uFEFFa,b\r\n1,2\r\n\r\n3,4\r5,6\r\n')).toEqual([['a', 'b'], ['1', '2'], ['3', '4'], ['5', '6']]);
+    });
+
+    it('keeps CRLF inside quoted fields', () => {
+        expect(parseCsv('a\r\n"line 1\r\nline 2"\r\n')).toEqual([['a'], ['line 1\r\nline 2']]);
+    });
+
+    it('keeps empty fields', () => {
+        expect(parseCsv('a,b,c\n,,x')).toEqual([['a', 'b', 'c'], ['', '', 'x']]);
+    });
+});
+
+describe('ticket CSV import', () => {
+    it('reports missing required columns and an empty file', () => {
+        expect(parseTicketCsv('title,dealValue\nRenewal,100').error).toBe('Missing required column(s): description.');
+        expect(parseTicketCsv('').error).toBe('The file is empty.');
+    });
+
+    it('reports rows with more cells than columns, by their line number', () => {
+        const { rows } = parseTicketCsv('title,description,dealValue\nRenewal,Signed,100\nUpsell,Signed,100,extra');
+
+        expect(rows[0].error).toBeUndefined();
+        expect(rows[1]).toEqual({ line: 3, error: 'Expected 3 columns but found 4.' });
+    });
+
+    it('fills in the default currency and reads tiers', () => {
+        const { rows: [row] } = parseTicketCsv('title,description,dealValue,rateTiers\nRenewal,Signed,100,1000:10|:5', { defaultCurrency: 'eur' });
+
+        expect(row.input.currency).toBe('EUR');
+        expect(row.input.rateType).toBe('tiered');
+        expect(row.input.rateTiers).toEqual([{ upTo: '1000', rate: '10' }, { upTo: '', rate: '5' }]);
+    });
+});
+
+describe('CSV escaping', () => {
+    it('quotes cells with commas, quotes or line breaks on export', () => {
+        const [, line] = ticketsToCsv([ticket({ title: 'Renewal, Acme', description: 'Said "yes"\non the call' })]).split('\r\n');
+
+        expect(line.startsWith('ticket-1,"Renewal, Acme","Said ""yes""\non the call",')).toBe(true);
+    });
+
+    it('guards cells that spreadsheets would run as formulas', () => {
+        const titles = ['=SUM(A1:A9)', '+1', '-1', '@cmd', '\tTabbed', '\rReturn'];
+        const rows = parseCsv(ticketsToCsv(titles.map((title, index) => ticket({ id: `ticket-${index}`, title }))));
+
+        expect(rows.slice(1).map(cells => cells[1])).toEqual(titles.map(title => `'${title}`));
+    });
+
+    it('removes the guard, and only the guard, on import', () => {
+        const titles = ['=SUM(A1:A9)', '@cmd', '\tTabbed', 'Renewal, "Acme"\nline 2', "'quoted"];
+        const { rows } = parseTicketCsv(ticketsToCsv(titles.map((title, index) => ticket({ id: `ticket-${index}`, title }))));
+
+        expect(rows.map(row => row.input.title)).toEqual(titles);
+    });
+});
+
+describe('CSV round trip', () => {
+    it('keeps the ticket type and custom field values', () => {
+        const exported = ticketsToCsv([ticket({ typeId: 'renewal', customFields: { contractId: 'C-42', seats: 25 } })]);
+        const { error, rows: [row] } = parseTicketCsv(exported);
+
+        expect(error).toBeNull();
+        expect(row.input.typeId).toBe('renewal');
+        expect(row.input.customFields).toEqual({ contractId: 'C-42', seats: '25' });
+    });
+
+    it('leaves both empty for tickets without a type', () => {
+        const { rows: [row] } = parseTicketCsv(ticketsToCsv([ticket()]));
+
+        expect(row.input.typeId).toBe('');
+        expect(row.input.customFields).toEqual({});
+    });
+
+    it('reports custom fields that are not a JSON object', () => {
+        const { rows } = parseTicketCsv('title,description,dealValue,customFields\r\nRenewal,Signed,100,"[1,2]"\r\nUpsell,Signed,100,seats=3');
+
+        expect(rows.map(row => row.error)).toEqual([
+            'customFields must be a JSON object of field values.',
+            'customFields must be a JSON object of field values.',
+        ]);
+    });
+});
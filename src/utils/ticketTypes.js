@@ -0,0 +1,197 @@
+/**
+ * ticketTypes: Admin-defined kinds of ticket (e.g. "Missing commission"), each
+ * with its own structured fields that the submission form asks for instead of
+ * free text. Each workspace stores its types in Firestore (see
+ * getTicketTypesDocPath); without any, tickets have no type and no custom fields.
+ *
+ * Shape:
+ *   types: [{ id, label, descriptionHint, fields }] in display order. `id` is
+ *          what tickets store as `typeId` and never changes.
+ *   fields: [{ id, label, type, required, pattern }]. `id` keys the value in the
+ *           ticket's `customFields` map; `pattern` optionally constrains text.
+ */
+import { formatCurrency } from './commission.js';
+import { formatDueDate, isValidDueDate } from './sla.js';
+
+export const FIELD_TYPES = {
+    TEXT: 'text',
+    NUMBER: 'number',
+    AMOUNT: 'amount',
+    DATE: 'date',
+};
+
+export const FIELD_TYPE_LABELS = {
+    [FIELD_TYPES.TEXT]: 'Text',
+    [FIELD_TYPES.NUMBER]: 'Number',
+    [FIELD_TYPES.AMOUNT]: 'Amount (ticket currency)',
+    [FIELD_TYPES.DATE]: 'Date',
+};
+
+export const TYPE_LABEL_MAX_LENGTH = 40;
+export const FIELD_LABEL_MAX_LENGTH = 40;
+export const TEXT_VALUE_MAX_LENGTH = 200;
+export const FIELD_COUNT_MAX = 12;
+
+// Starting points offered in the ticket type editor
+export const TICKET_TYPE_PRESETS = [
+    {
+        id: 'missing-commission',
+        label: 'Missing commission',
+        descriptionHint: 'Why do you think the commission was missed?',
+        fields: [
+            { id: 'orderId', label: 'Order ID', type: FIELD_TYPES.TEXT, required: true, pattern: '' },
+            { id: 'saleDate', label: 'Sale date', type: FIELD_TYPES.DATE, required: true, pattern: '' },
+            { id: 'customer', label: 'Customer', type: FIELD_TYPES.TEXT, required: true, pattern: '' },
+            { id: 'amount', label: 'Sale amount', type: FIELD_TYPES.AMOUNT, required: false, pattern: '' },
+        ],
+    },
+    {
+        id: 'refund-clawback',
+        label: 'Refund clawback',
+        descriptionHint: 'What was refunded and why?',
+        fields: [
+            { id: 'orderId', label: 'Order ID', type: FIELD_TYPES.TEXT, required: true, pattern: '' },
+            { id: 'refundDate', label: 'Refund date', type: FIELD_TYPES.DATE, required: true, pattern: '' },
+            { id: 'amount', label: 'Refunded amount', type: FIELD_TYPES.AMOUNT, required: true, pattern: '' },
+        ],
+    },
+    {
+        id: 'rate-dispute',
+        label: 'Rate dispute',
+        descriptionHint: 'Which rate did you expect, and where was it agreed?',
+        fields: [
+            { id: 'orderId', label: 'Order ID', type: FIELD_TYPES.TEXT, required: false, pattern: '' },
+            { id: 'customer', label: 'Customer', type: FIELD_TYPES.TEXT, required: true, pattern: '' },
+            { id: 'expectedRate', label: 'Expected rate (%)', type: FIELD_TYPES.NUMBER, required: true, pattern: '' },
+        ],
+    },
+];
+
+// Ids are derived from the label when a type or field is added, e.g. "Sale date" -> "saleDate"
+export const toFieldId = (label) => (label || '')
+    .trim()
+    .replace(/[^A-Za-z0-9]+(.)?/g, (match, next) => (next ? next.toUpperCase() : ''))
+    .replace(/^./, first => first.toLowerCase());
+
+export const toTypeId = (label) => (label || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Fills gaps in a stored document so consumers can rely on every field being present
+export const normalizeTicketTypes = (data) => {
+    if (!data || !Array.isArray(data.types)) return [];
+    return data.types
+        .filter(type => type && type.id)
+        .map(type => ({
+            id: type.id,
+            label: type.label || type.id,
+            descriptionHint: type.descriptionHint || '',
+            fields: (Array.isArray(type.fields) ? type.fields : [])
+                .filter(field => field && field.id)
+                .map(field => ({
+                    id: field.id,
+                    label: field.label || field.id,
+                    type: FIELD_TYPE_LABELS[field.type] ? field.type : FIELD_TYPES.TEXT,
+                    required: Boolean(field.required),
+                    pattern: field.pattern || '',
+                })),
+        }));
+};
+
+export const findTicketType = (types, typeId) => (typeId ? types.find(type => type.id === typeId) || null : null);
+
+const compilePattern = (pattern) => {
+    try {
+        return new RegExp(`^(?:${pattern})$`);
+    } catch {
+        return null;
+    }
+};
+
+// Returns an error message for the editor, or null when the types can be saved
+export const validateTicketTypes = (types) => {
+    const typeIds = new Set();
+    for (const type of types) {
+        if (!type.label.trim()) return 'Every ticket type needs a name.';
+        if (type.label.trim().length > TYPE_LABEL_MAX_LENGTH) return `Ticket type names must be ${TYPE_LABEL_MAX_LENGTH} characters or fewer.`;
+        if (!type.id) return `"${type.label}" needs a name with at least one letter or digit.`;
+        if (typeIds.has(type.id)) return `"${type.label}" is used by more than one ticket type.`;
+        typeIds.add(type.id);
+        if (type.fields.length > FIELD_COUNT_MAX) return `"${type.label}" can have at most ${FIELD_COUNT_MAX} fields.`;
+
+        const fieldIds = new Set();
+        for (const field of type.fields) {
+            if (!field.label.trim()) return `Every field of "${type.label}" needs a label.`;
+            if (field.label.trim().length > FIELD_LABEL_MAX_LENGTH) return `Field labels must be ${FIELD_LABEL_MAX_LENGTH} characters or fewer.`;
+            if (!field.id) return `"${field.label}" needs a label with at least one letter or digit.`;
+            if (fieldIds.has(field.id)) return `"${type.label}" has more than one field called "${field.label}".`;
+            fieldIds.add(field.id);
+            if (field.pattern && !compilePattern(field.pattern)) return `The format of "${field.label}" is not a valid regular expression.`;
+        }
+    }
+    return null;
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const getFieldError = (field, value) => {
+    if (isBlank(value)) return field.required ? `${field.label} is required.` : null;
+    const text = String(value).trim();
+    switch (field.type) {
+        case FIELD_TYPES.NUMBER:
+            return Number.isFinite(Number(text)) ? null : `${field.label} must be a number.`;
+        case FIELD_TYPES.AMOUNT:
+            return Number.isFinite(Number(text)) && Number(text) >= 0 ? null : `${field.label} must be zero or more.`;
+        case FIELD_TYPES.DATE:
+            return isValidDueDate(text) ? null : `${field.label} must be a valid date.`;
+        default:
+            if (text.length > TEXT_VALUE_MAX_LENGTH) return `${field.label} must be ${TEXT_VALUE_MAX_LENGTH} characters or fewer.`;
+            if (field.pattern && !compilePattern(field.pattern)?.test(text)) return `${field.label} is not in the expected format.`;
+            return null;
+    }
+};
+
+// Form errors keyed `customFields.<fieldId>`, alongside the other fields of getTicketFieldErrors
+export const getCustomFieldErrors = (ticketType, values = {}) => {
+    const errors = {};
+    (ticketType?.fields || []).forEach(field => {
+        const error = getFieldError(field, values[field.id]);
+        if (error) errors[`customFields.${field.id}`] = error;
+    });
+    return errors;
+};
+
+// The stored `customFields` map: numbers as numbers, text trimmed, blank optional fields left out
+export const buildCustomFieldValues = (ticketType, values = {}) => {
+    const stored = {};
+    (ticketType?.fields || []).forEach(field => {
+        const value = values[field.id];
+        if (isBlank(value)) return;
+        const text = String(value).trim();
+        stored[field.id] = field.type === FIELD_TYPES.NUMBER || field.type === FIELD_TYPES.AMOUNT ? Number(text) : text;
+    });
+    return stored;
+};
+
+export const formatCustomFieldValue = (field, value, currency) => {
+    if (isBlank(value)) return '—';
+    if (field?.type === FIELD_TYPES.AMOUNT) return formatCurrency(value, currency);
+    if (field?.type === FIELD_TYPES.NUMBER) return Number(value).toLocaleString('en-US');
+    if (field?.type === FIELD_TYPES.DATE) return formatDueDate(value) || String(value);
+    return String(value);
+};
+
+/**
+ * The ticket's custom values as [{ id, label, value }] for display, in the
+ * order of its type's fields. Values of fields since removed from the type (or
+ * of a removed type) are still listed, under their id.
+ */
+export const describeCustomFields = (ticket, ticketType) => {
+    const values = ticket.customFields || {};
+    const fields = ticketType?.fields || [];
+    const known = fields
+        .filter(field => !isBlank(values[field.id]))
+        .map(field => ({ id: field.id, label: field.label, value: formatCustomFieldValue(field, values[field.id], ticket.currency) }));
+    const removed = Object.keys(values)
+        .filter(id => !fields.some(field => field.id === id))
+        .map(id => ({ id, label: id, value: formatCustomFieldValue(null, values[id], ticket.currency) }));
+    return [...known, ...removed];
+};
@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import {
+    FIELD_TYPES,
+    TICKET_TYPE_PRESETS,
+    buildCustomFieldValues,
+    describeCustomFields,
+    getCustomFieldErrors,
+    normalizeTicketTypes,
+    toFieldId,
+    toTypeId,
+    validateTicketTypes,
+} from './ticketTypes.js';
+import { buildTicketUpdate, getTicketFieldErrors } from './tickets.js';
+
+const [missingCommission] = TICKET_TYPE_PRESETS;
+
+const withOrderFormat = {
+    ...missingCommission,
+    fields: missingCommission.fields.map(field => (field.id === 'orderId' ? { ...field, pattern: 'ORD-\\d{6}' } : field)),
+};
+
+describe('custom field validation', () => {
+    it('requires required fields and checks each kind of value', () => {
+        expect(getCustomFieldErrors(missingCommission, { amount: '-5', saleDate: '01/02/2024' })).toEqual({
+            'customFields.orderId': 'Order ID is required.',
+            'customFields.saleDate': 'Sale date must be a valid date.',
+            'customFields.customer': 'Customer is required.',
+            'customFields.amount': 'Sale amount must be zero or more.',
+        });
+    });
+
+    it('checks text against the field format', () => {
+        const values = { orderId: 'ORD-12', saleDate: '2024-02-01', customer: 'Acme' };
+        expect(getCustomFieldErrors(withOrderFormat, values)).toEqual({ 'customFields.orderId': 'Order ID is not in the expected format.' });
+        expect(getCustomFieldErrors(withOrderFormat, { ...values, orderId: 'ORD-123456' })).toEqual({});
+    });
+
+    it('joins the other ticket field errors, and is skipped without a type', () => {
+        const input = { title: 'Missed', description: 'See order', dealValue: '100', commissionRate: '5', customFields: {} };
+        expect(Object.keys(getTicketFieldErrors(input, missingCommission))).toEqual([
+            'customFields.orderId', 'customFields.saleDate', 'customFields.customer',
+        ]);
+        expect(getTicketFieldErrors(input)).toEqual({});
+    });
+});
+
+describe('stored values', () => {
+    it('converts amounts to numbers and leaves out blank optional fields', () => {
+        expect(buildCustomFieldValues(missingCommission, { orderId: ' A-1 ', saleDate: '2024-02-01', customer: 'Acme', amount: '' }))
+            .toEqual({ orderId: 'A-1', saleDate: '2024-02-01', customer: 'Acme' });
+        expect(buildCustomFieldValues(missingCommission, { amount: '12.5' })).toEqual({ amount: 12.5 });
+        expect(buildCustomFieldValues(null, { orderId: 'A-1' })).toEqual({});
+    });
+
+    it('only touches custom fields on update when the ticket type is known', () => {
+        const input = { title: 'T', description: 'D', dealValue: '1', commissionRate: '1', customFields: { orderId: 'A-2' } };
+        expect(buildTicketUpdate(input)).not.toHaveProperty('customFields');
+        expect(buildTicketUpdate(input, missingCommission).customFields).toEqual({ orderId: 'A-2' });
+    });
+
+    it('describes values in field order, keeping ones whose field was removed', () => {
+        const ticket = { currency: 'EUR', customFields: { legacy: 'x', amount: 1200, saleDate: '2024-02-01' } };
+        expect(describeCustomFields(ticket, missingCommission)).toEqual([
+            { id: 'saleDate', label: 'Sale date', value: 'Feb 1, 2024' },
+            { id: 'amount', label: 'Sale amount', value: '€1,200.00' },
+            { id: 'legacy', label: 'legacy', value: 'x' },
+        ]);
+    });
+});
+
+describe('ticket type definitions', () => {
+    it('derives ids from labels', () => {
+        expect(toFieldId('Sale date')).toBe('saleDate');
+        expect(toFieldId(' Order ID #')).toBe('orderID');
+        expect(toTypeId('Refund clawback!')).toBe('refund-clawback');
+    });
+
+    it('fills gaps in the stored document', () => {
+        expect(normalizeTicketTypes(undefined)).toEqual([]);
+        expect(normalizeTicketTypes({ types: [{ id: 'x', fields: [{ id: 'f', type: 'colour' }] }] })).toEqual([
+            { id: 'x', label: 'x', descriptionHint: '', fields: [{ id: 'f', label: 'f', type: FIELD_TYPES.TEXT, required: false, pattern: '' }] },
+        ]);
+    });
+
+    it('accepts the presets and rejects duplicates and broken formats', () => {
+        expect(validateTicketTypes(TICKET_TYPE_PRESETS)).toBeNull();
+        expect(validateTicketTypes([missingCommission, missingCommission])).toBe('"Missing commission" is used by more than one ticket type.');
+        expect(validateTicketTypes([{ ...withOrderFormat, fields: [{ ...withOrderFormat.fields[0], pattern: '(' }] }]))
+            .toBe('The format of "Order ID" is not a valid regular expression.');
+    });
+});
@@ -0,0 +1,209 @@
+/**
+ * ticketWrites: The Firestore writes behind creating, updating and deleting
+ * tickets. A ticket change, its history entry and the notifications it causes
+ * are committed in one batch. Callers check permissions and report failures.
+ *
+ * Deleting only moves a ticket to the trash (see isDeletedTicket in tickets.js);
+ * admins purge tickets from the trash once TRASH_RETENTION_DAYS have passed,
+ * together with their subcollections and attachment files.
+ */
+import { collection, deleteDoc, doc, getDocs, serverTimestamp, writeBatch } from 'firebase/firestore';
+import { deleteObject, ref } from 'firebase/storage';
+import {
+    getAttachmentsCollectionPath,
+    getCommentsCollectionPath,
+    getHistoryCollectionPath,
+    getTicketDocPath,
+    getTicketsCollectionPath,
+} from '../config.js';
+import { HISTORY_TYPES, buildHistoryEntry } from './history.js';
+import { NOTIFICATION_TYPES, addNotification } from './notifications.js';
+import { commitWrite } from './offline.js';
+import {
+    RESTORE_UPDATE,
+    buildDeletionUpdate,
+    buildTicketDocument,
+    getResolutionUpdate,
+    validateTicketInput,
+} from './tickets.js';
+
+// A new history entry's reference. The ticket write names it in `lastHistoryId`, which is
+// how the rules check that every ticket change is recorded in the same batch.
+const newHistoryRef = (db, workspaceId, ticketId) => doc(collection(db, getHistoryCollectionPath(workspaceId, ticketId)));
+
+/**
+ * Creates a ticket in the workflow's initial status, owned by `uid`, of
+ * `ticketType` when one was picked. Throws with the validation message when
+ * the input is invalid. Returns the new id.
+ */
+export const createTicket = async (db, workspaceId, workflow, input, uid, ticketType = null) => {
+    const validationError = validateTicketInput(input, ticketType);
+    if (validationError) throw new Error(validationError);
+
+    const ticketRef = doc(collection(db, getTicketsCollectionPath(workspaceId)));
+    const batch = writeBatch(db);
+    const ticket = buildTicketDocument(input, uid, workflow.initialStatus, ticketType);
+    const historyRef = newHistoryRef(db, workspaceId, ticketRef.id);
+    batch.set(ticketRef, { ...ticket, lastHistoryId: historyRef.id });
+    batch.set(historyRef, buildHistoryEntry(HISTORY_TYPES.CREATED, uid));
+    addNotification(batch, db, workspaceId, ticket.assigneeId, NOTIFICATION_TYPES.ASSIGNED, { ...ticket, id: ticketRef.id }, uid);
+    await commitWrite(batch.commit(), 'new ticket');
+    return ticketRef.id;
+};
+
+// The rules only accept notifications for members of the workspace; `members` (uid -> membership) is optional
+const isNotifiable = (members, recipientId) => !members || Boolean(members[recipientId]);
+
+/**
+ * Adds an update of `ticket` to `batch`: the new values, the resolution stamp
+ * when the status changes, a history entry listing `changes` (see diffTicket)
+ * and notifications for the owner and a new assignee, unless they have left
+ * the workspace.
+ */
+export const addTicketUpdate = (batch, db, workspaceId, workflow, ticket, updates, changes, uid, members = null) => {
+    const changesStatus = changes.some(change => change.field === 'status');
+    const historyRef = newHistoryRef(db, workspaceId, ticket.id);
+    batch.update(doc(db, getTicketDocPath(workspaceId, ticket.id)), {
+        ...updates,
+        ...(changesStatus ? getResolutionUpdate(workflow, ticket.status, updates.status) : {}),
+        updatedAt: serverTimestamp(),
+        updatedBy: uid,
+        lastHistoryId: historyRef.id,
+    });
+    batch.set(historyRef, buildHistoryEntry(HISTORY_TYPES.UPDATED, uid, changes));
+    if (changesStatus && isNotifiable(members, ticket.userId)) {
+        addNotification(batch, db, workspaceId, ticket.userId, NOTIFICATION_TYPES.STATUS, { ...ticket, ...updates }, uid, { status: updates.status });
+    }
+    if (changes.some(change => change.field === 'assigneeId') && isNotifiable(members, updates.assigneeId)) {
+        addNotification(batch, db, workspaceId, updates.assigneeId, NOTIFICATION_TYPES.ASSIGNED, { ...ticket, ...updates }, uid);
+    }
+};
+
+export const saveTicketUpdate = (db, workspaceId, workflow, ticket, updates, changes, uid, members = null) => {
+    const batch = writeBatch(db);
+    addTicketUpdate(batch, db, workspaceId, workflow, ticket, updates, changes, uid, members);
+    return commitWrite(batch.commit(), `update of ticket ${ticket.id}`);
+};
+
+// Moves a ticket to the trash (`deleted`) or back out of it, with a history entry
+const addTrashMove = (batch, db, workspaceId, ticketId, uid, deleted) => {
+    const historyRef = newHistoryRef(db, workspaceId, ticketId);
+    batch.update(doc(db, getTicketDocPath(workspaceId, ticketId)), {
+        ...(deleted ? buildDeletionUpdate(uid) : RESTORE_UPDATE),
+        updatedAt: serverTimestamp(),
+        updatedBy: uid,
+        lastHistoryId: historyRef.id,
+    });
+    batch.set(historyRef, buildHistoryEntry(deleted ? HISTORY_TYPES.DELETED : HISTORY_TYPES.RESTORED, uid));
+};
+
+export const moveTicketToTrash = (db, workspaceId, ticketId, uid) => {
+    const batch = writeBatch(db);
+    addTrashMove(batch, db, workspaceId, ticketId, uid, true);
+    return commitWrite(batch.commit(), `deletion of ticket ${ticketId}`);
+};
+
+export const restoreTicket = (db, workspaceId, ticketId, uid) => {
+    const batch = writeBatch(db);
+    addTrashMove(batch, db, workspaceId, ticketId, uid, false);
+    return commitWrite(batch.commit(), `restore of ticket ${ticketId}`);
+};
+
+// A batch takes at most 500 writes
+const DELETE_CHUNK_SIZE = 500;
+
+// Files that are already gone (e.g. after an interrupted purge) are skipped
+const deleteAttachmentFiles = (storage, attachments) => Promise.all(attachments.docs.map(async (attachment) => {
+    try {
+        await deleteObject(ref(storage, attachment.data().storagePath));
+    } catch (error) {
+        if (error.code !== 'storage/object-not-found') throw error;
+    }
+}));
+
+const deleteSubcollection = async (db, path) => {
+    const snapshot = await getDocs(collection(db, path));
+    for (let start = 0; start < snapshot.docs.length; start += DELETE_CHUNK_SIZE) {
+        const batch = writeBatch(db);
+        snapshot.docs.slice(start, start + DELETE_CHUNK_SIZE).forEach(entry => batch.delete(entry.ref));
+        await batch.commit();
+    }
+};
+
+/**
+ * Permanent. The history goes first, since the rules only let it go once the ticket
+ * may be purged, then the attachment files, the attachments and comments
+ * subcollections and the ticket itself last: a purge that fails part way leaves
+ * the ticket in the trash, where it can be purged again.
+ */
+export const purgeTicket = async (db, storage, workspaceId, ticketId) => {
+    await deleteSubcollection(db, getHistoryCollectionPath(workspaceId, ticketId));
+    const attachments = await getDocs(collection(db, getAttachmentsCollectionPath(workspaceId, ticketId)));
+    await deleteAttachmentFiles(storage, attachments);
+    await deleteSubcollection(db, getAttachmentsCollectionPath(workspaceId, ticketId));
+    await deleteSubcollection(db, getCommentsCollectionPath(workspaceId, ticketId));
+    await commitWrite(deleteDoc(doc(db, getTicketDocPath(workspaceId, ticketId))), `purge of ticket ${ticketId}`);
+};
+
+// A batch takes at most 500 writes and a ticket update is up to four (ticket, history, two notifications)
+export const BULK_CHUNK_SIZE = 100;
+
+// Commits `items` BULK_CHUNK_SIZE at a time; a failed batch does not stop the ones after it
+const commitInChunks = async (db, items, addToBatch, description) => {
+    const succeeded = [];
+    const failed = [];
+    for (let start = 0; start < items.length; start += BULK_CHUNK_SIZE) {
+        const chunk = items.slice(start, start + BULK_CHUNK_SIZE);
+        const batch = writeBatch(db);
+        chunk.forEach(item => addToBatch(batch, item));
+        try {
+            await commitWrite(batch.commit(), `${description} of ${chunk.length} tickets`);
+            succeeded.push(...chunk);
+        } catch (error) {
+            console.error(`Error in ${description}: `, error);
+            failed.push(...chunk);
+        }
+    }
+    return { succeeded, failed };
+};
+
+/**
+ * Applies the `allowed` entries of a bulk plan (see planBulkAction in
+ * bulkActions.js). Returns the entries that were saved and those that failed.
+ */
+export const saveBulkTicketUpdates = (db, workspaceId, workflow, entries, uid, members = null) => commitInChunks(
+    db,
+    entries,
+    (batch, { ticket, updates, changes }) => addTicketUpdate(batch, db, workspaceId, workflow, ticket, updates, changes, uid, members),
+    'bulk update',
+);
+
+export const moveTicketsToTrash = (db, workspaceId, tickets, uid) => commitInChunks(
+    db,
+    tickets,
+    (batch, ticket) => addTrashMove(batch, db, workspaceId, ticket.id, uid, true),
+    'bulk deletion',
+);
+
+export const restoreTickets = (db, workspaceId, tickets, uid) => commitInChunks(
+    db,
+    tickets,
+    (batch, ticket) => addTrashMove(batch, db, workspaceId, ticket.id, uid, false),
+    'bulk restore',
+);
+
+// One ticket at a time, since each purge spans several batches; a failure does not stop the rest
+export const purgeTickets = async (db, storage, workspaceId, tickets) => {
+    const succeeded = [];
+    const failed = [];
+    for (const ticket of tickets) {
+        try {
+            await purgeTicket(db, storage, workspaceId, ticket.id);
+            succeeded.push(ticket);
+        } catch (error) {
+            console.error("Error in purge: ", error);
+            failed.push(ticket);
+        }
+    }
+    return { succeeded, failed };
+};
@@ -0,0 +1,117 @@
+/**
+ * tickets: Validation and document shape for commission tickets.
+ */
+import { serverTimestamp } from 'firebase/firestore';
+import { DEFAULT_WORKFLOW, isResolvedStatus } from './workflow.js';
+import { DEFAULT_PRIORITY, isValidDueDate, isValidPriority } from './sla.js';
+import {
+    DEFAULT_CURRENCY,
+    RATE_TYPES,
+    buildCommissionFields,
+    getCommissionFieldErrors,
+} from './commission.js';
+import { buildCustomFieldValues, getCustomFieldErrors } from './ticketTypes.js';
+
+export const TITLE_MAX_LENGTH = 100;
+
+// Days a deleted ticket stays in the trash before an admin may purge it; firestore.rules has the same limit
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Error messages keyed by form field, shown next to each input; empty when valid.
+// `ticketType` (see ticketTypes.js) adds the checks for its custom fields.
+export const getTicketFieldErrors = ({ title, description, customFields, ...commission }, ticketType = null) => {
+    const errors = {};
+    if (!title || !title.trim()) errors.title = 'Title is required.';
+    else if (title.trim().length > TITLE_MAX_LENGTH) errors.title = `Title must be ${TITLE_MAX_LENGTH} characters or fewer.`;
+    if (!description || !description.trim()) errors.description = 'Description is required.';
+    if (commission.priority && !isValidPriority(commission.priority)) errors.priority = `Unknown priority "${commission.priority}".`;
+    if (commission.dueDate && !isValidDueDate(commission.dueDate)) errors.dueDate = 'Due date must be a valid date.';
+    return { ...errors, ...getCommissionFieldErrors(commission), ...getCustomFieldErrors(ticketType, customFields) };
+};
+
+// Assignee, priority and due date; empty form values are stored as null
+const buildAssignmentFields = ({ assigneeId, priority, dueDate }) => ({
+    assigneeId: assigneeId || null,
+    priority: priority || DEFAULT_PRIORITY,
+    dueDate: dueDate || null,
+});
+
+// Returns an error message for invalid ticket input, or null when valid.
+export const validateTicketInput = (input, ticketType = null) => Object.values(getTicketFieldErrors(input, ticketType))[0] || null;
+
+/**
+ * Builds the Firestore document for a new ticket. Every creation path (the
+ * submission form and CSV import) goes through here so documents stay uniform.
+ * `status` is the workflow's initial status; `ticketType` the type picked on the
+ * form, whose fields are stored in `customFields`.
+ */
+export const buildTicketDocument = ({ title, description, customFields, ...commission }, userId, status = DEFAULT_WORKFLOW.initialStatus, ticketType = null) => ({
+    title: title.trim(),
+    description: description.trim(),
+    ...buildCommissionFields(commission),
+    ...buildAssignmentFields(commission),
+    typeId: ticketType?.id || null,
+    customFields: buildCustomFieldValues(ticketType, customFields),
+    status,
+    userId,
+    createdAt: serverTimestamp(),
+});
+
+// Editable fields of an existing ticket; the payout is recomputed from its inputs.
+// The type is fixed once created; without it (e.g. since removed) custom fields are left alone.
+export const buildTicketUpdate = ({ title, description, customFields, ...commission }, ticketType = null) => ({
+    title: title.trim(),
+    description: description.trim(),
+    ...buildCommissionFields(commission),
+    ...buildAssignmentFields(commission),
+    ...(ticketType ? { customFields: buildCustomFieldValues(ticketType, customFields) } : {}),
+});
+
+// `resolvedAt` records when a ticket entered a resolved status; reopening it clears the stamp
+export const getResolutionUpdate = (workflow, fromStatus, toStatus) => {
+    const wasResolved = isResolvedStatus(workflow, fromStatus);
+    const isResolved = isResolvedStatus(workflow, toStatus);
+    if (isResolved && !wasResolved) return { resolvedAt: serverTimestamp() };
+    if (wasResolved && !isResolved) return { resolvedAt: null };
+    return {};
+};
+
+// Deleting moves a ticket to the trash: the document stays, stamped with who deleted it and when
+export const isDeletedTicket = (ticket) => Boolean(ticket.deletedAt);
+
+export const buildDeletionUpdate = (uid) => ({ deletedAt: serverTimestamp(), deletedBy: uid });
+
+export const RESTORE_UPDATE = { deletedAt: null, deletedBy: null };
+
+// When a deleted ticket may be purged for good, or null while its deletion time is pending
+export const getPurgeDate = (ticket) => (ticket.deletedAt?.toDate
+    ? new Date(ticket.deletedAt.toDate().getTime() + TRASH_RETENTION_DAYS * DAY_MS)
+    : null);
+
+export const isPurgeable = (ticket, now = new Date()) => {
+    const purgeDate = getPurgeDate(ticket);
+    return Boolean(purgeDate) && purgeDate <= now;
+};
+
+// Converts a stored ticket back into the string-based input the forms edit
+export const toTicketInput = (ticket) => {
+    const toText = (value) => (value === null || value === undefined ? '' : String(value));
+    return {
+        title: ticket.title ?? '',
+        description: ticket.description ?? '',
+        dealValue: toText(ticket.dealValue),
+        currency: ticket.currency || DEFAULT_CURRENCY,
+        rateType: ticket.rateType || RATE_TYPES.FLAT,
+        commissionRate: toText(ticket.commissionRate),
+        rateTiers: ticket.rateTiers?.length
+            ? ticket.rateTiers.map(tier => ({ upTo: toText(tier.upTo), rate: toText(tier.rate) }))
+            : [{ upTo: '', rate: '' }],
+        assigneeId: ticket.assigneeId || '',
+        priority: ticket.priority || DEFAULT_PRIORITY,
+        dueDate: ticket.dueDate || '',
+        typeId: ticket.typeId || '',
+        customFields: Object.fromEntries(Object.entries(ticket.customFields || {}).map(([id, value]) => [id, toText(value)])),
+    };
+};
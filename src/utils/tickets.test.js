@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+import { Timestamp } from 'firebase/firestore';
+import { TRASH_RETENTION_DAYS, getPurgeDate, isDeletedTicket, isPurgeable } from './tickets.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const deletedOn = (date) => ({ id: 'ticket-1', deletedAt: Timestamp.fromDate(date), deletedBy: 'carol' });
+
+describe('trash', () => {
+    const now = new Date('2024-06-30T12:00:00Z');
+
+    it('treats tickets with a deletion stamp as deleted', () => {
+        expect(isDeletedTicket({ id: 'ticket-1' })).toBe(false);
+        expect(isDeletedTicket({ id: 'ticket-1', deletedAt: null })).toBe(false);
+        expect(isDeletedTicket(deletedOn(now))).toBe(true);
+    });
+
+    it(`allows purging ${TRASH_RETENTION_DAYS} days after deletion`, () => {
+        const ticket = deletedOn(new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS));
+        expect(getPurgeDate(ticket)).toEqual(now);
+        expect(isPurgeable(ticket, now)).toBe(true);
+        expect(isPurgeable(deletedOn(new Date(now.getTime() - DAY_MS)), now)).toBe(false);
+    });
+
+    it('never purges tickets whose deletion time has not synced yet', () => {
+        // A pending serverTimestamp() reads back as null
+        expect(getPurgeDate({ id: 'ticket-1', deletedAt: null })).toBeNull();
+        expect(isPurgeable({ id: 'ticket-1', deletedAt: null }, now)).toBe(false);
+    });
+});
@@ -0,0 +1,164 @@
+/**
+ * workflow: Ticket statuses, their colors and the allowed transitions between
+ * them. Each workspace stores its workflow in Firestore (see getWorkflowDocPath) and
+ * edited by admins on the Settings page; firestore.rules enforces the same
+ * transitions, so keep DEFAULT_WORKFLOW in sync with defaultWorkflow() there.
+ *
+ * Shape:
+ *   statuses:      [{ id, label, color, resolved }] in display order. `id` is
+ *                  what tickets store and never changes; `resolved` marks
+ *                  statuses that count as paid out in stats and reports.
+ *   initialStatus: status id given to new tickets.
+ *   transitions:   { [fromId]: { [toId]: [roles allowed to make the move] } }
+ */
+import { ROLES } from './permissions.js';
+
+// Full class names (not built from strings) so Tailwind keeps them when compiling
+export const STATUS_COLORS = {
+    yellow: { label: 'Yellow', badge: 'bg-yellow-100 dark:bg-yellow-900/50 text-yellow-800 dark:text-yellow-200', bar: 'bg-yellow-500', text: 'text-yellow-700 dark:text-yellow-300' },
+    blue: { label: 'Blue', badge: 'bg-blue-100 dark:bg-blue-900/50 text-blue-800 dark:text-blue-200', bar: 'bg-blue-500', text: 'text-blue-700 dark:text-blue-300' },
+    green: { label: 'Green', badge: 'bg-green-100 dark:bg-green-900/50 text-green-800 dark:text-green-200', bar: 'bg-green-500', text: 'text-green-700 dark:text-green-300' },
+    red: { label: 'Red', badge: 'bg-red-100 dark:bg-red-900/50 text-red-800 dark:text-red-200', bar: 'bg-red-500', text: 'text-red-700 dark:text-red-300' },
+    purple: { label: 'Purple', badge: 'bg-purple-100 dark:bg-purple-900/50 text-purple-800 dark:text-purple-200', bar: 'bg-purple-500', text: 'text-purple-700 dark:text-purple-300' },
+    indigo: { label: 'Indigo', badge: 'bg-indigo-100 dark:bg-indigo-900/50 text-indigo-800 dark:text-indigo-200', bar: 'bg-indigo-500', text: 'text-indigo-700 dark:text-indigo-300' },
+    orange: { label: 'Orange', badge: 'bg-orange-100 dark:bg-orange-900/50 text-orange-800 dark:text-orange-200', bar: 'bg-orange-500', text: 'text-orange-700 dark:text-orange-300' },
+    gray: { label: 'Gray', badge: 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-100', bar: 'bg-gray-500', text: 'text-gray-700 dark:text-gray-300' },
+};
+
+export const STATUS_ID_MAX_LENGTH = 40;
+
+// Firestore `in` filters take at most 30 values; the Stats page queries open tickets by status
+export const STATUS_COUNT_MAX = 30;
+
+const REVIEWERS = [ROLES.REVIEWER, ROLES.ADMIN];
+
+// Matches the original hard-coded behaviour: reviewers and admins move between any two statuses
+export const DEFAULT_WORKFLOW = {
+    statuses: [
+        { id: 'Open', label: 'Open', color: 'yellow', resolved: false },
+        { id: 'In Progress', label: 'In Progress', color: 'blue', resolved: false },
+        { id: 'Resolved', label: 'Resolved', color: 'green', resolved: true },
+    ],
+    initialStatus: 'Open',
+    transitions: {
+        'Open': { 'In Progress': REVIEWERS, 'Resolved': REVIEWERS },
+        'In Progress': { 'Open': REVIEWERS, 'Resolved': REVIEWERS },
+        'Resolved': { 'Open': REVIEWERS, 'In Progress': REVIEWERS },
+    },
+};
+
+// Starting points offered in the workflow editor
+export const WORKFLOW_PRESETS = {
+    'Simple (Open / In Progress / Resolved)': DEFAULT_WORKFLOW,
+    'Commission approval': {
+        statuses: [
+            { id: 'Submitted', label: 'Submitted', color: 'yellow', resolved: false },
+            { id: 'Under Review', label: 'Under Review', color: 'blue', resolved: false },
+            { id: 'Approved', label: 'Approved', color: 'indigo', resolved: false },
+            { id: 'Rejected', label: 'Rejected', color: 'red', resolved: false },
+            { id: 'Paid', label: 'Paid', color: 'green', resolved: true },
+        ],
+        initialStatus: 'Submitted',
+        transitions: {
+            'Submitted': { 'Under Review': REVIEWERS },
+            'Under Review': { 'Approved': REVIEWERS, 'Rejected': REVIEWERS },
+            'Approved': { 'Paid': [ROLES.ADMIN] },
+            // Submitters resubmit their own rejected claims
+            'Rejected': { 'Submitted': [ROLES.SUBMITTER, ROLES.ADMIN] },
+            'Paid': {},
+        },
+    },
+};
+
+// Fills gaps in a stored document so consumers can rely on every field being present
+export const normalizeWorkflow = (data) => {
+    if (!data || !Array.isArray(data.statuses) || data.statuses.length === 0) return DEFAULT_WORKFLOW;
+    const statuses = data.statuses.map(status => ({
+        id: status.id,
+        label: status.label || status.id,
+        color: STATUS_COLORS[status.color] ? status.color : 'gray',
+        resolved: Boolean(status.resolved),
+    }));
+    return {
+        statuses,
+        initialStatus: statuses.some(status => status.id === data.initialStatus) ? data.initialStatus : statuses[0].id,
+        transitions: data.transitions || {},
+    };
+};
+
+export const getStatusIds = (workflow) => workflow.statuses.map(status => status.id);
+
+export const getStatus = (workflow, id) => workflow.statuses.find(status => status.id === id) || null;
+
+export const getStatusLabel = (workflow, id) => getStatus(workflow, id)?.label || id;
+
+export const getStatusColor = (workflow, id) => STATUS_COLORS[getStatus(workflow, id)?.color] || STATUS_COLORS.gray;
+
+export const isResolvedStatus = (workflow, id) => Boolean(getStatus(workflow, id)?.resolved);
+
+// Stored with the workflow so firestore.rules can tell resolved tickets apart
+export const getResolvedStatusIds = (workflow) => workflow.statuses.filter(status => status.resolved).map(status => status.id);
+
+const isOwner = (ticket, uid) => Boolean(uid) && ticket.userId === uid;
+
+/**
+ * Whether `role` may move `ticket` to `toStatus`. Besides being listed on the
+ * transition, reviewers never move their own tickets (nobody approves their own
+ * claim) and submitters only move their own. Admins may rescue tickets whose
+ * status was removed from the workflow by moving them to any status.
+ */
+export const canTransition = (workflow, role, ticket, uid, toStatus) => {
+    if (toStatus === ticket.status || !getStatus(workflow, toStatus)) return false;
+
+    if (!getStatus(workflow, ticket.status)) return role === ROLES.ADMIN;
+
+    const roles = workflow.transitions[ticket.status]?.[toStatus] || [];
+    if (!roles.includes(role)) return false;
+
+    if (role === ROLES.ADMIN) return true;
+    if (role === ROLES.REVIEWER) return !isOwner(ticket, uid);
+    return isOwner(ticket, uid);
+};
+
+export const getAllowedTransitions = (workflow, role, ticket, uid) => getStatusIds(workflow)
+    .filter(toStatus => canTransition(workflow, role, ticket, uid, toStatus));
+
+// Returns an error message for an invalid workflow, or null when it can be saved
+export const validateWorkflow = (workflow) => {
+    if (workflow.statuses.length === 0) return 'Add at least one status.';
+    if (workflow.statuses.length > STATUS_COUNT_MAX) return `A workflow can have at most ${STATUS_COUNT_MAX} statuses.`;
+
+    const ids = new Set();
+    for (const status of workflow.statuses) {
+        const id = status.id?.trim();
+        if (!id) return 'Every status needs a name.';
+        if (id.length > STATUS_ID_MAX_LENGTH) return `Status names must be ${STATUS_ID_MAX_LENGTH} characters or fewer.`;
+        if (id.includes('/')) return 'Status names cannot contain "/".';
+        if (ids.has(id)) return `"${id}" is used by more than one status.`;
+        ids.add(id);
+        if (!status.label?.trim()) return 'Every status needs a label.';
+    }
+
+    if (!ids.has(workflow.initialStatus)) return 'Pick the status new tickets start in.';
+
+    for (const [from, targets] of Object.entries(workflow.transitions)) {
+        if (!ids.has(from)) return `Transitions reference a removed status "${from}".`;
+        for (const to of Object.keys(targets)) {
+            if (!ids.has(to)) return `Transitions reference a removed status "${to}".`;
+        }
+    }
+    return null;
+};
+
+// Drops empty role lists and transitions to or from statuses that no longer exist
+export const pruneTransitions = (transitions, statusIds) => {
+    const ids = new Set(statusIds);
+    const pruned = {};
+    statusIds.forEach(from => {
+        pruned[from] = {};
+        Object.entries(transitions[from] || {}).forEach(([to, roles]) => {
+            if (ids.has(to) && to !== from && roles.length > 0) pruned[from][to] = roles;
+        });
+    });
+    return pruned;
+};
@@ -0,0 +1,87 @@
+/**
+ * workspaces: Creating, joining and leaving workspaces (teams), and invite links.
+ *
+ * A workspace owns its tickets, members and configuration. Membership is a
+ * document per user under `members`, holding the user's role in that workspace;
+ * firestore.rules only let members read or write anything inside it. New members
+ * join through an invite link whose code is the invite document's id.
+ */
+import { Timestamp, collection, deleteDoc, doc, getDoc, serverTimestamp, setDoc, writeBatch } from 'firebase/firestore';
+import {
+    WORKSPACES_COLLECTION_PATH,
+    getInviteDocPath,
+    getInvitesCollectionPath,
+    getMemberDocPath,
+} from '../config.js';
+import { ROLES } from './permissions.js';
+
+export const WORKSPACE_NAME_MAX_LENGTH = 60;
+
+// Invite links stop working after this many days
+export const INVITE_TTL_DAYS = 7;
+
+// Returns an error message, or null when the name can be saved
+export const validateWorkspaceName = (name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return 'Give the workspace a name.';
+    if (trimmed.length > WORKSPACE_NAME_MAX_LENGTH) return `Workspace names must be ${WORKSPACE_NAME_MAX_LENGTH} characters or fewer.`;
+    return null;
+};
+
+/**
+ * Creates a workspace with the caller as its first admin. Both documents are
+ * written in one batch, which is what lets the rules accept the admin membership.
+ * Returns the new workspace id.
+ */
+export const createWorkspace = async (db, name, uid) => {
+    const workspaceRef = doc(collection(db, WORKSPACES_COLLECTION_PATH));
+    const batch = writeBatch(db);
+    batch.set(workspaceRef, { name: name.trim(), createdBy: uid, createdAt: serverTimestamp() });
+    batch.set(doc(db, getMemberDocPath(workspaceRef.id, uid)), { uid, role: ROLES.ADMIN, joinedAt: serverTimestamp() });
+    await batch.commit();
+    return workspaceRef.id;
+};
+
+// Returns the new invite's code; the workspace name is copied so the link can be previewed before joining
+export const createInvite = async (db, workspace, role, uid) => {
+    const inviteRef = doc(collection(db, getInvitesCollectionPath(workspace.id)));
+    await setDoc(inviteRef, {
+        role,
+        workspaceName: workspace.name,
+        createdBy: uid,
+        createdAt: serverTimestamp(),
+        expiresAt: Timestamp.fromMillis(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+    return inviteRef.id;
+};
+
+export const revokeInvite = (db, workspaceId, code) => deleteDoc(doc(db, getInviteDocPath(workspaceId, code)));
+
+export const buildInviteLink = (workspaceId, code) => `${window.location.origin}/join/${workspaceId}/${code}`;
+
+// Ticket links carry their workspace, so a shared link opens in the right one
+export const getTicketRoute = (workspaceId, ticketId) => `/w/${workspaceId}/tickets/${ticketId}`;
+
+export const isInviteExpired = (invite, now = new Date()) => !invite.expiresAt?.toDate || invite.expiresAt.toDate() <= now;
+
+// Returns the invite behind a link, or null when it does not exist (e.g. it was revoked)
+export const getInvite = async (db, workspaceId, code) => {
+    const snapshot = await getDoc(doc(db, getInviteDocPath(workspaceId, code)));
+    return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+};
+
+// The invite's code is stored with the membership so the rules can check it
+export const acceptInvite = (db, workspaceId, invite, uid) => setDoc(doc(db, getMemberDocPath(workspaceId, uid)), {
+    uid,
+    role: invite.role,
+    inviteCode: invite.id,
+    joinedAt: serverTimestamp(),
+});
+
+// Admins remove members the same way; tickets the member created stay in the workspace
+export const removeMember = (db, workspaceId, uid) => deleteDoc(doc(db, getMemberDocPath(workspaceId, uid)));
+
+// The workspace a user is in: the one they picked last, if they are still a member, else their first
+export const resolveActiveWorkspace = (workspaces, preferredId) => (
+    workspaces.find(workspace => workspace.id === preferredId) || workspaces[0] || null
+);
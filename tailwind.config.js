@@ -0,0 +1,18 @@
+import defaultTheme from 'tailwindcss/defaultTheme';
+
+// Only classes found in these files end up in the built CSS, so class names
+// must appear whole in the source (see STATUS_COLORS in src/utils/workflow.js)
+/** @type {import('tailwindcss').Config} */
+export default {
+  content: ['./index.html', './src/**/*.{js,jsx}'],
+  // Toggled on <html> by applyTheme (src/utils/theme.js)
+  darkMode: 'class',
+  theme: {
+    extend: {
+      fontFamily: {
+        sans: ['Inter', ...defaultTheme.fontFamily.sans],
+      },
+    },
+  },
+  plugins: [],
+};
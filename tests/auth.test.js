@@ -0,0 +1,132 @@
+// @vitest-environment node
+/**
+ * Account flows in src/utils/auth.js against the Auth emulator. Run with
+ * `npm run test:emulator`, which starts it; without one (FIREBASE_AUTH_EMULATOR_HOST
+ * unset) these tests are skipped. The emulator accepts unsigned Google ID tokens,
+ * so the Google popup is replaced by linking such a token directly.
+ */
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { deleteApp, initializeApp } from 'firebase/app';
+import { connectAuthEmulator, getAuth, signInAnonymously, signOut } from 'firebase/auth';
+import {
+    getAuthErrorMessage,
+    linkGuestWithEmail,
+    linkGuestWithGoogle,
+    signInWithEmail,
+    signUpWithEmail,
+} from '../src/utils/auth.js';
+
+const googleAccount = vi.hoisted(() => ({ sub: 'google-carol', email: 'carol@gmail.com', email_verified: true }));
+
+vi.mock('firebase/auth', async (importOriginal) => {
+    const firebaseAuth = await importOriginal();
+    return {
+        ...firebaseAuth,
+        linkWithPopup: (user) => firebaseAuth.linkWithCredential(user, firebaseAuth.GoogleAuthProvider.credential(JSON.stringify(googleAccount))),
+    };
+});
+
+const EMULATOR_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+const PROJECT_ID = 'demo-commission-tracker';
+
+describe.skipIf(!EMULATOR_HOST)('accounts in the Auth emulator', () => {
+    let app;
+    let auth;
+
+    const expectAuthError = async (promise, code) => {
+        const error = await promise.then(() => null, (caught) => caught);
+        expect(error?.code).toBe(code);
+        return error;
+    };
+
+    beforeAll(() => {
+        app = initializeApp({ apiKey: 'demo-api-key', projectId: PROJECT_ID }, 'auth-tests');
+        auth = getAuth(app);
+        connectAuthEmulator(auth, `http://${EMULATOR_HOST}`, { disableWarnings: true });
+    });
+
+    afterAll(async () => {
+        await deleteApp(app);
+    });
+
+    beforeEach(async () => {
+        await signOut(auth);
+        await fetch(`http://${EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/accounts`, { method: 'DELETE' });
+    });
+
+    describe('email and password', () => {
+        it('signs up with a trimmed email and a display name', async () => {
+            const user = await signUpWithEmail(auth, '  carol@example.com ', 'secret1', ' Carol Seller ');
+
+            expect(user.email).toBe('carol@example.com');
+            expect(user.displayName).toBe('Carol Seller');
+            expect(auth.currentUser.uid).toBe(user.uid);
+        });
+
+        it('reports an email that is already in use', async () => {
+            await signUpWithEmail(auth, 'carol@example.com', 'secret1');
+            await signOut(auth);
+
+            const error = await expectAuthError(signUpWithEmail(auth, 'carol@example.com', 'secret2'), 'auth/email-already-in-use');
+            expect(getAuthErrorMessage(error)).toBe('An account with this email already exists. Sign in instead.');
+        });
+
+        it('signs back in, and reports a wrong password', async () => {
+            const { uid } = await signUpWithEmail(auth, 'carol@example.com', 'secret1');
+            await signOut(auth);
+
+            const error = await signInWithEmail(auth, 'carol@example.com', 'wrong-password').catch(caught => caught);
+            expect(getAuthErrorMessage(error)).toBe('Email or password is incorrect.');
+
+            const { user } = await signInWithEmail(auth, ' carol@example.com', 'secret1');
+            expect(user.uid).toBe(uid);
+        });
+    });
+
+    describe('upgrading a guest', () => {
+        it('links an email account and keeps the guest\'s uid', async () => {
+            const { user: guest } = await signInAnonymously(auth);
+
+            const user = await linkGuestWithEmail(auth, 'carol@example.com', 'secret1', 'Carol Seller');
+
+            expect(user.uid).toBe(guest.uid);
+            expect(user.isAnonymous).toBe(false);
+            expect(user.email).toBe('carol@example.com');
+            expect(user.displayName).toBe('Carol Seller');
+        });
+
+        it('reports an email already in use and leaves the guest as it was', async () => {
+            await signUpWithEmail(auth, 'carol@example.com', 'secret1');
+            await signOut(auth);
+            const { user: guest } = await signInAnonymously(auth);
+
+            const error = await expectAuthError(linkGuestWithEmail(auth, 'carol@example.com', 'secret2'), 'auth/email-already-in-use');
+
+            expect(getAuthErrorMessage(error)).toBe('An account with this email already exists. Sign in instead.');
+            expect(auth.currentUser.uid).toBe(guest.uid);
+            expect(auth.currentUser.isAnonymous).toBe(true);
+        });
+
+        it('links a Google account and keeps the guest\'s uid', async () => {
+            const { user: guest } = await signInAnonymously(auth);
+
+            const user = await linkGuestWithGoogle(auth);
+
+            expect(user.uid).toBe(guest.uid);
+            expect(user.isAnonymous).toBe(false);
+            expect(user.providerData.map(provider => provider.providerId)).toEqual(['google.com']);
+        });
+
+        it('reports a Google account that already belongs to someone else', async () => {
+            await signInAnonymously(auth);
+            await linkGuestWithGoogle(auth);
+            await signOut(auth);
+            const { user: guest } = await signInAnonymously(auth);
+
+            const error = await expectAuthError(linkGuestWithGoogle(auth), 'auth/credential-already-in-use');
+
+            expect(getAuthErrorMessage(error)).toBe('That account already exists. Sign in to it instead.');
+            expect(auth.currentUser.uid).toBe(guest.uid);
+        });
+    });
+});
@@ -0,0 +1,798 @@
+// @vitest-environment node
+/**
+ * Ticket writes and list queries against the Firestore emulator, with
+ * firestore.rules loaded. Run with `npm run test:emulator`, which starts the
+ * emulator; without one (FIRESTORE_EMULATOR_HOST unset) these tests are skipped.
+ */
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import {
+    Timestamp,
+    collection,
+    deleteDoc,
+    doc,
+    getDoc,
+    getDocs,
+    orderBy,
+    query,
+    serverTimestamp,
+    setDoc,
+    updateDoc,
+    where,
+    writeBatch,
+} from 'firebase/firestore';
+import {
+    getAttachmentStoragePath,
+    getAttachmentsCollectionPath,
+    getCommentsCollectionPath,
+    getHistoryCollectionPath,
+    getInviteDocPath,
+    getInvitesCollectionPath,
+    getMemberDocPath,
+    getNotificationsCollectionPath,
+    getProfileDocPath,
+    getTicketDocPath,
+    getTicketTypesDocPath,
+    getTicketsCollectionPath,
+    getWorkflowDocPath,
+    getWorkspaceDocPath,
+} from '../src/config.js';
+import { buildAttachmentDocument } from '../src/utils/attachments.js';
+import { buildComment, buildCommentUpdate } from '../src/utils/comments.js';
+import { HISTORY_TYPES, buildHistoryEntry, diffTicket } from '../src/utils/history.js';
+import { NOTIFICATION_TYPES, addNotification } from '../src/utils/notifications.js';
+import { buildProfileFromAuthUser } from '../src/utils/profiles.js';
+import { DEFAULT_FILTERS, buildTicketQueryConstraints } from '../src/utils/ticketFilters.js';
+import { buildTicketDocument } from '../src/utils/tickets.js';
+import { BULK_ACTIONS, planBulkAction } from '../src/utils/bulkActions.js';
+import {
+    createTicket,
+    moveTicketToTrash,
+    moveTicketsToTrash,
+    purgeTicket,
+    restoreTicket,
+    saveBulkTicketUpdates,
+    saveTicketUpdate,
+} from '../src/utils/ticketWrites.js';
+import { DEFAULT_WORKFLOW, WORKFLOW_PRESETS, getResolvedStatusIds } from '../src/utils/workflow.js';
+import { TICKET_TYPE_PRESETS } from '../src/utils/ticketTypes.js';
+import { acceptInvite, createInvite, createWorkspace, getInvite, removeMember, revokeInvite } from '../src/utils/workspaces.js';
+
+const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+const WORKSPACE_ID = 'test-workspace';
+const MEMBERS = { alice: 'admin', bob: 'reviewer', carol: 'submitter', dan: 'submitter' };
+
+const ticketInput = (overrides = {}) => ({
+    title: 'Annual renewal – Acme',
+    description: 'Signed order attached.',
+    dealValue: '12000',
+    currency: 'USD',
+    rateType: 'flat',
+    commissionRate: '5',
+    rateTiers: [],
+    assigneeId: '',
+    priority: 'medium',
+    dueDate: '',
+    ...overrides,
+});
+
+describe.skipIf(!EMULATOR_HOST)('tickets in the Firestore emulator', () => {
+    let testEnv;
+    const dbFor = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+    const readTicket = async (id) => {
+        const snapshot = await getDoc(doc(dbFor('alice'), getTicketDocPath(WORKSPACE_ID, id)));
+        return { id: snapshot.id, ...snapshot.data() };
+    };
+
+    const readHistory = async (id) => {
+        const snapshot = await getDocs(collection(dbFor('alice'), getHistoryCollectionPath(WORKSPACE_ID, id)));
+        return snapshot.docs.map(entry => entry.data());
+    };
+
+    const update = (uid, ticket, updates) => {
+        const changes = diffTicket(ticket, updates);
+        return saveTicketUpdate(dbFor(uid), WORKSPACE_ID, DEFAULT_WORKFLOW, ticket, updates, changes, uid);
+    };
+
+    beforeAll(async () => {
+        const [host, port] = EMULATOR_HOST.split(':');
+        testEnv = await initializeTestEnvironment({
+            projectId: 'demo-commission-tracker',
+            firestore: { host, port: Number(port), rules: readFileSync('firestore.rules', 'utf8') },
+        });
+    });
+
+    afterAll(async () => {
+        await testEnv?.cleanup();
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            const db = context.firestore();
+            await setDoc(doc(db, getWorkspaceDocPath(WORKSPACE_ID)), { name: 'Test', createdBy: 'alice', createdAt: Timestamp.now() });
+            await Promise.all(Object.entries(MEMBERS).map(([uid, role]) => (
+                setDoc(doc(db, getMemberDocPath(WORKSPACE_ID, uid)), { uid, role, joinedAt: Timestamp.now() })
+            )));
+        });
+    });
+
+    describe('membership', () => {
+        const readRole = async (uid) => (await getDoc(doc(dbFor('alice'), getMemberDocPath(WORKSPACE_ID, uid)))).data()?.role;
+
+        beforeEach(async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                const db = context.firestore();
+                const invite = { workspaceName: 'Test', createdBy: 'alice', createdAt: Timestamp.now() };
+                await setDoc(doc(db, getInviteDocPath(WORKSPACE_ID, 'valid')), { ...invite, role: 'reviewer', expiresAt: Timestamp.fromMillis(Date.now() + 60 * 60 * 1000) });
+                await setDoc(doc(db, getInviteDocPath(WORKSPACE_ID, 'expired')), { ...invite, role: 'reviewer', expiresAt: Timestamp.fromMillis(Date.now() - 60 * 1000) });
+            });
+        });
+
+        it('makes whoever creates a workspace its admin', async () => {
+            const db = dbFor('erin');
+            const id = await assertSucceeds(createWorkspace(db, 'Erin\'s team', 'erin'));
+
+            expect((await getDoc(doc(db, getMemberDocPath(id, 'erin')))).data()).toMatchObject({ uid: 'erin', role: 'admin' });
+        });
+
+        it('keeps people from joining an existing workspace as its creator', async () => {
+            const db = dbFor('erin');
+            await assertFails(setDoc(doc(db, getMemberDocPath(WORKSPACE_ID, 'erin')), { uid: 'erin', role: 'admin', joinedAt: serverTimestamp() }));
+
+            const batch = writeBatch(db);
+            batch.set(doc(db, getWorkspaceDocPath(WORKSPACE_ID)), { name: 'Mine now', createdBy: 'erin', createdAt: serverTimestamp() });
+            batch.set(doc(db, getMemberDocPath(WORKSPACE_ID, 'erin')), { uid: 'erin', role: 'admin', joinedAt: serverTimestamp() });
+            await assertFails(batch.commit());
+        });
+
+        it('lets people join with a valid invite, with the role it grants', async () => {
+            const invite = await getInvite(dbFor('erin'), WORKSPACE_ID, 'valid');
+            await assertSucceeds(acceptInvite(dbFor('erin'), WORKSPACE_ID, invite, 'erin'));
+
+            expect(await readRole('erin')).toBe('reviewer');
+        });
+
+        it('rejects expired invites, forged roles and joining for someone else', async () => {
+            await assertFails(acceptInvite(dbFor('erin'), WORKSPACE_ID, { id: 'expired', role: 'reviewer' }, 'erin'));
+            await assertFails(acceptInvite(dbFor('erin'), WORKSPACE_ID, { id: 'valid', role: 'admin' }, 'erin'));
+            await assertFails(acceptInvite(dbFor('erin'), WORKSPACE_ID, { id: 'missing', role: 'reviewer' }, 'erin'));
+            await assertFails(acceptInvite(dbFor('erin'), WORKSPACE_ID, { id: 'valid', role: 'reviewer' }, 'frank'));
+
+            expect(await readRole('erin')).toBeUndefined();
+        });
+
+        it('lets only admins change roles, to valid ones', async () => {
+            const memberRef = (uid, target) => doc(dbFor(uid), getMemberDocPath(WORKSPACE_ID, target));
+
+            await assertFails(updateDoc(memberRef('carol', 'carol'), { role: 'admin' }));
+            await assertFails(updateDoc(memberRef('bob', 'carol'), { role: 'reviewer' }));
+            await assertFails(updateDoc(memberRef('alice', 'carol'), { role: 'owner' }));
+            await assertFails(updateDoc(memberRef('alice', 'carol'), { uid: 'dan' }));
+            await assertSucceeds(updateDoc(memberRef('alice', 'carol'), { role: 'reviewer' }));
+
+            expect(await readRole('carol')).toBe('reviewer');
+        });
+
+        it('lets members leave and admins remove them', async () => {
+            await assertFails(removeMember(dbFor('bob'), WORKSPACE_ID, 'dan'));
+            await assertSucceeds(removeMember(dbFor('dan'), WORKSPACE_ID, 'dan'));
+            await assertSucceeds(removeMember(dbFor('alice'), WORKSPACE_ID, 'carol'));
+        });
+    });
+
+    describe('invites', () => {
+        const workspace = { id: WORKSPACE_ID, name: 'Test' };
+        const inviteFields = (overrides = {}) => ({
+            role: 'submitter',
+            workspaceName: 'Test',
+            createdBy: 'alice',
+            createdAt: serverTimestamp(),
+            expiresAt: Timestamp.fromMillis(Date.now() + 60 * 60 * 1000),
+            ...overrides,
+        });
+
+        it('are created and listed by admins only', async () => {
+            await assertSucceeds(createInvite(dbFor('alice'), workspace, 'reviewer', 'alice'));
+            await assertFails(createInvite(dbFor('bob'), workspace, 'submitter', 'bob'));
+            await assertFails(createInvite(dbFor('carol'), workspace, 'submitter', 'carol'));
+
+            await assertSucceeds(getDocs(collection(dbFor('alice'), getInvitesCollectionPath(WORKSPACE_ID))));
+            await assertFails(getDocs(collection(dbFor('bob'), getInvitesCollectionPath(WORKSPACE_ID))));
+            await assertFails(getDocs(collection(dbFor('erin'), getInvitesCollectionPath(WORKSPACE_ID))));
+        });
+
+        it('need a valid role, an expiry and their creator', async () => {
+            const invites = collection(dbFor('alice'), getInvitesCollectionPath(WORKSPACE_ID));
+
+            await assertFails(setDoc(doc(invites), inviteFields({ role: 'owner' })));
+            await assertFails(setDoc(doc(invites), inviteFields({ createdBy: 'bob' })));
+            await assertFails(setDoc(doc(invites), inviteFields({ expiresAt: null })));
+            await assertSucceeds(setDoc(doc(invites), inviteFields()));
+        });
+
+        it('can be looked up by anyone signed in holding the code, but only revoked by admins', async () => {
+            const code = await createInvite(dbFor('alice'), workspace, 'submitter', 'alice');
+            const inviteRef = (db) => doc(db, getInviteDocPath(WORKSPACE_ID, code));
+
+            await assertSucceeds(getInvite(dbFor('erin'), WORKSPACE_ID, code));
+            await assertFails(getDoc(inviteRef(testEnv.unauthenticatedContext().firestore())));
+            await assertFails(updateDoc(inviteRef(dbFor('alice')), { role: 'admin' }));
+            await assertFails(revokeInvite(dbFor('bob'), WORKSPACE_ID, code));
+            await assertSucceeds(revokeInvite(dbFor('alice'), WORKSPACE_ID, code));
+        });
+    });
+
+    describe('profiles', () => {
+        const profile = buildProfileFromAuthUser({ displayName: 'Carol Seller', email: 'carol@example.com', photoURL: null, isAnonymous: false });
+
+        it('are written by their own user and read by members only', async () => {
+            await assertSucceeds(setDoc(doc(dbFor('carol'), getProfileDocPath(WORKSPACE_ID, 'carol')), profile));
+            await assertFails(setDoc(doc(dbFor('bob'), getProfileDocPath(WORKSPACE_ID, 'carol')), profile));
+            await assertFails(setDoc(doc(dbFor('erin'), getProfileDocPath(WORKSPACE_ID, 'erin')), profile));
+
+            await assertSucceeds(getDoc(doc(dbFor('dan'), getProfileDocPath(WORKSPACE_ID, 'carol'))));
+            await assertFails(getDoc(doc(dbFor('erin'), getProfileDocPath(WORKSPACE_ID, 'carol'))));
+        });
+    });
+
+    describe('create', () => {
+        it('writes the ticket in the initial status with its first history entry', async () => {
+            const id = await assertSucceeds(createTicket(dbFor('carol'), WORKSPACE_ID, DEFAULT_WORKFLOW, ticketInput(), 'carol'));
+
+            const ticket = await readTicket(id);
+            expect(ticket).toMatchObject({ title: 'Annual renewal – Acme', status: 'Open', userId: 'carol', dealValue: 12000, payoutAmount: 600 });
+            expect(ticket.createdAt).toBeInstanceOf(Timestamp);
+            expect(await readHistory(id)).toEqual([expect.objectContaining({ type: 'created', actorId: 'carol', changes: [] })]);
+        });
+
+        it('notifies the assignee', async () => {
+            const id = await createTicket(dbFor('carol'), WORKSPACE_ID, DEFAULT_WORKFLOW, ticketInput({ assigneeId: 'bob' }), 'carol');
+
+            const inbox = await getDocs(collection(dbFor('bob'), getNotificationsCollectionPath('bob')));
+            expect(inbox.docs.map(entry => entry.data())).toEqual([
+                expect.objectContaining({ type: 'assigned', ticketId: id, actorId: 'carol', workspaceId: WORKSPACE_ID, read: false }),
+            ]);
+        });
+
+        it('rejects invalid input before writing', async () => {
+            await expect(createTicket(dbFor('carol'), WORKSPACE_ID, DEFAULT_WORKFLOW, ticketInput({ title: ' ' }), 'carol'))
+                .rejects.toThrow('Title is required.');
+        });
+
+        it('is denied to people outside the workspace', async () => {
+            await assertFails(createTicket(dbFor('mallory'), WORKSPACE_ID, DEFAULT_WORKFLOW, ticketInput(), 'mallory'));
+        });
+    });
+
+    describe('ticket types', () => {
+        const [missingCommission] = TICKET_TYPE_PRESETS;
+        const customFields = { orderId: 'ORD-457', saleDate: '2024-02-01', customer: 'Acme', amount: '900' };
+
+        it('stores the type and its custom fields, and keeps the type fixed', async () => {
+            const id = await assertSucceeds(createTicket(
+                dbFor('carol'), WORKSPACE_ID, DEFAULT_WORKFLOW, ticketInput({ typeId: missingCommission.id, customFields }), 'carol', missingCommission,
+            ));
+
+            const ticket = await readTicket(id);
+            expect(ticket.typeId).toBe('missing-commission');
+            expect(ticket.customFields).toEqual({ ...customFields, amount: 900 });
+
+            await assertSucceeds(update('carol', ticket, { customFields: { ...ticket.customFields, customer: 'Acme Corp' } }));
+            await assertFails(update('carol', ticket, { typeId: 'rate-dispute' }));
+        });
+
+        it('rejects missing required fields before writing', async () => {
+            await expect(createTicket(dbFor('carol'), WORKSPACE_ID, DEFAULT_WORKFLOW, ticketInput({ customFields: {} }), 'carol', missingCommission))
+                .rejects.toThrow('Order ID is required.');
+        });
+
+        it('are configured by admins only', async () => {
+            await assertSucceeds(setDoc(doc(dbFor('alice'), getTicketTypesDocPath(WORKSPACE_ID)), { types: TICKET_TYPE_PRESETS }));
+            await assertSucceeds(getDoc(doc(dbFor('carol'), getTicketTypesDocPath(WORKSPACE_ID))));
+            await assertFails(setDoc(doc(dbFor('bob'), getTicketTypesDocPath(WORKSPACE_ID)), { types: [] }));
+        });
+    });
+
+    describe('update', () => {
+        let ticket;
+
+        beforeEach(async () => {
+            const id = await createTicket(dbFor('carol'), WORKSPACE_ID, DEFAULT_WORKFLOW, ticketInput(), 'carol');
+            ticket = await readTicket(id);
+        });
+
+        it('lets the owner edit content and records the changes', async () => {
+            await assertSucceeds(update('carol', ticket, { title: 'Renewal – Acme', dealValue: 15000, payoutAmount: 750 }));
+
+            expect(await readTicket(ticket.id)).toMatchObject({ title: 'Renewal – Acme', dealValue: 15000, payoutAmount: 750, updatedBy: 'carol' });
+            const updated = (await readHistory(ticket.id)).find(entry => entry.type === 'updated');
+            expect(updated.changes).toEqual([
+                { field: 'title', from: 'Annual renewal – Acme', to: 'Renewal – Acme' },
+                { field: 'dealValue', from: 12000, to: 15000 },
+                { field: 'payoutAmount', from: 600, to: 750 },
+            ]);
+        });
+
+        it('lets a reviewer resolve the ticket, stamping resolvedAt and notifying the owner', async () => {
+            await assertSucceeds(update('bob', ticket, { status: 'Resolved' }));
+
+            const resolved = await readTicket(ticket.id);
+            expect(resolved.status).toBe('Resolved');
+            expect(resolved.resolvedAt).toBeInstanceOf(Timestamp);
+
+            const inbox = await getDocs(collection(dbFor('carol'), getNotificationsCollectionPath('carol')));
+            expect(inbox.docs.map(entry => entry.data())).toEqual([
+                expect.objectContaining({ type: 'status', ticketId: ticket.id, actorId: 'bob' }),
+            ]);
+
+            // Reopening clears the stamp
+            await assertSucceeds(update('alice', resolved, { status: 'Open' }));
+            expect((await readTicket(ticket.id)).resolvedAt).toBeNull();
+        });
+
+        it('keeps owners from changing the payout once the ticket is resolved', async () => {
+            await update('bob', ticket, { status: 'Resolved' });
+            const resolved = await readTicket(ticket.id);
+
+            await assertFails(update('carol', resolved, { dealValue: 50000, payoutAmount: 2500 }));
+            await assertFails(update('carol', resolved, { title: 'Renamed after payout' }));
+            await assertSucceeds(update('alice', resolved, { dealValue: 15000, payoutAmount: 750 }));
+        });
+
+        it('keeps submitters from moving the status and reviewers from editing content', async () => {
+            await assertFails(update('carol', ticket, { status: 'Resolved' }));
+            await assertFails(update('bob', ticket, { title: 'Changed by a reviewer' }));
+            await assertFails(update('dan', ticket, { title: 'Changed by someone else' }));
+        });
+    });
+
+    describe('roles and transitions', () => {
+        const approval = WORKFLOW_PRESETS['Commission approval'];
+        let ticket;
+
+        const moveTo = (uid, current, status) => (
+            saveTicketUpdate(dbFor(uid), WORKSPACE_ID, approval, current, { status }, diffTicket(current, { status }), uid)
+        );
+
+        const stampedUpdate = (uid, updates) => {
+            const db = dbFor(uid);
+            const batch = writeBatch(db);
+            const entryRef = doc(collection(db, getHistoryCollectionPath(WORKSPACE_ID, ticket.id)));
+            batch.update(doc(db, getTicketDocPath(WORKSPACE_ID, ticket.id)), {
+                updatedAt: serverTimestamp(),
+                updatedBy: uid,
+                lastHistoryId: entryRef.id,
+                ...updates,
+            });
+            batch.set(entryRef, buildHistoryEntry(HISTORY_TYPES.UPDATED, uid));
+            return batch.commit();
+        };
+
+        beforeEach(async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await setDoc(doc(context.firestore(), getWorkflowDocPath(WORKSPACE_ID)), { ...approval, resolvedStatuses: getResolvedStatusIds(approval) });
+            });
+            const id = await createTicket(dbFor('carol'), WORKSPACE_ID, approval, ticketInput(), 'carol');
+            ticket = await readTicket(id);
+        });
+
+        it('starts tickets in the saved initial status', async () => {
+            expect(ticket.status).toBe('Submitted');
+            await assertFails(createTicket(dbFor('carol'), WORKSPACE_ID, DEFAULT_WORKFLOW, ticketInput(), 'carol'));
+        });
+
+        it('only allows the moves the workflow lists, for the roles it lists', async () => {
+            await assertFails(moveTo('bob', ticket, 'Paid'));
+            await assertSucceeds(moveTo('bob', ticket, 'Under Review'));
+            const underReview = await readTicket(ticket.id);
+            await assertSucceeds(moveTo('bob', underReview, 'Approved'));
+
+            const approved = await readTicket(ticket.id);
+            await assertFails(moveTo('bob', approved, 'Paid'));
+            await assertSucceeds(moveTo('alice', approved, 'Paid'));
+            expect((await readTicket(ticket.id)).resolvedAt).toBeInstanceOf(Timestamp);
+        });
+
+        it('lets submitters resubmit only their own rejected tickets', async () => {
+            await moveTo('bob', ticket, 'Under Review');
+            await moveTo('bob', await readTicket(ticket.id), 'Rejected');
+            const rejected = await readTicket(ticket.id);
+
+            await assertFails(moveTo('dan', rejected, 'Submitted'));
+            await assertSucceeds(moveTo('carol', rejected, 'Submitted'));
+        });
+
+        it('keeps reviewers from moving their own tickets', async () => {
+            const id = await createTicket(dbFor('bob'), WORKSPACE_ID, approval, ticketInput(), 'bob');
+            await assertFails(moveTo('bob', await readTicket(id), 'Under Review'));
+        });
+
+        it('lets admins edit and move anyone\'s ticket', async () => {
+            await assertSucceeds(stampedUpdate('alice', { title: 'Corrected by an admin', assigneeId: 'bob' }));
+            await assertSucceeds(moveTo('alice', await readTicket(ticket.id), 'Under Review'));
+        });
+
+        it('rejects writes that change the owner, creation time or stamps of someone else', async () => {
+            await assertFails(stampedUpdate('carol', { userId: 'dan' }));
+            await assertFails(stampedUpdate('alice', { createdAt: Timestamp.fromMillis(Date.UTC(2024, 0, 1)) }));
+            await assertFails(updateDoc(doc(dbFor('carol'), getTicketDocPath(WORKSPACE_ID, ticket.id)), { title: 'Unstamped', updatedBy: 'dan' }));
+        });
+
+        it('only sets resolvedAt along with a status change, at the time of the write', async () => {
+            await assertFails(stampedUpdate('alice', { resolvedAt: Timestamp.fromMillis(Date.UTC(2024, 0, 1)) }));
+            await moveTo('bob', ticket, 'Under Review');
+            await assertFails(stampedUpdate('bob', { status: 'Approved', resolvedAt: Timestamp.fromMillis(Date.UTC(2024, 0, 1)) }));
+        });
+    });
+
+    describe('history', () => {
+        let ticket;
+
+        beforeEach(async () => {
+            const id = await createTicket(dbFor('carol'), WORKSPACE_ID, DEFAULT_WORKFLOW, ticketInput(), 'carol');
+            ticket = await readTicket(id);
+        });
+
+        const addEntry = (uid, entry, ticketUpdates = null) => {
+            const db = dbFor(uid);
+            const batch = writeBatch(db);
+            const entryRef = doc(collection(db, getHistoryCollectionPath(WORKSPACE_ID, ticket.id)));
+            if (ticketUpdates) batch.update(doc(db, getTicketDocPath(WORKSPACE_ID, ticket.id)), { lastHistoryId: entryRef.id, ...ticketUpdates });
+            batch.set(entryRef, entry);
+            return batch.commit();
+        };
+
+        it('is required with every ticket change', async () => {
+            const ticketRef = doc(dbFor('carol'), getTicketDocPath(WORKSPACE_ID, ticket.id));
+            const stamp = { title: 'Unrecorded', updatedAt: serverTimestamp(), updatedBy: 'carol' };
+
+            await assertFails(updateDoc(ticketRef, stamp));
+            await assertFails(updateDoc(ticketRef, { ...stamp, lastHistoryId: 'never-written' }));
+            await assertFails(updateDoc(ticketRef, { ...stamp, lastHistoryId: ticket.lastHistoryId }));
+            await assertFails(updateDoc(doc(dbFor('bob'), ticketRef.path), { status: 'Resolved', resolvedAt: serverTimestamp(), updatedAt: serverTimestamp(), updatedBy: 'bob' }));
+            await assertSucceeds(update('carol', ticket, { title: 'Recorded' }));
+
+            await assertSucceeds(moveTicketToTrash(dbFor('carol'), WORKSPACE_ID, ticket.id, 'carol'));
+            await assertFails(updateDoc(ticketRef, { deletedAt: null, deletedBy: null, updatedAt: serverTimestamp(), updatedBy: 'carol' }));
+        });
+
+        it('is required, at the time of the write, when a ticket is created', async () => {
+            const db = dbFor('carol');
+            const ticketRef = doc(collection(db, getTicketsCollectionPath(WORKSPACE_ID)));
+            const created = buildTicketDocument(ticketInput(), 'carol', DEFAULT_WORKFLOW.initialStatus);
+            const withEntry = (fields) => {
+                const batch = writeBatch(db);
+                const entryRef = doc(collection(db, getHistoryCollectionPath(WORKSPACE_ID, ticketRef.id)));
+                batch.set(ticketRef, { ...fields, lastHistoryId: entryRef.id });
+                batch.set(entryRef, buildHistoryEntry(HISTORY_TYPES.CREATED, 'carol'));
+                return batch.commit();
+            };
+
+            await assertFails(setDoc(ticketRef, created));
+            await assertFails(withEntry({ ...created, createdAt: Timestamp.fromMillis(Date.UTC(2024, 0, 1)) }));
+            await assertSucceeds(withEntry(created));
+        });
+
+        it('only accepts entries written with a change to the ticket', async () => {
+            await assertFails(addEntry('carol', buildHistoryEntry(HISTORY_TYPES.UPDATED, 'carol')));
+            await assertSucceeds(addEntry('carol', buildHistoryEntry(HISTORY_TYPES.UPDATED, 'carol', [{ field: 'title', from: 'a', to: 'b' }]), {
+                title: 'b', updatedAt: serverTimestamp(), updatedBy: 'carol',
+            }));
+        });
+
+        it('rejects backdated, misattributed or extra created entries', async () => {
+            const stamp = { updatedAt: serverTimestamp(), updatedBy: 'carol' };
+            await assertFails(addEntry('carol', { ...buildHistoryEntry(HISTORY_TYPES.UPDATED, 'carol'), changedAt: Timestamp.fromMillis(Date.UTC(2024, 0, 1)) }, stamp));
+            await assertFails(addEntry('carol', buildHistoryEntry(HISTORY_TYPES.UPDATED, 'bob'), stamp));
+            await assertFails(addEntry('carol', buildHistoryEntry(HISTORY_TYPES.CREATED, 'carol'), stamp));
+        });
+
+        it('cannot be rewritten or deleted', async () => {
+            const [entry] = (await getDocs(collection(dbFor('alice'), getHistoryCollectionPath(WORKSPACE_ID, ticket.id)))).docs;
+            await assertFails(setDoc(entry.ref, { ...entry.data(), actorId: 'alice' }));
+            await assertFails(deleteDoc(entry.ref));
+        });
+    });
+
+    describe('comments', () => {
+        let comments;
+
+        beforeEach(async () => {
+            const id = await createTicket(dbFor('carol'), WORKSPACE_ID, DEFAULT_WORKFLOW, ticketInput(), 'carol');
+            comments = (uid) => collection(dbFor(uid), getCommentsCollectionPath(WORKSPACE_ID, id));
+        });
+
+        it('are posted by members under their own name, within the length limit', async () => {
+            await assertSucceeds(setDoc(doc(comments('bob')), buildComment('Looks good.', 'bob', [])));
+            await assertFails(setDoc(doc(comments('bob')), buildComment('Looks good.', 'carol', [])));
+            await assertFails(setDoc(doc(comments('bob')), buildComment(' ', 'bob', [])));
+            await assertFails(setDoc(doc(comments('bob')), buildComment('x'.repeat(2001), 'bob', [])));
+            await assertFails(setDoc(doc(comments('erin')), buildComment('Hello', 'erin', [])));
+            await assertFails(getDocs(comments('erin')));
+        });
+
+        it('are edited by their author and deleted by their author or an admin', async () => {
+            const first = doc(comments('bob'));
+            const second = doc(comments('bob'));
+            await setDoc(first, buildComment('Looks good.', 'bob', []));
+            await setDoc(second, buildComment('Approved.', 'bob', []));
+
+            await assertSucceeds(updateDoc(first, buildCommentUpdate('Looks good to me.', [])));
+            await assertFails(updateDoc(doc(comments('carol'), first.id), buildCommentUpdate('Edited by someone else.', [])));
+            await assertFails(updateDoc(first, { authorId: 'carol' }));
+
+            await assertFails(deleteDoc(doc(comments('carol'), first.id)));
+            await assertSucceeds(deleteDoc(first));
+            await assertSucceeds(deleteDoc(doc(comments('alice'), second.id)));
+        });
+    });
+
+    describe('notifications', () => {
+        const ticket = { id: 'ticket-1', title: 'Annual renewal – Acme' };
+
+        beforeEach(async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await setDoc(doc(context.firestore(), getTicketDocPath(WORKSPACE_ID, ticket.id)), {
+                    title: ticket.title, description: '', status: 'Open', userId: 'carol', createdAt: Timestamp.now(),
+                });
+            });
+        });
+
+        const notify = (uid, recipientId, type = NOTIFICATION_TYPES.ASSIGNED, workspaceId = WORKSPACE_ID) => {
+            const db = dbFor(uid);
+            const batch = writeBatch(db);
+            addNotification(batch, db, workspaceId, recipientId, type, ticket, uid);
+            return batch.commit();
+        };
+
+        it('are written by members of the ticket\'s workspace into other users\' inboxes', async () => {
+            await assertSucceeds(notify('carol', 'bob'));
+            await assertFails(notify('erin', 'bob'));
+            await assertFails(notify('carol', 'bob', 'invited'));
+            await assertFails(notify('carol', 'bob', NOTIFICATION_TYPES.ASSIGNED, 'other-workspace'));
+        });
+
+        it('only reach members of the workspace, about tickets that exist in it', async () => {
+            await assertFails(notify('carol', 'erin'));
+
+            const db = dbFor('carol');
+            const batch = writeBatch(db);
+            addNotification(batch, db, WORKSPACE_ID, 'bob', NOTIFICATION_TYPES.ASSIGNED, { id: 'made-up', title: 'Claim your bonus' }, 'carol');
+            await assertFails(batch.commit());
+        });
+
+        it('are skipped for owners who have left, so their tickets can still be moved', async () => {
+            const id = await createTicket(dbFor('dan'), WORKSPACE_ID, DEFAULT_WORKFLOW, ticketInput(), 'dan');
+            await removeMember(dbFor('dan'), WORKSPACE_ID, 'dan');
+            const members = Object.fromEntries(Object.entries(MEMBERS).filter(([uid]) => uid !== 'dan'));
+            const owned = (await getDoc(doc(dbFor('bob'), getTicketDocPath(WORKSPACE_ID, id)))).data();
+            const updates = { status: 'Resolved' };
+
+            await assertSucceeds(saveTicketUpdate(dbFor('bob'), WORKSPACE_ID, DEFAULT_WORKFLOW, { id, ...owned }, updates, diffTicket(owned, updates), 'bob', members));
+        });
+
+        it('cannot be sent in someone else\'s name or as already read', async () => {
+            const inbox = collection(dbFor('carol'), getNotificationsCollectionPath('bob'));
+            const entry = { type: 'assigned', workspaceId: WORKSPACE_ID, ticketId: 'ticket-1', ticketTitle: '', createdAt: serverTimestamp() };
+
+            await assertFails(setDoc(doc(inbox), { ...entry, actorId: 'alice', read: false }));
+            await assertFails(setDoc(doc(inbox), { ...entry, actorId: 'carol', read: true }));
+        });
+
+        it('are read, marked read and deleted by their recipient only', async () => {
+            await notify('carol', 'bob');
+            const [notification] = (await getDocs(collection(dbFor('bob'), getNotificationsCollectionPath('bob')))).docs;
+
+            await assertFails(getDocs(collection(dbFor('carol'), getNotificationsCollectionPath('bob'))));
+            await assertFails(updateDoc(doc(dbFor('carol'), notification.ref.path), { read: true }));
+            await assertSucceeds(updateDoc(notification.ref, { read: true }));
+            await assertSucceeds(deleteDoc(notification.ref));
+        });
+    });
+
+    describe('attachments', () => {
+        it('stores the storage path of a file but no download URL', async () => {
+            const id = await createTicket(dbFor('carol'), WORKSPACE_ID, DEFAULT_WORKFLOW, ticketInput(), 'carol');
+            const attachments = collection(dbFor('carol'), getAttachmentsCollectionPath(WORKSPACE_ID, id));
+            const file = { name: 'invoice.pdf', type: 'application/pdf', size: 1024 };
+            const storagePath = getAttachmentStoragePath(WORKSPACE_ID, id, 'invoice.pdf');
+
+            await assertSucceeds(setDoc(doc(attachments), buildAttachmentDocument(file, storagePath, 'carol')));
+            await assertFails(setDoc(doc(attachments), { ...buildAttachmentDocument(file, storagePath, 'carol'), downloadURL: 'https://example.com/?token=abc' }));
+            await assertFails(setDoc(doc(attachments), buildAttachmentDocument(file, storagePath, 'dan')));
+        });
+
+        it('only points at files in its ticket\'s own folder, which purging the ticket deletes', async () => {
+            const id = await createTicket(dbFor('carol'), WORKSPACE_ID, DEFAULT_WORKFLOW, ticketInput(), 'carol');
+            const otherId = await createTicket(dbFor('carol'), WORKSPACE_ID, DEFAULT_WORKFLOW, ticketInput(), 'carol');
+            const attachments = collection(dbFor('carol'), getAttachmentsCollectionPath(WORKSPACE_ID, id));
+            const file = { name: 'invoice.pdf', type: 'application/pdf', size: 1024 };
+            const attach = (storagePath) => setDoc(doc(attachments), buildAttachmentDocument(file, storagePath, 'carol'));
+
+            await assertFails(attach(getAttachmentStoragePath(WORKSPACE_ID, otherId, 'invoice.pdf')));
+            await assertFails(attach(getAttachmentStoragePath('other-workspace', id, 'invoice.pdf')));
+            await assertFails(attach(`${getAttachmentStoragePath(WORKSPACE_ID, id, 'nested')}/invoice.pdf`));
+            await assertFails(attach('avatars/carol.png'));
+            await assertSucceeds(attach(getAttachmentStoragePath(WORKSPACE_ID, id, 'invoice.pdf')));
+        });
+    });
+
+    describe('trash', () => {
+        let id;
+
+        beforeEach(async () => {
+            id = await createTicket(dbFor('carol'), WORKSPACE_ID, DEFAULT_WORKFLOW, ticketInput(), 'carol');
+        });
+
+        it('lets the owner move a ticket to the trash, recording who and when', async () => {
+            await assertSucceeds(moveTicketToTrash(dbFor('carol'), WORKSPACE_ID, id, 'carol'));
+
+            const ticket = await readTicket(id);
+            expect(ticket.deletedBy).toBe('carol');
+            expect(ticket.deletedAt).toBeInstanceOf(Timestamp);
+            expect((await readHistory(id)).map(entry => entry.type).sort()).toEqual(['created', 'deleted']);
+        });
+
+        it('lets admins move tickets to the trash', async () => {
+            await assertSucceeds(moveTicketToTrash(dbFor('alice'), WORKSPACE_ID, id, 'alice'));
+        });
+
+        it('is denied to other members, reviewers included', async () => {
+            await assertFails(moveTicketToTrash(dbFor('dan'), WORKSPACE_ID, id, 'dan'));
+            await assertFails(moveTicketToTrash(dbFor('bob'), WORKSPACE_ID, id, 'bob'));
+        });
+
+        it('keeps deleted tickets read-only until they are restored', async () => {
+            await moveTicketToTrash(dbFor('carol'), WORKSPACE_ID, id, 'carol');
+            const ticket = await readTicket(id);
+            await assertFails(update('carol', ticket, { title: 'Edited in the trash' }));
+            await assertFails(restoreTicket(dbFor('dan'), WORKSPACE_ID, id, 'dan'));
+
+            await assertSucceeds(restoreTicket(dbFor('alice'), WORKSPACE_ID, id, 'alice'));
+            const restored = await readTicket(id);
+            expect(restored.deletedAt).toBeNull();
+            expect(restored.deletedBy).toBeNull();
+            expect((await readHistory(id)).map(entry => entry.type).sort()).toEqual(['created', 'deleted', 'restored']);
+        });
+
+        it('never deletes the document outright', async () => {
+            await assertFails(purgeTicket(dbFor('carol'), null, WORKSPACE_ID, id));
+            await assertFails(purgeTicket(dbFor('alice'), null, WORKSPACE_ID, id));
+        });
+    });
+
+    describe('purge', () => {
+        const DAY_MS = 24 * 60 * 60 * 1000;
+
+        beforeEach(async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                const db = context.firestore();
+                const trashed = (id, daysAgo) => setDoc(doc(db, getTicketDocPath(WORKSPACE_ID, id)), {
+                    title: id,
+                    description: id,
+                    status: 'Open',
+                    userId: 'carol',
+                    createdAt: Timestamp.fromMillis(Date.now() - 60 * DAY_MS),
+                    deletedAt: Timestamp.fromMillis(Date.now() - daysAgo * DAY_MS),
+                    deletedBy: 'carol',
+                });
+                await Promise.all([trashed('expired', 31), trashed('recent', 1)]);
+                await Promise.all(['expired', 'recent'].flatMap(id => [
+                    setDoc(doc(collection(db, getHistoryCollectionPath(WORKSPACE_ID, id))), { type: 'created', actorId: 'carol', changes: [], changedAt: Timestamp.now() }),
+                    setDoc(doc(collection(db, getCommentsCollectionPath(WORKSPACE_ID, id))), { body: 'Hi', authorId: 'bob', mentions: [], createdAt: Timestamp.now(), updatedAt: null }),
+                ]));
+            });
+        });
+
+        const countEntries = async (id) => {
+            const [history, comments] = await Promise.all([
+                getDocs(collection(dbFor('alice'), getHistoryCollectionPath(WORKSPACE_ID, id))),
+                getDocs(collection(dbFor('alice'), getCommentsCollectionPath(WORKSPACE_ID, id))),
+            ]);
+            return history.size + comments.size;
+        };
+
+        it('lets admins purge tickets past the retention period, with their history and comments', async () => {
+            await assertSucceeds(purgeTicket(dbFor('alice'), null, WORKSPACE_ID, 'expired'));
+            expect((await getDoc(doc(dbFor('alice'), getTicketDocPath(WORKSPACE_ID, 'expired')))).exists()).toBe(false);
+            expect(await countEntries('expired')).toBe(0);
+        });
+
+        it('keeps recently deleted tickets and everything under them', async () => {
+            await assertFails(purgeTicket(dbFor('alice'), null, WORKSPACE_ID, 'recent'));
+            expect(await countEntries('recent')).toBe(2);
+        });
+
+        it('is denied to everyone but admins', async () => {
+            await assertFails(purgeTicket(dbFor('carol'), null, WORKSPACE_ID, 'expired'));
+            await assertFails(purgeTicket(dbFor('bob'), null, WORKSPACE_ID, 'expired'));
+            expect(await countEntries('expired')).toBe(2);
+        });
+    });
+
+    describe('bulk actions', () => {
+        let tickets;
+
+        beforeEach(async () => {
+            const created = [
+                await createTicket(dbFor('carol'), WORKSPACE_ID, DEFAULT_WORKFLOW, ticketInput({ title: 'First' }), 'carol'),
+                await createTicket(dbFor('carol'), WORKSPACE_ID, DEFAULT_WORKFLOW, ticketInput({ title: 'Second' }), 'carol'),
+                await createTicket(dbFor('bob'), WORKSPACE_ID, DEFAULT_WORKFLOW, ticketInput({ title: 'Own ticket' }), 'bob'),
+            ];
+            tickets = await Promise.all(created.map(readTicket));
+        });
+
+        it('resolves every ticket the reviewer may move and skips their own', async () => {
+            const plan = planBulkAction(BULK_ACTIONS.STATUS, 'Resolved', tickets, { workflow: DEFAULT_WORKFLOW, role: 'reviewer', uid: 'bob' });
+            expect(plan.denied.map(({ ticket }) => ticket.title)).toEqual(['Own ticket']);
+
+            const { succeeded, failed } = await saveBulkTicketUpdates(dbFor('bob'), WORKSPACE_ID, DEFAULT_WORKFLOW, plan.allowed, 'bob');
+            expect(succeeded).toHaveLength(2);
+            expect(failed).toEqual([]);
+
+            const statuses = await Promise.all(tickets.map(async ticket => (await readTicket(ticket.id)).status));
+            expect(statuses).toEqual(['Resolved', 'Resolved', 'Open']);
+            expect((await readHistory(tickets[0].id)).map(entry => entry.type).sort()).toEqual(['created', 'updated']);
+        });
+
+        it('reports a batch the rules reject as failed', async () => {
+            const entries = tickets.map(ticket => ({ ticket, updates: { status: 'Resolved' }, changes: diffTicket(ticket, { status: 'Resolved' }) }));
+            const { succeeded, failed } = await saveBulkTicketUpdates(dbFor('bob'), WORKSPACE_ID, DEFAULT_WORKFLOW, entries, 'bob');
+            expect(succeeded).toEqual([]);
+            expect(failed).toHaveLength(3);
+        });
+
+        it('moves the selected tickets to the trash', async () => {
+            const { succeeded } = await moveTicketsToTrash(dbFor('alice'), WORKSPACE_ID, tickets, 'alice');
+            expect(succeeded).toHaveLength(3);
+
+            const trashed = await getDocs(query(collection(dbFor('alice'), getTicketsCollectionPath(WORKSPACE_ID)), where('deletedBy', '==', 'alice')));
+            expect(trashed.size).toBe(3);
+        });
+    });
+
+    describe('list queries', () => {
+        const seeded = [
+            { id: 'carol-old', userId: 'carol', status: 'Resolved', createdAt: Timestamp.fromMillis(Date.UTC(2024, 0, 1)) },
+            { id: 'dan-1', userId: 'dan', status: 'Open', createdAt: Timestamp.fromMillis(Date.UTC(2024, 1, 1)) },
+            { id: 'carol-new', userId: 'carol', status: 'Open', createdAt: Timestamp.fromMillis(Date.UTC(2024, 2, 1)) },
+        ];
+
+        const listIds = async (uid, filters, ownerId) => {
+            const constraints = buildTicketQueryConstraints({ ...DEFAULT_FILTERS, ...filters }, ownerId);
+            const snapshot = await getDocs(query(collection(dbFor(uid), getTicketsCollectionPath(WORKSPACE_ID)), ...constraints));
+            return snapshot.docs.map(ticket => ticket.id);
+        };
+
+        beforeEach(async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                const db = context.firestore();
+                await Promise.all(seeded.map(({ id, ...fields }) => (
+                    setDoc(doc(db, getTicketDocPath(WORKSPACE_ID, id)), { title: id, description: id, priority: 'medium', ...fields })
+                )));
+            });
+        });
+
+        it("My Tickets returns only the signed-in user's tickets, newest first", async () => {
+            expect(await listIds('carol', {}, 'carol')).toEqual(['carol-new', 'carol-old']);
+        });
+
+        it('All Tickets returns every ticket in the workspace, newest first', async () => {
+            expect(await listIds('carol', {}, null)).toEqual(['carol-new', 'dan-1', 'carol-old']);
+        });
+
+        it('applies the owner, status and date filters', async () => {
+            expect(await listIds('bob', { owner: 'dan' }, null)).toEqual(['dan-1']);
+            expect(await listIds('bob', { status: 'Open', sort: 'oldest' }, null)).toEqual(['dan-1', 'carol-new']);
+            expect(await listIds('bob', { from: '2024-01-15', to: '2024-02-15' }, null)).toEqual(['dan-1']);
+        });
+
+        it('is denied to people outside the workspace', async () => {
+            await assertFails(getDocs(query(collection(dbFor('mallory'), getTicketsCollectionPath(WORKSPACE_ID)), orderBy('createdAt', 'desc'))));
+            await assertFails(getDocs(query(collection(dbFor('mallory'), getTicketsCollectionPath(WORKSPACE_ID)), where('userId', '==', 'mallory'))));
+        });
+    });
+});
@@ -0,0 +1,116 @@
+// @vitest-environment node
+/**
+ * Attachment uploads against the Storage emulator, with storage.rules loaded.
+ * The rules look up membership in Firestore, so both emulators are needed; run
+ * with `npm run test:emulator`. Without them these tests are skipped.
+ */
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { Timestamp, doc, setDoc } from 'firebase/firestore';
+import { deleteObject, getBytes, ref, updateMetadata, uploadBytes } from 'firebase/storage';
+import { getAttachmentStoragePath, getMemberDocPath } from '../src/config.js';
+import { ATTACHMENT_MAX_BYTES } from '../src/utils/attachments.js';
+
+const FIRESTORE_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+const STORAGE_HOST = process.env.FIREBASE_STORAGE_EMULATOR_HOST;
+const WORKSPACE_ID = 'test-workspace';
+const TICKET_ID = 'ticket-1';
+const MEMBERS = { alice: 'admin', carol: 'submitter', dan: 'submitter' };
+
+const toHostAndPort = (emulatorHost) => {
+    const [host, port] = emulatorHost.split(':');
+    return { host, port: Number(port) };
+};
+
+describe.skipIf(!FIRESTORE_HOST || !STORAGE_HOST)('attachments in the Storage emulator', () => {
+    let testEnv;
+    const fileRef = (uid, fileName = 'invoice.pdf') => (
+        ref(testEnv.authenticatedContext(uid).storage(), getAttachmentStoragePath(WORKSPACE_ID, TICKET_ID, fileName))
+    );
+
+    const upload = (uid, { size = 1024, contentType = 'application/pdf', uploadedBy = uid, fileName } = {}) => (
+        uploadBytes(fileRef(uid, fileName), new Uint8Array(size), { contentType, customMetadata: { uploadedBy } })
+    );
+
+    beforeAll(async () => {
+        testEnv = await initializeTestEnvironment({
+            projectId: 'demo-commission-tracker',
+            firestore: { ...toHostAndPort(FIRESTORE_HOST), rules: readFileSync('firestore.rules', 'utf8') },
+            storage: { ...toHostAndPort(STORAGE_HOST), rules: readFileSync('storage.rules', 'utf8') },
+        });
+    });
+
+    afterAll(async () => {
+        await testEnv?.cleanup();
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+        await testEnv.clearStorage();
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            const db = context.firestore();
+            await Promise.all(Object.entries(MEMBERS).map(([uid, role]) => (
+                setDoc(doc(db, getMemberDocPath(WORKSPACE_ID, uid)), { uid, role, joinedAt: Timestamp.now() })
+            )));
+        });
+    });
+
+    describe('uploads', () => {
+        it('accept allowed files from members', async () => {
+            await assertSucceeds(upload('carol'));
+            await assertSucceeds(upload('carol', { fileName: 'photo.png', contentType: 'image/png' }));
+            await assertSucceeds(upload('carol', { fileName: 'deals.csv', contentType: 'text/csv' }));
+        });
+
+        it('are limited in size', async () => {
+            await assertSucceeds(upload('carol', { size: ATTACHMENT_MAX_BYTES }));
+            await assertFails(upload('carol', { fileName: 'too-big.pdf', size: ATTACHMENT_MAX_BYTES + 1 }));
+        });
+
+        it('only accept allowed content types', async () => {
+            await assertFails(upload('carol', { fileName: 'page.html', contentType: 'text/html' }));
+            await assertFails(upload('carol', { fileName: 'run.exe', contentType: 'application/octet-stream' }));
+        });
+
+        it('must be stamped with the uploader\'s own uid', async () => {
+            await assertFails(upload('carol', { uploadedBy: 'dan' }));
+            await assertFails(uploadBytes(fileRef('carol'), new Uint8Array(8), { contentType: 'application/pdf' }));
+        });
+
+        it('are refused for anyone outside the workspace', async () => {
+            await assertFails(upload('mallory'));
+            await assertFails(uploadBytes(
+                ref(testEnv.unauthenticatedContext().storage(), getAttachmentStoragePath(WORKSPACE_ID, TICKET_ID, 'invoice.pdf')),
+                new Uint8Array(8),
+                { contentType: 'application/pdf' },
+            ));
+        });
+
+        it('cannot be changed afterwards', async () => {
+            await upload('carol');
+
+            await assertFails(updateMetadata(fileRef('carol'), { customMetadata: { uploadedBy: 'dan' } }));
+        });
+    });
+
+    describe('downloads and deletes', () => {
+        beforeEach(async () => {
+            await upload('carol');
+        });
+
+        it('let members read files, and nobody else', async () => {
+            await assertSucceeds(getBytes(fileRef('dan')));
+            await assertFails(getBytes(fileRef('mallory')));
+        });
+
+        it('let the uploader delete a file', async () => {
+            await assertFails(deleteObject(fileRef('dan')));
+            await assertSucceeds(deleteObject(fileRef('carol')));
+        });
+
+        it('let admins delete any file', async () => {
+            await assertSucceeds(deleteObject(fileRef('alice')));
+        });
+    });
+});
@@ -1,3 +1,57 @@
-import { defineConfig } 
-from 'vite'
-import react from '@vitejs/plugin-react'// https://vitejs.dev/config/export default defineConfig({plugins: [react()],})
+import { createHash } from 'node:crypto'
+import { defineConfig, loadEnv } from 'vite'
+import react from '@vitejs/plugin-react'
+import tailwindcss from 'tailwindcss'
+import autoprefixer from 'autoprefixer'
+import { PRINT_STYLES } from './src/utils/printStyles.js'
+
+const sha256 = (text) => `'sha256-${createHash('sha256').update(text).digest('base64')}'`
+
+// Everything the built app loads: its own bundle, Firebase (Auth, Firestore, Storage)
+// and Google sign-in. `authDomain` hosts the sign-in popup's helper frame.
+const buildContentSecurityPolicy = (authDomain) => [
+  "default-src 'self'",
+  "script-src 'self' https://apis.google.com",
+  `style-src 'self' ${sha256(PRINT_STYLES)}`,
+  "font-src 'self' data:",
+  "img-src 'self' data: blob: https://*.googleusercontent.com https://firebasestorage.googleapis.com",
+  "connect-src 'self' https://*.googleapis.com https://apis.google.com",
+  `frame-src https://*.firebaseapp.com${authDomain ? ` https://${authDomain}` : ''}`,
+  "worker-src 'self'",
+  "manifest-src 'self'",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+].join('; ')
+
+// Added to index.html by production builds only: the dev server relies on inline
+// scripts (React Fast Refresh) and talks to the local emulators.
+const contentSecurityPolicy = (authDomain) => ({
+  name: 'content-security-policy',
+  apply: 'build',
+  transformIndexHtml: () => [{
+    tag: 'meta',
+    attrs: { 'http-equiv': 'Content-Security-Policy', content: buildContentSecurityPolicy(authDomain) },
+    injectTo: 'head-prepend',
+  }],
+})
+
+// https://vitejs.dev/config/
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd())
+  return {
+    plugins: [react(), contentSecurityPolicy(env.VITE_FIREBASE_AUTH_DOMAIN)],
+    // Tailwind compiles only the classes used in index.html and src/ (see tailwind.config.js)
+    css: {
+      postcss: {
+        plugins: [tailwindcss(), autoprefixer()],
+      },
+    },
+    // https://vitest.dev/config/
+    test: {
+      environment: 'jsdom',
+      setupFiles: ['./src/setupTests.js'],
+      include: ['src/**/*.test.{js,jsx}', 'tests/**/*.test.js'],
+    },
+  }
+})